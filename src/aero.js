@@ -0,0 +1,42 @@
+import { aeroConfig, f1CarSpecs, GRAVITY } from "./config.js";
+
+/**
+ * Downforce and drag at a speed, both growing with speed squared:
+ * 0.5 * airDensity * referenceArea * coefficient * v^2.
+ * @param {number} speed - m/s
+ * @param {{downforceCoefficient?:number,dragCoefficient?:number}=} coefficients - Default to `f1CarSpecs`
+ * @returns {{downforce:number,drag:number}} Newtons
+ */
+export function computeAeroForces(
+  speed,
+  {
+    downforceCoefficient = f1CarSpecs.downforceCoefficient,
+    dragCoefficient = f1CarSpecs.dragCoefficient,
+  } = {}
+) {
+  const q =
+    0.5 * aeroConfig.airDensity * aeroConfig.referenceArea * speed * speed;
+  return { downforce: q * downforceCoefficient, drag: q * dragCoefficient };
+}
+
+/**
+ * Aero numbers for a car at a speed: forces (N), the drag deceleration and
+ * the cornering limit (m/s^2). Downforce adds to the weight on the tyres, so
+ * the cornering limit rises with speed; `loadFactor` is total load over
+ * weight.
+ * @param {number} speed - m/s
+ * @param {number=} mass - kg
+ * @returns {{speed:number,downforce:number,drag:number,dragDecel:number,lateralLimit:number,loadFactor:number}}
+ */
+export function getAero(speed, mass = f1CarSpecs.dryMass) {
+  const { downforce, drag } = computeAeroForces(speed);
+  const weight = mass * GRAVITY;
+  return {
+    speed,
+    downforce,
+    drag,
+    dragDecel: drag / mass,
+    lateralLimit: (aeroConfig.tyreFriction * (weight + downforce)) / mass,
+    loadFactor: (weight + downforce) / weight,
+  };
+}
@@ -0,0 +1,200 @@
+import { assistConfig, f1CarSpecs } from "./config.js";
+import { getProfileSpeed } from "./speedProfile.js";
+import { projectOntoPath } from "./utils/math3d.js";
+import { clamp } from "./utils/common.js";
+
+/** Every driver assist, in HUD order. */
+export const ASSISTS = ["tractionControl", "abs", "steering", "braking"];
+
+/**
+ * Assist settings: `assistConfig` with `overrides` on top, per assist.
+ * @param {Object=} overrides - e.g. { abs: { enabled: true } }
+ * @returns {typeof assistConfig}
+ */
+export function createAssistSettings(overrides = {}) {
+  const settings = { ...assistConfig, ...overrides };
+  for (const name of ASSISTS) {
+    settings[name] = { ...assistConfig[name], ...overrides[name] };
+  }
+  return settings;
+}
+
+/**
+ * What each assist did on the last step, for the HUD: null while it is
+ * off, otherwise how hard it intervened (0 = not at all, 1 = fully).
+ * @returns {{tractionControl:number|null,abs:number|null,steering:number|null,braking:number|null}}
+ */
+export function createAssistState() {
+  return { tractionControl: null, abs: null, steering: null, braking: null };
+}
+
+/**
+ * Share of a demand to keep so the tyres can take it: 1 within `limit`,
+ * otherwise `limit / demand` at full `strength`.
+ * @param {number} demand - e.g. acceleration asked of the tyres (m/s^2)
+ * @param {number} limit - What the tyres can take, same unit
+ * @param {number} strength - 0..1
+ * @returns {number}
+ */
+export function getGripFactor(demand, limit, strength) {
+  if (demand <= limit || demand <= 0) return 1;
+  return 1 - strength * (1 - limit / demand);
+}
+
+/**
+ * Share of a demand to keep from how much the wheels slid on the last step:
+ * 1 up to `threshold`, otherwise less the more the worst wheel slid, at full
+ * `strength`. RaycastVehicle wheels report their `skidInfo` as the share of
+ * their impulse the tyre could take, 1 while it grips.
+ * @param {{skidInfo:number}[]} wheels
+ * @param {number} threshold - Slip (1 - skidInfo) let through
+ * @param {number} strength - 0..1
+ * @returns {number}
+ */
+export function getSlipFactor(wheels, threshold, strength) {
+  const slip = Math.max(0, ...wheels.map((wheel) => 1 - wheel.skidInfo));
+  if (slip <= threshold) return 1;
+  return 1 - strength * slip;
+}
+
+/**
+ * Where a reference path wants the car: steering toward the point
+ * `lookahead` metres ahead on the path, and the path's profile speed here.
+ * @param {{points:THREE.Vector3[],fractions:number[]}} samples - From `samplePathWorld`
+ * @param {ReturnType<typeof import("./speedProfile.js").computeSpeedProfile>|null} profile
+ * @param {{x:number,z:number}} position
+ * @param {{x:number,z:number}} forward - Car heading
+ * @param {{lookahead?:number,steerGain?:number}=} options
+ * @returns {{steer:number,speed:number|null}|null} Steer -1..1 (positive to the left) and target speed in m/s; null off the end of the samples
+ */
+export function getPathGuidance(
+  samples,
+  profile,
+  position,
+  forward,
+  {
+    lookahead = assistConfig.lookahead,
+    steerGain = assistConfig.steerGain,
+  } = {}
+) {
+  const proj = projectOntoPath(samples, position);
+  if (!proj) return null;
+  const target = getPointAhead(samples, proj, lookahead);
+  const dx = target.x - position.x;
+  const dz = target.z - position.z;
+  // Heading error, positive when the target is to the left (+X of +Z)
+  const angle = Math.atan2(
+    forward.z * dx - forward.x * dz,
+    forward.x * dx + forward.z * dz
+  );
+  return {
+    steer: clamp(angle * steerGain, -1, 1),
+    speed: profile ? getProfileSpeed(profile, proj.fraction) : null,
+  };
+}
+
+/**
+ * Steering assist, auto-brake and ABS on a driver's throttle, brake and
+ * steering. Records what each did in `state`. ABS watches the wheels when
+ * the car has them; otherwise it compares the deceleration the car's
+ * controller will brake with to the grip limit.
+ * @param {{throttle:number,brake:number,steer:number}} axes - From `getInputAxes`
+ * @param {{speed:number,gripLimit:number,guidance:ReturnType<typeof getPathGuidance>,wheels?:{skidInfo:number}[]|null,brakeDecel?:(brake:number,throttle:number)=>number}} car - Speed along the heading (m/s), the tyres' grip limit (m/s^2), the reference path's guidance, the wheels (RaycastVehicle `wheelInfos`) and the controller's deceleration for a brake (m/s^2; `brakingDecel` when omitted)
+ * @param {ReturnType<typeof createAssistSettings>} settings
+ * @param {ReturnType<typeof createAssistState>} state - Updated in place
+ * @returns {{throttle:number,brake:number,steer:number}}
+ */
+export function applyInputAssists(
+  axes,
+  {
+    speed,
+    gripLimit,
+    guidance,
+    wheels = null,
+    brakeDecel = (brake) => f1CarSpecs.brakingDecel * brake,
+  },
+  settings,
+  state
+) {
+  let { throttle, brake, steer } = axes;
+  const { steering, braking, abs } = settings;
+
+  state.steering = steering.enabled ? 0 : null;
+  if (steering.enabled && guidance) {
+    const assisted = steer + (guidance.steer - steer) * steering.strength;
+    state.steering = Math.min(1, Math.abs(assisted - steer));
+    steer = assisted;
+  }
+
+  state.braking = braking.enabled ? 0 : null;
+  if (braking.enabled && guidance && guidance.speed !== null) {
+    const over = speed - guidance.speed - settings.brakeMargin;
+    const demand = clamp(over / settings.brakeRange, 0, 1) * braking.strength;
+    state.braking = demand;
+    brake = Math.max(brake, demand);
+    throttle *= 1 - demand;
+  }
+
+  // Only while braking forward; below that the brake reverses
+  state.abs = abs.enabled ? 0 : null;
+  if (abs.enabled && brake > 0 && speed > 0.5) {
+    const factor = wheels
+      ? getSlipFactor(wheels, settings.slipThreshold, abs.strength)
+      : getGripFactor(brakeDecel(brake, throttle), gripLimit, abs.strength);
+    state.abs = 1 - factor;
+    brake *= factor;
+  }
+
+  return { throttle, brake, steer };
+}
+
+/**
+ * Traction control: share of the drive force to keep so the driven wheels
+ * don't spin. It watches the driven wheels when the car has them;
+ * otherwise it compares the acceleration the car's controller will drive
+ * with to the grip of the driven tyres. Records what it did in `state`.
+ * @param {{accel:number,gripLimit:number,wheels?:{skidInfo:number}[]|null}} car - The controller's acceleration (m/s^2), the tyres' grip limit (m/s^2) and the driven wheels (RaycastVehicle `wheelInfos`)
+ * @param {ReturnType<typeof createAssistSettings>} settings
+ * @param {ReturnType<typeof createAssistState>} state - Updated in place
+ * @returns {number} 0..1
+ */
+export function getTractionControlFactor(
+  { accel, gripLimit, wheels = null },
+  settings,
+  state
+) {
+  const { enabled, strength } = settings.tractionControl;
+  if (!enabled) {
+    state.tractionControl = null;
+    return 1;
+  }
+  const factor = wheels
+    ? getSlipFactor(wheels, settings.slipThreshold, strength)
+    : getGripFactor(accel, gripLimit * settings.drivenLoadShare, strength);
+  state.tractionControl = 1 - factor;
+  return factor;
+}
+
+// Point `distance` metres along the samples from a projection, in the
+// ground plane; closed paths (last sample on the first) wrap
+function getPointAhead({ points }, proj, distance) {
+  const closed = points[0].distanceTo(points[points.length - 1]) < 1e-6;
+  let from = proj.point;
+  let i = proj.index + 1;
+  let remaining = distance;
+  for (let n = 0; n < points.length; n++) {
+    if (i >= points.length) {
+      if (!closed) return from;
+      i = 1;
+    }
+    const to = points[i];
+    const gap = Math.hypot(to.x - from.x, to.z - from.z);
+    if (gap >= remaining) {
+      return from.clone().lerp(to, gap > 0 ? remaining / gap : 0);
+    }
+    remaining -= gap;
+    from = to;
+    i += 1;
+  }
+  return from;
+}
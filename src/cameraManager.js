@@ -12,6 +12,9 @@ const NAME_TO_MODE = {
   Helper: "helper",
 };
 
+// Follow camera pitch/roll jitter at full vibration (radians)
+const MAX_SHAKE = 0.01;
+
 function storageKeyForPage(pageId) {
   // Match requested keys from the spec
   if (pageId === "index") return "camera_index.html";
@@ -59,6 +62,7 @@ export class CameraManager {
     orbitControls,
     getCarCount,
     getCarPose, // (index) => { position: THREE.Vector3|CANNON.Vec3, quaternion: THREE.Quaternion|CANNON.Quaternion }
+    inputActions, // InputActions: camera1..9, helperCamera, nextCar
     smoothing = 0.2,
   }) {
     this.pageId = pageId;
@@ -69,6 +73,7 @@ export class CameraManager {
     this.getCarCount = getCarCount;
     this.getCarPose = getCarPose;
     this.smoothing = smoothing;
+    this.shake = 0; // 0..1, see setShake
 
     this.overlayEl = createOverlay();
     this.overlayTimer = null;
@@ -81,9 +86,10 @@ export class CameraManager {
     );
     this.selectedCarIndex = this.#loadSelectedCarIndex();
 
-    // Key handling
-    this._onKeyDownBound = this.#onKeyDown.bind(this);
-    window.addEventListener("keydown", this._onKeyDownBound);
+    // Camera actions
+    this._offPress = inputActions
+      ? inputActions.on("press", ({ action }) => this.#onAction(action))
+      : null;
   }
 
   // Public API
@@ -103,6 +109,11 @@ export class CameraManager {
     this.#persistCarIndex();
   }
 
+  // Shakes the follow camera, e.g. from the surface under the car (0..1)
+  setShake(amount) {
+    this.shake = Math.min(1, Math.max(0, amount || 0));
+  }
+
   update() {
     const label = this.availableCameras[this.selectedCameraIndex] || "Chase";
     if (label === "Helper") return; // orbit camera handled externally
@@ -126,6 +137,11 @@ export class CameraManager {
       this.followCamera.position.copy(cameraPos);
     }
     this.followCamera.lookAt(lookAt);
+    if (this.shake > 0) {
+      const angle = this.shake * MAX_SHAKE;
+      this.followCamera.rotateX((Math.random() * 2 - 1) * angle);
+      this.followCamera.rotateZ((Math.random() * 2 - 1) * angle);
+    }
   }
 
   resize(width, height) {
@@ -135,24 +151,34 @@ export class CameraManager {
   }
 
   dispose() {
-    if (this._onKeyDownBound)
-      window.removeEventListener("keydown", this._onKeyDownBound);
+    if (this._offPress) this._offPress();
   }
 
   // Internals
-  #onKeyDown(e) {
-    const k = e.key.toLowerCase();
-    // Number keys: 1..9 map to camera list index
-    if (k >= "1" && k <= "9") {
-      const idx = parseInt(k, 10) - 1;
+  #onAction(action) {
+    // camera1..camera9 map to camera list index
+    const camera = /^camera(\d)$/.exec(action);
+    if (camera) {
+      const idx = parseInt(camera[1], 10) - 1;
       if (idx < this.availableCameras.length) {
         this.#selectCameraIndex(idx);
       }
       return;
     }
 
-    // Toggle helper with 'h'
-    if (k === "h") {
+    // Next follow camera, skipping the helper
+    if (action === "nextCamera") {
+      const follow = this.availableCameras
+        .map((label, i) => (label === "Helper" ? -1 : i))
+        .filter((i) => i !== -1);
+      if (!follow.length) return;
+      const at = follow.indexOf(this.selectedCameraIndex);
+      this.#selectCameraIndex(follow[(at + 1) % follow.length]);
+      return;
+    }
+
+    // Toggle helper
+    if (action === "helperCamera") {
       const isHelper =
         this.availableCameras[this.selectedCameraIndex] === "Helper";
       if (isHelper) {
@@ -167,8 +193,8 @@ export class CameraManager {
       return;
     }
 
-    // Cycle cars with 'c' on index page only
-    if (k === "c" && this.pageId === "index") {
+    // Cycle cars on index page only
+    if (action === "nextCar" && this.pageId === "index") {
       const count = (this.getCarCount && this.getCarCount()) || 0;
       if (!count) return;
       this.setSelectedCarIndex(this.selectedCarIndex + 1);
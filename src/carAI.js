@@ -1,17 +1,34 @@
 import * as THREE from "three";
 import * as CANNON from "cannon-es";
+import { aiConfig, f1CarSpecs } from "./config.js";
+import { getPathWorldLength } from "./utils/math3d.js";
+import { getSpeedProfile, getProfileSpeed } from "./speedProfile.js";
 
 /**
  * Updates the state of all AI cars to follow a predefined race path.
  * Supports per-car path overrides when provided.
  *
+ * `progress` is the arc-length fraction (0..1) along the car's path and
+ * `speed` is in meters per second, so cars hold the same real speed on any
+ * path and along the whole of it. `currentSpeed` is written back with the
+ * speed actually driven this step (m/s).
+ *
+ * With the speed profile enabled, `speed` is the car's top speed: cars follow
+ * the curvature speed profile of their path, braking into corners and
+ * accelerating out of them within the `f1CarSpecs` limits. `grip` (the tyre
+ * grip multiplier, default 1) scales the cornering speeds by sqrt(grip) and
+ * the acceleration and braking limits by grip. `power` and `topSpeedFactor`
+ * (engine mode and fuel, default 1) scale acceleration and top speed, and
+ * `throttle` is written back (1 accelerating, 0 braking).
+ *
  * @param {THREE.Object3D[]} carObjects
  * @param {(CANNON.Body|null)[]} carBodies
- * @param {{progress:number,speed:number,done?:boolean}[]} carAIStates
+ * @param {{progress:number,speed:number,speedFactor?:number,grip?:number,power?:number,topSpeedFactor?:number,done?:boolean,currentSpeed?:number,throttle?:number}[]} carAIStates - speedFactor scales speed (0 holds the car)
  * @param {THREE.CatmullRomCurve3} defaultRacePath
  * @param {THREE.Line} defaultRacePathLine
  * @param {number} delta
  * @param {{curve:THREE.CatmullRomCurve3,line:THREE.Line}[]=} perCarPaths
+ * @param {{speedProfile?:boolean,pitLane?:import("./pitLane.js").PitLane|null}=} options - `pitLane` lets cars on the race path make pit stops
  */
 export function updateCarAI(
   carObjects,
@@ -20,7 +37,8 @@ export function updateCarAI(
   defaultRacePath,
   defaultRacePathLine,
   delta,
-  perCarPaths
+  perCarPaths,
+  { speedProfile = aiConfig.speedProfile, pitLane = null } = {}
 ) {
   if (
     !carObjects ||
@@ -57,6 +75,7 @@ export function updateCarAI(
 
     if (state.done) {
       // Already finished: hold final pose
+      state.currentSpeed = 0;
       const last = usePath.curve.getPoint(1);
       const lastPos = last.clone().applyMatrix4(usePath.line.matrixWorld);
       car.position.copy(lastPos);
@@ -74,10 +93,76 @@ export function updateCarAI(
       continue;
     }
 
-    const speed = typeof state.speed === "number" ? state.speed : 0;
-    let nextProgress = state.progress + speed * delta;
+    const speedFactor =
+      typeof state.speedFactor === "number" ? state.speedFactor : 1;
+    const grip = typeof state.grip === "number" ? state.grip : 1;
+    const power = typeof state.power === "number" ? state.power : 1;
+    const topSpeedFactor =
+      typeof state.topSpeedFactor === "number" ? state.topSpeedFactor : 1;
+    const body = carBodies[i];
+
+    // Pit stops are run on the race path only
+    const pit = pitLane && usePath.curve === defaultRacePath ? pitLane : null;
+    if (pit && pit.isInPit(i)) {
+      const speed = followTarget(
+        state.currentSpeed,
+        pit.getTargetSpeed(i) * speedFactor,
+        speedFactor,
+        true,
+        delta,
+        grip,
+        power
+      );
+      state.throttle = getThrottle(state.currentSpeed, speed);
+      state.currentSpeed = speed;
+      pit.advance(i, speed, delta, state);
+      if (pit.isInPit(i)) {
+        placeOnPath(car, body, pit.getPath(), pit.getCarState(i).progress);
+      } else {
+        placeOnPath(car, body, usePath, state.progress);
+      }
+      continue;
+    }
 
+    const length = getPathWorldLength(usePath.curve, usePath.line);
     const isClosed = !!usePath.curve.closed;
+    const topSpeed =
+      (typeof state.speed === "number" ? state.speed : 0) * topSpeedFactor;
+    let target = speedProfile
+      ? Math.min(
+          topSpeed,
+          getProfileSpeed(
+            getSpeedProfile(usePath.curve, usePath.line),
+            state.progress
+          ) * Math.sqrt(grip)
+        )
+      : topSpeed;
+    if (pit) {
+      target = Math.min(
+        target,
+        pit.getApproachSpeed(i, state.progress, length, isClosed)
+      );
+    }
+    const speed = followTarget(
+      state.currentSpeed,
+      target * speedFactor,
+      speedFactor,
+      speedProfile,
+      delta,
+      grip,
+      power
+    );
+    state.throttle = getThrottle(state.currentSpeed, speed, target);
+    state.currentSpeed = speed;
+    let nextProgress =
+      state.progress + (length > 0 ? (speed * delta) / length : 0);
+
+    if (pit && pit.crossesEntry(i, state.progress, nextProgress)) {
+      pit.enter(i);
+      placeOnPath(car, body, pit.getPath(), 0);
+      continue;
+    }
+
     if (!isClosed && nextProgress >= 1) {
       nextProgress = 1;
       state.progress = nextProgress;
@@ -86,25 +171,67 @@ export function updateCarAI(
       state.progress = isClosed ? nextProgress % 1 : nextProgress;
     }
 
-    const t = state.progress;
-    const localPos = usePath.curve.getPoint(t);
-    const tangent = usePath.curve.getTangent(Math.max(0, t - 1e-3)).normalize();
+    placeOnPath(car, body, usePath, state.progress);
+    if (body && state.done) {
+      body.velocity.set(0, 0, 0);
+      body.angularVelocity.set(0, 0, 0);
+    }
+  }
+}
 
-    const newPos = localPos.clone().applyMatrix4(usePath.line.matrixWorld);
-    const worldTangent = tangent.clone().applyQuaternion(pathWorldQuat);
-    const lookAtPosition = new THREE.Vector3().copy(newPos).add(worldTangent);
+// Puts a car (and its body) on `path` at arc-length fraction `u`, facing
+// along the path
+function placeOnPath(car, body, path, u) {
+  path.line.updateMatrixWorld();
+  const pathWorldQuat = new THREE.Quaternion();
+  path.line.getWorldQuaternion(pathWorldQuat);
 
-    car.position.copy(newPos);
-    car.lookAt(lookAtPosition);
+  // Arc-length fraction to curve parameter
+  const t = path.curve.getUtoTmapping(u);
+  const localPos = path.curve.getPoint(t);
+  const tangent = path.curve.getTangent(t).normalize();
 
-    const body = carBodies[i];
-    if (body) {
-      body.position.copy(newPos);
-      body.quaternion.copy(car.quaternion);
-      if (state.done) {
-        body.velocity.set(0, 0, 0);
-        body.angularVelocity.set(0, 0, 0);
-      }
-    }
+  const newPos = localPos.clone().applyMatrix4(path.line.matrixWorld);
+  const worldTangent = tangent.clone().applyQuaternion(pathWorldQuat);
+  const lookAtPosition = new THREE.Vector3().copy(newPos).add(worldTangent);
+
+  car.position.copy(newPos);
+  car.lookAt(lookAtPosition);
+
+  if (body) {
+    body.position.copy(newPos);
+    body.quaternion.copy(car.quaternion);
   }
 }
+
+// Speed this step: held cars stop, free-running cars start at the target
+// speed, and with the profile speed changes within the acceleration and
+// braking limits (scaled by tyre grip, and engine power when accelerating)
+function followTarget(
+  current,
+  target,
+  speedFactor,
+  speedProfile,
+  delta,
+  grip = 1,
+  power = 1
+) {
+  if (speedFactor === 0) return 0;
+  if (!speedProfile || typeof current !== "number") return target;
+  if (target > current) {
+    return Math.min(
+      target,
+      current + f1CarSpecs.acceleration * grip * power * delta
+    );
+  }
+  return Math.max(target, current - f1CarSpecs.brakingDecel * grip * delta);
+}
+
+// Throttle implied by a speed change: full when accelerating, none when
+// braking or stopped, and part throttle to hold a speed below the target
+function getThrottle(previous, speed, target = speed) {
+  if (speed <= 0) return 0;
+  if (typeof previous !== "number" || speed > previous + 1e-9) return 1;
+  if (speed < previous - 1e-9) return 0;
+  return target > 0 ? Math.min(1, speed / target) : 0;
+}
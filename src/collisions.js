@@ -0,0 +1,135 @@
+import { collisionConfig, physicsConfig } from "./config.js";
+
+/**
+ * Ground footprint of a car: a rectangle of `carDimensions` around its
+ * position, turned to its heading. Only X/Z matter; `y` is kept for the
+ * height check.
+ * @param {{x:number,y:number,z:number}} position
+ * @param {{x:number,y:number,z:number,w:number}} quaternion
+ * @returns {{x:number,y:number,z:number,forward:{x:number,z:number},side:{x:number,z:number},halfLength:number,halfWidth:number}}
+ */
+export function getCarFootprint(position, quaternion) {
+  // Car forward (+Z) rotated by the quaternion, flattened onto the ground
+  const { x, y, z, w } = quaternion;
+  let fx = 2 * (x * z + w * y);
+  let fz = 1 - 2 * (x * x + y * y);
+  const length = Math.hypot(fx, fz) || 1;
+  fx /= length;
+  fz /= length;
+  return {
+    x: position.x,
+    y: position.y,
+    z: position.z,
+    forward: { x: fx, z: fz },
+    side: { x: fz, z: -fx },
+    halfLength: physicsConfig.carDimensions.z / 2,
+    halfWidth: physicsConfig.carDimensions.x / 2,
+  };
+}
+
+// Half the footprint's extent along a unit axis
+function projectRadius(footprint, axis) {
+  return (
+    footprint.halfLength *
+      Math.abs(footprint.forward.x * axis.x + footprint.forward.z * axis.z) +
+    footprint.halfWidth *
+      Math.abs(footprint.side.x * axis.x + footprint.side.z * axis.z)
+  );
+}
+
+/**
+ * Overlap test between two footprints (separating axes on both
+ * rectangles).
+ * @param {ReturnType<typeof getCarFootprint>} a
+ * @param {ReturnType<typeof getCarFootprint>} b
+ * @returns {{normal:{x:number,z:number},depth:number}|null} Unit normal from `a` towards `b` and the overlap to undo, or null when apart
+ */
+export function detectCarContact(a, b) {
+  if (Math.abs(a.y - b.y) > collisionConfig.maxHeightGap) return null;
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  let best = null;
+  for (const axis of [a.forward, a.side, b.forward, b.side]) {
+    const distance = dx * axis.x + dz * axis.z;
+    const depth =
+      projectRadius(a, axis) + projectRadius(b, axis) - Math.abs(distance);
+    if (depth <= 0) return null;
+    if (!best || depth < best.depth) {
+      const sign = distance < 0 ? -1 : 1;
+      best = { normal: { x: axis.x * sign, z: axis.z * sign }, depth };
+    }
+  }
+  return best;
+}
+
+/**
+ * Every touching pair among the footprints (null entries are skipped).
+ * @param {(ReturnType<typeof getCarFootprint>|null)[]} footprints
+ * @returns {{a:number,b:number,normal:{x:number,z:number},depth:number}[]}
+ */
+export function findCarContacts(footprints) {
+  const contacts = [];
+  for (let a = 0; a < footprints.length; a++) {
+    if (!footprints[a]) continue;
+    for (let b = a + 1; b < footprints.length; b++) {
+      if (!footprints[b]) continue;
+      const contact = detectCarContact(footprints[a], footprints[b]);
+      if (contact) contacts.push({ a, b, ...contact });
+    }
+  }
+  return contacts;
+}
+
+/**
+ * Velocity changes for a contact between two equal-mass cars. A car with a
+ * weight of 0 is immovable; 1 takes its full share.
+ * @param {{x:number,z:number}} velocityA - m/s
+ * @param {{x:number,z:number}} velocityB - m/s
+ * @param {{x:number,z:number}} normal - Unit normal from A towards B
+ * @param {{weightA?:number,weightB?:number,restitution?:number}=} options
+ * @returns {{closingSpeed:number,deltaA:{x:number,z:number},deltaB:{x:number,z:number}}} Closing speed is 0 when the cars are already separating
+ */
+export function getContactResponse(
+  velocityA,
+  velocityB,
+  normal,
+  { weightA = 1, weightB = 1, restitution = collisionConfig.restitution } = {}
+) {
+  const relative =
+    (velocityB.x - velocityA.x) * normal.x +
+    (velocityB.z - velocityA.z) * normal.z;
+  const total = weightA + weightB;
+  if (relative >= 0 || total <= 0) {
+    return {
+      closingSpeed: 0,
+      deltaA: { x: 0, z: 0 },
+      deltaB: { x: 0, z: 0 },
+    };
+  }
+  const impulse = (-(1 + restitution) * relative) / total;
+  return {
+    closingSpeed: -relative,
+    deltaA: {
+      x: -impulse * weightA * normal.x,
+      z: -impulse * weightA * normal.z,
+    },
+    deltaB: {
+      x: impulse * weightB * normal.x,
+      z: impulse * weightB * normal.z,
+    },
+  };
+}
+
+/**
+ * Where a car was hit, from the contact normal pointing from this car
+ * towards the other one.
+ * @param {ReturnType<typeof getCarFootprint>} footprint
+ * @param {{x:number,z:number}} normal
+ * @returns {"front"|"side"|"rear"}
+ */
+export function getImpactZone(footprint, normal) {
+  const along = normal.x * footprint.forward.x + normal.z * footprint.forward.z;
+  const across = normal.x * footprint.side.x + normal.z * footprint.side.z;
+  if (Math.abs(across) > Math.abs(along)) return "side";
+  return along > 0 ? "front" : "rear";
+}
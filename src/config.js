@@ -1,24 +1,86 @@
 import racePathData from "./racepath.json";
+import pitLaneData from "./pitlane.json";
+
+// The physics worker loads this file too, and has no window
+const view =
+  typeof window !== "undefined"
+    ? window
+    : { innerWidth: 1, innerHeight: 1, devicePixelRatio: 1 };
 
 // Main configuration object
 const CONFIG = {
   // Keyboard controls
   keyboard: {
-    forward: "w",
-    backward: "s",
-    left: "a",
-    right: "d",
-    yawLeft: "a", // A/D turn (steer)
-    yawRight: "d",
-    modifierStrafe: "shift", // hold to strafe with A/D
+    // Default keys for each input action (see inputActions.js). Players can
+    // rebind them in the key bindings overlay; changes are saved under
+    // bindingsStorageKey
+    bindings: {
+      accelerate: ["w"],
+      brake: ["s"],
+      steerLeft: ["a"],
+      steerRight: ["d"],
+      strafe: ["shift"], // hold to strafe with the steering keys
+      shiftUp: ["e"], // gear paddles (simulation page)
+      shiftDown: ["q"],
+      engineMode: ["m"], // cycle engine modes (simulation page)
+      resetCar: ["backspace"], // back onto the racing line (simulation page)
+      recordToggle: ["r"], // path recorder
+      camera1: ["1"],
+      camera2: ["2"],
+      camera3: ["3"],
+      camera4: ["4"],
+      camera5: ["5"],
+      camera6: ["6"],
+      camera7: ["7"],
+      camera8: ["8"],
+      camera9: ["9"],
+      nextCamera: ["v"],
+      helperCamera: ["h"],
+      nextCar: ["c"], // index page
+      toggleHelp: ["?"],
+    },
+    bindingsStorageKey: "input_bindings",
     force: 20,
     torque: 10,
     turnSpeed: 2.5, // radians per second
   },
 
+  // Gamepad (standard mapping): right trigger throttle, left trigger brake,
+  // left stick steering
+  gamepad: {
+    enabled: true,
+    throttleButton: 7, // Right trigger
+    brakeButton: 6, // Left trigger
+    steerAxis: 0, // Left stick, -1 left to 1 right
+    stickDeadzone: 0.1, // Share of the stick's travel ignored around centre
+    triggerDeadzone: 0.05,
+    // Sensitivity curves: output = input ^ exponent, so above 1 is gentler
+    // near centre and still reaches full lock / full pedal
+    steerExponent: 1.5,
+    throttleExponent: 1,
+    brakeExponent: 1.2,
+  },
+
+  // On-screen touch controls (simulation page): steering slider, pedals and
+  // camera and reset buttons
+  touch: {
+    show: "auto", // true, false, or "auto" for touch screens only
+    steerDeadzone: 0.05, // Share of the slider's half width ignored at centre
+    steerExponent: 1.3,
+  },
+
   // Physics settings
   physics: {
     enabled: false, // Whether to use physics or kinematic movement
+    // Fixed simulation rate: AI, driving and physics advance in steps of
+    // 1 / stepRate seconds whatever the frame rate, so runs are reproducible.
+    // A slow frame runs at most maxSubSteps steps; time beyond that is dropped.
+    stepRate: 60,
+    maxSubSteps: 5,
+    // Run the cannon world in a Web Worker (see remotePhysics.js) so heavy
+    // collision frames don't stall rendering. Falls back to the main thread
+    // where workers are unavailable.
+    worker: true,
     gravity: { x: 0, y: -9.82, z: 0 },
     carMass: 1,
     groundFriction: 0.3,
@@ -26,13 +88,36 @@ const CONFIG = {
     linearDamping: 0.4,
     angularDamping: 0.6,
     suspensionOffset: 0.6, // visual Y offset to keep car above the track mesh
+    carModel: "raycastVehicle", // "raycastVehicle" (four wheels) or "box" (sliding box)
+    // Car collision shape: "box" (carDimensions), "bounds" (the loaded
+    // model's bounding box) or "hulls" (a convex hull per model mesh, slower)
+    carShape: "bounds",
+    // Per car, by index: { mass (kg), centerOfMass: { x, y, z } from the
+    // model origin, +Z forward }. Cars without an entry use carMass (box car)
+    // or f1CarSpecs.dryMass (RaycastVehicle) and a centre of mass at the origin.
+    carBodies: [],
+    // RaycastVehicle settings; mass, engine and brake forces and tyre grip come
+    // from CONFIG.car.specs
+    vehicle: {
+      wheelRadius: 0.33,
+      wheelBase: 3.6, // Front to rear axle (m)
+      trackWidth: 1.6, // Left to right wheel centres (m)
+      suspensionStiffness: 200, // Stiff enough to carry full downforce without bottoming out
+      suspensionRestLength: 0.15,
+      maxSuspensionTravel: 0.1,
+      dampingRelaxation: 2.3,
+      dampingCompression: 4.4,
+      rollInfluence: 0.01,
+      maxSteer: 0.35, // Front wheel angle at low speed (radians)
+      steerFalloffSpeed: 30, // Steering halves at this speed (m/s)
+    },
   },
 
   // Camera settings
   camera: {
     main: {
       fov: 75,
-      aspect: window.innerWidth / window.innerHeight,
+      aspect: view.innerWidth / view.innerHeight,
       near: 0.1,
       far: 5000,
       position: { x: 0, y: 10, z: 20 },
@@ -138,7 +223,7 @@ const CONFIG = {
   renderer: {
     antialias: true,
     powerPreference: "high-performance",
-    pixelRatio: Math.min(window.devicePixelRatio, 2),
+    pixelRatio: Math.min(view.devicePixelRatio, 2),
     shadowMapType: "PCFSoft", // "Basic", "PCF", "PCFSoft", "VSM"
     physicallyCorrectLights: true,
     outputColorSpace: "sRGB",
@@ -149,10 +234,10 @@ const CONFIG = {
   // Movement settings
   movement: {
     kinematic: {
-      accelForward: 100,
+      accelForward: 12, // m/s^2; aero drag caps the top speed near maxSpeedKph
       accelStrafe: 100,
       maxSpeed: 500,
-      drag: 2.5,
+      drag: 0.01, // Rolling resistance (aero drag comes from CONFIG.aero)
       brakeDrag: 6.0,
       yawSpeed: 4, // radians/sec
     },
@@ -176,6 +261,10 @@ const CONFIG = {
       engineModes: ["Standard", "Rich", "Lean"],
       defaultEngineMode: "Standard",
       brakeBias: 0.5, // 0.0 = full rear, 1.0 = full front
+      maxLateralG: 4.5, // Cornering grip limit (g)
+      brakingDecel: 45, // Peak braking deceleration (m/s^2)
+      acceleration: 12, // Average acceleration out of corners (m/s^2)
+      dryMass: 798, // Car and driver without fuel (kg)
     },
 
     // Parameters for car target positions (world space)
@@ -203,6 +292,18 @@ const CONFIG = {
       z: p[2],
     })),
 
+    // Pit lane next to the race path, in race path space (from JSON)
+    pitLane: {
+      entryFraction: pitLaneData.entryFraction, // Pit entry on the race path (0..1)
+      exitFraction: pitLaneData.exitFraction, // Pit exit on the race path (0..1)
+      points: pitLaneData.pitLanePoints.map((p) => ({
+        x: p[0],
+        y: p[1],
+        z: p[2],
+      })),
+      boxes: pitLaneData.boxes, // Pit box per car, as a fraction along the pit lane
+    },
+
     // Path editor settings
     editor: {
       sphereSize: 0.5,
@@ -214,11 +315,249 @@ const CONFIG = {
     // Path recording settings
     recorder: {
       minSampleDistance: 0.75,
-      defaultSpeed: 0.01,
+      defaultSpeed: 50, // AI speed saved with new paths (m/s)
       storageKey: "racePathsV1",
     },
   },
 
+  // Lap timing settings
+  timing: {
+    sectors: 3, // Number of equal-length sectors per lap
+    startFraction: 0, // Start/finish line position along closed paths (0..1)
+    samples: 500, // Path samples used to project cars onto the path
+    maxTrackDistance: 30, // Cars further than this from the path are not timed
+    startWindow: 0.005, // Fraction after the line that still counts as "on the line"
+  },
+
+  // AI driving settings
+  ai: {
+    speedProfile: true, // Follow a curvature speed profile instead of constant speed
+    profileSamples: 400, // Path samples used to build the profile
+  },
+
+  // Tyre model: grip, wear and temperature per compound
+  tyres: {
+    ambientTemp: 25, // Track ambient (deg C)
+    startTemp: 80, // Tyres come off the blankets at this temperature (deg C)
+    heatRate: 3.5, // Heating (deg C/s) at 80 m/s or at the cornering limit
+    coolRate: 0.05, // Fraction of the gap to ambient lost per second
+    wearLoadFactor: 2, // Extra wear at the cornering limit (x base rate)
+    compounds: {
+      // grip: multiplier, wearRate: % per km, optimalTemp +/- tempWindow: the
+      // full grip range (deg C), color: sidewall marking used by the HUD
+      Soft: {
+        grip: 1.08,
+        wearRate: 2.5,
+        optimalTemp: 95,
+        tempWindow: 20,
+        color: "#e10600",
+      },
+      Medium: {
+        grip: 1.0,
+        wearRate: 1.5,
+        optimalTemp: 100,
+        tempWindow: 25,
+        color: "#ffd400",
+      },
+      Hard: {
+        grip: 0.94,
+        wearRate: 0.9,
+        optimalTemp: 105,
+        tempWindow: 30,
+        color: "#f0f0f0",
+      },
+      Intermediate: {
+        grip: 0.85,
+        wearRate: 2,
+        optimalTemp: 70,
+        tempWindow: 25,
+        color: "#43b02a",
+      },
+      Wet: {
+        grip: 0.78,
+        wearRate: 1.8,
+        optimalTemp: 60,
+        tempWindow: 25,
+        color: "#0067ad",
+      },
+    },
+  },
+
+  // Aerodynamics: forces are 0.5 * airDensity * referenceArea * C * v^2 with
+  // the downforce and drag coefficients from CONFIG.car.specs
+  aero: {
+    airDensity: 1.225, // kg/m^3
+    referenceArea: 1.5, // m^2 (drag matches full engine force near maxSpeedKph)
+    tyreFriction: 1.5, // Tyre friction coefficient; cornering limit is this x (weight + downforce)
+  },
+
+  // Track surfaces under each wheel. `grip` multiplies tyre grip,
+  // `rollingResistance` is extra rolling drag (share of g) and `vibration`
+  // (0..1) shakes the chase camera
+  surfaces: {
+    default: "asphalt", // Surface when nothing else matches
+    types: {
+      asphalt: {
+        grip: 1,
+        rollingResistance: 0,
+        vibration: 0,
+        label: "Asphalt",
+      },
+      kerb: {
+        grip: 0.9,
+        rollingResistance: 0.02,
+        vibration: 0.6,
+        label: "Kerb",
+      },
+      grass: {
+        grip: 0.5,
+        rollingResistance: 0.1,
+        vibration: 0.3,
+        label: "Grass",
+      },
+      gravel: {
+        grip: 0.35,
+        rollingResistance: 0.8, // A gravel trap stops a car at close to 1 g
+        vibration: 1,
+        label: "Gravel",
+      },
+    },
+    // Mesh or material names in track.glb containing one of these words
+    // (case-insensitive) select the surface
+    names: {
+      kerb: ["kerb", "curb", "rumble"],
+      grass: ["grass", "lawn"],
+      gravel: ["gravel", "sand", "runoff"],
+    },
+    // Painted zone map, checked before the mesh names:
+    // [{ type: "gravel", points: [[x, z], ...] }] in world X/Z
+    zones: [],
+    cellSize: 0.5, // The track mesh is raycast once per grid cell this wide (m)
+  },
+
+  // Track limits: a car leaves the track once all four wheels are past an
+  // edge. Every violation is counted; the first `warnings` only cost the lap
+  // time, later ones a time penalty as well.
+  trackLimits: {
+    source: "path", // "path": edges at width/2 either side of the race path; "surface": wheels on offTrackSurfaces
+    width: 14, // Track width around the race path (m)
+    offTrackSurfaces: ["grass", "gravel"], // Used with source "surface"
+    warnings: 3, // Violations without a time penalty
+    penalty: 5, // Seconds added to the race time per violation after the warnings
+    invalidateLap: true, // Every violation deletes the lap time
+    markerColor: 0xff2020, // Violation markers on the race path overlay
+  },
+
+  // Automatic resets: a car that stays upside down, stuck or far from its
+  // path goes back onto the nearest point of its path
+  recovery: {
+    enabled: true,
+    upsideDownTime: 2, // Seconds upside down before a reset
+    stuckTime: 4, // Seconds on the throttle below stuckSpeed
+    stuckSpeed: 1, // m/s
+    offTrackDistance: 40, // Distance from the path (m) that counts as lost
+    offTrackTime: 3, // Seconds that far from the path
+    invalidateLap: true, // A reset deletes the lap time
+  },
+
+  // Driver assists for the player car, off by default. Strength 0..1 is how
+  // far each one pulls the driver's input toward what it wants
+  assists: {
+    tractionControl: { enabled: false, strength: 0.8 }, // Cuts drive beyond the rear tyres' grip
+    abs: { enabled: false, strength: 0.8 }, // Eases the brake beyond the tyres' grip
+    steering: { enabled: false, strength: 0.5 }, // Steers toward the reference path
+    braking: { enabled: false, strength: 0.8 }, // Brakes to the reference path's speed profile
+    drivenLoadShare: 0.55, // Share of the car's weight on the driven (rear) wheels
+    slipThreshold: 0.05, // Wheel slip (1 - skidInfo) TC and ABS let through on the wheeled physics car
+    lookahead: 15, // Distance ahead on the reference path the steering aims at (m)
+    steerGain: 2, // Steering per radian of heading error
+    brakeMargin: 2, // m/s over the profile speed before auto-brake starts
+    brakeRange: 8, // m/s over the margin for full auto-brake
+  },
+
+  // Car-to-car contact: detected on the cars' footprints (carDimensions)
+  collisions: {
+    restitution: 0.3, // Share of the closing speed that bounces back
+    maxHeightGap: 1.5, // Cars further apart vertically never touch (m)
+  },
+
+  // Damage from car-to-car contact (parts from 0 = intact to 1 = destroyed)
+  damage: {
+    minImpactSpeed: 2, // Closing speed (m/s) below which contact does no harm
+    fullDamageSpeed: 30, // Closing speed (m/s) above the minimum that destroys a part
+    // Share of a hit each part takes, by where the car was hit
+    zones: {
+      front: { frontWing: 1, floor: 0.3, suspension: 0.3 },
+      side: { frontWing: 0.2, floor: 0.5, suspension: 1 },
+      rear: { frontWing: 0, floor: 0.6, suspension: 0.4 },
+    },
+    // Performance lost with a part destroyed (linear in between)
+    effects: {
+      frontWing: { grip: 0.2, power: 0, topSpeed: 0.02 },
+      floor: { grip: 0.15, power: 0, topSpeed: 0.05 },
+      suspension: { grip: 0.3, power: 0.1, topSpeed: 0.1 },
+    },
+    retireParts: ["floor", "suspension"], // Destroying one of these retires the car
+  },
+
+  // Drivetrain: engine torque curve, gearbox and shift logic
+  drivetrain: {
+    // [rpm, share of maxTorque]; linear in between
+    torqueCurve: [
+      [4000, 0.55],
+      [7000, 0.8],
+      [9500, 0.95],
+      [11000, 1],
+      [12000, 0.97],
+      [15000, 0.8],
+    ],
+    gearRatios: [4.6, 3.96, 3.4, 2.93, 2.52, 2.16, 1.86, 1.6], // 1st to 8th
+    finalDrive: 2.5,
+    gearbox: "auto", // "auto" or "manual" (paddles only)
+    shiftUpRPM: 11500, // Automatic upshift
+    shiftDownRPM: 7500, // Automatic downshift
+    shiftTime: 0.05, // Torque cut while changing gear (s)
+  },
+
+  // Fuel and ERS (hybrid battery)
+  energy: {
+    startFuel: 110, // Fuel load at the start of a race (kg)
+    fuelFlow: 0.028, // Burn at full throttle in Standard mode (kg/s, ~100 kg/h)
+    fuelSpeedEffect: 0.25, // Top speed scales with (start mass / mass)^this
+    ersCapacity: 4, // Battery (MJ)
+    ersDeploy: 0.12, // Deployment at full throttle (MJ/s)
+    ersHarvest: 0.12, // Recovery off the throttle (MJ/s)
+    ersPowerShare: 0.15, // Acceleration lost with a flat battery
+    ersTopSpeedShare: 0.03, // Top speed lost with a flat battery
+    modes: {
+      // Multipliers on fuel flow, ERS deployment, acceleration and top speed
+      Standard: { fuelFlow: 1, ersDeploy: 1, power: 1, topSpeed: 1 },
+      Rich: { fuelFlow: 1.3, ersDeploy: 1.5, power: 1.06, topSpeed: 1.02 },
+      Lean: { fuelFlow: 0.75, ersDeploy: 0.5, power: 0.92, topSpeed: 0.98 },
+    },
+  },
+
+  // Pit stop settings
+  pit: {
+    speedLimitKph: 80, // Pit lane speed limit
+    serviceTime: 2.5, // Seconds stationary in the box
+    everyLaps: 0, // Strategy: box every N laps (0 = only on request)
+  },
+
+  // Race session settings
+  race: {
+    laps: 5,
+    gridTime: 3, // seconds on the grid before the start sequence
+    lightInterval: 1, // seconds between each of the five start lights
+    lightsOutDelay: 1.5, // hold with all five lights on before lights out
+    chequeredTimeout: 120, // max seconds to wait for the field after the leader finishes
+    cooldownTime: 10, // slow-down lap before results
+    cooldownSpeedFactor: 0.4, // AI speed multiplier after taking the flag
+    gridOffset: 8, // meters from the line to pole position
+    gridSpacing: 8, // meters between grid slots
+    gridStagger: 1.5, // lateral offset, alternating sides
+  },
+
   // Asset paths
   assets: {
     track: "/models/track.glb",
@@ -242,7 +581,10 @@ const CONFIG = {
 
 // Export individual sections for backward compatibility
 export const keyboardControls = CONFIG.keyboard;
+export const gamepadConfig = CONFIG.gamepad;
+export const touchConfig = CONFIG.touch;
 export const physicsConfig = CONFIG.physics;
+export const GRAVITY = Math.abs(CONFIG.physics.gravity.y); // m/s^2
 export const cameraConfig = CONFIG.camera.main;
 export const followCameraConfig = CONFIG.camera.follow;
 export const gameplayConfig = { physicsEnabled: CONFIG.physics.enabled };
@@ -252,7 +594,23 @@ export const orbitControlsConfig = CONFIG.camera.orbit;
 export const carPositions = CONFIG.car.positions;
 export const car1Spawn = CONFIG.car.car1Spawn;
 export const racePathPoints = CONFIG.path.racePathPoints;
+export const pathRecorderConfig = CONFIG.path.recorder;
 export const movementLerp = CONFIG.movement.lerp;
+export const timingConfig = CONFIG.timing;
+export const raceConfig = CONFIG.race;
+export const aiConfig = CONFIG.ai;
+export const pitConfig = CONFIG.pit;
+export const tyreConfig = CONFIG.tyres;
+export const energyConfig = CONFIG.energy;
+export const aeroConfig = CONFIG.aero;
+export const drivetrainConfig = CONFIG.drivetrain;
+export const collisionConfig = CONFIG.collisions;
+export const damageConfig = CONFIG.damage;
+export const surfaceConfig = CONFIG.surfaces;
+export const trackLimitsConfig = CONFIG.trackLimits;
+export const recoveryConfig = CONFIG.recovery;
+export const assistConfig = CONFIG.assists;
+export const pitLaneConfig = CONFIG.path.pitLane;
 export const MODEL_PATHS = CONFIG.assets;
 
 // Export the entire config object
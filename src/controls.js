@@ -1,53 +1,86 @@
 import * as CANNON from "cannon-es";
-import { keyboardControls } from "./config.js";
+import {
+  keyboardControls,
+  physicsConfig,
+  f1CarSpecs,
+  aeroConfig,
+} from "./config.js";
+import { FRONT_WHEELS, REAR_WHEELS } from "./physics.js";
+import { getOverallRatio, splitBrakeForce } from "./drivetrain.js";
+import { getInputAxes, createIdleInput } from "./kinematics.js";
 
-export const keyState = {};
-
-export function initializeKeyboardControls() {
-  window.addEventListener("keydown", (e) => {
-    keyState[e.key.toLowerCase()] = true;
-  });
-  window.addEventListener("keyup", (e) => {
-    keyState[e.key.toLowerCase()] = false;
-  });
+/**
+ * Snapshot of the driving actions in the shape the simulation consumes.
+ * The steering keys steer, or strafe while the strafe key is held; never
+ * both.
+ * @param {import("./inputActions.js").InputActions} actions
+ * @returns {ReturnType<typeof createIdleInput>}
+ */
+export function readKeyboardInput(actions) {
+  const strafe = actions.isActive("strafe");
+  const steerLeft = actions.isActive("steerLeft");
+  const steerRight = actions.isActive("steerRight");
+  return {
+    ...createIdleInput(),
+    forward: actions.isActive("accelerate"),
+    backward: actions.isActive("brake"),
+    left: strafe && steerLeft,
+    right: strafe && steerRight,
+    yawLeft: !strafe && steerLeft,
+    yawRight: !strafe && steerRight,
+    strafe,
+  };
 }
 
 let lastLogTime = 0;
 
-export function updateCarControls(carBody, delta, onDebug) {
-  const forward = !!keyState[keyboardControls.forward];
-  const backward = !!keyState[keyboardControls.backward];
-  const left = !!keyState[keyboardControls.left];
-  const right = !!keyState[keyboardControls.right];
-  const yawLeft = !!keyState[keyboardControls.yawLeft];
-  const yawRight = !!keyState[keyboardControls.yawRight];
+/**
+ * Deceleration `updateCarControls` brakes a body with (m/s^2).
+ * @param {CANNON.Body} carBody
+ * @param {number} brake - 0..1
+ * @returns {number}
+ */
+export function getCarControlsBrakeDecel(carBody, brake) {
+  return (keyboardControls.force * brake) / carBody.mass;
+}
+
+export function updateCarControls(
+  carBody,
+  delta,
+  onDebug,
+  input = createIdleInput(),
+  { power = 1, driveForce } = {}
+) {
+  const { left, right } = input;
+  const { throttle, brake, steer } = getInputAxes(input);
 
   // Translate forward/backward using local force relative to current orientation
-  if (forward) {
+  // (drive force scaled by engine power and throttle, or the drivetrain's
+  // force scaled from the real car's mass to the body's)
+  if (throttle > 0) {
+    const force =
+      driveForce === undefined
+        ? keyboardControls.force * power * throttle
+        : (driveForce * carBody.mass) / f1CarSpecs.dryMass;
     carBody.applyLocalForce(
-      new CANNON.Vec3(0, 0, keyboardControls.force),
+      new CANNON.Vec3(0, 0, force),
       new CANNON.Vec3(0, 0, 0)
     );
   }
-  if (backward) {
+  if (brake > 0) {
     carBody.applyLocalForce(
-      new CANNON.Vec3(0, 0, -keyboardControls.force),
+      new CANNON.Vec3(0, 0, -keyboardControls.force * brake),
       new CANNON.Vec3(0, 0, 0)
     );
   }
 
-  // Steer by applying a yaw rotation quaternion (Q/E)
-  const yawAmount = keyboardControls.turnSpeed * (delta || 0.016);
-  if (yawLeft) {
+  // Steer by applying a yaw rotation quaternion (A/D or the stick)
+  if (steer !== 0) {
+    const yawAmount = keyboardControls.turnSpeed * (delta || 0.016) * steer;
     const q = new CANNON.Quaternion();
     q.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), yawAmount);
     carBody.quaternion.mult(q, carBody.quaternion);
   }
-  if (yawRight) {
-    const q = new CANNON.Quaternion();
-    q.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), -yawAmount);
-    carBody.quaternion.mult(q, carBody.quaternion);
-  }
 
   // Strafe left/right (A/D) using local force to the side
   if (left) {
@@ -64,10 +97,82 @@ export function updateCarControls(carBody, delta, onDebug) {
   }
 
   // Throttled debug logging while actively moving/steering
-  const isActivelyControlling = forward || backward || left || right;
+  const isActivelyControlling = throttle > 0 || brake > 0 || left || right;
   const now = performance.now();
   if (isActivelyControlling && now - lastLogTime > 100) {
     lastLogTime = now;
     if (onDebug) onDebug(carBody.position, carBody.velocity);
   }
 }
+
+/**
+ * Drives a RaycastVehicle from driver input: W is throttle on the rear
+ * wheels, S brakes (or reverses once stopped) and A/D steer the front wheels,
+ * with less lock at speed. Analog throttle, brake and steering scale each
+ * one. Strafing has no effect on a wheeled car.
+ * @param {CANNON.RaycastVehicle} vehicle - From `createCarVehicle`
+ * @param {number} delta - Seconds
+ * @param {((position:CANNON.Vec3,velocity:CANNON.Vec3)=>void)=} onDebug
+ * @param {ReturnType<typeof readKeyboardInput>=} input
+ * @param {{power?:number,grip?:number,driveForce?:number,brakeBias?:number,wheelGrip?:number[]}=} options - Engine
+ *   power and tyre grip multipliers, the drivetrain's force at the wheels (N),
+ *   the front share of braking and a grip multiplier per wheel (e.g. the
+ *   surface under it)
+ */
+export function updateVehicleControls(
+  vehicle,
+  delta,
+  onDebug,
+  input = createIdleInput(),
+  {
+    power = 1,
+    grip = 1,
+    driveForce,
+    brakeBias = f1CarSpecs.brakeBias,
+    wheelGrip = null,
+  } = {}
+) {
+  const v = physicsConfig.vehicle;
+  const body = vehicle.chassisBody;
+  const { throttle, brake, steer } = getInputAxes(input);
+
+  // Signed speed along the car's heading (+Z)
+  const heading = body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+  const speed = body.velocity.dot(heading);
+
+  // Engine torque at the rear wheels (top gear unless the drivetrain
+  // supplies the force); cannon's forward force is negative
+  const topGearForce =
+    (f1CarSpecs.maxTorque * getOverallRatio(f1CarSpecs.gears) * power) /
+    v.wheelRadius;
+  let drive = 0;
+  let braking = 0;
+  if (throttle > 0) drive = driveForce ?? topGearForce * throttle;
+  if (brake > 0) {
+    if (speed > 0.5) braking = brake;
+    else drive = -topGearForce * 0.3 * brake;
+  }
+  for (const w of REAR_WHEELS) vehicle.applyEngineForce(-drive / 2, w);
+
+  // Brakes act as a per-step impulse limit on each wheel, split by bias
+  const step = delta || 0.016;
+  const brakes = splitBrakeForce(
+    f1CarSpecs.brakingDecel * body.mass * braking,
+    brakeBias
+  );
+  for (const w of FRONT_WHEELS) vehicle.setBrake((brakes.front / 2) * step, w);
+  for (const w of REAR_WHEELS) vehicle.setBrake((brakes.rear / 2) * step, w);
+  vehicle.wheelInfos.forEach((wheel, i) => {
+    const surface = wheelGrip ? wheelGrip[i] ?? 1 : 1;
+    wheel.frictionSlip = aeroConfig.tyreFriction * grip * surface;
+  });
+
+  const lock = v.maxSteer / (1 + Math.abs(speed) / v.steerFalloffSpeed);
+  for (const w of FRONT_WHEELS) vehicle.setSteeringValue(steer * lock, w);
+
+  const now = performance.now();
+  if ((throttle > 0 || brake > 0 || steer) && now - lastLogTime > 100) {
+    lastLogTime = now;
+    if (onDebug) onDebug(body.position, body.velocity);
+  }
+}
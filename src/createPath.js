@@ -1,8 +1,14 @@
 import * as THREE from "three";
 import CONFIG from "./config.js";
+import { getPathWorldLength } from "./utils/math3d.js";
+import { packInputRecording, unpackInputRecording } from "./inputRecording.js";
 
 const STORAGE_KEY = CONFIG.path.recorder.storageKey;
 
+// Each path's driver input has its own entry, so a long drive that fills
+// the storage can't cost the saved paths
+const getRecordingKey = (name) => `${STORAGE_KEY}.inputRecording.${name}`;
+
 const recorderState = {
   isRecording: false,
   name: "",
@@ -12,7 +18,8 @@ const recorderState = {
   overlayInverseMatrix: new THREE.Matrix4(),
   lastSampled: null,
   params: {
-    speed: 0.01, // default AI speed along curve (0..?)
+    speed: CONFIG.path.recorder.defaultSpeed, // default AI speed (m/s)
+    speedUnit: "m/s",
     kinematic: null, // optional snapshot of kinematic config
   },
   getCarPositionFn: null,
@@ -33,8 +40,24 @@ function readAllSaved() {
 function writeAllSaved(map) {
   try {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(map));
+    return true;
   } catch (e) {
     console.error("Failed to save paths:", e);
+    return false;
+  }
+}
+
+// Replaces the input saved with a path; a drive that doesn't fit leaves none
+function writeInputRecording(name, recording) {
+  const key = getRecordingKey(name);
+  try {
+    localStorage.removeItem(key);
+    if (!recording) return true;
+    localStorage.setItem(key, JSON.stringify(packInputRecording(recording)));
+    return true;
+  } catch (e) {
+    console.error(`Failed to save the drive recorded with ${name}:`, e);
+    return false;
   }
 }
 
@@ -47,12 +70,32 @@ export function getSavedPath(name) {
   return all[name] || null;
 }
 
+export function hasSavedInputRecording(name) {
+  try {
+    return localStorage.getItem(getRecordingKey(name)) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Driver input recorded with a saved path (see Simulation.startInputRecording)
+export function getSavedInputRecording(name) {
+  try {
+    const raw = localStorage.getItem(getRecordingKey(name));
+    return raw ? unpackInputRecording(JSON.parse(raw)) : null;
+  } catch (e) {
+    console.error("Failed to read saved drive:", e);
+    return null;
+  }
+}
+
 export function deleteSavedPath(name) {
   const all = readAllSaved();
   if (all[name]) {
     delete all[name];
     writeAllSaved(all);
   }
+  writeInputRecording(name, null);
 }
 
 export function initializeCreatePath(getCarPositionFn) {
@@ -66,7 +109,7 @@ export function setOverlayLineForRecording(overlayLine) {
 export function startCreatePathRecording({
   name,
   minSampleDistance = 0.75,
-  speed = 0.01,
+  speed = CONFIG.path.recorder.defaultSpeed,
   kinematicSnapshot = null,
 } = {}) {
   if (!recorderState.getCarPositionFn) {
@@ -103,6 +146,7 @@ export function startCreatePathRecording({
 export function stopCreatePathRecording({
   closeLoop = true,
   resampleCount = 800,
+  inputRecording = null,
 } = {}) {
   if (!recorderState.isRecording) return null;
   recorderState.isRecording = false;
@@ -150,12 +194,15 @@ export function stopCreatePathRecording({
       racePathPoints: sampled.map((p) => [p.x, p.y, p.z]),
     };
 
-    // Save to localStorage
+    // Save to localStorage, the path first
     const all = readAllSaved();
     all[data.name] = data;
-    writeAllSaved(all);
+    const stored = {
+      path: writeAllSaved(all),
+      inputRecording: writeInputRecording(data.name, inputRecording),
+    };
 
-    return data;
+    return { ...data, stored };
   } catch (e) {
     console.error("Failed to finalize and save recorded path:", e);
     return null;
@@ -220,3 +267,21 @@ export function createLineFromSavedPath(saved) {
   }
   return { line, curve };
 }
+
+/**
+ * AI speed saved with a path, in m/s. Paths saved before speeds were in m/s
+ * stored a fraction of the curve per second; those are converted using the
+ * path's world length.
+ * @param {Object} saved - Saved path data
+ * @param {{curve:THREE.Curve,line:THREE.Object3D}|null=} path - Path built from `saved`
+ * @returns {number|null}
+ */
+export function getSavedPathSpeed(
+  saved,
+  path = createLineFromSavedPath(saved)
+) {
+  const speed = saved && saved.params ? saved.params.speed : undefined;
+  if (typeof speed !== "number") return null;
+  if (saved.params.speedUnit === "m/s") return speed;
+  return path ? speed * getPathWorldLength(path.curve, path.line) : null;
+}
@@ -0,0 +1,59 @@
+import { damageConfig } from "./config.js";
+
+/**
+ * Undamaged car.
+ * @returns {{frontWing:number,floor:number,suspension:number,retired:boolean}}
+ */
+export function createDamageState() {
+  return { frontWing: 0, floor: 0, suspension: 0, retired: false };
+}
+
+/**
+ * Damages a car from a contact. Harder hits damage more; where the car was
+ * hit decides which parts take it. Destroying one of
+ * `damageConfig.retireParts` retires the car.
+ * @param {ReturnType<typeof createDamageState>} damage - Updated in place
+ * @param {{speed:number,zone:"front"|"side"|"rear"}} impact - Closing speed (m/s) and where the car was hit
+ * @returns {{severity:number,retired:boolean}} Severity 0..1 of this hit and whether it retired the car
+ */
+export function applyImpact(damage, { speed, zone }) {
+  const shares = damageConfig.zones[zone];
+  const severity = Math.min(
+    1,
+    Math.max(0, speed - damageConfig.minImpactSpeed) /
+      damageConfig.fullDamageSpeed
+  );
+  if (!shares || severity === 0 || damage.retired) {
+    return { severity: 0, retired: false };
+  }
+  for (const part of Object.keys(shares)) {
+    damage[part] = Math.min(1, (damage[part] || 0) + severity * shares[part]);
+  }
+  damage.retired = damageConfig.retireParts.some((part) => damage[part] >= 1);
+  return { severity, retired: damage.retired };
+}
+
+/**
+ * Performance multipliers from damage: `grip` scales traction and cornering,
+ * `power` acceleration and `topSpeed` the top speed. All 1 for an intact car.
+ * @param {ReturnType<typeof createDamageState>} damage
+ * @returns {{grip:number,power:number,topSpeed:number}}
+ */
+export function getDamagePerformance(damage) {
+  const performance = { grip: 1, power: 1, topSpeed: 1 };
+  for (const [part, effect] of Object.entries(damageConfig.effects)) {
+    const amount = damage[part] || 0;
+    for (const key of Object.keys(performance)) {
+      performance[key] *= 1 - amount * (effect[key] || 0);
+    }
+  }
+  return performance;
+}
+
+/**
+ * Fits a new front wing (the only part changed at a pit stop).
+ * @param {ReturnType<typeof createDamageState>} damage - Updated in place
+ */
+export function repairFrontWing(damage) {
+  damage.frontWing = 0;
+}
@@ -0,0 +1,140 @@
+import { drivetrainConfig, f1CarSpecs, physicsConfig } from "./config.js";
+
+const RAD_PER_SEC_TO_RPM = 60 / (2 * Math.PI);
+
+/**
+ * Gearbox in 1st with the engine at idle.
+ * @param {{gearbox?:"auto"|"manual"}=} options
+ * @returns {{gear:number,rpm:number,gearbox:string,shiftTimer:number,limiter:boolean,force:number}}
+ */
+export function createDrivetrainState({
+  gearbox = drivetrainConfig.gearbox,
+} = {}) {
+  return {
+    gear: 1,
+    rpm: f1CarSpecs.idleRPM,
+    gearbox,
+    shiftTimer: 0,
+    limiter: false,
+    force: 0,
+  };
+}
+
+/**
+ * Engine torque at an RPM from the torque curve, peaking at `maxTorque`.
+ * @param {number} rpm
+ * @returns {number} Nm
+ */
+export function getEngineTorque(rpm) {
+  const curve = drivetrainConfig.torqueCurve;
+  if (rpm <= curve[0][0]) return curve[0][1] * f1CarSpecs.maxTorque;
+  for (let i = 1; i < curve.length; i++) {
+    const [r1, t1] = curve[i];
+    if (rpm <= r1) {
+      const [r0, t0] = curve[i - 1];
+      const k = (rpm - r0) / (r1 - r0);
+      return (t0 + (t1 - t0) * k) * f1CarSpecs.maxTorque;
+    }
+  }
+  return curve[curve.length - 1][1] * f1CarSpecs.maxTorque;
+}
+
+/**
+ * Overall ratio (gear times final drive) from engine to wheels.
+ * @param {number} gear - 1..gears
+ */
+export function getOverallRatio(gear) {
+  const ratios = drivetrainConfig.gearRatios;
+  const i = Math.min(ratios.length, Math.max(1, gear)) - 1;
+  return ratios[i] * drivetrainConfig.finalDrive;
+}
+
+/**
+ * Engine RPM at a road speed in a gear (never below idle: the clutch slips
+ * at walking pace).
+ * @param {number} speed - m/s along the car's heading
+ * @param {number} gear
+ */
+export function getEngineRPM(speed, gear) {
+  const wheel = Math.abs(speed) / physicsConfig.vehicle.wheelRadius;
+  return Math.max(
+    f1CarSpecs.idleRPM,
+    wheel * getOverallRatio(gear) * RAD_PER_SEC_TO_RPM
+  );
+}
+
+/**
+ * Paddle shift up. Returns false in top gear.
+ * @param {ReturnType<typeof createDrivetrainState>} state
+ */
+export function shiftUp(state) {
+  if (state.gear >= drivetrainConfig.gearRatios.length) return false;
+  state.gear += 1;
+  state.shiftTimer = drivetrainConfig.shiftTime;
+  return true;
+}
+
+/**
+ * Paddle shift down. Returns false in 1st.
+ * @param {ReturnType<typeof createDrivetrainState>} state
+ */
+export function shiftDown(state) {
+  if (state.gear <= 1) return false;
+  state.gear -= 1;
+  state.shiftTimer = drivetrainConfig.shiftTime;
+  return true;
+}
+
+/**
+ * Advances the drivetrain one step: engine RPM from road speed and gear,
+ * automatic shifts, the torque cut while shifting and the rev limiter at
+ * `redlineRPM`. Returns the drive force at the wheels.
+ * @param {ReturnType<typeof createDrivetrainState>} state - Updated in place
+ * @param {{speed:number,throttle:number,delta:number,power?:number}} input - Speed along the heading (m/s), throttle 0..1, seconds and an engine power multiplier
+ * @returns {{force:number,rpm:number,gear:number,limiter:boolean}} Force in N
+ */
+export function updateDrivetrain(state, { speed, throttle, delta, power = 1 }) {
+  state.shiftTimer = Math.max(0, state.shiftTimer - delta);
+
+  if (state.gearbox === "auto" && state.shiftTimer === 0) {
+    const rpm = getEngineRPM(speed, state.gear);
+    if (rpm >= drivetrainConfig.shiftUpRPM) {
+      shiftUp(state);
+    } else if (
+      rpm < drivetrainConfig.shiftDownRPM &&
+      state.gear > 1 &&
+      // Only when the lower gear does not go straight back over the upshift
+      getEngineRPM(speed, state.gear - 1) < drivetrainConfig.shiftUpRPM
+    ) {
+      shiftDown(state);
+    }
+  }
+
+  state.rpm = Math.min(f1CarSpecs.maxRPM, getEngineRPM(speed, state.gear));
+  state.limiter = state.rpm >= f1CarSpecs.redlineRPM;
+
+  const t = Math.min(1, Math.max(0, throttle));
+  const driving = t > 0 && state.shiftTimer === 0 && !state.limiter;
+  state.force = driving
+    ? (getEngineTorque(state.rpm) * getOverallRatio(state.gear) * t * power) /
+      physicsConfig.vehicle.wheelRadius
+    : 0;
+
+  return {
+    force: state.force,
+    rpm: state.rpm,
+    gear: state.gear,
+    limiter: state.limiter,
+  };
+}
+
+/**
+ * Splits a total brake force between the axles.
+ * @param {number} force - N
+ * @param {number=} brakeBias - Front share, 0 (all rear) to 1 (all front)
+ * @returns {{front:number,rear:number}}
+ */
+export function splitBrakeForce(force, brakeBias = f1CarSpecs.brakeBias) {
+  const bias = Math.min(1, Math.max(0, brakeBias));
+  return { front: force * bias, rear: force * (1 - bias) };
+}
@@ -0,0 +1,97 @@
+import { energyConfig, f1CarSpecs } from "./config.js";
+
+/**
+ * Full tank and charged battery in an engine mode.
+ * @param {string=} mode - One of `f1CarSpecs.engineModes`
+ * @param {{fuel?:number,ers?:number}=} options - Fuel (kg) and battery charge (MJ)
+ * @returns {{mode:string,fuel:number,ers:number,deploying:boolean}}
+ */
+export function createEnergyState(
+  mode = f1CarSpecs.defaultEngineMode,
+  { fuel = energyConfig.startFuel, ers = energyConfig.ersCapacity } = {}
+) {
+  const energy = {
+    mode: f1CarSpecs.defaultEngineMode,
+    fuel,
+    ers,
+    deploying: false,
+  };
+  setEngineMode(energy, mode);
+  return energy;
+}
+
+/**
+ * Switches engine mode; unknown modes are ignored.
+ * @param {ReturnType<typeof createEnergyState>} energy - Updated in place
+ * @param {string} mode
+ * @returns {boolean} True when the mode was applied
+ */
+export function setEngineMode(energy, mode) {
+  if (!energyConfig.modes[mode]) {
+    console.warn(`Unknown engine mode "${mode}"`);
+    return false;
+  }
+  energy.mode = mode;
+  return true;
+}
+
+/**
+ * Next engine mode in `f1CarSpecs.engineModes` order.
+ * @param {string} mode
+ * @returns {string}
+ */
+export function getNextEngineMode(mode) {
+  const modes = f1CarSpecs.engineModes;
+  return modes[(modes.indexOf(mode) + 1) % modes.length];
+}
+
+/**
+ * Performance multipliers from engine mode, fuel load and battery charge:
+ * `power` scales acceleration and `topSpeed` the top speed. Both are 1 for a
+ * Standard car on its starting fuel load with charge in the battery; a
+ * lighter car is quicker and an empty tank gives no power at all.
+ * @param {ReturnType<typeof createEnergyState>} energy
+ * @returns {{power:number,topSpeed:number}}
+ */
+export function getEnginePerformance(energy) {
+  const mode = energyConfig.modes[energy.mode];
+  if (!mode || energy.fuel <= 0) return { power: 0, topSpeed: 0 };
+  const mass = f1CarSpecs.dryMass + energy.fuel;
+  const lightness = (f1CarSpecs.dryMass + energyConfig.startFuel) / mass;
+  const charged = energy.ers > 0;
+  return {
+    power:
+      mode.power * lightness * (charged ? 1 : 1 - energyConfig.ersPowerShare),
+    topSpeed:
+      mode.topSpeed *
+      lightness ** energyConfig.fuelSpeedEffect *
+      (charged ? 1 : 1 - energyConfig.ersTopSpeedShare),
+  };
+}
+
+/**
+ * Burns fuel and deploys ERS in proportion to throttle; the battery recovers
+ * off the throttle.
+ * @param {ReturnType<typeof createEnergyState>} energy - Updated in place
+ * @param {{throttle:number,delta:number}} load - Throttle 0..1, seconds
+ * @returns {ReturnType<typeof createEnergyState>}
+ */
+export function updateEnergy(energy, { throttle, delta }) {
+  const mode = energyConfig.modes[energy.mode];
+  if (!mode || delta <= 0) return energy;
+  const t = Math.min(1, Math.max(0, throttle));
+
+  energy.fuel = Math.max(
+    0,
+    energy.fuel - energyConfig.fuelFlow * mode.fuelFlow * t * delta
+  );
+
+  const deploy = energyConfig.ersDeploy * mode.ersDeploy * t * delta;
+  const harvest = energyConfig.ersHarvest * (1 - t) * delta;
+  energy.deploying = deploy > 0 && energy.ers > 0;
+  energy.ers = Math.min(
+    energyConfig.ersCapacity,
+    Math.max(0, energy.ers - deploy + harvest)
+  );
+  return energy;
+}
@@ -0,0 +1,58 @@
+import { EventEmitter } from "./utils/events.js";
+
+/**
+ * Race event log: contacts, damage and retirements, newest last.
+ *
+ * Keeps the latest `limit` entries. Each entry is a plain object with an
+ * increasing `id`, the simulation time `at`, a `type` and that type's
+ * details.
+ *
+ * Events:
+ * - "entry" { id, at, type, ... }
+ */
+export class EventLog extends EventEmitter {
+  /**
+   * @param {{limit?:number}=} options - Entries kept
+   */
+  constructor({ limit = 200 } = {}) {
+    super();
+    this.limit = limit;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Records an entry and announces it.
+   * @param {string} type - e.g. "contact", "retired"
+   * @param {number} at - Simulation time
+   * @param {Object=} details
+   * @returns {{id:number,at:number,type:string}}
+   */
+  add(type, at, details = {}) {
+    const entry = { id: this.nextId++, at, type, ...details };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+    this.emit("entry", entry);
+    return entry;
+  }
+
+  /**
+   * Entries of a type, or involving a car, oldest first.
+   * @param {{type?:string,carIndex?:number}=} filter
+   */
+  filter({ type, carIndex } = {}) {
+    return this.entries.filter(
+      (e) =>
+        (type === undefined || e.type === type) &&
+        (carIndex === undefined ||
+          e.carIndex === carIndex ||
+          (e.cars && e.cars.includes(carIndex)))
+    );
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
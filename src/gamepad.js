@@ -0,0 +1,72 @@
+import { gamepadConfig } from "./config.js";
+
+/**
+ * Zeroes `value` inside the deadzone and rescales the rest, so the output
+ * still runs from 0 at the edge of the deadzone to 1 at full travel.
+ * @param {number} value - -1..1
+ * @param {number} deadzone - Share of the travel ignored, 0..1
+ * @returns {number}
+ */
+export function applyDeadzone(value, deadzone) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+  return (
+    (Math.sign(value) * (Math.min(1, magnitude) - deadzone)) / (1 - deadzone)
+  );
+}
+
+/**
+ * Sensitivity curve: raises the magnitude to `exponent`, keeping the sign.
+ * Above 1 makes small movements gentler without reducing full travel.
+ * @param {number} value - -1..1
+ * @param {number} exponent
+ * @returns {number}
+ */
+export function applyCurve(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * First connected gamepad.
+ * @param {ArrayLike<Gamepad|null>=} gamepads - Defaults to `navigator.getGamepads()`
+ * @returns {Gamepad|null}
+ */
+export function getGamepad(gamepads = listGamepads()) {
+  return Array.from(gamepads).find((pad) => pad && pad.connected) || null;
+}
+
+/**
+ * Analog driver input from a gamepad in the standard mapping: the triggers
+ * are throttle and brake, the stick steers. All zero without a gamepad, so
+ * a disconnected pad lets go of the car.
+ * @param {Gamepad|null=} gamepad - Defaults to the first connected one
+ * @param {typeof gamepadConfig=} options
+ * @returns {{throttle:number,brake:number,steer:number}} Throttle and brake 0..1, steer -1..1 (positive to the left)
+ */
+export function readGamepadInput(
+  gamepad = getGamepad(),
+  options = gamepadConfig
+) {
+  if (!gamepad || !options.enabled) return { throttle: 0, brake: 0, steer: 0 };
+  const trigger = (index, exponent) => {
+    const button = gamepad.buttons[index];
+    const value = button ? button.value : 0;
+    return applyCurve(applyDeadzone(value, options.triggerDeadzone), exponent);
+  };
+  const axis = gamepad.axes[options.steerAxis] || 0;
+  // The stick reads negative to the left
+  const steer = -applyCurve(
+    applyDeadzone(axis, options.stickDeadzone),
+    options.steerExponent
+  );
+  return {
+    throttle: trigger(options.throttleButton, options.throttleExponent),
+    brake: trigger(options.brakeButton, options.brakeExponent),
+    steer: steer || 0,
+  };
+}
+
+function listGamepads() {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return [];
+  return navigator.getGamepads();
+}
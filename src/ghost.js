@@ -0,0 +1,105 @@
+// Ghost car: replays a recorded drive in its own headless simulation and
+// shows it as a see-through copy of the car, to race against or compare with
+import * as THREE from "three";
+
+const GHOST_OPACITY = 0.35;
+
+// See-through copy of a car model; materials are cloned so the car itself
+// stays opaque
+function createGhostModel(model) {
+  const ghost = model.clone(true);
+  ghost.traverse((child) => {
+    if (!child.isMesh) return;
+    const toGhost = (material) => {
+      const copy = material.clone();
+      copy.transparent = true;
+      copy.opacity = GHOST_OPACITY;
+      copy.depthWrite = false;
+      return copy;
+    };
+    child.material = Array.isArray(child.material)
+      ? child.material.map(toGhost)
+      : toGhost(child.material);
+    child.castShadow = false;
+  });
+  return ghost;
+}
+
+function disposeGhostModel(ghost) {
+  ghost.traverse((child) => {
+    if (!child.isMesh) return;
+    const materials = Array.isArray(child.material)
+      ? child.material
+      : [child.material];
+    materials.forEach((m) => m.dispose());
+  });
+}
+
+/**
+ * Creates a ghost car. Each run gets a fresh simulation with one car, put in
+ * the recording's initial state and driven by its frames, so it goes where
+ * the recorded car went and ignores the cars on track. The run's simulation
+ * steps on the main thread; its remote physics, if any, is stopped with it.
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.Object3D} options.model - Car model to copy (and the ghost's collision shapes with physics)
+ * @param {(recording:Object)=>import("./simulation.js").Simulation} options.createSimulation - New simulation for a run, with the track, paths and the recording's assists
+ * @param {((e:Object)=>void)=} options.onLap - Timing "lap" events of the ghost
+ * @returns {{start:(recording:Object)=>boolean, stop:()=>void, update:(delta:number)=>void, isRunning:()=>boolean, getSimulation:()=>import("./simulation.js").Simulation|null}}
+ */
+export function createGhost({ scene, model, createSimulation, onLap = null }) {
+  let simulation = null;
+  let ghostModel = null;
+
+  function stop() {
+    if (!simulation) return;
+    scene.remove(ghostModel);
+    disposeGhostModel(ghostModel);
+    ghostModel = null;
+    // Its physics worker, if it has one
+    if (simulation.remotePhysics) simulation.remotePhysics.terminate();
+    simulation = null;
+  }
+
+  return {
+    start(recording) {
+      stop();
+      if (!recording || !recording.initial) return false;
+      simulation = createSimulation(recording);
+      const [x, y, z] = recording.initial.position;
+      simulation.addCar({ position: { x, y, z }, model });
+      if (onLap) simulation.timing.on("lap", onLap);
+      simulation.playInputRecording(recording, 0);
+      ghostModel = createGhostModel(model);
+      scene.add(ghostModel);
+      return true;
+    },
+
+    stop,
+
+    /**
+     * Advances the ghost with the page's frame time; it disappears when the
+     * recording runs out.
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+      if (!simulation) return;
+      simulation.advance(delta);
+      if (!simulation.isReplaying(0)) {
+        stop();
+        return;
+      }
+      const pose = simulation.getRenderPose(0);
+      ghostModel.position.copy(pose.position);
+      ghostModel.quaternion.copy(pose.quaternion);
+    },
+
+    isRunning() {
+      return !!simulation;
+    },
+
+    getSimulation() {
+      return simulation;
+    },
+  };
+}
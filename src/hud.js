@@ -1,5 +1,18 @@
 import * as THREE from "three";
-import { f1CarSpecs } from "./config.js";
+import {
+  f1CarSpecs,
+  tyreConfig,
+  energyConfig,
+  surfaceConfig,
+} from "./config.js";
+
+// Assist indicators along the top: [assist, label, x]
+const ASSIST_LABELS = [
+  ["tractionControl", "TC", 36],
+  ["abs", "ABS", 66],
+  ["steering", "STR", 190],
+  ["braking", "BRK", 220],
+];
 
 // Create a HUD scene and camera for 2D overlay
 export function createHUD() {
@@ -74,7 +87,7 @@ export function updateHUD(hudElements, carData) {
   if (!speedDisplay || !speedDisplay.userData.context) return;
 
   const { context, texture } = speedDisplay.userData;
-  const { speed, rpm, gear } = carData;
+  const { speed, rpm, gear, tyre, energy, surface, input, assists } = carData;
 
   // Clear canvas
   context.clearRect(0, 0, 256, 128);
@@ -100,6 +113,38 @@ export function updateHUD(hudElements, carData) {
     context.fillText(gear === 0 ? "N" : gear, 200, 50);
   }
 
+  // Tyre compound and wear
+  if (tyre) {
+    const spec = tyreConfig.compounds[tyre.compound];
+    context.beginPath();
+    context.arc(32, 40, 16, 0, Math.PI * 2);
+    context.lineWidth = 4;
+    context.strokeStyle = spec ? spec.color : "white";
+    context.stroke();
+    context.font = "bold 18px Arial";
+    context.fillStyle = "white";
+    context.fillText(tyre.compound[0], 32, 47);
+    context.font = "14px Arial";
+    context.fillText(`${Math.round(tyre.wear)}%`, 32, 80);
+  }
+
+  // Engine mode and fuel
+  if (energy) {
+    context.font = "bold 12px Arial";
+    context.fillStyle = "white";
+    context.fillText(energy.mode.toUpperCase(), 200, 72);
+    context.font = "12px Arial";
+    context.fillText(`${energy.fuel.toFixed(1)} kg`, 200, 88);
+  }
+
+  // Surface warning once any wheel leaves the asphalt
+  if (surface && surface.offAsphalt) {
+    const spec = surfaceConfig.types[surface.type];
+    context.font = "bold 12px Arial";
+    context.fillStyle = surface.type === "kerb" ? "orange" : "red";
+    context.fillText((spec ? spec.label : surface.type).toUpperCase(), 128, 18);
+  }
+
   // RPM bar if available
   if (rpm !== undefined) {
     const rpmPercent = rpm / f1CarSpecs.maxRPM;
@@ -122,6 +167,42 @@ export function updateHUD(hudElements, carData) {
     context.fillRect(28, 100, barWidth * rpmPercent, barHeight);
   }
 
+  // ERS battery charge under the RPM bar
+  if (energy) {
+    context.fillStyle = energy.deploying ? "#3cf" : "#2a6f8f";
+    context.fillRect(28, 114, 200 * (energy.ers / energyConfig.ersCapacity), 4);
+  }
+
+  // Assists that are on: grey, lit while they intervene
+  if (assists) {
+    context.font = "bold 10px Arial";
+    ASSIST_LABELS.forEach(([name, label, x]) => {
+      const level = assists[name];
+      if (level === null || level === undefined) return;
+      context.fillStyle = level > 0.01 ? "yellow" : "#888";
+      context.fillText(label, x, 12);
+    });
+  }
+
+  // Pedal bars at the edges and a steering bar along the bottom
+  if (input) {
+    const pedal = (x, value, color) => {
+      context.fillStyle = "rgba(50, 50, 50, 0.8)";
+      context.fillRect(x, 8, 6, 84);
+      context.fillStyle = color;
+      context.fillRect(x, 8 + 84 * (1 - value), 6, 84 * value);
+    };
+    pedal(4, input.brake, "red");
+    pedal(246, input.throttle, "limegreen");
+
+    // Positive steer is to the left
+    context.fillStyle = "rgba(50, 50, 50, 0.8)";
+    context.fillRect(28, 121, 200, 4);
+    context.fillStyle = "white";
+    const width = 100 * Math.abs(input.steer);
+    context.fillRect(input.steer > 0 ? 128 - width : 128, 121, width, 4);
+  }
+
   // Update the texture
   texture.needsUpdate = true;
 }
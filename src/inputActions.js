@@ -0,0 +1,296 @@
+import { keyboardControls } from "./config.js";
+import { EventEmitter } from "./utils/events.js";
+
+const MODIFIERS = ["shift", "control", "alt", "meta"];
+
+const cameraActions = Array.from({ length: 9 }, (_, i) => ({
+  id: `camera${i + 1}`,
+  label: `Camera ${i + 1}`,
+  group: "Camera",
+}));
+
+/**
+ * Every input action, in the order the key bindings overlay lists them.
+ * Default keys are in `keyboardControls.bindings`.
+ */
+export const INPUT_ACTIONS = [
+  { id: "accelerate", label: "Accelerate", group: "Driving" },
+  { id: "brake", label: "Brake / reverse", group: "Driving" },
+  { id: "steerLeft", label: "Steer left", group: "Driving" },
+  { id: "steerRight", label: "Steer right", group: "Driving" },
+  {
+    id: "strafe",
+    label: "Strafe with the steering keys (hold)",
+    group: "Driving",
+  },
+  { id: "shiftUp", label: "Shift up", group: "Car" },
+  { id: "shiftDown", label: "Shift down", group: "Car" },
+  { id: "engineMode", label: "Cycle engine mode", group: "Car" },
+  { id: "resetCar", label: "Reset to racing line", group: "Car" },
+  { id: "recordToggle", label: "Start / stop path recording", group: "Car" },
+  ...cameraActions,
+  { id: "nextCamera", label: "Next camera", group: "Camera" },
+  { id: "helperCamera", label: "Free camera on / off", group: "Camera" },
+  { id: "nextCar", label: "Follow next car", group: "Camera" },
+  { id: "toggleHelp", label: "Key bindings", group: "General" },
+];
+
+/**
+ * Binding name of a `KeyboardEvent.key`: lower case, with the space bar as
+ * "space".
+ * @param {string} key
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+  return key === " " ? "space" : key.toLowerCase();
+}
+
+/**
+ * Display name of a bound key, e.g. "W", "Backspace", "Space".
+ * @param {string} key - From `normalizeKey`
+ * @returns {string}
+ */
+export function formatKey(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Keys bound to more than one action.
+ * @param {Object<string,string[]>} bindings - Keys per action
+ * @returns {{key:string,actions:string[]}[]}
+ */
+export function findConflicts(bindings) {
+  const byKey = new Map();
+  for (const [action, keys] of Object.entries(bindings)) {
+    for (const key of keys) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(action);
+    }
+  }
+  return [...byKey]
+    .filter(([, actions]) => actions.length > 1)
+    .map(([key, actions]) => ({ key, actions }));
+}
+
+/**
+ * Central keyboard input: maps keys to named actions, so driving, cameras
+ * and tools ask for "accelerate" or listen for "nextCar" instead of reading
+ * keys. Bindings can be changed at runtime and are saved to localStorage
+ * (only the ones that differ from the defaults).
+ *
+ * Events:
+ * - "press" { action, key } - A bound key went down (not on key repeat), or `trigger` was called (key null)
+ * - "change" { action, keys, conflicts } - An action was rebound; conflicts are from `getConflicts`
+ */
+export class InputActions extends EventEmitter {
+  /**
+   * @param {Object=} options
+   * @param {Object<string,string[]>=} options.defaults - Keys per action
+   * @param {Storage|null=} options.storage - Where bindings are saved; null to not save them
+   * @param {string=} options.storageKey
+   */
+  constructor({
+    defaults = keyboardControls.bindings,
+    storage = getLocalStorage(),
+    storageKey = keyboardControls.bindingsStorageKey,
+  } = {}) {
+    super();
+    this.defaults = defaults;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.bindings = this.#load();
+    // Keys held now, by physical key: Shift+/ goes down as "?" but may come
+    // up as "/"
+    this.down = new Map();
+    this.target = null;
+    this.capture = null; // Resolves the pending `captureKey`
+    this.captureModifier = null; // Modifier held while capturing
+    this._onKeyDown = this.#onKeyDown.bind(this);
+    this._onKeyUp = this.#onKeyUp.bind(this);
+    this._onBlur = () => this.down.clear();
+  }
+
+  /**
+   * Starts listening to keys on `target`.
+   * @param {EventTarget} target - Normally `window`
+   */
+  attach(target) {
+    this.detach();
+    this.target = target;
+    target.addEventListener("keydown", this._onKeyDown);
+    target.addEventListener("keyup", this._onKeyUp);
+    target.addEventListener("blur", this._onBlur);
+  }
+
+  /**
+   * Stops listening and lets go of every key.
+   */
+  detach() {
+    if (!this.target) return;
+    this.target.removeEventListener("keydown", this._onKeyDown);
+    this.target.removeEventListener("keyup", this._onKeyUp);
+    this.target.removeEventListener("blur", this._onBlur);
+    this.target = null;
+    this.down.clear();
+  }
+
+  /**
+   * Whether any key bound to `action` is held.
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isActive(action) {
+    const keys = this.bindings[action];
+    if (!keys) return false;
+    for (const key of this.down.values()) {
+      if (keys.includes(key)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Presses an action without a key, for on-screen buttons.
+   * @param {string} action
+   */
+  trigger(action) {
+    this.emit("press", { action, key: null });
+  }
+
+  /**
+   * Keys bound to an action.
+   * @param {string} action
+   * @returns {string[]}
+   */
+  getKeys(action) {
+    return this.bindings[action] || [];
+  }
+
+  /**
+   * Binds `keys` to `action` in place of its current keys and saves the
+   * bindings. Keys that other actions use stay bound there too; the
+   * returned conflicts say which.
+   * @param {string} action
+   * @param {string[]} keys
+   * @returns {{key:string,actions:string[]}[]} Conflicts involving `action`
+   */
+  bind(action, keys) {
+    if (!(action in this.defaults)) {
+      throw new Error(`Unknown input action: ${action}`);
+    }
+    this.bindings[action] = keys.map(normalizeKey);
+    this.#save();
+    const conflicts = this.getConflicts();
+    this.emit("change", { action, keys: this.bindings[action], conflicts });
+    return conflicts.filter((c) => c.actions.includes(action));
+  }
+
+  /**
+   * Puts every action back on its default keys.
+   */
+  resetBindings() {
+    this.bindings = cloneBindings(this.defaults);
+    this.#save();
+    this.emit("change", { action: null, keys: [], conflicts: [] });
+  }
+
+  /**
+   * Keys bound to more than one action.
+   * @returns {{key:string,actions:string[]}[]}
+   */
+  getConflicts() {
+    return findConflicts(this.bindings);
+  }
+
+  /**
+   * Waits for the next key press and returns it instead of acting on it,
+   * for rebinding. Escape cancels.
+   * @returns {Promise<string|null>} Normalized key, or null when cancelled
+   */
+  captureKey() {
+    if (this.capture) this.capture(null);
+    return new Promise((resolve) => {
+      this.capture = (key) => {
+        this.capture = null;
+        this.captureModifier = null;
+        resolve(key);
+      };
+    });
+  }
+
+  // Internals
+  #onKeyDown(e) {
+    if (isTextField(e.target)) return;
+    const key = normalizeKey(e.key);
+    if (this.capture) {
+      e.preventDefault();
+      // A modifier on its own is bound when it comes up, so Shift+/ can
+      // still bind "?"
+      if (MODIFIERS.includes(key)) this.captureModifier = key;
+      else this.capture(key === "escape" ? null : key);
+      return;
+    }
+    this.down.set(e.code || key, key);
+    // Leave browser shortcuts (and the Ctrl+D debug overlay) alone
+    if (e.repeat || e.ctrlKey || e.metaKey) return;
+    for (const [action, keys] of Object.entries(this.bindings)) {
+      if (keys.includes(key)) this.emit("press", { action, key });
+    }
+  }
+
+  #onKeyUp(e) {
+    const key = normalizeKey(e.key);
+    this.down.delete(e.code || key);
+    if (this.capture && this.captureModifier === key) this.capture(key);
+  }
+
+  #load() {
+    const bindings = cloneBindings(this.defaults);
+    if (!this.storage) return bindings;
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey) || "{}");
+      for (const [action, keys] of Object.entries(saved)) {
+        if (action in bindings && Array.isArray(keys)) {
+          bindings[action] = keys.map(String);
+        }
+      }
+    } catch (e) {
+      console.warn("Ignoring unreadable key bindings:", e);
+    }
+    return bindings;
+  }
+
+  #save() {
+    if (!this.storage) return;
+    const changed = {};
+    for (const [action, keys] of Object.entries(this.bindings)) {
+      if (keys.join() !== this.defaults[action].join()) changed[action] = keys;
+    }
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(changed));
+    } catch {}
+  }
+}
+
+function cloneBindings(bindings) {
+  return Object.fromEntries(
+    Object.entries(bindings).map(([action, keys]) => [action, [...keys]])
+  );
+}
+
+function isTextField(el) {
+  if (!el || !el.tagName) return false;
+  return (
+    el.isContentEditable ||
+    el.tagName === "TEXTAREA" ||
+    el.tagName === "SELECT" ||
+    (el.tagName === "INPUT" && el.type !== "checkbox")
+  );
+}
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage === "undefined" ? null : localStorage;
+  } catch {
+    return null;
+  }
+}
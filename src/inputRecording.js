@@ -0,0 +1,139 @@
+import { createIdleInput, getInputAxes } from "./kinematics.js";
+
+/** Format version of saved input recordings. */
+export const RECORDING_VERSION = 2;
+
+// Analog channels are recorded in steps of 1 / AXIS_STEPS
+const AXIS_STEPS = 100;
+
+// Key flags that still matter once throttle, brake and steer are analog
+const STRAFE = 1;
+const LEFT = 2;
+const RIGHT = 4;
+
+/**
+ * Empty input recording for one car. The simulation fills `frames` with one
+ * input per fixed step and `events` with the discrete actions between them
+ * (shifts, engine modes, resets).
+ * @param {Object} options
+ * @param {number} options.carIndex - Car the input was recorded from
+ * @param {number} options.fixedDelta - Step size the frames were recorded at
+ * @param {Object} options.initial - Car state when recording started (see `Simulation.startInputRecording`)
+ * @param {Object=} options.assists - Assist settings the car drove with
+ * @returns {{version:number,carIndex:number,fixedDelta:number,initial:Object,assists:Object|null,frames:number[][],events:{tick:number,type:string,value?:*}[]}}
+ */
+export function createInputRecording({
+  carIndex,
+  fixedDelta,
+  initial,
+  assists = null,
+}) {
+  return {
+    version: RECORDING_VERSION,
+    carIndex,
+    fixedDelta,
+    initial,
+    assists: assists && JSON.parse(JSON.stringify(assists)),
+    frames: [],
+    events: [],
+  };
+}
+
+/**
+ * One step of driver input as `[throttle, brake, steer, flags]`. Keys are
+ * folded into the analog channels, so decoding gives the same axes, and the
+ * channels are rounded to whole steps so the frames pack small (see
+ * `packInputRecording`).
+ * @param {Partial<ReturnType<typeof createIdleInput>>} input
+ * @returns {number[]}
+ */
+export function encodeInputFrame(input) {
+  const { throttle, brake, steer } = getInputAxes(input);
+  const flags =
+    (input.strafe ? STRAFE : 0) |
+    (input.left ? LEFT : 0) |
+    (input.right ? RIGHT : 0);
+  return [
+    toAxisSteps(throttle) / AXIS_STEPS,
+    toAxisSteps(brake) / AXIS_STEPS,
+    toAxisSteps(steer) / AXIS_STEPS,
+    flags,
+  ];
+}
+
+function toAxisSteps(value) {
+  return Math.round(value * AXIS_STEPS);
+}
+
+/**
+ * Driver input from an encoded frame.
+ * @param {number[]} frame - From `encodeInputFrame`
+ * @returns {ReturnType<typeof createIdleInput>}
+ */
+export function decodeInputFrame([throttle, brake, steer, flags]) {
+  return {
+    ...createIdleInput(),
+    throttle,
+    brake,
+    steer,
+    strafe: !!(flags & STRAFE),
+    left: !!(flags & LEFT),
+    right: !!(flags & RIGHT),
+  };
+}
+
+/**
+ * A recording in its saved form: the analog channels as whole steps and
+ * each run of identical frames as one `[count, throttle, brake, steer,
+ * flags]` entry.
+ * @param {ReturnType<typeof createInputRecording>} recording
+ * @returns {Object} JSON-safe; `unpackInputRecording` restores it
+ */
+export function packInputRecording(recording) {
+  const runs = [];
+  let run = null;
+  for (const [throttle, brake, steer, flags] of recording.frames) {
+    const frame = [
+      toAxisSteps(throttle),
+      toAxisSteps(brake),
+      toAxisSteps(steer),
+      flags,
+    ];
+    if (run && frame.every((value, i) => value === run[i + 1])) run[0] += 1;
+    else {
+      run = [1, ...frame];
+      runs.push(run);
+    }
+  }
+  return { ...recording, frames: runs };
+}
+
+/**
+ * A recording from its saved form.
+ * @param {Object} packed - From `packInputRecording`
+ * @returns {ReturnType<typeof createInputRecording>|null} Null for another format version
+ */
+export function unpackInputRecording(packed) {
+  if (!packed || packed.version !== RECORDING_VERSION) return null;
+  const frames = [];
+  for (const [count, throttle, brake, steer, flags] of packed.frames) {
+    for (let i = 0; i < count; i++) {
+      frames.push([
+        throttle / AXIS_STEPS,
+        brake / AXIS_STEPS,
+        steer / AXIS_STEPS,
+        flags,
+      ]);
+    }
+  }
+  return { ...packed, frames };
+}
+
+/**
+ * Length of a recording in seconds.
+ * @param {ReturnType<typeof createInputRecording>} recording
+ * @returns {number}
+ */
+export function getRecordingDuration(recording) {
+  return recording.frames.length * recording.fixedDelta;
+}
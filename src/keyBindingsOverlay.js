@@ -0,0 +1,132 @@
+// DOM key bindings overlay: lists every input action with its keys, flags
+// keys bound to more than one action and rebinds an action on click
+import { INPUT_ACTIONS, formatKey } from "./inputActions.js";
+
+function createPanel() {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "fixed",
+    top: "50%",
+    left: "50%",
+    transform: "translate(-50%, -50%)",
+    maxHeight: "80vh",
+    overflowY: "auto",
+    padding: "10px 14px",
+    background: "rgba(0,0,0,0.85)",
+    color: "#fff",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    fontSize: "12px",
+    borderRadius: "6px",
+    zIndex: 30,
+    userSelect: "none",
+    display: "none",
+  });
+  return el;
+}
+
+/**
+ * Creates the key bindings overlay. Clicking an action's keys waits for a
+ * new key (Escape cancels); the registry saves it.
+ * @param {import("./inputActions.js").InputActions} inputActions
+ * @returns {{toggle:()=>void, setVisible:(visible:boolean)=>void, isVisible:()=>boolean, dispose:()=>void}}
+ */
+export function createKeyBindingsOverlay(inputActions) {
+  const panel = createPanel();
+  document.body.appendChild(panel);
+
+  let capturing = null; // Action waiting for a key
+  let message = "";
+
+  const labelOf = (id) => INPUT_ACTIONS.find((a) => a.id === id)?.label || id;
+
+  async function rebind(action) {
+    capturing = action;
+    message = "";
+    render();
+    const key = await inputActions.captureKey();
+    capturing = null;
+    if (key) {
+      const conflicts = inputActions.bind(action, [key]);
+      message = conflicts
+        .map(
+          (c) =>
+            `${formatKey(c.key)} is also bound to ${c.actions
+              .filter((a) => a !== action)
+              .map(labelOf)
+              .join(", ")}`
+        )
+        .join("<br>");
+    }
+    render();
+  }
+
+  const onClick = (e) => {
+    const button = e.target.closest("[data-action], [data-command]");
+    if (!button) return;
+    if (button.dataset.action) rebind(button.dataset.action);
+    else if (button.dataset.command === "reset") {
+      inputActions.resetBindings();
+      message = "";
+    } else if (button.dataset.command === "close") setVisible(false);
+  };
+  panel.addEventListener("click", onClick);
+  const offChange = inputActions.on("change", () => render());
+
+  function render() {
+    if (panel.style.display === "none") return;
+    const conflicted = new Set(
+      inputActions.getConflicts().flatMap((c) => c.actions)
+    );
+    const cell = "padding:2px 8px;white-space:nowrap";
+    let group = null;
+    const rows = INPUT_ACTIONS.map(({ id, label, group: g }) => {
+      const heading =
+        g === group
+          ? ""
+          : `<tr><td colspan="2" style="${cell};color:#aaa;padding-top:8px">${g}</td></tr>`;
+      group = g;
+      const keys =
+        capturing === id
+          ? "Press a key (Esc cancels)"
+          : inputActions.getKeys(id).map(formatKey).join(" / ") || "-";
+      return `${heading}<tr>
+          <td style="${cell}">${label}</td>
+          <td style="${cell}">
+            <button data-action="${id}" style="min-width:90px;cursor:pointer;${
+        conflicted.has(id) ? "color:#f55;font-weight:bold" : ""
+      }">${keys}</button>
+          </td>
+        </tr>`;
+    }).join("");
+    panel.innerHTML = `
+      <div style="font-weight:bold;margin-bottom:4px">Key bindings</div>
+      <div style="color:#aaa">Click a key to change it</div>
+      <table style="border-collapse:collapse">${rows}</table>
+      <div style="color:#f55;margin:6px 8px">${message}</div>
+      <button data-command="reset" style="cursor:pointer">Reset to defaults</button>
+      <button data-command="close" style="cursor:pointer">Close</button>`;
+  }
+
+  function setVisible(show) {
+    panel.style.display = show ? "block" : "none";
+    render();
+  }
+
+  return {
+    toggle() {
+      setVisible(panel.style.display === "none");
+    },
+
+    setVisible,
+
+    isVisible() {
+      return panel.style.display !== "none";
+    },
+
+    dispose() {
+      offChange();
+      panel.removeEventListener("click", onClick);
+      panel.remove();
+    },
+  };
+}
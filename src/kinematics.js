@@ -0,0 +1,202 @@
+import * as THREE from "three";
+import { kinematicMovement, f1CarSpecs, GRAVITY } from "./config.js";
+import { getAero } from "./aero.js";
+import { clamp } from "./utils/common.js";
+
+/**
+ * Returns a driver input with nothing pressed. The booleans come from the
+ * keyboard; `throttle`, `brake` (0..1) and `steer` (-1..1, positive to the
+ * left) are analog, e.g. from a gamepad.
+ * @returns {{forward:boolean,backward:boolean,left:boolean,right:boolean,yawLeft:boolean,yawRight:boolean,strafe:boolean,throttle:number,brake:number,steer:number}}
+ */
+export function createIdleInput() {
+  return {
+    forward: false,
+    backward: false,
+    left: false,
+    right: false,
+    yawLeft: false,
+    yawRight: false,
+    strafe: false,
+    throttle: 0,
+    brake: 0,
+    steer: 0,
+  };
+}
+
+/**
+ * Throttle, brake and steering of a driver input: a pressed key counts as
+ * full travel, otherwise the analog channels apply.
+ * @param {Partial<ReturnType<typeof createIdleInput>>} input
+ * @returns {{throttle:number,brake:number,steer:number}} Throttle and brake 0..1, steer -1..1 (positive to the left)
+ */
+export function getInputAxes(input) {
+  const keySteer = (input.yawLeft ? 1 : 0) - (input.yawRight ? 1 : 0);
+  return {
+    throttle: input.forward ? 1 : clamp(input.throttle || 0, 0, 1),
+    brake: input.backward ? 1 : clamp(input.brake || 0, 0, 1),
+    steer: keySteer || clamp(input.steer || 0, -1, 1),
+  };
+}
+
+/**
+ * Analog channels of several devices as one: the most throttle and brake
+ * any of them gives, and the steering furthest from centre.
+ * @param {...{throttle:number,brake:number,steer:number}} inputs
+ * @returns {{throttle:number,brake:number,steer:number}}
+ */
+export function mergeAnalogInputs(...inputs) {
+  return inputs.reduce(
+    (merged, { throttle, brake, steer }) => ({
+      throttle: Math.max(merged.throttle, throttle),
+      brake: Math.max(merged.brake, brake),
+      steer: Math.abs(steer) > Math.abs(merged.steer) ? steer : merged.steer,
+    }),
+    { throttle: 0, brake: 0, steer: 0 }
+  );
+}
+
+/**
+ * Deceleration the kinematic controller's brakes give (m/s^2): a fixed part
+ * and extra drag at speed, which only acts off the throttle.
+ * @param {number} brake - 0..1
+ * @param {number} speed - m/s
+ * @param {number=} throttle - 0..1
+ * @returns {number}
+ */
+export function getKinematicBrakeDecel(brake, speed, throttle = 0) {
+  if (brake <= 0) return 0;
+  return (
+    getBrakeAccel(brake) +
+    (getDrag(throttle, brake) - kinematicMovement.drag) * Math.abs(speed)
+  );
+}
+
+/**
+ * Acceleration the kinematic controller's drive gives (m/s^2).
+ * @param {number} driveForce - Force at the wheels (N)
+ * @param {number=} grip - Tyre grip multiplier
+ * @returns {number}
+ */
+export function getKinematicDriveAccel(driveForce, grip = 1) {
+  return (driveForce / f1CarSpecs.dryMass) * Math.min(1, grip);
+}
+
+function getBrakeAccel(brake) {
+  return kinematicMovement.accelForward * 0.7 * brake;
+}
+
+// Rolling resistance, and braking harder the further the brake is pressed
+function getDrag(throttle, brake) {
+  return brake > 0 && throttle === 0
+    ? kinematicMovement.drag +
+        (kinematicMovement.brakeDrag - kinematicMovement.drag) * brake
+    : kinematicMovement.drag;
+}
+
+/**
+ * Kinematic controller with acceleration, drag, and optional strafing.
+ * Moves `car` in place and integrates `velocity`. Aero drag grows with speed
+ * squared and sets the top speed; downforce raises the cornering limit.
+ *
+ * @param {THREE.Object3D} car
+ * @param {THREE.Vector3} velocity - Persistent per-car velocity (m/s)
+ * @param {ReturnType<typeof createIdleInput>} input
+ * @param {number} delta - Seconds
+ * @param {{grip?:number,power?:number,topSpeed?:number,driveForce?:number,rollingResistance?:number}=} options - Tyre grip
+ *   multiplier (traction and cornering), engine multipliers on
+ *   acceleration and top speed, the drivetrain's force at the wheels (N)
+ *   which replaces the fixed `accelForward` when given, and the surface's
+ *   extra rolling resistance (share of g)
+ * @returns {{speed:number}}
+ */
+export function updateKinematicCar(
+  car,
+  velocity,
+  input,
+  delta,
+  { grip = 1, power = 1, topSpeed = 1, driveForce, rollingResistance = 0 } = {}
+) {
+  // Steering with A/D or the stick (unless strafing)
+  const { throttle, brake, steer } = getInputAxes(input);
+  if (!input.strafe) {
+    car.rotation.y += steer * kinematicMovement.yawSpeed * delta;
+  }
+
+  const quat = new THREE.Quaternion().setFromEuler(car.rotation);
+  const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(quat);
+  const rightV = new THREE.Vector3(1, 0, 0).applyQuaternion(quat);
+  const accel = new THREE.Vector3();
+  if (throttle > 0) {
+    // The drivetrain's force already includes engine power and throttle
+    const forward =
+      driveForce === undefined
+        ? kinematicMovement.accelForward * power * throttle * Math.min(1, grip)
+        : getKinematicDriveAccel(driveForce, grip);
+    accel.addScaledVector(fwd, forward);
+  }
+  if (brake > 0) accel.addScaledVector(fwd, -getBrakeAccel(brake));
+  if (input.strafe) {
+    if (input.right)
+      accel.addScaledVector(rightV, kinematicMovement.accelStrafe);
+    if (input.left)
+      accel.addScaledVector(rightV, -kinematicMovement.accelStrafe);
+  }
+  velocity.addScaledVector(accel, delta);
+  const aero = getAero(velocity.length());
+  if (!input.strafe) {
+    applyLateralGrip(velocity, fwd, grip, delta, aero.lateralLimit);
+  }
+
+  // Aero drag and the surface's rolling resistance. Drag grows with speed
+  // squared, so dividing it by the square of `topSpeed` moves the top speed
+  // it allows by that factor
+  const moving = velocity.length();
+  if (moving > 1e-9) {
+    const dragDecel = topSpeed > 0 ? aero.dragDecel / topSpeed ** 2 : Infinity;
+    const decel = dragDecel + rollingResistance * GRAVITY;
+    velocity.multiplyScalar(1 - Math.min(moving, decel * delta) / moving);
+  }
+
+  velocity.addScaledVector(velocity, -getDrag(throttle, brake) * delta);
+
+  // Clamp speed
+  const speed = velocity.length();
+  const maxSpeed = kinematicMovement.maxSpeed * topSpeed;
+  if (speed > maxSpeed) {
+    velocity.multiplyScalar(maxSpeed / Math.max(speed, 1e-9));
+  }
+
+  // Integrate
+  car.position.addScaledVector(velocity, delta);
+
+  return { speed };
+}
+
+/**
+ * Tyre side force: removes sideways velocity (relative to `forward`) up to
+ * the cornering limit scaled by `grip`. Works on THREE and CANNON vectors.
+ * @param {{x:number,z:number}} velocity - Updated in place (m/s)
+ * @param {{x:number,z:number}} forward - Car heading
+ * @param {number} grip - Tyre grip multiplier
+ * @param {number} delta - Seconds
+ * @param {number=} lateralLimit - Cornering limit on full-grip tyres (m/s^2), e.g. from `getAero`
+ */
+export function applyLateralGrip(
+  velocity,
+  forward,
+  grip,
+  delta,
+  lateralLimit = f1CarSpecs.maxLateralG * GRAVITY
+) {
+  const len = Math.hypot(forward.x, forward.z);
+  if (len < 1e-9) return;
+  // Right-hand axis in the ground plane
+  const rx = forward.z / len;
+  const rz = -forward.x / len;
+  const lateral = velocity.x * rx + velocity.z * rz;
+  const limit = grip * lateralLimit * delta;
+  const change = Math.sign(lateral) * Math.min(Math.abs(lateral), limit);
+  velocity.x -= rx * change;
+  velocity.z -= rz * change;
+}
@@ -0,0 +1,127 @@
+/**
+ * Running order and time gaps between cars.
+ *
+ * Cars are ranked by progress (completed laps plus the fraction of the
+ * current lap). Gaps are measured in seconds: every car keeps a short history
+ * of when it reached each progress value, and the gap from car A to car B is
+ * how long ago A was where B is now.
+ */
+
+// Progress gained between history samples (fraction of a lap)
+const SAMPLE_STEP = 0.002;
+// Progress drops larger than this mean the car was reset or timing restarted
+const RESET_DROP = 0.25;
+
+export class Leaderboard {
+  /**
+   * @param {Object=} options
+   * @param {number=} options.historyLaps - Laps of history kept per car
+   */
+  constructor({ historyLaps = 1.5 } = {}) {
+    this.historyLaps = historyLaps;
+    this.history = new Map();
+    this.time = 0;
+    this.standings = [];
+  }
+
+  /**
+   * Forgets every car's history.
+   */
+  reset() {
+    this.history.clear();
+    this.standings = [];
+  }
+
+  /**
+   * Records progress for every car and recomputes the standings.
+   * @param {number} time - Simulation time
+   * @param {{carIndex:number,progress:number|null}[]} entries
+   */
+  update(time, entries) {
+    this.time = time;
+    for (const { carIndex, progress } of entries) {
+      if (progress === null || progress === undefined) continue;
+      this.#record(carIndex, progress, time);
+    }
+
+    const ranked = entries
+      .slice()
+      .sort(
+        (a, b) =>
+          (b.progress ?? -Infinity) - (a.progress ?? -Infinity) ||
+          a.carIndex - b.carIndex
+      );
+    const leader = ranked[0];
+    this.standings = ranked.map((entry, i) => {
+      const ahead = ranked[i - 1];
+      return {
+        position: i + 1,
+        carIndex: entry.carIndex,
+        progress: entry.progress ?? null,
+        gap: i === 0 ? null : this.getGap(leader, entry),
+        interval: i === 0 ? null : this.getGap(ahead, entry),
+      };
+    });
+    return this.standings;
+  }
+
+  /**
+   * Gap from `ahead` back to `behind`: `{ time }` in seconds, or `{ laps }`
+   * when `behind` is a lap or more down, or null when unknown.
+   * @param {{carIndex:number,progress:number|null}} ahead
+   * @param {{carIndex:number,progress:number|null}} behind
+   * @returns {{time:number}|{laps:number}|null}
+   */
+  getGap(ahead, behind) {
+    if (ahead.progress == null || behind.progress == null) return null;
+    const laps = Math.floor(ahead.progress - behind.progress);
+    if (laps >= 1) return { laps };
+
+    const at = this.#timeAt(ahead.carIndex, behind.progress);
+    if (at === null) return null;
+    return { time: Math.max(0, this.time - at) };
+  }
+
+  /**
+   * Latest standings, leader first.
+   */
+  getStandings() {
+    return this.standings;
+  }
+
+  // Internals
+  #record(carIndex, progress, time) {
+    let samples = this.history.get(carIndex);
+    const last = samples && samples[samples.length - 1];
+    if (!samples || (last && progress < last.progress - RESET_DROP)) {
+      samples = [];
+      this.history.set(carIndex, samples);
+    }
+
+    const prev = samples[samples.length - 1];
+    if (!prev || progress >= prev.progress + SAMPLE_STEP) {
+      samples.push({ progress, time });
+      while (samples[0].progress < progress - this.historyLaps) {
+        samples.shift();
+      }
+    }
+  }
+
+  // Time at which a car reached `progress`, interpolated between samples
+  #timeAt(carIndex, progress) {
+    const samples = this.history.get(carIndex);
+    if (!samples || !samples.length || progress < samples[0].progress) {
+      return null;
+    }
+    for (let i = samples.length - 1; i > 0; i--) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      if (progress >= a.progress && progress <= b.progress) {
+        const k = (progress - a.progress) / (b.progress - a.progress || 1);
+        return a.time + (b.time - a.time) * k;
+      }
+    }
+    const last = samples[samples.length - 1];
+    return progress >= last.progress ? last.time : samples[0].time;
+  }
+}
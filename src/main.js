@@ -1,7 +1,6 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import GUI from "lil-gui";
-import * as CANNON from "cannon-es";
 import { createScene, updateLighting, lightRefs } from "./scene.js";
 import {
   createLightHelpers,
@@ -28,27 +27,33 @@ import { createHUD, updateHUD, resizeHUD } from "./hud.js";
 import {
   MODEL_PATHS,
   carPositions,
-  movementLerp,
   orbitControlsConfig,
   racePathPoints,
   car1Spawn,
   physicsConfig,
   gameplayConfig,
   kinematicMovement,
-  keyboardControls,
+  pathRecorderConfig,
   f1CarSpecs,
+  trackLimitsConfig,
+  GRAVITY,
 } from "./config.js";
-import {
-  createPhysicsWorld,
-  createTrackBody,
-  createCarBody,
-} from "./physics.js";
-import {
-  initializeKeyboardControls,
-  updateCarControls,
-  keyState,
-} from "./controls.js";
-import { updateCarAI } from "./carAI.js";
+import { createShapeWireframe } from "./physics.js";
+import { RemotePhysics } from "./remotePhysics.js";
+import { getSurfaceAt } from "./surfaces.js";
+import { readKeyboardInput } from "./controls.js";
+import { InputActions } from "./inputActions.js";
+import { createKeyBindingsOverlay } from "./keyBindingsOverlay.js";
+import { readGamepadInput } from "./gamepad.js";
+import { createTouchControls } from "./touchControls.js";
+import { mergeAnalogInputs } from "./kinematics.js";
+import { Simulation } from "./simulation.js";
+import { getRecordingDuration } from "./inputRecording.js";
+import { createGhost } from "./ghost.js";
+import { createRaceOverlay } from "./raceOverlay.js";
+import { createTimingTower } from "./timingTower.js";
+import { getSpeedProfile, createSpeedProfileLine } from "./speedProfile.js";
+import { PitLane, createPitLaneCurve } from "./pitLane.js";
 import {
   initializePathEditor,
   exportPathToJSON,
@@ -59,11 +64,14 @@ import {
   setOverlayLineForRecording,
   startCreatePathRecording,
   stopCreatePathRecording,
-  updateCreatePath,
   getSavedPathNames,
   getSavedPath,
   deleteSavedPath,
   createLineFromSavedPath,
+  getSavedPathSpeed,
+  getSavedInputRecording,
+  hasSavedInputRecording,
+  updateCreatePath,
 } from "./createPath.js";
 
 // App mode: 'index' | 'simulation' | 'path'
@@ -74,13 +82,12 @@ const gui = new GUI();
 
 // App state
 const controlState = {
-  // Default: cars follow path on index page
-  raceMode: APP_MODE === "index",
   cars: [
-    { speed: 0.01, progress: 0 },
-    { speed: 0.011, progress: 0.25 },
-    { speed: 0.012, progress: 0.5 },
-    { speed: 0.009, progress: 0.75 },
+    // speed in m/s, progress as a fraction of path length
+    { speed: 50, progress: 0 },
+    { speed: 55, progress: 0.25 },
+    { speed: 60, progress: 0.5 },
+    { speed: 45, progress: 0.75 },
   ],
 };
 
@@ -133,14 +140,61 @@ const performanceMonitor = createPerformanceMonitor({ enabled: false });
 // Initialize global debug controller
 window.debugController.init(scene, renderer, null, lightRefs);
 
-// Physics (optional)
-const world = gameplayConfig.physicsEnabled ? createPhysicsWorld() : null;
+// Cannon world in a worker so heavy collision frames don't stall rendering.
+// Only when the cars start on physics: cars switched to it at runtime use a
+// world on this thread. If the worker fails, RemotePhysics moves the world
+// back to this thread.
+function createPhysicsWorker() {
+  return physicsConfig.worker && typeof Worker !== "undefined"
+    ? new Worker(new URL("./physicsWorker.js", import.meta.url), {
+        type: "module",
+      })
+    : null;
+}
+const physicsWorker = gameplayConfig.physicsEnabled
+  ? createPhysicsWorker()
+  : null;
+
+// Headless simulation core: cars, paths and the optional physics world
+const simulation = new Simulation({
+  racePath,
+  aiStates: controlState.cars,
+  targets: carPositions,
+  physicsEnabled: gameplayConfig.physicsEnabled,
+  remotePhysics: physicsWorker && new RemotePhysics(physicsWorker),
+  // Default: cars follow path on index page
+  raceMode: APP_MODE === "index",
+  // In drive mode the player races car 1 against the AI
+  playerRaces: APP_MODE === "simulation",
+  getGroundY: (x, z) => getGroundYAt(x, z),
+  // Kerbs, grass and gravel by track mesh name or the painted zone map
+  getSurfaceAt: (x, z) => getSurfaceAt(trackObject, x, z),
+  onDebug: (pos, vel) => {
+    console.log(
+      `Car1 position: x=${pos.x.toFixed(2)}, y=${pos.y.toFixed(
+        2
+      )}, z=${pos.z.toFixed(2)} | velocity: x=${vel.x.toFixed(
+        2
+      )}, y=${vel.y.toFixed(2)}, z=${vel.z.toFixed(2)}`
+    );
+  },
+});
+window.simulation = simulation;
 
 // Cameras
 const mainCamera = createMainCamera(window.innerWidth, window.innerHeight); // used as follow camera
 const helperCamera = createHelperCamera(window.innerWidth, window.innerHeight);
 let cameraManager = null;
 
+// Race session overlay (start lights, flags, results)
+const raceOverlay = createRaceOverlay();
+
+// Timing tower (click a row to follow that car)
+const timingTower = createTimingTower({
+  visible: APP_MODE === "index",
+  onSelect: (i) => cameraManager && cameraManager.setSelectedCarIndex(i),
+});
+
 // HUD
 const { hudScene, hudCamera, elements: hudElements } = createHUD();
 let showHUD = true;
@@ -154,25 +208,37 @@ helperControls.maxDistance = 5000;
 helperControls.target.set(0, 0, 0);
 helperControls.update();
 
-// Initialize keyboard controls
-initializeKeyboardControls();
+// Keyboard: every key goes through the input actions (rebindable, saved in
+// localStorage); ? lists them
+const inputActions = new InputActions();
+inputActions.attach(window);
+const keyBindingsOverlay = createKeyBindingsOverlay(inputActions);
+gui
+  .add({ keyBindings: () => keyBindingsOverlay.toggle() }, "keyBindings")
+  .name("Key Bindings");
+// Touch screens drive with on-screen pedals, a steering slider and camera
+// and reset buttons (shown automatically on touch devices)
+const touchControls =
+  APP_MODE === "simulation" ? createTouchControls({ inputActions }) : null;
+if (touchControls) {
+  gui
+    .add({ touch: touchControls.isVisible() }, "touch")
+    .name("Touch Controls")
+    .onChange((v) => touchControls.setVisible(v));
+}
+const bindingConflicts = inputActions.getConflicts();
+if (bindingConflicts.length) {
+  console.warn("Keys bound to more than one action:", bindingConflicts);
+}
 
 // State for cars
-let carObjects = []; // Object3D for each car
-let carBodies = []; // Physics bodies for each car
+let carObjects = []; // Rendered model for each car, posed from the simulation
 let trackObject = null;
 let racePathLine = null; // Visualizer for the race path
-let perCarPaths = []; // Optional per-car overrides built from saved paths
+let ghost = null; // Replays a saved drive next to the player (see ghost.js)
 const raycaster = new THREE.Raycaster();
 const down = new THREE.Vector3(0, -1, 0);
 
-// Path recorder for manual driving
-const pathRecorder = {
-  recording: false,
-  points: [],
-  minSampleDistance: 0.75, // meters between samples
-};
-
 function getGroundYAt(x, z) {
   if (!trackObject) return 0;
   raycaster.set(new THREE.Vector3(x, 1000, z), down);
@@ -181,15 +247,75 @@ function getGroundYAt(x, z) {
   return 0;
 }
 
-function snapCarToTrack(car, yOffset = physicsConfig.suspensionOffset) {
-  const gy = getGroundYAt(car.position.x, car.position.z);
-  car.position.y = gy + yOffset;
+// Red markers on the race path overlay where cars broke track limits
+const trackLimitMarkers = [];
+const trackLimitMarkerGeometry = new THREE.SphereGeometry(0.8, 12, 8);
+const trackLimitMarkerMaterial = new THREE.MeshBasicMaterial({
+  color: trackLimitsConfig.markerColor,
+});
+
+function addTrackLimitMarker({ x, z }) {
+  if (!racePathLine) return;
+  const marker = new THREE.Mesh(
+    trackLimitMarkerGeometry,
+    trackLimitMarkerMaterial
+  );
+  // Children of the overlay follow its offsets, scale and visibility
+  racePathLine.updateMatrixWorld();
+  marker.position.copy(
+    racePathLine.worldToLocal(new THREE.Vector3(x, getGroundYAt(x, z) + 1, z))
+  );
+  racePathLine.add(marker);
+  trackLimitMarkers.push(marker);
 }
 
-// For smooth motion, we store current positions separately and LERP toward targets
-const carCurrentPositions = carPositions.map(
-  (p) => new THREE.Vector3(p.x, p.y, p.z)
-);
+function clearTrackLimitMarkers() {
+  trackLimitMarkers.forEach((marker) => marker.removeFromParent());
+  trackLimitMarkers.length = 0;
+}
+
+// Wireframes of the car bodies' collision shapes (physics only)
+const collisionShapes = { visible: false, wireframes: [] };
+
+function setCollisionShapesVisible(visible) {
+  collisionShapes.visible = visible;
+  if (visible && !collisionShapes.wireframes.length) {
+    collisionShapes.wireframes = simulation.cars.map((car) => {
+      if (!car.body) return null;
+      const wireframe = createShapeWireframe(car.body);
+      scene.add(wireframe);
+      return wireframe;
+    });
+  }
+  collisionShapes.wireframes.forEach((w) => {
+    if (w) w.visible = visible;
+  });
+}
+
+// Rebuilt when cars switch between physics and kinematic driving
+function refreshCollisionShapes() {
+  collisionShapes.wireframes.forEach((w) => w && scene.remove(w));
+  collisionShapes.wireframes = [];
+  if (collisionShapes.visible) setCollisionShapesVisible(true);
+}
+
+// Copy simulated poses onto the rendered car models
+function syncCarModels() {
+  for (let i = 0; i < carObjects.length; i++) {
+    const simCar = simulation.cars[i];
+    if (!carObjects[i] || !simCar) continue;
+    // Blended between the last two fixed steps so motion stays smooth at
+    // any frame rate
+    const pose = simulation.getRenderPose(i);
+    carObjects[i].position.copy(pose.position);
+    carObjects[i].quaternion.copy(pose.quaternion);
+    const wireframe = collisionShapes.wireframes[i];
+    if (collisionShapes.visible && wireframe && simCar.body) {
+      wireframe.position.copy(simCar.body.position);
+      wireframe.quaternion.copy(simCar.body.quaternion);
+    }
+  }
+}
 
 // Load models
 (async function init() {
@@ -217,58 +343,46 @@ const carCurrentPositions = carPositions.map(
     const pathMaterial = new THREE.LineBasicMaterial({ color: 0xff0000 });
     racePathLine = new THREE.Line(pathGeometry, pathMaterial);
     scene.add(racePathLine);
+    simulation.setRacePath(racePath, racePathLine);
 
-    // Create track physics body if physics enabled
-    if (world) {
-      const trackBody = createTrackBody(trackObject);
-      world.addBody(trackBody);
-    }
+    // Pit lane, stored in race path space so it follows the path overlay
+    const pitLaneCurve = createPitLaneCurve();
+    const pitLaneLine = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(pitLaneCurve.getPoints(200)),
+      new THREE.LineBasicMaterial({ color: 0x00aaff })
+    );
+    racePathLine.add(pitLaneLine);
+    simulation.setPitLane(
+      new PitLane({ curve: pitLaneCurve, transform: pitLaneLine })
+    );
+
+    // Track physics body, built once a car drives with physics
+    simulation.addTrack(trackObject);
 
     carObjects = cars.map((car, i) => {
       // Cars are already set up with proper materials and shadows from the loadAllModels function
 
       // Place cars. Car 1 uses precise spawn, others use defaults
       if (i === 0) {
-        car.position.set(
-          car1Spawn.position.x,
-          car1Spawn.position.y + physicsConfig.suspensionOffset,
-          car1Spawn.position.z
-        );
-        car.rotation.y = car1Spawn.yaw; // align yaw to track
+        simulation.addCar({
+          position: {
+            x: car1Spawn.position.x,
+            y: car1Spawn.position.y + physicsConfig.suspensionOffset,
+            z: car1Spawn.position.z,
+          },
+          yaw: car1Spawn.yaw, // align yaw to track
+          bodyPosition: car1Spawn.position,
+          model: car,
+        });
       } else {
-        car.position.copy(carCurrentPositions[i] || new THREE.Vector3());
+        const p = carPositions[i] || { x: 0, y: 0, z: 0 };
         // Ensure cars face along +Z (down the straight)
-        car.rotation.y = Math.PI / 2;
+        simulation.addCar({ position: { ...p }, yaw: Math.PI / 2, model: car });
       }
-      snapCarToTrack(car);
       scene.add(car);
-
-      // Create a physics body for the car if physics enabled
-      if (world) {
-        const carBody = createCarBody(
-          i === 0
-            ? {
-                x: car1Spawn.position.x,
-                y: car1Spawn.position.y,
-                z: car1Spawn.position.z,
-              }
-            : carPositions[i]
-        );
-        // Match body orientation with visual car
-        const q = new CANNON.Quaternion();
-        q.setFromAxisAngle(
-          new CANNON.Vec3(0, 1, 0),
-          i === 0 ? car1Spawn.yaw : Math.PI / 2
-        );
-        carBody.quaternion.copy(q);
-        world.addBody(carBody);
-        carBodies.push(carBody);
-      } else {
-        carBodies.push(null);
-      }
-
       return car;
     });
+    syncCarModels();
 
     // Hide loading screen when done
     loadingScreen.updateText("Loading complete!");
@@ -281,9 +395,38 @@ const carCurrentPositions = carPositions.map(
   }
 
   // Create GUI controls
-  gui.add(controlState, "raceMode").name("Enable Race Mode");
+  gui.add(simulation, "raceMode").name("Enable Race Mode").listen();
+  gui
+    .add(collisionShapes, "visible")
+    .name("Show Collision Shapes")
+    .onChange(setCollisionShapesVisible);
+
+  // Physics or kinematic driving, for all cars or per car
+  const physicsFolder = gui.addFolder("Physics");
+  const physicsToggles = {
+    all: simulation.physicsEnabled,
+    cars: simulation.cars.map((car) => !!car.body),
+  };
+  physicsFolder
+    .add(physicsToggles, "all")
+    .name("All Cars")
+    .onChange((enabled) => {
+      simulation.setPhysicsEnabled(enabled);
+      physicsToggles.cars.fill(enabled);
+      refreshCollisionShapes();
+    });
+  physicsToggles.cars.forEach((_, i) => {
+    physicsFolder
+      .add(physicsToggles.cars, i)
+      .name(`Car ${i + 1}`)
+      .listen()
+      .onChange((enabled) => {
+        simulation.setCarPhysics(i, enabled);
+        refreshCollisionShapes();
+      });
+  });
 
-  // Camera manager setup (keyboard: 1..n to switch, C to cycle cars on index, H to toggle helper)
+  // Camera manager setup (input actions, by default 1..n to switch, V for the next camera, C to cycle cars on index, H to toggle helper)
   const pageCameras = getPageCameraList(APP_MODE);
   cameraManager = new CameraManager({
     pageId: APP_MODE,
@@ -294,17 +437,9 @@ const carCurrentPositions = carPositions.map(
     getCarCount: () => carObjects.length,
     getCarPose: (idx) => {
       const i = Math.max(0, Math.min(idx ?? 0, carObjects.length - 1));
-      if (carBodies[i]) {
-        return {
-          position: carBodies[i].position,
-          quaternion: carBodies[i].quaternion,
-        };
-      }
-      const obj = carObjects[i];
-      return obj
-        ? { position: obj.position, quaternion: obj.quaternion }
-        : null;
+      return simulation.getRenderPose(i);
     },
+    inputActions,
     smoothing: 0.2,
   });
 
@@ -312,8 +447,9 @@ const carCurrentPositions = carPositions.map(
   const captureFolder = gui.addFolder("Capture");
   const capture = {
     copyCar1: () => {
-      const pos = carBodies[0]?.position || carObjects[0].position;
-      const q = carBodies[0]?.quaternion || carObjects[0].quaternion;
+      const pose = simulation.getCarPose(0);
+      if (!pose) return;
+      const { position: pos, quaternion: q } = pose;
       const yaw = new THREE.Euler().setFromQuaternion(
         new THREE.Quaternion(q.x, q.y, q.z, q.w),
         "YXZ"
@@ -344,37 +480,24 @@ const carCurrentPositions = carPositions.map(
   const car1Folder = gui.addFolder("Car 1 Utils");
   const car1Utils = {
     resetToSpawn: () => {
-      if (!carObjects[0]) return;
-      if (carBodies[0]) {
-        const body = carBodies[0];
-        body.velocity.set(0, 0, 0);
-        body.angularVelocity.set(0, 0, 0);
-        body.position.set(
-          car1Spawn.position.x,
-          car1Spawn.position.y,
-          car1Spawn.position.z
-        );
-        const q = new CANNON.Quaternion();
-        q.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), car1Spawn.yaw);
-        body.quaternion.copy(q);
-        carObjects[0].position.set(
-          car1Spawn.position.x,
-          car1Spawn.position.y,
-          car1Spawn.position.z
-        );
-        carObjects[0].quaternion.set(q.x, q.y, q.z, q.w);
-      } else {
-        carObjects[0].position.set(
-          car1Spawn.position.x,
-          car1Spawn.position.y + physicsConfig.suspensionOffset,
-          car1Spawn.position.z
-        );
-        carObjects[0].rotation.set(0, car1Spawn.yaw, 0);
-      }
+      const car = simulation.cars[0];
+      if (!car) return;
+      const yOffset = car.body ? 0 : physicsConfig.suspensionOffset;
+      simulation.teleportCar(
+        0,
+        {
+          x: car1Spawn.position.x,
+          y: car1Spawn.position.y + yOffset,
+          z: car1Spawn.position.z,
+        },
+        car1Spawn.yaw
+      );
       console.log("Car1 reset to spawn", car1Spawn);
     },
+    resetToRacingLine: () => simulation.recoverCar(0),
   };
   car1Folder.add(car1Utils, "resetToSpawn").name("Reset to Spawn");
+  car1Folder.add(car1Utils, "resetToRacingLine").name("Reset to Racing Line");
 
   // Expose a helper to set car 1 transform from console
   window.setCar1Transform = (data) => {
@@ -382,23 +505,13 @@ const carCurrentPositions = carPositions.map(
       if (!data) return;
       const p = data.position || data.pos || data;
       const yaw = data.yaw ?? car1Spawn.yaw;
-      if (carBodies[0]) {
-        carBodies[0].velocity.set(0, 0, 0);
-        carBodies[0].angularVelocity.set(0, 0, 0);
-        if (p && typeof p.x === "number") {
-          carBodies[0].position.set(p.x, p.y ?? 2, p.z);
-          carObjects[0].position.set(p.x, p.y ?? 2, p.z);
-        }
-        const q = new CANNON.Quaternion();
-        q.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), yaw);
-        carBodies[0].quaternion.copy(q);
-        carObjects[0].quaternion.set(q.x, q.y, q.z, q.w);
-      } else {
-        if (p && typeof p.x === "number") {
-          carObjects[0].position.set(p.x, p.y ?? 2, p.z);
-        }
-        carObjects[0].rotation.set(0, yaw, 0);
-      }
+      const car = simulation.cars[0];
+      if (!car) return;
+      const target =
+        p && typeof p.x === "number"
+          ? { x: p.x, y: p.y ?? 2, z: p.z }
+          : car.object.position.clone();
+      simulation.teleportCar(0, target, yaw);
       console.log("Car1 set to", { position: p, yaw });
     } catch (e) {
       console.error("Failed to set Car1 transform", e);
@@ -414,11 +527,223 @@ const carCurrentPositions = carPositions.map(
   });
 
   const raceFolder = gui.addFolder("Race Controls");
+  const sessionState = {
+    laps: simulation.session.laps,
+    phase: simulation.session.phase,
+    start: () => simulation.startRace({ laps: sessionState.laps }),
+    abort: () => simulation.abortRace(),
+  };
+  raceFolder.add(sessionState, "laps", 1, 50, 1).name("Race Laps");
+  raceFolder.add(sessionState, "start").name("Start Race (Grid)");
+  raceFolder.add(sessionState, "abort").name("Abort Session");
+  raceFolder.add(simulation, "aiSpeedProfile").name("AI Speed Profile");
+  raceFolder
+    .add(sessionState, "phase")
+    .name("Session Phase")
+    .disable()
+    .listen();
+  simulation.session.on("phase", ({ phase }) => {
+    sessionState.phase = phase;
+    if (phase === "grid") clearTrackLimitMarkers();
+  });
+  simulation.session.on("finish", (e) => {
+    console.log(
+      `Car ${e.carIndex + 1} finished P${e.position} in ${e.totalTime.toFixed(
+        3
+      )}s`
+    );
+  });
+  // Race event log: contacts, retirements, track limits, resets and replays
+  simulation.eventLog.on("entry", (e) => {
+    if (e.type === "contact") {
+      const [a, b] = e.cars;
+      console.log(
+        `Contact: Car ${a + 1} (${e.zones[0]}) and Car ${b + 1} (${
+          e.zones[1]
+        }) at ${(e.speed * 3.6).toFixed(0)} km/h`
+      );
+    } else if (e.type === "retired") {
+      console.log(`Car ${e.carIndex + 1} retired: ${e.reason}`);
+    } else if (e.type === "trackLimits") {
+      const outcome = [
+        e.invalidateLap && "lap deleted",
+        e.penalty > 0 && `+${e.penalty}s penalty`,
+      ].filter(Boolean);
+      console.log(
+        `Car ${e.carIndex + 1} track limits #${e.count}: ${
+          outcome.join(", ") || "warning"
+        }`
+      );
+      addTrackLimitMarker(e.position);
+    } else if (e.type === "reset") {
+      console.log(
+        `Car ${e.carIndex + 1} reset to the racing line: ${e.reason}`
+      );
+    } else if (e.type === "replayEnd") {
+      console.log(`Car ${e.carIndex + 1} replay finished`);
+    }
+  });
   controlState.cars.forEach((state, i) => {
-    raceFolder.add(state, "speed", 0, 0.05, 0.001).name(`Car ${i + 1} Speed`);
+    raceFolder
+      .add(state, "speed", 0, 100, 0.5)
+      .name(`Car ${i + 1} Speed (m/s)`);
   });
   raceFolder.open();
 
+  // Pit stops: requests from here, the console (simulation.requestPitStop(i))
+  // or the every-N-laps strategy
+  const pitLane = simulation.pitLane;
+  if (pitLane) {
+    const pitFolder = gui.addFolder("Pit Stops");
+    pitFolder
+      .add(pitLane, "speedLimitKph", 40, 120, 1)
+      .name("Speed Limit (km/h)");
+    pitFolder.add(pitLane, "serviceTime", 0, 20, 0.1).name("Service Time (s)");
+    pitFolder.add(pitLane, "everyLaps", 0, 20, 1).name("Box Every N Laps");
+    const pitActions = {};
+    controlState.cars.forEach((_, i) => {
+      pitActions[`box${i}`] = () => simulation.requestPitStop(i);
+      pitFolder.add(pitActions, `box${i}`).name(`Box Car ${i + 1}`);
+    });
+    pitFolder.close();
+
+    pitLane.on("request", (e) =>
+      console.log(`Car ${e.carIndex + 1}: box, box`)
+    );
+    pitLane.on("stop", (e) =>
+      console.log(
+        `Car ${e.carIndex + 1} stopped in its box (${e.serviceTime.toFixed(
+          1
+        )}s)`
+      )
+    );
+    pitLane.on("exit", (e) =>
+      console.log(`Car ${e.carIndex + 1} left the pit lane (stops: ${e.stops})`)
+    );
+  }
+
+  // Tyres: compound for the next stop (or a fresh set now)
+  const tyresFolder = gui.addFolder("Tyres");
+  simulation.cars.forEach((car) => {
+    const tyreState = {
+      next: car.tyre.compound,
+      fitNow: () => simulation.fitTyres(car.index, tyreState.next),
+    };
+    tyresFolder
+      .add(tyreState, "next", f1CarSpecs.tyreCompounds)
+      .name(`Car ${car.index + 1} Next Tyre`)
+      .onChange((value) => {
+        car.nextCompound = value;
+      });
+    tyresFolder.add(tyreState, "fitNow").name(`Fit Car ${car.index + 1}`);
+  });
+  tyresFolder.close();
+
+  // Engine modes: fuel burn against acceleration and top speed
+  const engineFolder = gui.addFolder("Engine & Fuel");
+  simulation.cars.forEach((car) => {
+    engineFolder
+      .add(car.energy, "mode", f1CarSpecs.engineModes)
+      .name(`Car ${car.index + 1} Mode`)
+      .onChange((mode) => simulation.setEngineMode(car.index, mode))
+      .listen();
+  });
+  engineFolder.close();
+
+  // Drivetrain: gearbox mode and brake balance per car
+  const drivetrainFolder = gui.addFolder("Drivetrain");
+  simulation.cars.forEach((car) => {
+    drivetrainFolder
+      .add(car.drivetrain, "gearbox", ["auto", "manual"])
+      .name(`Car ${car.index + 1} Gearbox`)
+      .onChange((mode) => simulation.setGearbox(car.index, mode))
+      .listen();
+    drivetrainFolder
+      .add(car, "brakeBias", 0.3, 0.7, 0.01)
+      .name(`Car ${car.index + 1} Brake Bias`);
+  });
+  drivetrainFolder.close();
+
+  // Lap timing: sectors and which path the start/finish line sits on
+  const timingFolder = gui.addFolder("Timing");
+  const timingState = {
+    sectors: simulation.timing.sectors,
+    path: "(race path)",
+    showTower: APP_MODE === "index",
+    printResults: () => {
+      console.table(
+        simulation.timing.getResults().map((r) => ({
+          car: r.carIndex + 1,
+          laps: r.lapsCompleted,
+          last: r.lastLap ? r.lastLap.time.toFixed(3) : "-",
+          best: r.bestLap ? r.bestLap.time.toFixed(3) : "-",
+          pits: simulation.pitLane
+            ? simulation.pitLane.getCarState(r.carIndex).stops
+            : 0,
+        }))
+      );
+    },
+  };
+  timingFolder
+    .add(timingState, "sectors", 1, 6, 1)
+    .name("Sectors")
+    .onChange((n) => simulation.timing.setSectors(n));
+  const timingPathCtrl = timingFolder
+    .add(timingState, "path", ["(race path)", ...getSavedPathNames()])
+    .name("Timed Path")
+    .onChange((name) => {
+      const saved = name === "(race path)" ? null : getSavedPath(name);
+      const created = saved ? createLineFromSavedPath(saved) : null;
+      if (created) {
+        simulation.timing.setPath(created.curve, created.line);
+      } else {
+        simulation.timing.setPath(racePath, racePathLine);
+      }
+    });
+  timingFolder
+    .add(timingState, "showTower")
+    .name("Timing Tower")
+    .onChange((v) => timingTower.setVisible(v));
+  timingFolder.add(timingState, "printResults").name("Print Results");
+  timingFolder.close();
+
+  // Driver assists for the player car: each one on/off with a strength, and
+  // the path the steering and braking assists follow
+  const assistsFolder = gui.addFolder("Driver Assists");
+  const assistNames = {
+    tractionControl: "Traction Control",
+    abs: "ABS",
+    steering: "Steering Assist",
+    braking: "Braking Assist",
+  };
+  for (const [assist, name] of Object.entries(assistNames)) {
+    const settings = simulation.assists[assist];
+    assistsFolder.add(settings, "enabled").name(name);
+    assistsFolder
+      .add(settings, "strength", 0, 1, 0.05)
+      .name(`${name} Strength`);
+  }
+  const assistState = { path: "(car path)" };
+  const assistPathCtrl = assistsFolder
+    .add(assistState, "path", ["(car path)", ...getSavedPathNames()])
+    .name("Reference Path")
+    .onChange((name) => {
+      const saved = name === "(car path)" ? null : getSavedPath(name);
+      simulation.setAssistPath(saved ? createLineFromSavedPath(saved) : null);
+    });
+  if (APP_MODE === "simulation") assistsFolder.open();
+  else assistsFolder.close();
+
+  simulation.timing.on("lap", (e) => {
+    console.log(
+      `Car ${e.carIndex + 1} lap ${e.lap}: ${e.time.toFixed(3)}s [${e.sectors
+        .map((t) => t.toFixed(3))
+        .join(" | ")}]${e.overallBest ? " (overall best)" : ""}${
+        !e.overallBest && e.personalBest ? " (personal best)" : ""
+      }${e.flags.length ? ` {${e.flags.join(", ")}}` : ""}`
+    );
+  });
+
   // GUI controls for the race path overlay
   const pathFolder = gui.addFolder("Race Path Overlay");
   const pathState = {
@@ -430,6 +755,7 @@ const carCurrentPositions = carPositions.map(
     rotationX: 0,
     xOffset: 0,
     zOffset: 0,
+    speedProfile: true,
   };
   // Initialize line with state values
   if (racePathLine) {
@@ -465,6 +791,7 @@ const carCurrentPositions = carPositions.map(
     .name("Scale")
     .onChange((s) => {
       if (racePathLine) racePathLine.scale.setScalar(s);
+      refreshSpeedProfileOverlays();
     });
   pathFolder
     .add(pathState, "rotationY", -Math.PI, Math.PI, 0.01)
@@ -489,7 +816,12 @@ const carCurrentPositions = carPositions.map(
     .name("Rotation X")
     .onChange((r) => {
       if (racePathLine) racePathLine.rotation.x = r;
+      refreshSpeedProfileOverlays();
     });
+  pathFolder
+    .add(pathState, "speedProfile")
+    .name("Speed Profile")
+    .onChange(() => refreshSpeedProfileOverlays());
   pathFolder.open();
 
   // Path creator UI
@@ -510,7 +842,7 @@ const carCurrentPositions = carPositions.map(
     isRecording: false,
     closeLoop: true,
     resampleCount: 800,
-    speed: controlState.cars[0]?.speed ?? 0.01,
+    speed: controlState.cars[0]?.speed ?? pathRecorderConfig.defaultSpeed,
     start: () => {
       const ok = startCreatePathRecording({
         name: recordState.name,
@@ -519,6 +851,8 @@ const carCurrentPositions = carPositions.map(
       });
       if (ok) {
         recordState.isRecording = true;
+        // The driver's input too, to replay the drive as a ghost
+        simulation.startInputRecording(simulation.playerIndex);
         console.log("Recording started for", recordState.name);
       }
     },
@@ -526,16 +860,27 @@ const carCurrentPositions = carPositions.map(
       const saved = stopCreatePathRecording({
         closeLoop: recordState.closeLoop,
         resampleCount: recordState.resampleCount,
+        inputRecording: simulation.stopInputRecording(),
       });
       recordState.isRecording = false;
-      if (saved) {
+      if (saved && !saved.stored.path) {
+        console.error("Path could not be saved (storage full?):", saved);
+      } else if (saved) {
         console.log("Saved path:", saved);
+        if (!saved.stored.inputRecording) {
+          console.warn(
+            "Drive input could not be saved; no ghost for",
+            saved.name
+          );
+        }
       }
       refreshSavedList();
     },
   };
   recordFolder.add(recordState, "name").name("Path Name");
-  recordFolder.add(recordState, "speed", 0, 0.1, 0.001).name("Default Speed");
+  recordFolder
+    .add(recordState, "speed", 0, 100, 0.5)
+    .name("Default Speed (m/s)");
   recordFolder.add(recordState, "closeLoop").name("Close Loop");
   recordFolder.add(recordState, "resampleCount", 50, 2000, 1).name("Samples");
   recordFolder.add(recordState, "start").name("Start Recording");
@@ -543,6 +888,78 @@ const carCurrentPositions = carPositions.map(
   if (APP_MODE === "simulation") recordFolder.open();
   else recordFolder.close();
 
+  // Ghost: a drive saved with a path, replayed from its input next to the
+  // player, or on the player's own car
+  const ghostFolder = gui.addFolder("Ghost");
+  const getGhostOptions = () => [
+    "(none)",
+    ...getSavedPathNames().filter((name) => hasSavedInputRecording(name)),
+  ];
+  const getGhostRecording = () => {
+    const recording = getSavedInputRecording(ghostState.recording);
+    if (!recording) console.warn("No drive saved with", ghostState.recording);
+    return recording;
+  };
+  const ghostState = {
+    recording: "(none)",
+    race: () => {
+      const recording = getGhostRecording();
+      const model = carObjects[simulation.playerIndex];
+      if (!recording || !model) return;
+      ghost =
+        ghost ||
+        createGhost({
+          scene,
+          model,
+          // Same track, paths, surfaces and physics setup as the page; a
+          // physics ghost gets a worker of its own
+          createSimulation: (rec) => {
+            const ghostWorker =
+              physicsWorker && rec.initial.physics
+                ? createPhysicsWorker()
+                : null;
+            const ghostSimulation = new Simulation({
+              racePath,
+              racePathTransform: racePathLine,
+              physicsEnabled: rec.initial.physics,
+              remotePhysics: ghostWorker && new RemotePhysics(ghostWorker),
+              assists: rec.assists || {},
+              getGroundY: (x, z) => getGroundYAt(x, z),
+              getSurfaceAt: (x, z) => getSurfaceAt(trackObject, x, z),
+            });
+            ghostSimulation.addTrack(trackObject);
+            ghostSimulation.setCarPaths([perCarPaths[rec.carIndex] || null]);
+            ghostSimulation.setAssistPath(simulation.assistPath);
+            return ghostSimulation;
+          },
+          onLap: (e) =>
+            console.log(`Ghost lap ${e.lap}: ${e.time.toFixed(3)}s`),
+        });
+      ghost.start(recording);
+      console.log(
+        `Ghost started: ${getRecordingDuration(recording).toFixed(1)}s`
+      );
+    },
+    replay: () => {
+      const recording = getGhostRecording();
+      if (recording) {
+        simulation.playInputRecording(recording, simulation.playerIndex);
+      }
+    },
+    stop: () => {
+      if (ghost) ghost.stop();
+      simulation.stopInputReplay(simulation.playerIndex);
+    },
+  };
+  const ghostRecordingCtrl = ghostFolder
+    .add(ghostState, "recording", getGhostOptions())
+    .name("Saved Drive");
+  ghostFolder.add(ghostState, "race").name("Race Ghost");
+  ghostFolder.add(ghostState, "replay").name("Replay on My Car");
+  ghostFolder.add(ghostState, "stop").name("Stop Ghost / Replay");
+  if (APP_MODE === "simulation") ghostFolder.open();
+  else ghostFolder.close();
+
   // Saved paths UI per car
   const savedPathsFolder = gui.addFolder("Assign Saved Paths");
   const savedState = {
@@ -578,6 +995,9 @@ const carCurrentPositions = carPositions.map(
 
   function refreshSavedList() {
     savedState.options = ["(none)", ...getSavedPathNames()];
+    timingPathCtrl.options(["(race path)", ...getSavedPathNames()]);
+    assistPathCtrl.options(["(car path)", ...getSavedPathNames()]);
+    ghostRecordingCtrl.options(getGhostOptions());
     // Update options on existing controllers if present
     if (savedControllers.length) {
       for (const { ctrl } of savedControllers) {
@@ -589,7 +1009,7 @@ const carCurrentPositions = carPositions.map(
     }
   }
 
-  let perCarPaths = [];
+  let perCarPaths = []; // Optional per-car overrides built from saved paths
   function rebuildPerCarPaths() {
     // Remove any prior lines from scene
     perCarPaths.forEach((p) => {
@@ -614,18 +1034,42 @@ const carCurrentPositions = carPositions.map(
         scene.add(created.line);
         perCarPaths[i] = created;
         // Sync speed with saved params if present
-        if (saved.params && typeof saved.params.speed === "number") {
-          if (controlState.cars[i])
-            controlState.cars[i].speed = saved.params.speed;
+        const speed = getSavedPathSpeed(saved, created);
+        if (speed !== null && controlState.cars[i]) {
+          controlState.cars[i].speed = speed;
         }
       } else {
         perCarPaths[i] = null;
       }
     }
+    simulation.setCarPaths(perCarPaths);
+    refreshSpeedProfileOverlays();
+  }
+
+  // Speed profile overlay: each AI path coloured from red (slowest) to green
+  function refreshSpeedProfileOverlays() {
+    const paths = [{ curve: racePath, line: racePathLine }, ...perCarPaths];
+    for (const path of paths) {
+      if (!path || !path.line) continue;
+      const old = path.line.getObjectByName("speedProfile");
+      if (old) {
+        path.line.remove(old);
+        old.geometry.dispose();
+        old.material.dispose();
+      }
+      if (!pathState.speedProfile) continue;
+      path.line.add(
+        createSpeedProfileLine(
+          path.curve,
+          getSpeedProfile(path.curve, path.line)
+        )
+      );
+    }
   }
 
   buildSavedControllers();
   refreshSavedList();
+  refreshSpeedProfileOverlays();
   if (APP_MODE === "index") savedPathsFolder.open();
 
   // Add lighting controls
@@ -1022,7 +1466,7 @@ const carCurrentPositions = carPositions.map(
 
   // Path recorder helpers in console
   window.exportRecordedPathJSON = () => {
-    const arr = pathRecorder.points.map((p) => [p.x, p.y, p.z]);
+    const arr = simulation.recorder.points.map((p) => [p.x, p.y, p.z]);
     const json = JSON.stringify({ racePathPoints: arr }, null, 2);
     console.log(json);
 
@@ -1041,7 +1485,8 @@ const carCurrentPositions = carPositions.map(
           scale: { x: 1, y: 1, z: 1 },
         },
         params: {
-          speed: 0.01,
+          speed: pathRecorderConfig.defaultSpeed,
+          speedUnit: "m/s",
         },
         racePathPoints: arr,
       };
@@ -1060,16 +1505,16 @@ const carCurrentPositions = carPositions.map(
     return json;
   };
   window.clearRecordedPath = () => {
-    pathRecorder.points.length = 0;
+    simulation.recorder.points.length = 0;
     console.log("Recorder cleared");
   };
   window.buildClosedPathFromRecording = (sampleCount = 800) => {
-    if (pathRecorder.points.length < 4) {
+    if (simulation.recorder.points.length < 4) {
       console.warn("Not enough points recorded.");
       return null;
     }
     // Close the loop by connecting end to start
-    const pts = pathRecorder.points.slice();
+    const pts = simulation.recorder.points.slice();
     pts.push(pts[0].clone());
     const curve = new THREE.CatmullRomCurve3(pts, true, "catmullrom");
     const spaced = curve.getSpacedPoints(sampleCount - 1);
@@ -1092,7 +1537,8 @@ const carCurrentPositions = carPositions.map(
           scale: { x: 1, y: 1, z: 1 },
         },
         params: {
-          speed: 0.01,
+          speed: pathRecorderConfig.defaultSpeed,
+          speedUnit: "m/s",
         },
         racePathPoints: spacedPoints,
       };
@@ -1112,7 +1558,7 @@ const carCurrentPositions = carPositions.map(
   };
 
   initializePathEditor(scene, helperCamera, renderer.domElement, trackObject);
-  initializeCreatePath(() => carObjects[0]?.position?.clone());
+  initializeCreatePath(() => simulation.cars[0]?.object.position.clone());
   setOverlayLineForRecording(racePathLine);
 
   animate(0);
@@ -1130,176 +1576,118 @@ window.addEventListener("resize", onWindowResize);
 // Animation loop
 let lastTime = 0;
 function animate(time) {
-  const delta = Math.min((time - lastTime) / 1000, 1 / 20);
+  // Long frames (e.g. a background tab) are capped by the simulation's
+  // maxSubSteps
+  const delta = (time - lastTime) / 1000;
   lastTime = time;
 
-  // Step the physics world
-  if (world) {
-    world.step(1 / 60, delta, 3);
-  }
-
-  // Animate cars based on the current mode
-  if (controlState.raceMode) {
-    try {
-      updateCarAI(
-        carObjects,
-        carBodies,
-        controlState.cars,
-        racePath,
-        racePathLine,
-        delta,
-        perCarPaths
-      );
-      // Snap cars to the track surface after AI update
-      for (const car of carObjects) {
-        if (car) snapCarToTrack(car);
-      }
-    } catch (error) {
-      console.error("An error occurred during car AI update:", error);
-      controlState.raceMode = false;
-    }
-  } else {
-    // PHYSICS-DRIVEN MODE
-    for (let i = 0; i < carObjects.length; i++) {
-      const car = carObjects[i];
-      const body = carBodies[i];
-      if (!car) continue;
-
-      // Sync visual object if physics enabled
-      if (world && body) {
-        car.position.copy(body.position);
-        car.quaternion.copy(body.quaternion);
-      }
-
-      // Apply keyboard controls to the first car
-      if (i === 0) {
-        if (world && body) {
-          updateCarControls(body, delta, (pos, vel) => {
-            console.log(
-              `Car1 position: x=${pos.x.toFixed(2)}, y=${pos.y.toFixed(
-                2
-              )}, z=${pos.z.toFixed(2)} | velocity: x=${vel.x.toFixed(
-                2
-              )}, y=${vel.y.toFixed(2)}, z=${vel.z.toFixed(2)}`
-            );
-          });
-        } else {
-          // Kinematic controller with acceleration, drag, and optional strafing (hold Shift)
-          if (!car.userData.velocity)
-            car.userData.velocity = new THREE.Vector3();
-          const vel = car.userData.velocity;
-
-          const isForward = !!keyState[keyboardControls.forward];
-          const isBackward = !!keyState[keyboardControls.backward];
-          const isLeft = !!keyState[keyboardControls.left];
-          const isRight = !!keyState[keyboardControls.right];
-          const yawLeft = !!keyState[keyboardControls.yawLeft];
-          const yawRight = !!keyState[keyboardControls.yawRight];
-          const isStrafe = !!keyState[keyboardControls.modifierStrafe];
-
-          // Steering with A/D (unless strafing)
-          if (!isStrafe) {
-            const steer = (yawLeft ? 1 : 0) - (yawRight ? 1 : 0);
-            car.rotation.y += steer * kinematicMovement.yawSpeed * delta;
-          }
+  // Advance the headless simulation in fixed steps with the latest driver
+  // input: keys, plus the analog channels of a connected gamepad and the
+  // touch controls
+  simulation.setInput(simulation.playerIndex, {
+    ...readKeyboardInput(inputActions),
+    ...mergeAnalogInputs(
+      readGamepadInput(),
+      touchControls
+        ? touchControls.getInput()
+        : { throttle: 0, brake: 0, steer: 0 }
+    ),
+  });
+  simulation.advance(delta);
+  updateCreatePath(delta);
+  if (ghost) ghost.update(delta);
+  syncCarModels();
+  raceOverlay.update(simulation.session);
+  timingTower.update({
+    time: simulation.time,
+    standings: simulation.leaderboard.getStandings(),
+    getCarTiming: (i) => simulation.timing.getCarTiming(i),
+    getTyre: (i) => {
+      const tyre = simulation.cars[i]?.tyre;
+      return tyre && `${tyre.compound[0]} ${Math.round(tyre.wear)}%`;
+    },
+    getPit: (i) => simulation.pitLane && simulation.pitLane.getCarState(i),
+    selectedCarIndex: cameraManager && cameraManager.getSelectedCarIndex(),
+  });
 
-          const quat = new THREE.Quaternion().setFromEuler(car.rotation);
-          const fwd = new THREE.Vector3(0, 0, 1).applyQuaternion(quat);
-          const rightV = new THREE.Vector3(1, 0, 0).applyQuaternion(quat);
-          const accel = new THREE.Vector3();
-          if (isForward)
-            accel.addScaledVector(fwd, kinematicMovement.accelForward);
-          if (isBackward)
-            accel.addScaledVector(fwd, -kinematicMovement.accelForward * 0.7);
-          if (isStrafe) {
-            if (isRight)
-              accel.addScaledVector(rightV, kinematicMovement.accelStrafe);
-            if (isLeft)
-              accel.addScaledVector(rightV, -kinematicMovement.accelStrafe);
-          }
-          vel.addScaledVector(accel, delta);
-
-          // Drag / braking
-          const drag =
-            isBackward && !isForward
-              ? kinematicMovement.brakeDrag
-              : kinematicMovement.drag;
-          vel.addScaledVector(vel, -drag * delta);
-
-          // Clamp speed
-          const speed = vel.length();
-          if (speed > kinematicMovement.maxSpeed) {
-            vel.multiplyScalar(kinematicMovement.maxSpeed / speed);
-          }
+  // HUD follows the selected car, AI or player driven
+  const hudCar =
+    simulation.cars[
+      cameraManager
+        ? cameraManager.getSelectedCarIndex()
+        : simulation.playerIndex
+    ];
+  if (showHUD && hudCar) {
+    const { speedKph, rpm, gear } = hudCar.telemetry;
+    updateHUD(hudElements, {
+      speed: speedKph,
+      rpm,
+      gear,
+      tyre: hudCar.tyre,
+      energy: hudCar.energy,
+      surface: hudCar.surface,
+      input: {
+        throttle: hudCar.throttle,
+        brake: hudCar.brake,
+        steer: hudCar.steer,
+      },
+      assists: hudCar.assists,
+    });
+  }
 
-          // Integrate
-          car.position.addScaledVector(vel, delta);
-          snapCarToTrack(car);
-
-          // Calculate F1 car data for HUD
-          const speedKph = speed * 3.6; // Convert units/sec to km/h
-          const maxSpeedRatio = speedKph / f1CarSpecs.maxSpeedKph;
-
-          // Simulate RPM based on speed
-          const rpm =
-            f1CarSpecs.idleRPM +
-            (f1CarSpecs.maxRPM - f1CarSpecs.idleRPM) *
-              Math.min(1, maxSpeedRatio * 1.2);
-
-          // Simulate gear based on RPM and speed
-          let gear = 0; // Neutral
-          if (speedKph > 0) {
-            gear =
-              1 +
-              Math.min(
-                f1CarSpecs.gears - 1,
-                Math.floor(maxSpeedRatio * f1CarSpecs.gears)
-              );
-          }
+  // Kerbs and run-off shake the chase camera, more with speed
+  if (cameraManager && hudCar) {
+    cameraManager.setShake(
+      hudCar.surface.vibration * Math.min(1, hudCar.telemetry.speed / 20)
+    );
+  }
 
-          // Update HUD
-          if (showHUD) {
-            updateHUD(hudElements, { speed: speedKph, rpm, gear });
-          }
+  // Live aero and damage numbers for the followed car in the debug overlay
+  // (Ctrl+D)
+  if (hudCar && debugOverlay.overlay.style.display !== "none") {
+    const { aero, damage } = hudCar;
+    const percent = (part) => `${Math.round(damage[part] * 100)}%`;
+    debugOverlay.updateCustom(`
+      <h3>Aero (Car ${hudCar.index + 1})</h3>
+      <div>Speed: ${(aero.speed * 3.6).toFixed(0)} km/h</div>
+      <div>Downforce: ${(aero.downforce / 1000).toFixed(
+        2
+      )} kN (${aero.loadFactor.toFixed(2)}x weight)</div>
+      <div>Drag: ${(aero.drag / 1000).toFixed(2)} kN (${aero.dragDecel.toFixed(
+      1
+    )} m/s²)</div>
+      <div>Cornering limit: ${(aero.lateralLimit / GRAVITY).toFixed(2)} g</div>
+      <h3>Damage${damage.retired ? " (retired)" : ""}</h3>
+      <div>Front wing: ${percent("frontWing")}</div>
+      <div>Floor: ${percent("floor")}</div>
+      <div>Suspension: ${percent("suspension")}</div>
+    `);
+  }
 
-          // Debug log while moving (10 Hz)
-          if (speed > 0.5) {
-            car.userData._logT = (car.userData._logT || 0) + delta;
-            if (car.userData._logT > 0.1) {
-              car.userData._logT = 0;
-              console.log(
-                `Car1 pos: x=${car.position.x.toFixed(
-                  2
-                )}, y=${car.position.y.toFixed(2)}, z=${car.position.z.toFixed(
-                  2
-                )}, yaw=${car.rotation.y.toFixed(2)}, speed=${speedKph.toFixed(
-                  1
-                )} km/h, gear=${gear}`
-              );
-            }
-          }
-        }
-      } else {
-        // Lerp other cars to target positions from GUI
-        const target = carPositions[i];
-        const targetVec = new CANNON.Vec3(target.x, target.y, target.z);
-        if (world && body) {
-          body.position.lerp(targetVec, movementLerp, body.position);
-          body.velocity.set(0, 0, 0); // Reset velocity
-        } else {
-          car.position.lerp(
-            new THREE.Vector3(target.x, target.y, target.z),
-            movementLerp
-          );
-          snapCarToTrack(car);
-        }
+  // Player car debug log (kinematic driving outside race mode)
+  const player = simulation.cars[simulation.playerIndex];
+  const playerDriving = !simulation.raceMode || simulation.playerRaces;
+  if (playerDriving && player && !player.body) {
+    const { speedKph, gear } = player.telemetry;
+
+    // Debug log while moving (10 Hz)
+    if (player.telemetry.speed > 0.5) {
+      player.object.userData._logT =
+        (player.object.userData._logT || 0) + delta;
+      if (player.object.userData._logT > 0.1) {
+        player.object.userData._logT = 0;
+        const pos = player.object.position;
+        console.log(
+          `Car1 pos: x=${pos.x.toFixed(2)}, y=${pos.y.toFixed(
+            2
+          )}, z=${pos.z.toFixed(2)}, yaw=${player.object.rotation.y.toFixed(
+            2
+          )}, speed=${speedKph.toFixed(1)} km/h, gear=${gear}`
+        );
       }
     }
   }
 
-  // Update path recording each frame (world mode)
-  updateCreatePath(delta);
-
   // Update active camera (follow/helper) every frame
   cameraManager.update();
 
@@ -1333,29 +1721,33 @@ function animate(time) {
     renderer.autoClear = true;
   }
 
-  // Record path while driving Car 1 (non-race mode)
-  if (!controlState.raceMode && pathRecorder.recording && carObjects[0]) {
-    const p = carObjects[0].position;
-    const last = pathRecorder.points[pathRecorder.points.length - 1];
-    if (
-      !last ||
-      p.distanceToSquared(last) > pathRecorder.minSampleDistance ** 2
-    ) {
-      pathRecorder.points.push(p.clone());
-    }
-  }
-
   requestAnimationFrame(animate);
 }
 
-// Keyboard: path recording toggle with 'r'
-window.addEventListener("keydown", (e) => {
-  if (e.key.toLowerCase() === "r") {
-    pathRecorder.recording = !pathRecorder.recording;
+// Key actions: path recording toggle, the key bindings overlay, and while
+// driving the engine mode, gear paddles and a reset to the racing line
+inputActions.on("press", ({ action }) => {
+  const driving = APP_MODE === "simulation";
+  if (action === "engineMode" && driving) {
+    const mode = simulation.cycleEngineMode(simulation.playerIndex);
+    if (mode) console.log(`Engine mode: ${mode}`);
+  }
+  if (action === "shiftUp" && driving) {
+    simulation.shiftUp(simulation.playerIndex);
+  }
+  if (action === "shiftDown" && driving) {
+    simulation.shiftDown(simulation.playerIndex);
+  }
+  if (action === "resetCar" && driving) {
+    simulation.recoverCar(simulation.playerIndex);
+  }
+  if (action === "recordToggle") {
+    simulation.recorder.recording = !simulation.recorder.recording;
     console.log(
-      `Recorder: ${pathRecorder.recording ? "started" : "stopped"} | points=${
-        pathRecorder.points.length
-      }`
+      `Recorder: ${
+        simulation.recorder.recording ? "started" : "stopped"
+      } | points=${simulation.recorder.points.length}`
     );
   }
+  if (action === "toggleHelp") keyBindingsOverlay.toggle();
 });
@@ -127,6 +127,7 @@ function savePathToLocalStorage(name, points) {
       },
       params: {
         speed: CONFIG.path.recorder.defaultSpeed,
+        speedUnit: "m/s",
       },
       racePathPoints: points,
     };
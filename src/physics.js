@@ -1,8 +1,21 @@
 import * as CANNON from "cannon-es";
 import * as THREE from "three";
-import { physicsConfig } from "./config.js";
+import { physicsConfig, f1CarSpecs, aeroConfig } from "./config.js";
+import { getAero } from "./aero.js";
 import { threeToCannon, ShapeType } from "three-to-cannon";
 
+// Collision filter groups. Car bodies only collide with the track and other
+// static bodies; car-to-car contact is handled by the simulation
+// (see collisions.js) so AI cars placed on their path each step do not kick
+// the player's body.
+export const COLLISION_GROUPS = { static: 1, car: 2 };
+
+// Puts a car body in the car group
+function setCarCollisionFilter(body) {
+  body.collisionFilterGroup = COLLISION_GROUPS.car;
+  body.collisionFilterMask = COLLISION_GROUPS.static;
+}
+
 export function createPhysicsWorld() {
   const world = new CANNON.World();
   world.gravity.set(
@@ -54,19 +67,386 @@ export function createTrackBody(trackObject) {
   return trackBody;
 }
 
-export function createCarBody(position) {
+/**
+ * Every mesh under `trackObject` merged into one triangle list in world
+ * space, in buffers that can be transferred to the physics worker.
+ * @param {THREE.Object3D} trackObject
+ * @returns {{positions:Float32Array,indices:Uint32Array}}
+ */
+export function getTrackGeometry(trackObject) {
+  trackObject.updateMatrixWorld(true);
+  const positions = [];
+  const indices = [];
+  trackObject.traverse((node) => {
+    if (!node.isMesh || !node.geometry.attributes.position) return;
+    const geometry = node.geometry.clone().applyMatrix4(node.matrixWorld);
+    const position = geometry.attributes.position;
+    const first = positions.length / 3;
+    for (let i = 0; i < position.count; i++) {
+      positions.push(position.getX(i), position.getY(i), position.getZ(i));
+    }
+    if (geometry.index) {
+      for (let i = 0; i < geometry.index.count; i++) {
+        indices.push(first + geometry.index.getX(i));
+      }
+    } else {
+      for (let i = 0; i < position.count; i++) indices.push(first + i);
+    }
+  });
+  return {
+    positions: new Float32Array(positions),
+    indices: new Uint32Array(indices),
+  };
+}
+
+/**
+ * Mesh for `createTrackBody` from `getTrackGeometry` data.
+ * @param {{positions:Float32Array,indices:Uint32Array}} geometry
+ * @returns {THREE.Mesh}
+ */
+export function createTrackMesh({ positions, indices }) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  return new THREE.Mesh(geometry);
+}
+
+/**
+ * Collision shapes for a car in the model's frame (model origin, +Z
+ * forward): the `carDimensions` box, the model's bounding box or a convex
+ * hull per model mesh built with three-to-cannon. Without a model the box is
+ * used whatever the type.
+ * @param {THREE.Object3D|null=} model - Loaded car model
+ * @param {("box"|"bounds"|"hulls")=} type
+ * @returns {{shape:CANNON.Shape,offset:CANNON.Vec3,quaternion:CANNON.Quaternion}[]}
+ */
+export function createCarShapes(model = null, type = physicsConfig.carShape) {
+  if (!model || type === "box") {
+    const { x, y, z } = physicsConfig.carDimensions;
+    return [
+      {
+        shape: new CANNON.Box(new CANNON.Vec3(x / 2, y / 2, z / 2)),
+        offset: new CANNON.Vec3(0, 0, 0),
+        quaternion: new CANNON.Quaternion(),
+      },
+    ];
+  }
+
+  // Mesh geometry in the model's frame, keeping the model's own scale
+  model.updateMatrixWorld(true);
+  const position = new THREE.Vector3();
+  const rotation = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  model.matrixWorld.decompose(position, rotation, scale);
+  const toModel = new THREE.Matrix4()
+    .compose(position, rotation, new THREE.Vector3(1, 1, 1))
+    .invert();
+  const geometries = [];
+  model.traverse((node) => {
+    if (!node.isMesh || !node.geometry.attributes.position) return;
+    const matrix = new THREE.Matrix4().multiplyMatrices(
+      toModel,
+      node.matrixWorld
+    );
+    geometries.push(node.geometry.clone().applyMatrix4(matrix));
+  });
+
+  if (type === "hulls") {
+    const shapes = [];
+    for (const geometry of geometries) {
+      // Cannon expects hull vertices around the shape's own origin
+      geometry.computeBoundingBox();
+      const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+      const result = threeToCannon(
+        new THREE.Mesh(
+          geometry.clone().translate(-center.x, -center.y, -center.z)
+        ),
+        { type: ShapeType.HULL }
+      );
+      if (result) {
+        shapes.push({
+          shape: result.shape,
+          offset: new CANNON.Vec3(center.x, center.y, center.z),
+          quaternion: new CANNON.Quaternion(),
+        });
+      }
+    }
+    if (shapes.length) return shapes;
+  }
+
+  const bounds = new THREE.Box3();
+  for (const geometry of geometries) {
+    geometry.computeBoundingBox();
+    bounds.union(geometry.boundingBox);
+  }
+  if (bounds.isEmpty()) return createCarShapes(null);
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+  return [
+    {
+      shape: new CANNON.Box(
+        new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)
+      ),
+      offset: new CANNON.Vec3(center.x, center.y, center.z),
+      quaternion: new CANNON.Quaternion(),
+    },
+  ];
+}
+
+/**
+ * Car shapes from `createCarShapes` as plain data that can be posted to the
+ * physics worker. Boxes and convex hulls are supported.
+ * @param {ReturnType<typeof createCarShapes>} shapes
+ * @returns {Object[]}
+ */
+export function serializeCarShapes(shapes) {
+  return shapes.map(({ shape, offset, quaternion }) => {
+    const data =
+      shape instanceof CANNON.Box
+        ? { type: "box", halfExtents: shape.halfExtents.toArray() }
+        : {
+            type: "convex",
+            vertices: shape.vertices.map((v) => v.toArray()),
+            faces: shape.faces.map((face) => [...face]),
+          };
+    return {
+      ...data,
+      offset: offset.toArray(),
+      quaternion: quaternion.toArray(),
+    };
+  });
+}
+
+/**
+ * Car shapes back from `serializeCarShapes`.
+ * @param {Object[]} data
+ * @returns {ReturnType<typeof createCarShapes>}
+ */
+export function deserializeCarShapes(data) {
+  return data.map(
+    ({ type, halfExtents, vertices, faces, offset, quaternion }) => ({
+      shape:
+        type === "box"
+          ? new CANNON.Box(new CANNON.Vec3(...halfExtents))
+          : new CANNON.ConvexPolyhedron({
+              vertices: vertices.map((v) => new CANNON.Vec3(...v)),
+              faces,
+            }),
+      offset: new CANNON.Vec3(...offset),
+      quaternion: new CANNON.Quaternion(...quaternion),
+    })
+  );
+}
+
+/**
+ * Mass and centre of mass for a car from `physicsConfig.carBodies`.
+ * @param {number} index - Car index
+ * @param {number} defaultMass - Mass (kg) when the car has none configured
+ * @returns {{mass:number,centerOfMass:CANNON.Vec3}} Centre of mass relative to the model origin
+ */
+export function getCarMassProperties(index, defaultMass) {
+  const { mass = defaultMass, centerOfMass = { x: 0, y: 0, z: 0 } } =
+    physicsConfig.carBodies[index] || {};
+  return {
+    mass,
+    centerOfMass: new CANNON.Vec3(
+      centerOfMass.x,
+      centerOfMass.y,
+      centerOfMass.z
+    ),
+  };
+}
+
+// Cannon bodies turn about their origin, so the shapes are placed around
+// the centre of mass
+function addCarShapes(body, shapes, centerOfMass) {
+  for (const { shape, offset, quaternion } of shapes) {
+    body.addShape(shape, offset.vsub(centerOfMass), quaternion);
+  }
+}
+
+/**
+ * Sliding box car body. The body's origin is the centre of mass, which sits
+ * at `centerOfMass` in the model's frame.
+ * @param {{x:number,y:number,z:number}} position - Centre of mass
+ * @param {{shapes?:ReturnType<typeof createCarShapes>,mass?:number,centerOfMass?:CANNON.Vec3}=} options
+ * @returns {CANNON.Body}
+ */
+export function createCarBody(
+  position,
+  {
+    shapes = createCarShapes(),
+    mass = physicsConfig.carMass,
+    centerOfMass = new CANNON.Vec3(0, 0, 0),
+  } = {}
+) {
   const carBody = new CANNON.Body({
-    mass: physicsConfig.carMass,
+    mass,
     position: new CANNON.Vec3(position.x, position.y, position.z),
-    shape: new CANNON.Box(
-      new CANNON.Vec3(
-        physicsConfig.carDimensions.x / 2,
-        physicsConfig.carDimensions.y / 2,
-        physicsConfig.carDimensions.z / 2
-      )
-    ),
   });
+  addCarShapes(carBody, shapes, centerOfMass);
   carBody.linearDamping = physicsConfig.linearDamping;
   carBody.angularDamping = physicsConfig.angularDamping;
+  setCarCollisionFilter(carBody);
   return carBody;
 }
+
+// Wheel order in vehicles from createCarVehicle
+export const FRONT_WHEELS = [0, 1];
+export const REAR_WHEELS = [2, 3];
+
+/**
+ * Four-wheel car on a cannon-es RaycastVehicle: suspension, steered front
+ * wheels and rear-wheel drive, tuned from `f1CarSpecs` (mass),
+ * `aeroConfig.tyreFriction` and `physicsConfig.vehicle`. Add it with `vehicle.addToWorld(world)`; the
+ * chassis is `vehicle.chassisBody`, whose origin is the centre of mass. The
+ * car faces +Z.
+ * @param {{x:number,y:number,z:number}} position - Centre of mass
+ * @param {{shapes?:ReturnType<typeof createCarShapes>,mass?:number,centerOfMass?:CANNON.Vec3}=} options - Chassis
+ *   shapes, mass and centre of mass in the model's frame
+ * @returns {CANNON.RaycastVehicle}
+ */
+export function createCarVehicle(
+  position,
+  {
+    shapes = createCarShapes(),
+    mass = f1CarSpecs.dryMass,
+    centerOfMass = new CANNON.Vec3(0, 0, 0),
+  } = {}
+) {
+  const v = physicsConfig.vehicle;
+  const chassisBody = new CANNON.Body({
+    mass,
+    position: new CANNON.Vec3(position.x, position.y, position.z),
+  });
+  addCarShapes(chassisBody, shapes, centerOfMass);
+  chassisBody.angularDamping = physicsConfig.angularDamping;
+  // Wheels only act while the chassis is awake
+  chassisBody.allowSleep = false;
+  setCarCollisionFilter(chassisBody);
+
+  const vehicle = new CANNON.RaycastVehicle({
+    chassisBody,
+    indexRightAxis: 0,
+    indexUpAxis: 1,
+    indexForwardAxis: 2,
+  });
+
+  const x = v.trackWidth / 2;
+  const z = v.wheelBase / 2;
+  // Front left, front right, rear left, rear right
+  for (const [cx, cz] of [
+    [x, z],
+    [-x, z],
+    [x, -z],
+    [-x, -z],
+  ]) {
+    vehicle.addWheel({
+      radius: v.wheelRadius,
+      directionLocal: new CANNON.Vec3(0, -1, 0),
+      axleLocal: new CANNON.Vec3(-1, 0, 0),
+      chassisConnectionPointLocal: new CANNON.Vec3(cx, 0, cz).vsub(
+        centerOfMass
+      ),
+      suspensionStiffness: v.suspensionStiffness,
+      suspensionRestLength: v.suspensionRestLength,
+      maxSuspensionTravel: v.maxSuspensionTravel,
+      maxSuspensionForce: 1e6,
+      dampingRelaxation: v.dampingRelaxation,
+      dampingCompression: v.dampingCompression,
+      frictionSlip: aeroConfig.tyreFriction,
+      rollInfluence: v.rollInfluence,
+      useCustomSlidingRotationalSpeed: true,
+      customSlidingRotationalSpeed: -30,
+    });
+  }
+  return vehicle;
+}
+
+/**
+ * Applies aero drag (against the velocity) and downforce (towards the car's
+ * floor) to a car body for the next world step. Forces are scaled from the
+ * real car mass to the body's mass, so light box bodies get the same
+ * accelerations.
+ * @param {CANNON.Body} body
+ * @returns {ReturnType<typeof getAero>} Aero numbers at the body's speed
+ */
+export function applyAeroForces(body) {
+  const speed = body.velocity.length();
+  const aero = getAero(speed);
+  if (speed < 1e-6) return aero;
+  const scale = body.mass / f1CarSpecs.dryMass;
+  // Both act through the centre of mass (applyForce's default point)
+  body.applyForce(body.velocity.scale((-aero.drag * scale) / speed));
+  const down = body.quaternion.vmult(new CANNON.Vec3(0, -1, 0));
+  body.applyForce(down.scale(aero.downforce * scale));
+  return aero;
+}
+
+/**
+ * Applies a surface's extra rolling resistance (share of g, e.g. from
+ * `surfaceConfig.types`) against the body's ground velocity for the next
+ * world step.
+ * @param {CANNON.Body} body
+ * @param {number} coefficient
+ */
+export function applyRollingResistance(body, coefficient) {
+  const speed = Math.hypot(body.velocity.x, body.velocity.z);
+  if (!coefficient || speed < 0.1) return;
+  const force = (coefficient * -physicsConfig.gravity.y * body.mass) / speed;
+  body.applyForce(
+    new CANNON.Vec3(-body.velocity.x * force, 0, -body.velocity.z * force)
+  );
+}
+
+/**
+ * Wireframe of a body's collision shapes for debugging. Copy the body's
+ * position and quaternion onto the returned group to follow it.
+ * @param {CANNON.Body} body
+ * @param {number=} color
+ * @returns {THREE.Group}
+ */
+export function createShapeWireframe(body, color = 0x00ff88) {
+  const group = new THREE.Group();
+  const material = new THREE.LineBasicMaterial({ color });
+  body.shapes.forEach((shape, i) => {
+    let geometry = null;
+    if (shape instanceof CANNON.Box) {
+      const { x, y, z } = shape.halfExtents;
+      geometry = new THREE.BoxGeometry(x * 2, y * 2, z * 2);
+    } else if (shape instanceof CANNON.ConvexPolyhedron) {
+      // Fan-triangulate the hull's faces
+      geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(
+          shape.vertices.flatMap((v) => [v.x, v.y, v.z]),
+          3
+        )
+      );
+      geometry.setIndex(
+        shape.faces.flatMap((face) =>
+          face.slice(1, -1).flatMap((v, k) => [face[0], v, face[k + 2]])
+        )
+      );
+    }
+    if (!geometry) return;
+    const lines = new THREE.LineSegments(
+      new THREE.EdgesGeometry(geometry),
+      material
+    );
+    const offset = body.shapeOffsets[i];
+    const orientation = body.shapeOrientations[i];
+    lines.position.set(offset.x, offset.y, offset.z);
+    lines.quaternion.set(
+      orientation.x,
+      orientation.y,
+      orientation.z,
+      orientation.w
+    );
+    group.add(lines);
+  });
+  group.position.copy(body.position);
+  group.quaternion.copy(body.quaternion);
+  return group;
+}
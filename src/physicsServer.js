@@ -0,0 +1,174 @@
+import * as CANNON from "cannon-es";
+import {
+  createPhysicsWorld,
+  createTrackBody,
+  createTrackMesh,
+  createCarBody,
+  createCarVehicle,
+  deserializeCarShapes,
+} from "./physics.js";
+
+// Numbers per car in a snapshot: position (3), quaternion (4), velocity (3),
+// angular velocity (3) and each wheel's skid info (4, 1 without wheels)
+export const BODY_STRIDE = 17;
+
+/**
+ * World side of the remote physics protocol (see remotePhysics.js): owns
+ * the cannon world, the track and the car bodies. Runs in the physics worker
+ * (physicsWorker.js) or in-thread behind `createLocalPhysicsPort`.
+ *
+ * Messages in:
+ * - { type: "addTrack", positions, indices } - From `getTrackGeometry`
+ * - { type: "addCar", index, vehicle, shapes, mass, centerOfMass, position, quaternion }
+ * - { type: "removeCar", index }
+ * - { type: "step", step, dt, commands } - Applies the commands, then steps the world
+ *
+ * Step commands, applied in order:
+ * - { type: "setState", index, position, quaternion, velocity, angularVelocity } - Teleports, resets and placed cars
+ * - { type: "addVelocity", index, velocity, angularVelocity }
+ * - { type: "force", index, force, torque } - Through the centre of mass, for this step
+ * - { type: "wheels", index, engineForce, brake, steering, frictionSlip } - Per wheel
+ *
+ * Messages out:
+ * - { type: "snapshot", step, bodies } - `bodies` is a Float64Array of `BODY_STRIDE` numbers per car, transferred
+ */
+export class PhysicsServer {
+  /**
+   * @param {(message:Object,transfer?:Transferable[])=>void} post - Sends a message back to the page
+   */
+  constructor(post) {
+    this.post = post;
+    this.world = createPhysicsWorld();
+    this.cars = [];
+  }
+
+  /**
+   * Handles one message from the page.
+   * @param {Object} message
+   */
+  handle(message) {
+    switch (message.type) {
+      case "addTrack":
+        this.world.addBody(createTrackBody(createTrackMesh(message)));
+        break;
+      case "addCar":
+        this.#addCar(message);
+        break;
+      case "removeCar":
+        this.#removeCar(message.index);
+        break;
+      case "step":
+        message.commands.forEach((command) => this.#apply(command));
+        this.world.step(message.dt);
+        this.#sendSnapshot(message.step);
+        break;
+      default:
+        console.warn(`Unknown physics message: ${message.type}`);
+    }
+  }
+
+  // Internals
+  #addCar({
+    index,
+    vehicle,
+    shapes,
+    mass,
+    centerOfMass,
+    position,
+    quaternion,
+  }) {
+    const options = {
+      shapes: deserializeCarShapes(shapes),
+      mass,
+      centerOfMass: new CANNON.Vec3(...centerOfMass),
+    };
+    let car;
+    if (vehicle) {
+      const raycastVehicle = createCarVehicle(position, options);
+      raycastVehicle.addToWorld(this.world);
+      car = { body: raycastVehicle.chassisBody, vehicle: raycastVehicle };
+    } else {
+      const body = createCarBody(position, options);
+      this.world.addBody(body);
+      car = { body, vehicle: null };
+    }
+    car.body.quaternion.set(...quaternion);
+    this.cars[index] = car;
+  }
+
+  #removeCar(index) {
+    const car = this.cars[index];
+    if (!car) return;
+    if (car.vehicle) car.vehicle.removeFromWorld(this.world);
+    else this.world.removeBody(car.body);
+    this.cars[index] = null;
+  }
+
+  #apply(command) {
+    const car = this.cars[command.index];
+    if (!car) return;
+    const { body, vehicle } = car;
+    switch (command.type) {
+      case "setState":
+        body.position.set(...command.position);
+        body.quaternion.set(...command.quaternion);
+        body.velocity.set(...command.velocity);
+        body.angularVelocity.set(...command.angularVelocity);
+        // The world inertia still follows the old orientation otherwise
+        body.updateInertiaWorld(true);
+        body.aabbNeedsUpdate = true;
+        body.wakeUp();
+        break;
+      case "addVelocity":
+        body.velocity.x += command.velocity[0];
+        body.velocity.y += command.velocity[1];
+        body.velocity.z += command.velocity[2];
+        body.angularVelocity.x += command.angularVelocity[0];
+        body.angularVelocity.y += command.angularVelocity[1];
+        body.angularVelocity.z += command.angularVelocity[2];
+        break;
+      case "force":
+        body.force.x += command.force[0];
+        body.force.y += command.force[1];
+        body.force.z += command.force[2];
+        body.torque.x += command.torque[0];
+        body.torque.y += command.torque[1];
+        body.torque.z += command.torque[2];
+        body.wakeUp();
+        break;
+      case "wheels":
+        if (!vehicle) break;
+        vehicle.wheelInfos.forEach((wheel, i) => {
+          wheel.engineForce = command.engineForce[i];
+          wheel.brake = command.brake[i];
+          wheel.steering = command.steering[i];
+          wheel.frictionSlip = command.frictionSlip[i];
+        });
+        break;
+      default:
+        console.warn(`Unknown physics command: ${command.type}`);
+    }
+  }
+
+  #sendSnapshot(step) {
+    const bodies = new Float64Array(this.cars.length * BODY_STRIDE);
+    this.cars.forEach((car, i) => {
+      // Removed cars leave zeros
+      if (!car) return;
+      const { position: p, quaternion: q, velocity: v } = car.body;
+      const w = car.body.angularVelocity;
+      const skid = [0, 1, 2, 3].map((wheel) =>
+        car.vehicle ? car.vehicle.wheelInfos[wheel].skidInfo : 1
+      );
+      bodies.set(
+        [
+          ...[p.x, p.y, p.z, q.x, q.y, q.z, q.w],
+          ...[v.x, v.y, v.z, w.x, w.y, w.z],
+          ...skid,
+        ],
+        i * BODY_STRIDE
+      );
+    });
+    this.post({ type: "snapshot", step, bodies }, [bodies.buffer]);
+  }
+}
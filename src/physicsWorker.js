@@ -0,0 +1,12 @@
+/**
+ * Web Worker entry that runs the cannon world off the main thread. The page
+ * talks to it through `RemotePhysics` (remotePhysics.js); the protocol is
+ * documented on `PhysicsServer`.
+ */
+import { PhysicsServer } from "./physicsServer.js";
+
+const server = new PhysicsServer((message, transfer) =>
+  self.postMessage(message, transfer)
+);
+
+self.onmessage = (event) => server.handle(event.data);
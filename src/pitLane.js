@@ -0,0 +1,274 @@
+import * as THREE from "three";
+import { pitConfig, pitLaneConfig, f1CarSpecs } from "./config.js";
+import { EventEmitter } from "./utils/events.js";
+import { getPathWorldLength } from "./utils/math3d.js";
+
+// Cars this close to their box (meters) stop in it
+const BOX_TOLERANCE = 0.05;
+
+/**
+ * Builds the pit lane curve from points in race path space.
+ * @param {{x:number,y:number,z:number}[]=} points
+ * @returns {THREE.CatmullRomCurve3}
+ */
+export function createPitLaneCurve(points = pitLaneConfig.points) {
+  return new THREE.CatmullRomCurve3(
+    points.map((p) => new THREE.Vector3(p.x, p.y, p.z)),
+    false,
+    "catmullrom"
+  );
+}
+
+/**
+ * Pit lane and pit stops for AI cars on the race path.
+ *
+ * The pit lane is its own path from the pit entry to the pit exit on the race
+ * path. A car with a pit stop requested slows to the speed limit before the
+ * entry, leaves the racing line, stops in its box for the service time and
+ * rejoins at the exit. `updateCarAI` drives the cars; this class keeps the
+ * per-car pit state and the lane rules.
+ *
+ * Events:
+ * - "request" { carIndex }
+ * - "entry"   { carIndex }
+ * - "stop"    { carIndex, box, serviceTime }
+ * - "release" { carIndex, stops }
+ * - "exit"    { carIndex, stops }
+ */
+export class PitLane extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {THREE.Curve=} options.curve - Pit lane path, from pit entry to pit exit
+   * @param {THREE.Object3D=} options.transform - Places the pit lane; same space as the race path
+   * @param {number=} options.entryFraction - Pit entry on the race path (0..1)
+   * @param {number=} options.exitFraction - Pit exit on the race path (0..1)
+   * @param {number[]=} options.boxes - Box per car, as a fraction along the pit lane
+   * @param {number=} options.speedLimitKph
+   * @param {number=} options.serviceTime - Seconds stationary in the box
+   * @param {number=} options.everyLaps - Strategy: box every N laps (0 = only on request)
+   */
+  constructor({
+    curve = createPitLaneCurve(),
+    transform = new THREE.Object3D(),
+    entryFraction = pitLaneConfig.entryFraction,
+    exitFraction = pitLaneConfig.exitFraction,
+    boxes = pitLaneConfig.boxes,
+    speedLimitKph = pitConfig.speedLimitKph,
+    serviceTime = pitConfig.serviceTime,
+    everyLaps = pitConfig.everyLaps,
+  } = {}) {
+    super();
+    this.curve = curve;
+    this.transform = transform;
+    this.entryFraction = entryFraction;
+    this.exitFraction = exitFraction;
+    this.boxes = boxes;
+    this.speedLimitKph = speedLimitKph;
+    this.serviceTime = serviceTime;
+    this.everyLaps = everyLaps;
+    this.cars = new Map();
+  }
+
+  /** Pit lane speed limit in m/s. */
+  get speedLimit() {
+    return this.speedLimitKph / 3.6;
+  }
+
+  /** Pit lane path, in the `{curve, line}` shape used for AI paths. */
+  getPath() {
+    return { curve: this.curve, line: this.transform };
+  }
+
+  /**
+   * Asks a car to box at the next pit entry.
+   * @param {number} carIndex
+   */
+  request(carIndex) {
+    const car = this.#getCar(carIndex);
+    if (car.requested) return;
+    car.requested = true;
+    this.emit("request", { carIndex });
+  }
+
+  /**
+   * Withdraws a request that has not reached the pit entry yet.
+   * @param {number} carIndex
+   */
+  cancel(carIndex) {
+    const car = this.#getCar(carIndex);
+    if (car.phase === "none") car.requested = false;
+  }
+
+  /**
+   * Strategy rule, called when a car completes a lap.
+   * @param {number} carIndex
+   * @param {number} lapsCompleted
+   */
+  onLapCompleted(carIndex, lapsCompleted) {
+    if (this.everyLaps > 0 && lapsCompleted % this.everyLaps === 0) {
+      this.request(carIndex);
+    }
+  }
+
+  /**
+   * Clears every car's pit state (cars in the lane are dropped back to it).
+   */
+  reset() {
+    this.cars.clear();
+  }
+
+  /**
+   * Pit state of a car: phase is "none", "in" (to the box), "stopped" or
+   * "out" (box to exit).
+   * @param {number} carIndex
+   */
+  getCarState(carIndex) {
+    const { requested, phase, progress, timeLeft, stops } =
+      this.#getCar(carIndex);
+    return { requested, phase, progress, timeLeft, stops };
+  }
+
+  /** @param {number} carIndex */
+  isInPit(carIndex) {
+    const car = this.cars.get(carIndex);
+    return !!car && car.phase !== "none";
+  }
+
+  /**
+   * Box position of a car along the pit lane (0..1).
+   * @param {number} carIndex
+   */
+  getBoxFraction(carIndex) {
+    return this.boxes[carIndex % this.boxes.length];
+  }
+
+  /**
+   * Highest speed on the race path that still gets a requested car down to
+   * the pit speed limit at the entry. Infinity when not boxing.
+   * @param {number} carIndex
+   * @param {number} progress - Race path fraction
+   * @param {number} pathLength - Race path length in meters
+   * @param {boolean} closed
+   */
+  getApproachSpeed(carIndex, progress, pathLength, closed) {
+    const car = this.cars.get(carIndex);
+    if (!car || !car.requested || car.phase !== "none") return Infinity;
+    let ahead = this.entryFraction - progress;
+    if (closed) ahead = ((ahead % 1) + 1) % 1;
+    if (ahead < 0) return Infinity;
+    return Math.sqrt(
+      this.speedLimit ** 2 + 2 * f1CarSpecs.brakingDecel * ahead * pathLength
+    );
+  }
+
+  /**
+   * True when a requested car passes the pit entry between two race path
+   * fractions (`to` is not wrapped on closed paths).
+   * @param {number} carIndex
+   * @param {number} from
+   * @param {number} to
+   */
+  crossesEntry(carIndex, from, to) {
+    const car = this.cars.get(carIndex);
+    if (!car || !car.requested || car.phase !== "none") return false;
+    const e = this.entryFraction;
+    return (from < e && e <= to) || (from < e + 1 && e + 1 <= to);
+  }
+
+  /**
+   * Moves a car from the racing line into the pit lane.
+   * @param {number} carIndex
+   */
+  enter(carIndex) {
+    const car = this.#getCar(carIndex);
+    car.phase = "in";
+    car.progress = 0;
+    this.emit("entry", { carIndex });
+  }
+
+  /**
+   * Target speed in the pit lane: the speed limit, braking for the box on
+   * the way in and zero while stopped.
+   * @param {number} carIndex
+   */
+  getTargetSpeed(carIndex) {
+    const car = this.#getCar(carIndex);
+    if (car.phase === "stopped") return 0;
+    if (car.phase !== "in") return this.speedLimit;
+    const toBox =
+      Math.max(0, this.getBoxFraction(carIndex) - car.progress) *
+      getPathWorldLength(this.curve, this.transform);
+    return Math.min(
+      this.speedLimit,
+      Math.sqrt(2 * f1CarSpecs.brakingDecel * toBox)
+    );
+  }
+
+  /**
+   * Advances a car in the pit lane by `speed` for `delta` seconds. Stops it
+   * in its box, runs the service timer and puts it back on the race path
+   * (`state.progress`) at the exit.
+   * @param {number} carIndex
+   * @param {number} speed - m/s
+   * @param {number} delta
+   * @param {{progress:number,currentSpeed?:number}} state - The car's AI state
+   */
+  advance(carIndex, speed, delta, state) {
+    const car = this.#getCar(carIndex);
+    if (car.phase === "none") return;
+
+    if (car.phase === "stopped") {
+      state.currentSpeed = 0;
+      car.timeLeft -= delta;
+      if (car.timeLeft <= 0) {
+        car.timeLeft = 0;
+        car.phase = "out";
+        this.emit("release", { carIndex, stops: car.stops });
+      }
+      return;
+    }
+
+    const length = getPathWorldLength(this.curve, this.transform);
+    let next = car.progress + (length > 0 ? (speed * delta) / length : 0);
+
+    const box = this.getBoxFraction(carIndex);
+    if (car.phase === "in" && next >= box - BOX_TOLERANCE / length) {
+      car.progress = box;
+      car.phase = "stopped";
+      car.timeLeft = this.serviceTime;
+      car.stops += 1;
+      state.currentSpeed = 0;
+      this.emit("stop", {
+        carIndex,
+        box,
+        serviceTime: this.serviceTime,
+      });
+      return;
+    }
+
+    if (next >= 1) {
+      // Rejoin the racing line at the pit exit
+      car.phase = "none";
+      car.requested = false;
+      car.progress = 0;
+      state.progress = this.exitFraction;
+      this.emit("exit", { carIndex, stops: car.stops });
+      return;
+    }
+    car.progress = next;
+  }
+
+  // Internals
+  #getCar(carIndex) {
+    if (!this.cars.has(carIndex)) {
+      this.cars.set(carIndex, {
+        requested: false,
+        phase: "none",
+        progress: 0,
+        timeLeft: 0,
+        stops: 0,
+      });
+    }
+    return this.cars.get(carIndex);
+  }
+}
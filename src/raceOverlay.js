@@ -0,0 +1,154 @@
+// DOM overlay for the race session: start lights, flags and results
+import { formatLapTime } from "./utils/common.js";
+
+function createLightsPanel() {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "fixed",
+    top: "48px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    display: "none",
+    gap: "10px",
+    padding: "10px 14px",
+    background: "rgba(0,0,0,0.75)",
+    borderRadius: "8px",
+    zIndex: 20,
+    pointerEvents: "none",
+  });
+  const lamps = [];
+  for (let i = 0; i < 5; i++) {
+    const lamp = document.createElement("div");
+    Object.assign(lamp.style, {
+      width: "28px",
+      height: "28px",
+      borderRadius: "50%",
+      background: "#300",
+      border: "2px solid #222",
+    });
+    el.appendChild(lamp);
+    lamps.push(lamp);
+  }
+  return { el, lamps };
+}
+
+function createBanner() {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "fixed",
+    top: "48px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    padding: "6px 14px",
+    background: "rgba(0,0,0,0.75)",
+    color: "#fff",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    fontSize: "16px",
+    fontWeight: "bold",
+    borderRadius: "6px",
+    zIndex: 20,
+    pointerEvents: "none",
+    display: "none",
+  });
+  return el;
+}
+
+function createResultsPanel() {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "fixed",
+    top: "50%",
+    left: "50%",
+    transform: "translate(-50%, -50%)",
+    minWidth: "320px",
+    padding: "14px 18px",
+    background: "rgba(0,0,0,0.85)",
+    color: "#fff",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    fontSize: "13px",
+    borderRadius: "8px",
+    zIndex: 30,
+    display: "none",
+  });
+  return el;
+}
+
+/**
+ * Creates the race session overlay.
+ * @returns {{update:(session:import("./raceSession.js").RaceSession)=>void, dispose:()=>void}}
+ */
+export function createRaceOverlay() {
+  const lights = createLightsPanel();
+  const banner = createBanner();
+  const results = createResultsPanel();
+  document.body.appendChild(lights.el);
+  document.body.appendChild(banner);
+  document.body.appendChild(results);
+
+  let renderedResults = null;
+
+  function renderResults(rows) {
+    const body = rows
+      .map(
+        (r) => `<tr>
+          <td>${r.position}</td>
+          <td>Car ${r.carIndex + 1}</td>
+          <td>${r.laps}</td>
+          <td>${
+            r.status === "finished"
+              ? r.position === 1
+                ? formatLapTime(r.totalTime)
+                : `+${formatLapTime(r.gap)}`
+              : "DNF"
+          }${r.penalty ? ` <small>(+${r.penalty}s pen.)</small>` : ""}</td>
+          <td>${r.bestLap ? formatLapTime(r.bestLap.time) : "-"}</td>
+        </tr>`
+      )
+      .join("");
+    results.innerHTML = `
+      <h3 style="margin:0 0 8px">Race Results</h3>
+      <table style="width:100%;border-collapse:collapse;text-align:left">
+        <tr><th>Pos</th><th>Car</th><th>Laps</th><th>Time</th><th>Best</th></tr>
+        ${body}
+      </table>`;
+  }
+
+  return {
+    update(session) {
+      const { phase } = session;
+
+      // Start lights
+      const showLights = phase === "grid" || phase === "lights";
+      lights.el.style.display = showLights ? "flex" : "none";
+      lights.lamps.forEach((lamp, i) => {
+        lamp.style.background = i < session.lights ? "#f00" : "#300";
+      });
+
+      // Flag banner
+      let text = "";
+      if (phase === "green" && session.phaseTime < 2) text = "GREEN FLAG";
+      else if (phase === "chequered") text = "CHEQUERED FLAG";
+      else if (phase === "cooldown") text = "COOL-DOWN LAP";
+      banner.textContent = text;
+      banner.style.display = text ? "block" : "none";
+      banner.style.color = phase === "green" ? "#3f3" : "#fff";
+
+      // Results
+      if (phase === "results") {
+        if (renderedResults !== session.results) {
+          renderResults(session.results);
+          renderedResults = session.results;
+        }
+        results.style.display = "block";
+      } else {
+        results.style.display = "none";
+      }
+    },
+
+    dispose() {
+      lights.el.remove();
+      banner.remove();
+      results.remove();
+    },
+  };
+}
@@ -0,0 +1,309 @@
+import { raceConfig } from "./config.js";
+import { EventEmitter } from "./utils/events.js";
+
+/**
+ * Session phases, in order. "idle" means no session: cars behave as before
+ * (free running AI in race mode, free driving otherwise).
+ */
+export const SESSION_PHASES = [
+  "idle",
+  "grid",
+  "lights",
+  "green",
+  "chequered",
+  "cooldown",
+  "results",
+];
+
+/**
+ * Race session controller: grid, five-light start, green flag, lap count,
+ * chequered flag, cool-down and results.
+ *
+ * The session only tracks phase, laps and classification. The simulation
+ * asks it whether a car may move (`getSpeedFactor`) and reports completed
+ * laps (`recordLap`).
+ *
+ * Events:
+ * - "phase"     { phase, previous, at }
+ * - "lights"    { count, at }
+ * - "lightsOut" { at }
+ * - "finish"    { carIndex, position, totalTime, at }
+ * - "retire"    { carIndex, laps, reason, at }
+ * - "penalty"   { carIndex, seconds, total, at }
+ * - "results"   { results, at }
+ */
+export class RaceSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...raceConfig, ...options };
+    this.laps = this.options.laps;
+    this.phase = "idle";
+    this.phaseTime = 0;
+    this.lights = 0;
+    this.greenAt = null;
+    this.carCount = 0;
+    this.carLaps = [];
+    this.finishers = [];
+    this.retirements = [];
+    this.penalties = [];
+    this.results = [];
+  }
+
+  get active() {
+    return this.phase !== "idle";
+  }
+
+  /**
+   * Puts the session on the grid.
+   * @param {number} carCount
+   * @param {number} time - Simulation time
+   * @param {{laps?:number}=} options
+   */
+  start(carCount, time, { laps = this.laps } = {}) {
+    this.laps = Math.max(1, Math.floor(laps));
+    this.carCount = carCount;
+    this.carLaps = new Array(carCount).fill(0);
+    this.finishers = [];
+    this.retirements = [];
+    this.penalties = new Array(carCount).fill(0);
+    this.results = [];
+    this.lights = 0;
+    this.greenAt = null;
+    this.#setPhase("grid", time);
+  }
+
+  /**
+   * Ends the session immediately and returns to free running.
+   * @param {number} time
+   */
+  abort(time) {
+    this.lights = 0;
+    this.#setPhase("idle", time);
+  }
+
+  /**
+   * Advances phase timers.
+   * @param {number} dt
+   * @param {number} time - Simulation time after this step
+   */
+  update(dt, time) {
+    if (this.phase === "idle" || this.phase === "results") return;
+    this.phaseTime += dt;
+    const o = this.options;
+
+    switch (this.phase) {
+      case "grid":
+        if (this.phaseTime >= o.gridTime) this.#setPhase("lights", time);
+        break;
+      case "lights": {
+        const lit = Math.min(5, Math.floor(this.phaseTime / o.lightInterval));
+        while (this.lights < lit) {
+          this.lights += 1;
+          this.emit("lights", { count: this.lights, at: time });
+        }
+        if (this.phaseTime >= 5 * o.lightInterval + o.lightsOutDelay) {
+          this.lights = 0;
+          this.greenAt = time;
+          this.emit("lightsOut", { at: time });
+          this.#setPhase("green", time);
+        }
+        break;
+      }
+      case "chequered":
+        if (this.phaseTime >= o.chequeredTimeout) {
+          this.#setPhase("cooldown", time);
+        }
+        break;
+      case "cooldown":
+        if (this.phaseTime >= o.cooldownTime) {
+          this.#setPhase("results", time);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Reports a completed lap for a car.
+   * @param {number} carIndex
+   * @param {number} at - Simulation time the line was crossed
+   */
+  recordLap(carIndex, at) {
+    if (this.phase !== "green" && this.phase !== "chequered") return;
+    if (this.#hasFinished(carIndex) || this.#hasRetired(carIndex)) return;
+    this.carLaps[carIndex] = (this.carLaps[carIndex] || 0) + 1;
+
+    const leaderDone = this.phase === "chequered";
+    if (!leaderDone && this.carLaps[carIndex] < this.laps) return;
+
+    // Leader takes the flag; everyone else finishes on their next crossing
+    const position = this.finishers.length + 1;
+    const totalTime = at - this.greenAt;
+    this.finishers.push({ carIndex, laps: this.carLaps[carIndex], totalTime });
+    this.emit("finish", { carIndex, position, totalTime, at });
+
+    if (this.phase === "green") this.#setPhase("chequered", at);
+    this.#checkAllDone(at);
+  }
+
+  /**
+   * Retires a car from the race: it is held where it stopped and classified
+   * behind the running cars.
+   * @param {number} carIndex
+   * @param {number} at - Simulation time
+   * @param {string=} reason
+   * @returns {boolean} False outside a race or when the car is already out
+   */
+  retire(carIndex, at, reason = "") {
+    if (this.phase === "idle" || this.phase === "results") return false;
+    if (this.#hasFinished(carIndex) || this.#hasRetired(carIndex)) return false;
+    const laps = this.carLaps[carIndex] || 0;
+    this.retirements.push({ carIndex, laps, reason, at });
+    this.emit("retire", { carIndex, laps, reason, at });
+    this.#checkAllDone(at);
+    return true;
+  }
+
+  /**
+   * Adds a time penalty to a car's race time (e.g. for track limits).
+   * @param {number} carIndex
+   * @param {number} seconds
+   * @param {number} at - Simulation time
+   * @returns {boolean} False outside a race or for a retired car
+   */
+  addPenalty(carIndex, seconds, at) {
+    if (this.phase === "idle" || this.phase === "results") return false;
+    if (this.#hasRetired(carIndex) || !(seconds > 0)) return false;
+    this.penalties[carIndex] = (this.penalties[carIndex] || 0) + seconds;
+    this.emit("penalty", {
+      carIndex,
+      seconds,
+      total: this.penalties[carIndex],
+      at,
+    });
+    return true;
+  }
+
+  /**
+   * Laps still to run for a car (0 once it has taken the flag).
+   * @param {number} carIndex
+   */
+  lapsRemaining(carIndex) {
+    if (this.phase === "idle") return Infinity;
+    if (this.#hasFinished(carIndex) || this.#hasRetired(carIndex)) return 0;
+    if (this.phase === "chequered") return 1;
+    return Math.max(0, this.laps - (this.carLaps[carIndex] || 0));
+  }
+
+  /**
+   * Multiplier on a car's speed/throttle for the current phase: 0 holds the
+   * car, 1 is racing and values in between are the cool-down pace.
+   * @param {number} carIndex
+   */
+  getSpeedFactor(carIndex) {
+    if (this.#hasRetired(carIndex)) return 0;
+    switch (this.phase) {
+      case "grid":
+      case "lights":
+      case "results":
+        return 0;
+      case "chequered":
+        return this.#hasFinished(carIndex)
+          ? this.options.cooldownSpeedFactor
+          : 1;
+      case "cooldown":
+        return this.options.cooldownSpeedFactor;
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * Builds the classification. Finishers first by laps and race time with
+   * penalties added, then the running cars by laps and lap progress, then
+   * retirements (the last to retire first).
+   * @param {(carIndex:number)=>number|null} getProgress - Laps plus lap fraction
+   * @param {(carIndex:number)=>any=} getBestLap
+   */
+  classify(getProgress, getBestLap = () => null) {
+    const finished = this.finishers.map((f) => f.carIndex);
+    const running = [];
+    for (let i = 0; i < this.carCount; i++) {
+      if (!finished.includes(i) && !this.#hasRetired(i)) running.push(i);
+    }
+    const retired = [...this.retirements].sort(
+      (a, b) => b.laps - a.laps || b.at - a.at
+    );
+    running.sort((a, b) => (getProgress(b) ?? -1) - (getProgress(a) ?? -1));
+
+    const finishers = this.finishers
+      .map((f) => ({
+        ...f,
+        totalTime: f.totalTime + (this.penalties[f.carIndex] || 0),
+      }))
+      .sort((a, b) => b.laps - a.laps || a.totalTime - b.totalTime);
+    const winner = finishers[0];
+    return [
+      ...finishers.map((f) => ({
+        carIndex: f.carIndex,
+        status: "finished",
+        laps: f.laps,
+        totalTime: f.totalTime,
+        gap: winner ? f.totalTime - winner.totalTime : 0,
+      })),
+      ...running.map((carIndex) => ({
+        carIndex,
+        status: "running",
+        laps: this.carLaps[carIndex] || 0,
+        totalTime: null,
+        gap: null,
+      })),
+      ...retired.map((r) => ({
+        carIndex: r.carIndex,
+        status: "retired",
+        laps: r.laps,
+        totalTime: null,
+        gap: null,
+      })),
+    ].map((r, i) => ({
+      position: i + 1,
+      ...r,
+      penalty: this.penalties[r.carIndex] || 0,
+      bestLap: getBestLap(r.carIndex),
+    }));
+  }
+
+  /**
+   * Stores and announces the final classification.
+   * @param {ReturnType<RaceSession["classify"]>} results
+   * @param {number} time
+   */
+  publishResults(results, time) {
+    this.results = results;
+    this.emit("results", { results, at: time });
+  }
+
+  // Internals
+  #hasFinished(carIndex) {
+    return this.finishers.some((f) => f.carIndex === carIndex);
+  }
+
+  #hasRetired(carIndex) {
+    return this.retirements.some((r) => r.carIndex === carIndex);
+  }
+
+  // Once every car has finished or retired the race winds down
+  #checkAllDone(at) {
+    if (this.phase !== "green" && this.phase !== "chequered") return;
+    if (this.finishers.length + this.retirements.length >= this.carCount) {
+      this.#setPhase("cooldown", at);
+    }
+  }
+
+  #setPhase(phase, time) {
+    const previous = this.phase;
+    if (previous === phase) return;
+    this.phase = phase;
+    this.phaseTime = 0;
+    this.emit("phase", { phase, previous, at: time });
+  }
+}
@@ -0,0 +1,125 @@
+import { recoveryConfig } from "./config.js";
+import { EventEmitter } from "./utils/events.js";
+
+/**
+ * Whether a car is upside down: its roof points below the horizon.
+ * @param {{x:number,y:number,z:number,w:number}} quaternion
+ * @returns {boolean}
+ */
+export function isUpsideDown({ x, z }) {
+  // Y component of the car's up axis
+  return 1 - 2 * (x * x + z * z) < 0;
+}
+
+/**
+ * Automatic reset detection: a car that stays upside down, on the throttle
+ * without moving, or far from its path for long enough needs a reset. Where
+ * the car goes is up to the listener.
+ *
+ * Events:
+ * - "recover" { carIndex, reason, at } - reason is "upsideDown", "stuck" or "offTrack"
+ */
+export class Recovery extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {boolean=} options.enabled - Check cars at all
+   * @param {number=} options.upsideDownTime - Seconds upside down
+   * @param {number=} options.stuckTime - Seconds on the throttle below `stuckSpeed`
+   * @param {number=} options.stuckSpeed - m/s
+   * @param {number=} options.offTrackDistance - Distance from the path (m)
+   * @param {number=} options.offTrackTime - Seconds beyond `offTrackDistance`
+   * @param {boolean=} options.invalidateLap - Resets delete the lap time
+   */
+  constructor({
+    enabled = recoveryConfig.enabled,
+    upsideDownTime = recoveryConfig.upsideDownTime,
+    stuckTime = recoveryConfig.stuckTime,
+    stuckSpeed = recoveryConfig.stuckSpeed,
+    offTrackDistance = recoveryConfig.offTrackDistance,
+    offTrackTime = recoveryConfig.offTrackTime,
+    invalidateLap = recoveryConfig.invalidateLap,
+  } = {}) {
+    super();
+    this.enabled = enabled;
+    this.limits = {
+      upsideDown: upsideDownTime,
+      stuck: stuckTime,
+      offTrack: offTrackTime,
+    };
+    this.stuckSpeed = stuckSpeed;
+    this.offTrackDistance = offTrackDistance;
+    this.invalidateLap = invalidateLap;
+    this.cars = new Map();
+  }
+
+  /**
+   * Clears every car's timers and reset counts.
+   */
+  reset() {
+    this.cars.clear();
+  }
+
+  /**
+   * Clears one car's timers (e.g. after it was put back on track).
+   * @param {number} carIndex
+   */
+  clear(carIndex) {
+    const state = this.#getCar(carIndex);
+    for (const reason of Object.keys(this.limits)) state.timers[reason] = 0;
+  }
+
+  /**
+   * Records that a car was reset.
+   * @param {number} carIndex
+   */
+  countReset(carIndex) {
+    this.#getCar(carIndex).resets += 1;
+  }
+
+  /**
+   * Advances a car's timers by `dt` seconds.
+   * @param {number} carIndex
+   * @param {{quaternion:{x:number,y:number,z:number,w:number},speed:number,throttle:number,distance:number|null}} car - Pose, ground speed, throttle (0..1) and distance from its path
+   * @param {number} dt
+   * @param {number} at - Simulation time
+   * @returns {string|null} Reason, if the car needs a reset now
+   */
+  update(carIndex, { quaternion, speed, throttle, distance }, dt, at) {
+    if (!this.enabled) return null;
+    const state = this.#getCar(carIndex);
+    const conditions = {
+      upsideDown: isUpsideDown(quaternion),
+      stuck: throttle > 0 && speed < this.stuckSpeed,
+      offTrack: distance !== null && distance > this.offTrackDistance,
+    };
+    let reason = null;
+    for (const [key, active] of Object.entries(conditions)) {
+      state.timers[key] = active ? state.timers[key] + dt : 0;
+      if (!reason && state.timers[key] >= this.limits[key]) reason = key;
+    }
+    if (!reason) return null;
+    this.clear(carIndex);
+    this.emit("recover", { carIndex, reason, at });
+    return reason;
+  }
+
+  /**
+   * Reset summary for one car.
+   * @param {number} carIndex
+   * @returns {{resets:number}}
+   */
+  getCarRecovery(carIndex) {
+    return { resets: this.#getCar(carIndex).resets };
+  }
+
+  // Internals
+  #getCar(carIndex) {
+    if (!this.cars.has(carIndex)) {
+      this.cars.set(carIndex, {
+        timers: { upsideDown: 0, stuck: 0, offTrack: 0 },
+        resets: 0,
+      });
+    }
+    return this.cars.get(carIndex);
+  }
+}
@@ -0,0 +1,289 @@
+import { getTrackGeometry, serializeCarShapes } from "./physics.js";
+import { PhysicsServer, BODY_STRIDE } from "./physicsServer.js";
+
+/**
+ * Page side of a physics world that runs elsewhere, normally in the physics
+ * worker (physicsWorker.js).
+ *
+ * Each car has a mirror: a real cannon body (and RaycastVehicle) outside any
+ * world that the simulation reads and drives exactly as it would a local
+ * one. Every `step` turns what the simulation did to the mirrors since the
+ * last step into commands for the world (see physicsServer.js), then copies
+ * the newest snapshot that came back (bodies and wheel skid) onto them:
+ * - a moved or turned body (teleports, resets, cars placed by the AI) sends
+ *   its whole state with "setState"
+ * - a changed velocity sends the change with "addVelocity", so it lands on
+ *   the world's newer state
+ * - forces from `applyForce` go with "force"
+ * - a vehicle's engine force, brakes, steering and tyre grip go with "wheels"
+ *
+ * With a worker the mirrors trail the world by the steps still in flight.
+ * A car that was set never takes a snapshot from before the set, so
+ * teleports don't flicker back. If the worker fails, the world is rebuilt
+ * on this thread from the mirrors and carries on there.
+ */
+export class RemotePhysics {
+  /**
+   * @param {{postMessage:Function,onmessage:Function|null,terminate?:Function}} port - A Worker running physicsWorker.js, or `createLocalPhysicsPort()`
+   */
+  constructor(port) {
+    this.cars = [];
+    this.trackObjects = []; // Kept to rebuild the world after a failure
+    this.sentStep = 0; // Last step posted
+    this.syncedStep = 0; // Step of the snapshot on the mirrors
+    this.snapshot = null; // Newest snapshot not yet on the mirrors
+    this.#connect(port);
+  }
+
+  /**
+   * Steps posted that the world has not answered yet.
+   * @returns {number}
+   */
+  getPendingSteps() {
+    return this.sentStep - Math.max(this.syncedStep, this.snapshot?.step ?? 0);
+  }
+
+  /**
+   * Adds the track mesh as a static trimesh body in the world.
+   * @param {THREE.Object3D} trackObject
+   */
+  addTrack(trackObject) {
+    this.trackObjects.push(trackObject);
+    this.#postTrack(trackObject);
+  }
+
+  /**
+   * Adds a car whose mirror is `body` (and `vehicle`), in its current pose.
+   * @param {number} index - Car index
+   * @param {{body:CANNON.Body,vehicle?:CANNON.RaycastVehicle|null,shapes:ReturnType<typeof import("./physics.js").createCarShapes>,mass:number,centerOfMass:CANNON.Vec3}} car
+   */
+  addCar(index, { body, vehicle = null, shapes, mass, centerOfMass }) {
+    this.cars[index] = { body, vehicle, shapes, mass, centerOfMass };
+    this.#postCar(index, this.cars[index]);
+    this.#markSynced(this.cars[index]);
+  }
+
+  /**
+   * Removes a car's body from the world; its mirror is no longer updated.
+   * @param {number} index - Car index
+   */
+  removeCar(index) {
+    this.port.postMessage({ type: "removeCar", index });
+    this.cars[index] = null;
+  }
+
+  /**
+   * Puts the newest snapshot on the mirrors without stepping, e.g. once the
+   * world has answered every step posted.
+   */
+  sync() {
+    this.#applySnapshot();
+  }
+
+  /**
+   * Sends the mirrors' changes and steps the world by `dt` seconds, then
+   * puts the newest snapshot on the mirrors.
+   * @param {number} dt
+   */
+  step(dt) {
+    this.sentStep += 1;
+    const commands = [];
+    this.cars.forEach((car, index) => {
+      if (car) this.#collectCommands(car, index, commands);
+    });
+    this.port.postMessage({ type: "step", step: this.sentStep, dt, commands });
+    this.#applySnapshot();
+  }
+
+  /**
+   * Stops the worker.
+   */
+  terminate() {
+    if (this.port.terminate) this.port.terminate();
+  }
+
+  // Internals
+  #connect(port) {
+    this.port = port;
+    this.port.onmessage = (event) => this.#onMessage(event.data);
+    this.port.onerror = (event) => this.#onError(event);
+    this.port.onmessageerror = (event) => this.#onError(event);
+  }
+
+  // A worker that failed never answers, and a simulation in lockstep with
+  // it would wait for good. Rebuild the world on this thread from the
+  // mirrors instead; steps still in flight are lost.
+  #onError(event) {
+    console.error(
+      "Physics worker failed, running physics on the main thread:",
+      event.message || event
+    );
+    this.terminate();
+    this.#connect(createLocalPhysicsPort());
+    this.snapshot = null;
+    this.syncedStep = this.sentStep;
+    this.trackObjects.forEach((trackObject) => this.#postTrack(trackObject));
+    this.cars.forEach((car, index) => {
+      if (!car) return;
+      this.#postCar(index, car);
+      // Velocities go with a full "setState" on the next step
+      car.synced = null;
+    });
+  }
+
+  #postTrack(trackObject) {
+    const { positions, indices } = getTrackGeometry(trackObject);
+    this.port.postMessage({ type: "addTrack", positions, indices }, [
+      positions.buffer,
+      indices.buffer,
+    ]);
+  }
+
+  #postCar(index, car) {
+    const { body, vehicle, shapes, mass, centerOfMass } = car;
+    const { x, y, z } = body.position;
+    this.port.postMessage({
+      type: "addCar",
+      index,
+      vehicle: !!vehicle,
+      shapes: serializeCarShapes(shapes),
+      mass,
+      centerOfMass: centerOfMass.toArray(),
+      position: { x, y, z },
+      quaternion: body.quaternion.toArray(),
+    });
+    // Snapshots from before the next step don't have this body yet
+    car.setStep = this.sentStep + 1;
+  }
+
+  #onMessage(message) {
+    if (message.type !== "snapshot") return;
+    if (!this.snapshot || message.step > this.snapshot.step) {
+      this.snapshot = message;
+    }
+  }
+
+  #collectCommands(car, index, commands) {
+    const { body, vehicle, synced } = car;
+    const position = body.position.toArray();
+    const quaternion = body.quaternion.toArray();
+    const velocity = body.velocity.toArray();
+    const angularVelocity = body.angularVelocity.toArray();
+    const moved =
+      !synced ||
+      !sameValues(position, synced.position) ||
+      !sameValues(quaternion, synced.quaternion);
+    if (moved) {
+      commands.push({
+        type: "setState",
+        index,
+        position,
+        quaternion,
+        velocity,
+        angularVelocity,
+      });
+      car.setStep = this.sentStep;
+    } else if (
+      !sameValues(velocity, synced.velocity) ||
+      !sameValues(angularVelocity, synced.angularVelocity)
+    ) {
+      commands.push({
+        type: "addVelocity",
+        index,
+        velocity: subtract(velocity, synced.velocity),
+        angularVelocity: subtract(angularVelocity, synced.angularVelocity),
+      });
+    }
+
+    // Nothing steps the mirror, so clear its forces here
+    if (!body.force.isZero() || !body.torque.isZero()) {
+      commands.push({
+        type: "force",
+        index,
+        force: body.force.toArray(),
+        torque: body.torque.toArray(),
+      });
+      body.force.set(0, 0, 0);
+      body.torque.set(0, 0, 0);
+    }
+
+    if (vehicle) {
+      const wheels = vehicle.wheelInfos;
+      commands.push({
+        type: "wheels",
+        index,
+        engineForce: wheels.map((wheel) => wheel.engineForce),
+        brake: wheels.map((wheel) => wheel.brake),
+        steering: wheels.map((wheel) => wheel.steering),
+        frictionSlip: wheels.map((wheel) => wheel.frictionSlip),
+      });
+    }
+    this.#markSynced(car);
+  }
+
+  #applySnapshot() {
+    const snapshot = this.snapshot;
+    if (!snapshot) return;
+    this.snapshot = null;
+    this.syncedStep = snapshot.step;
+    const { bodies } = snapshot;
+    this.cars.forEach((car, index) => {
+      const offset = index * BODY_STRIDE;
+      if (!car || offset >= bodies.length) return;
+      // The world hasn't seen this car's last setState yet
+      if (car.setStep > snapshot.step) return;
+      const b = (i) => bodies[offset + i];
+      car.body.position.set(b(0), b(1), b(2));
+      car.body.quaternion.set(b(3), b(4), b(5), b(6));
+      car.body.velocity.set(b(7), b(8), b(9));
+      car.body.angularVelocity.set(b(10), b(11), b(12));
+      // The assists read how much the wheels slid
+      if (car.vehicle) {
+        car.vehicle.wheelInfos.forEach((wheel, i) => {
+          wheel.skidInfo = b(13 + i);
+        });
+      }
+      this.#markSynced(car);
+    });
+  }
+
+  // What the world last heard about the mirror, to spot the simulation's
+  // changes
+  #markSynced(car) {
+    const { body } = car;
+    car.synced = {
+      position: body.position.toArray(),
+      quaternion: body.quaternion.toArray(),
+      velocity: body.velocity.toArray(),
+      angularVelocity: body.angularVelocity.toArray(),
+    };
+  }
+}
+
+function sameValues(a, b) {
+  return a.every((value, i) => value === b[i]);
+}
+
+function subtract(a, b) {
+  return a.map((value, i) => value - b[i]);
+}
+
+/**
+ * Port that runs a `PhysicsServer` on this thread, for tests, Node and
+ * browsers without module workers. Messages are answered synchronously, so
+ * the mirrors never trail. Messages only carry plain data and fresh
+ * buffers, so nothing is shared with the server even without cloning.
+ * @returns {{postMessage:Function,onmessage:Function|null}}
+ */
+export function createLocalPhysicsPort() {
+  const port = {
+    onmessage: null,
+    postMessage(message) {
+      server.handle(message);
+    },
+  };
+  const server = new PhysicsServer((message) => {
+    if (port.onmessage) port.onmessage({ data: message });
+  });
+  return port;
+}
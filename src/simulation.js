@@ -0,0 +1,1742 @@
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import {
+  physicsConfig,
+  movementLerp,
+  aiConfig,
+  f1CarSpecs,
+  surfaceConfig,
+} from "./config.js";
+import {
+  createPhysicsWorld,
+  createTrackBody,
+  createCarBody,
+  createCarVehicle,
+  createCarShapes,
+  getCarMassProperties,
+  applyAeroForces,
+  applyRollingResistance,
+  REAR_WHEELS,
+} from "./physics.js";
+import { getAero } from "./aero.js";
+import { updateCarAI } from "./carAI.js";
+import {
+  updateCarControls,
+  updateVehicleControls,
+  getCarControlsBrakeDecel,
+} from "./controls.js";
+import {
+  updateKinematicCar,
+  createIdleInput,
+  getInputAxes,
+  applyLateralGrip,
+  getKinematicBrakeDecel,
+  getKinematicDriveAccel,
+} from "./kinematics.js";
+import { createTyreState, updateTyres } from "./tyres.js";
+import {
+  createEnergyState,
+  setEngineMode,
+  getNextEngineMode,
+  getEnginePerformance,
+  updateEnergy,
+} from "./energy.js";
+import {
+  createDrivetrainState,
+  updateDrivetrain,
+  shiftUp,
+  shiftDown,
+} from "./drivetrain.js";
+import {
+  createDamageState,
+  applyImpact,
+  getDamagePerformance,
+  repairFrontWing,
+} from "./damage.js";
+import {
+  getCarFootprint,
+  findCarContacts,
+  getContactResponse,
+  getImpactZone,
+} from "./collisions.js";
+import { EventLog } from "./eventLog.js";
+import { TrackLimits } from "./trackLimits.js";
+import { Recovery } from "./recovery.js";
+import { getWheelPositions, combineWheelSurfaces } from "./surfaces.js";
+import { LapTimer } from "./timing.js";
+import { RaceSession } from "./raceSession.js";
+import { Leaderboard } from "./leaderboard.js";
+import {
+  createAssistSettings,
+  createAssistState,
+  getPathGuidance,
+  applyInputAssists,
+  getTractionControlFactor,
+} from "./assists.js";
+import { getSpeedProfile } from "./speedProfile.js";
+import {
+  createInputRecording,
+  encodeInputFrame,
+  decodeInputFrame,
+} from "./inputRecording.js";
+import { samplePathWorld, projectOntoPath } from "./utils/math3d.js";
+
+/**
+ * Headless race simulation.
+ *
+ * Owns the cars, their paths and the optional cannon world, and advances
+ * everything with `step(dt)`. It never touches the renderer, HUD or GUI, so
+ * it runs the same in the browser and under Node/jsdom. Pages read the
+ * exposed car poses and telemetry and render them however they like.
+ *
+ * Pages call `advance(frameDelta)` once per frame: it runs whole fixed steps
+ * of `fixedDelta` and keeps the remainder for the next frame, and
+ * `getRenderPose` blends each car between its last two steps.
+ */
+export class Simulation {
+  /**
+   * @param {Object} options
+   * @param {THREE.Curve=} options.racePath - Default path for AI cars
+   * @param {THREE.Object3D=} options.racePathTransform - Object whose world matrix places the path (the path line in the browser)
+   * @param {{progress:number,speed:number,done?:boolean}[]=} options.aiStates - Per-car AI state (arc-length progress, speed in m/s), shared with the GUI
+   * @param {{x:number,y:number,z:number}[]=} options.targets - Lerp targets for cars that are neither AI nor player driven
+   * @param {boolean=} options.physicsEnabled - New cars get physics bodies (switch per car with `setCarPhysics`)
+   * @param {import("./remotePhysics.js").RemotePhysics=} options.remotePhysics - Run the cannon world elsewhere (e.g. the physics worker); cars get mirror bodies
+   * @param {("raycastVehicle"|"box")=} options.carModel - Physics car: four-wheel RaycastVehicle or sliding box
+   * @param {boolean=} options.raceMode - AI drives every car when true
+   * @param {number=} options.fixedDelta - Fixed step size in seconds
+   * @param {number=} options.maxSubSteps - Most fixed steps one `advance` call runs
+   * @param {((x:number,z:number)=>number|null)=} options.getGroundY - Ground height provider; cars are not snapped when omitted
+   * @param {((x:number,z:number)=>string|null)=} options.getSurfaceAt - Surface type provider (see surfaces.js); cars stay on asphalt when omitted
+   * @param {number=} options.playerIndex - Car driven by the player outside race mode
+   * @param {((position:CANNON.Vec3,velocity:CANNON.Vec3)=>void)=} options.onDebug - Throttled debug hook while the player body is driven
+   * @param {Object=} options.timing - LapTimer options (sectors, startFraction, ...)
+   * @param {Object=} options.session - RaceSession options (laps, light timings, grid layout, ...)
+   * @param {Object=} options.trackLimits - TrackLimits options (source, width, warnings, penalty, ...)
+   * @param {Object=} options.recovery - Recovery options (upsideDownTime, stuckTime, offTrackDistance, ...)
+   * @param {Object=} options.assists - Driver assist settings for the player car, over `assistConfig` (e.g. { abs: { enabled: true } })
+   * @param {boolean=} options.playerRaces - Player keeps driving `playerIndex` in race mode instead of the AI
+   * @param {boolean=} options.aiSpeedProfile - AI follows the curvature speed profile of its path
+   */
+  constructor({
+    racePath = null,
+    racePathTransform = new THREE.Object3D(),
+    aiStates = [],
+    targets = [],
+    physicsEnabled = false,
+    remotePhysics = null,
+    carModel = physicsConfig.carModel,
+    raceMode = false,
+    fixedDelta = 1 / physicsConfig.stepRate,
+    maxSubSteps = physicsConfig.maxSubSteps,
+    getGroundY = null,
+    getSurfaceAt = null,
+    playerIndex = 0,
+    onDebug = null,
+    timing = {},
+    session = {},
+    trackLimits = {},
+    recovery = {},
+    assists = {},
+    playerRaces = false,
+    aiSpeedProfile = aiConfig.speedProfile,
+  } = {}) {
+    this.racePath = racePath;
+    this.racePathTransform = racePathTransform;
+    this.aiStates = aiStates;
+    this.targets = targets;
+    this.raceMode = raceMode;
+    this.fixedDelta = fixedDelta;
+    this.maxSubSteps = maxSubSteps;
+    this.getGroundY = getGroundY;
+    this.getSurfaceAt = getSurfaceAt;
+    this.playerIndex = playerIndex;
+    this.onDebug = onDebug;
+    this.playerRaces = playerRaces;
+    this.aiSpeedProfile = aiSpeedProfile;
+    this.carModel = carModel;
+
+    // Either a local cannon world, created when the first car needs it, or
+    // one run by `remotePhysics`
+    this.remotePhysics = remotePhysics;
+    this.physicsEnabled = physicsEnabled;
+    this.world = null;
+    this.staticBodies = [];
+    this.trackObject = null;
+    this.remoteTrackPosted = false; // See #ensureWorld
+    // The remote world's next step went out at the end of the last step
+    // (see #isLockstep)
+    this.worldStepPosted = false;
+    if (physicsEnabled) this.#ensureWorld();
+    this.cars = [];
+    this.perCarPaths = [];
+    this.time = 0;
+    this.tick = 0;
+    // Frame time not yet stepped, and how far it is into the next step (0..1)
+    this.accumulator = 0;
+    this.alpha = 0;
+
+    // Lap/sector timing, on the race path unless another path is set
+    this.timing = new LapTimer({
+      curve: racePath,
+      transform: racePathTransform,
+      ...timing,
+    });
+
+    // Pit lane for AI cars on the race path (see setPitLane)
+    this.pitLane = null;
+    this.pitUnsubscribers = [];
+
+    // Running order and gaps, from timing progress
+    this.leaderboard = new Leaderboard();
+
+    // Contacts, damage and retirements (see #stepCollisions)
+    this.eventLog = new EventLog();
+    this.touching = new Set(); // "a:b" pairs in contact on the last step
+
+    // Track limits around the race path: violations delete the lap (with
+    // `invalidateLap`) and, after the warnings, add time penalties
+    this.trackLimits = new TrackLimits({
+      curve: racePath,
+      transform: racePathTransform,
+      ...trackLimits,
+    });
+    this.trackLimits.on("violation", (e) => this.#onTrackLimits(e));
+
+    // Automatic resets onto the car's path when it is flipped, stuck or lost
+    this.recovery = new Recovery(recovery);
+    this.recovery.on("recover", (e) => this.recoverCar(e.carIndex, e.reason));
+    this.pathSamples = new WeakMap(); // Per curve, see #getPathSamples
+
+    // Driver assists for player-driven cars; steering and auto-brake follow
+    // the reference path (the car's own path unless one is set)
+    this.assists = createAssistSettings(assists);
+    this.assistPath = null;
+
+    // Input recording of one car, filled every step (see
+    // startInputRecording); replays are per car (`car.replay`)
+    this.inputRecording = null;
+    this.resetQueued = false; // Manual reset of the recorded car, next step
+
+    // Race session: phases gate AI and player movement
+    this.session = new RaceSession(session);
+    this.timing.on("lap", (e) => this.#onLap(e));
+    this.session.on("phase", (e) => this.#onSessionPhase(e));
+
+    // In-memory recorder toggled from the page ('r' key)
+    this.recorder = {
+      recording: false,
+      points: [],
+      minSampleDistance: 0.75, // meters between samples
+    };
+  }
+
+  /**
+   * Adds a car and returns its index. With physics, the body's collision
+   * shapes come from `model` (see `createCarShapes`) and its mass and centre
+   * of mass from `physicsConfig.carBodies`.
+   * @param {{position:{x:number,y:number,z:number},yaw?:number,bodyPosition?:{x:number,y:number,z:number},model?:THREE.Object3D}} options
+   * @returns {number}
+   */
+  addCar({ position, yaw = 0, bodyPosition = position, model = null }) {
+    const index = this.cars.length;
+    const object = new THREE.Object3D();
+    object.position.set(position.x, position.y, position.z);
+    object.rotation.y = yaw;
+    this.#snapToGround(object);
+
+    const car = {
+      index,
+      object,
+      model, // For the collision shapes
+      body: null, // Physics body, or null for the kinematic controller
+      vehicle: null, // RaycastVehicle around `body`, or null for the box car
+      centerOfMass: new CANNON.Vec3(0, 0, 0), // Body origin in the model's frame
+      input: createIdleInput(),
+      velocity: new THREE.Vector3(),
+      telemetry: { speed: 0, speedKph: 0, rpm: 0, gear: 0 },
+      aero: getAero(0),
+      tyre: createTyreState(),
+      nextCompound: null, // Fitted at the next pit stop when set
+      heading: null,
+      energy: createEnergyState(),
+      drivetrain: createDrivetrainState(),
+      brakeBias: f1CarSpecs.brakeBias, // Front share of braking
+      damage: createDamageState(),
+      surface: combineWheelSurfaces(Array(4).fill(surfaceConfig.default)),
+      throttle: 0,
+      brake: 0,
+      steer: 0, // -1..1, positive to the left
+      assists: createAssistState(),
+      replay: null, // Input recording played back (see playInputRecording)
+      // Object pose before the last step, for render interpolation
+      previousPose: {
+        position: object.position.clone(),
+        quaternion: object.quaternion.clone(),
+      },
+    };
+    this.cars.push(car);
+    if (this.physicsEnabled) {
+      this.#ensureWorld();
+      this.#addBody(car, bodyPosition, object.quaternion);
+    }
+    if (!this.aiStates[index]) this.aiStates[index] = { speed: 0, progress: 0 };
+    return index;
+  }
+
+  /**
+   * Adds a static body to the local physics world (now, or when the world
+   * is created).
+   * @param {CANNON.Body} body
+   */
+  addStaticBody(body) {
+    this.staticBodies.push(body);
+    if (this.world) this.world.addBody(body);
+  }
+
+  /**
+   * Adds the track mesh to the physics world as a static trimesh. The
+   * world (local or remote) builds it when the first car switches to
+   * physics.
+   * @param {THREE.Object3D} trackObject
+   */
+  addTrack(trackObject) {
+    this.trackObject = trackObject;
+    if (this.remotePhysics) {
+      if (this.remoteTrackPosted) this.remotePhysics.addTrack(trackObject);
+    } else if (this.world) {
+      this.world.addBody(createTrackBody(trackObject));
+    }
+  }
+
+  /**
+   * Switches a car between a physics body and the kinematic controller.
+   * Position, heading and velocity carry over; the body is created or
+   * removed from the world.
+   * @param {number} index
+   * @param {boolean} enabled
+   * @returns {boolean} Whether the car switched
+   */
+  setCarPhysics(index, enabled) {
+    const car = this.cars[index];
+    if (!car || !!car.body === enabled) return false;
+    if (enabled) {
+      this.#ensureWorld();
+      this.#addBody(car, car.object.position, car.object.quaternion);
+      const { x, y, z } = car.velocity;
+      car.body.velocity.set(x, y, z);
+    } else {
+      const { body } = car;
+      const quaternion = new THREE.Quaternion(
+        body.quaternion.x,
+        body.quaternion.y,
+        body.quaternion.z,
+        body.quaternion.w
+      );
+      const offset = body.quaternion.vmult(car.centerOfMass);
+      car.object.position.copy(body.position.vsub(offset));
+      // The kinematic controller only turns about Y
+      const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion);
+      car.object.rotation.set(0, Math.atan2(forward.x, forward.z), 0);
+      car.velocity.set(body.velocity.x, 0, body.velocity.z);
+      this.#removeBody(car);
+      this.#snapToGround(car.object);
+    }
+    this.#storePreviousPose(car);
+    return true;
+  }
+
+  /**
+   * Switches every car, and cars added later, between physics and the
+   * kinematic controller.
+   * @param {boolean} enabled
+   */
+  setPhysicsEnabled(enabled) {
+    this.physicsEnabled = enabled;
+    for (const car of this.cars) this.setCarPhysics(car.index, enabled);
+  }
+
+  setRacePath(curve, transform = this.racePathTransform) {
+    this.racePath = curve;
+    this.racePathTransform = transform;
+    this.timing.setPath(curve, transform);
+    this.trackLimits.setPath(curve, transform);
+  }
+
+  /**
+   * Lets AI cars on the race path make pit stops. Pit entries and exits are
+   * flagged on the lap they happen in ("pit-in", "pit-out").
+   * @param {import("./pitLane.js").PitLane|null} pitLane
+   */
+  setPitLane(pitLane) {
+    this.pitUnsubscribers.forEach((off) => off());
+    this.pitUnsubscribers = [];
+    this.pitLane = pitLane;
+    if (!pitLane) return;
+    this.pitUnsubscribers.push(
+      pitLane.on("entry", ({ carIndex }) =>
+        this.timing.flagLap(carIndex, "pit-in")
+      ),
+      pitLane.on("exit", ({ carIndex }) =>
+        this.timing.flagLap(carIndex, "pit-out")
+      ),
+      // Tyres and a damaged front wing are changed during the stop
+      pitLane.on("stop", ({ carIndex }) => {
+        const car = this.cars[carIndex];
+        if (!car) return;
+        this.fitTyres(carIndex, car.nextCompound);
+        repairFrontWing(car.damage);
+      })
+    );
+  }
+
+  /**
+   * Fits a fresh set of tyres to a car now.
+   * @param {number} index
+   * @param {string=} compound - Defaults to the compound already fitted
+   */
+  fitTyres(index, compound) {
+    const car = this.cars[index];
+    if (!car) return;
+    car.tyre = createTyreState(compound || car.tyre.compound);
+    car.nextCompound = null;
+  }
+
+  /**
+   * Sets a car's engine mode (one of `f1CarSpecs.engineModes`).
+   * @param {number} index
+   * @param {string} mode
+   * @returns {boolean} True when the mode was applied
+   */
+  setEngineMode(index, mode) {
+    const car = this.cars[index];
+    if (!car || !setEngineMode(car.energy, mode)) return false;
+    this.#recordEvent(index, "engineMode", mode);
+    return true;
+  }
+
+  /**
+   * Switches a car to the next engine mode.
+   * @param {number} index
+   * @returns {string|null} The new mode
+   */
+  cycleEngineMode(index) {
+    const car = this.cars[index];
+    if (!car) return null;
+    setEngineMode(car.energy, getNextEngineMode(car.energy.mode));
+    this.#recordEvent(index, "engineMode", car.energy.mode);
+    return car.energy.mode;
+  }
+
+  /**
+   * Paddle shift up for a car.
+   * @param {number} index
+   * @returns {boolean} False in top gear or for an unknown car
+   */
+  shiftUp(index) {
+    const car = this.cars[index];
+    if (!car || !shiftUp(car.drivetrain)) return false;
+    this.#recordEvent(index, "shiftUp");
+    return true;
+  }
+
+  /**
+   * Paddle shift down for a car.
+   * @param {number} index
+   * @returns {boolean} False in 1st or for an unknown car
+   */
+  shiftDown(index) {
+    const car = this.cars[index];
+    if (!car || !shiftDown(car.drivetrain)) return false;
+    this.#recordEvent(index, "shiftDown");
+    return true;
+  }
+
+  /**
+   * Sets a car's gearbox to automatic shifts or paddles only.
+   * @param {number} index
+   * @param {"auto"|"manual"} gearbox
+   */
+  setGearbox(index, gearbox) {
+    const car = this.cars[index];
+    if (!car) return;
+    car.drivetrain.gearbox = gearbox;
+    this.#recordEvent(index, "gearbox", gearbox);
+  }
+
+  /**
+   * Asks an AI car to box at the next pit entry.
+   * @param {number} index
+   */
+  requestPitStop(index) {
+    if (this.pitLane && this.cars[index]) this.pitLane.request(index);
+  }
+
+  /**
+   * @param {({curve:THREE.CatmullRomCurve3,line:THREE.Object3D}|null)[]} paths
+   */
+  setCarPaths(paths) {
+    this.perCarPaths = paths || [];
+  }
+
+  /**
+   * Sets the path the steering and braking assists follow, e.g. a saved
+   * path; null follows each car's own path.
+   * @param {{curve:THREE.Curve,line:THREE.Object3D|null}|null} path
+   */
+  setAssistPath(path) {
+    this.assistPath = path && path.curve ? path : null;
+  }
+
+  /**
+   * Sets the driver input used for car `index` on the next steps.
+   * @param {number} index
+   * @param {Partial<ReturnType<typeof createIdleInput>>} input
+   */
+  setInput(index, input) {
+    const car = this.cars[index];
+    if (car) Object.assign(car.input, input);
+  }
+
+  /**
+   * Places a car at an exact pose and clears its velocity.
+   * @param {number} index
+   * @param {{x:number,y:number,z:number}} position
+   * @param {number} yaw
+   */
+  teleportCar(index, position, yaw) {
+    const car = this.cars[index];
+    if (!car) return;
+    car.object.position.set(position.x, position.y, position.z);
+    car.object.rotation.set(0, yaw, 0);
+    car.velocity.set(0, 0, 0);
+    car.heading = null;
+    // Back to 1st in place (the GUI binds to this object)
+    Object.assign(
+      car.drivetrain,
+      createDrivetrainState({ gearbox: car.drivetrain.gearbox })
+    );
+    if (car.body) {
+      car.body.velocity.set(0, 0, 0);
+      car.body.angularVelocity.set(0, 0, 0);
+      car.body.quaternion.set(
+        car.object.quaternion.x,
+        car.object.quaternion.y,
+        car.object.quaternion.z,
+        car.object.quaternion.w
+      );
+      car.body.position.set(position.x, position.y, position.z);
+      car.body.position.vadd(
+        car.body.quaternion.vmult(car.centerOfMass),
+        car.body.position
+      );
+    }
+    // No blending across a teleport
+    this.#storePreviousPose(car);
+  }
+
+  /**
+   * Puts a car back on the nearest point of its path, facing along it with
+   * its velocity cleared. The reset is logged and its lap flagged "reset"
+   * (and deleted with `recovery.invalidateLap`).
+   * @param {number} index
+   * @param {string=} reason - "manual", or the Recovery reason
+   * @returns {boolean} Whether the car was moved (the recorded car's manual resets are made at the next step)
+   */
+  recoverCar(index, reason = "manual") {
+    const car = this.cars[index];
+    if (!car || car.damage.retired) return false;
+    // The recorded car's manual resets wait for the next step, where a
+    // replay makes them too
+    if (reason === "manual" && this.inputRecording?.carIndex === index) {
+      this.resetQueued = true;
+      return true;
+    }
+    return this.#recoverCar(car, reason);
+  }
+
+  /**
+   * Starts recording a car's driver input: one frame per step, the shifts,
+   * engine modes and manual resets between them, and the car's state at the
+   * next step so a replay starts from the same place. Replaces any running
+   * recording. On a remote world the recording steps in lockstep with it
+   * (see `advance`).
+   * @param {number=} index
+   * @returns {ReturnType<typeof createInputRecording>|null} The recording being filled
+   */
+  startInputRecording(index = this.playerIndex) {
+    if (!this.cars[index]) return null;
+    this.stopInputRecording();
+    this.inputRecording = createInputRecording({
+      carIndex: index,
+      fixedDelta: this.fixedDelta,
+      initial: null,
+      assists: this.assists,
+    });
+    return this.inputRecording;
+  }
+
+  /**
+   * Stops the input recording.
+   * @returns {ReturnType<typeof createInputRecording>|null} The finished recording, null if no step was recorded
+   */
+  stopInputRecording() {
+    const recording = this.inputRecording;
+    this.inputRecording = null;
+    if (this.resetQueued) {
+      this.resetQueued = false;
+      this.recoverCar(recording.carIndex);
+    }
+    return recording && recording.initial ? recording : null;
+  }
+
+  /**
+   * Drives a car with a recording's input, one frame per step, in place of
+   * `setInput`; the car is put in the recording's initial state at the next
+   * step. The same steps, assists, track and physics setup (local world or
+   * worker) give the same drive (a car driven without other cars around
+   * does not meet them again). Logs "replayEnd" when the frames run out.
+   * @param {ReturnType<typeof createInputRecording>} recording
+   * @param {number=} index - Car to drive
+   * @returns {boolean} Whether the replay started
+   */
+  playInputRecording(recording, index = this.playerIndex) {
+    const car = this.cars[index];
+    if (!car || !recording || !recording.initial) return false;
+    if (Math.abs(recording.fixedDelta - this.fixedDelta) > 1e-9) {
+      console.warn(
+        `Input recording was made at ${recording.fixedDelta}s steps, not ${this.fixedDelta}s; the replay will drift`
+      );
+    }
+    car.replay = { recording, tick: 0, started: false };
+    return true;
+  }
+
+  /**
+   * Stops a car's replay and lets go of its controls.
+   * @param {number=} index
+   */
+  stopInputReplay(index = this.playerIndex) {
+    const car = this.cars[index];
+    if (!car || !car.replay) return;
+    car.replay = null;
+    Object.assign(car.input, createIdleInput());
+  }
+
+  /**
+   * Whether a car is driven by a recording.
+   * @param {number=} index
+   * @returns {boolean}
+   */
+  isReplaying(index = this.playerIndex) {
+    return !!this.cars[index]?.replay;
+  }
+
+  /**
+   * Starts a race session: cars go to the grid, then the start lights run.
+   * @param {{laps?:number}=} options
+   */
+  startRace({ laps } = {}) {
+    this.raceMode = true;
+    this.session.start(this.cars.length, this.time, { laps });
+    if (this.pitLane) this.pitLane.reset();
+    this.cars.forEach((car) => {
+      this.fitTyres(car.index, car.nextCompound);
+      // Refuel and recharge in place (the GUI binds to this object)
+      Object.assign(car.energy, createEnergyState(car.energy.mode));
+      car.damage = createDamageState();
+    });
+    this.touching.clear();
+    this.trackLimits.reset();
+    this.recovery.reset();
+    this.#placeOnGrid();
+  }
+
+  /**
+   * Ends the running session; cars keep free running.
+   */
+  abortRace() {
+    this.session.abort(this.time);
+  }
+
+  /**
+   * Pose used by cameras: the physics body when present, else the car object.
+   * @param {number} index
+   */
+  getCarPose(index) {
+    const car = this.cars[index];
+    if (!car) return null;
+    const src = car.body || car.object;
+    return { position: src.position, quaternion: src.quaternion };
+  }
+
+  /**
+   * Car pose for rendering: between the car's pose before and after the last
+   * step, `alpha` of the way (by default how far the page's clock is into the
+   * next step, see `advance`).
+   * @param {number} index
+   * @param {number=} alpha - 0 (previous step) to 1 (last step)
+   * @returns {{position:THREE.Vector3,quaternion:THREE.Quaternion}|null}
+   */
+  getRenderPose(index, alpha = this.alpha) {
+    const car = this.cars[index];
+    if (!car) return null;
+    const { previousPose, object } = car;
+    return {
+      position: previousPose.position.clone().lerp(object.position, alpha),
+      quaternion: previousPose.quaternion
+        .clone()
+        .slerp(object.quaternion, alpha),
+    };
+  }
+
+  /**
+   * Advances by one frame's worth of real time in fixed steps of
+   * `fixedDelta`. Time left over is carried to the next frame; after a slow
+   * frame at most `maxSubSteps` steps run and the rest is dropped. While a
+   * remote world steps in lockstep a step also waits for the world's answer
+   * to the last one, so the time is carried until it arrives.
+   * @param {number} frameDelta - Seconds since the last frame
+   * @returns {number} Steps run
+   */
+  advance(frameDelta) {
+    this.accumulator += Math.max(0, frameDelta);
+    let steps = 0;
+    // Tolerance so frames that add up to a whole step run it
+    const epsilon = this.fixedDelta * 1e-6;
+    while (
+      this.accumulator + epsilon >= this.fixedDelta &&
+      steps < this.maxSubSteps
+    ) {
+      if (this.#isLockstep()) {
+        if (!this.worldStepPosted) this.#postWorldStep(this.fixedDelta);
+        if (this.remotePhysics.getPendingSteps() > 0) break;
+      }
+      this.step(this.fixedDelta);
+      this.accumulator = Math.max(0, this.accumulator - this.fixedDelta);
+      steps += 1;
+    }
+    this.accumulator = Math.min(this.accumulator, this.fixedDelta);
+    this.alpha = this.accumulator / this.fixedDelta;
+    return steps;
+  }
+
+  /**
+   * Advances the simulation by `dt` seconds in one step. Pages should call
+   * `advance` instead so the step size stays fixed.
+   * @param {number=} dt
+   */
+  step(dt = this.fixedDelta) {
+    for (const car of this.cars) this.#storePreviousPose(car);
+    const synced = this.#stepWorld(dt);
+    this.#stepInputRecordings(synced);
+
+    this.#updateSurfaces();
+    if (this.raceMode) this.#stepAI(dt);
+    this.#stepDriven(dt);
+    this.#stepCollisions();
+
+    this.#updateTyres(dt);
+    for (const car of this.cars) car.aero = getAero(car.telemetry.speed);
+    for (const car of this.cars) {
+      updateEnergy(car.energy, { throttle: car.throttle, delta: dt });
+    }
+    this.#recordPath();
+
+    this.time += dt;
+    this.tick += 1;
+    this.session.update(dt, this.time);
+
+    for (const car of this.cars) {
+      this.timing.update(
+        car.index,
+        this.getCarPose(car.index).position,
+        this.time
+      );
+    }
+    this.#checkTrackLimits();
+    this.#checkRecovery(dt);
+    this.leaderboard.update(
+      this.time,
+      this.cars.map((car) => ({
+        carIndex: car.index,
+        progress: this.timing.getProgress(car.index),
+      }))
+    );
+    // In lockstep the world's next step goes out now, with this step's
+    // forces, and the next step starts from its answer
+    if (this.#isLockstep()) this.#postWorldStep(dt);
+  }
+
+  /**
+   * Plain, serialisable snapshot of the simulation.
+   */
+  getState() {
+    return {
+      time: this.time,
+      tick: this.tick,
+      raceMode: this.raceMode,
+      session: { phase: this.session.phase, lights: this.session.lights },
+      standings: this.leaderboard.getStandings(),
+      cars: this.cars.map((car) => {
+        const { position, quaternion } = this.getCarPose(car.index);
+        const ai = this.aiStates[car.index];
+        return {
+          index: car.index,
+          position: { x: position.x, y: position.y, z: position.z },
+          quaternion: {
+            x: quaternion.x,
+            y: quaternion.y,
+            z: quaternion.z,
+            w: quaternion.w,
+          },
+          progress: ai ? ai.progress : 0,
+          done: !!(ai && ai.done),
+          lapProgress: this.timing.getProgress(car.index),
+          pit: this.pitLane ? this.pitLane.getCarState(car.index).phase : null,
+          tyre: { ...car.tyre },
+          energy: { ...car.energy },
+          drivetrain: { ...car.drivetrain },
+          damage: { ...car.damage },
+          surface: { ...car.surface, wheels: [...car.surface.wheels] },
+          assists: { ...car.assists },
+          physics: !!car.body,
+          trackLimits: this.trackLimits.getCarLimits(car.index),
+          recovery: this.recovery.getCarRecovery(car.index),
+          aero: { ...car.aero },
+          ...car.telemetry,
+        };
+      }),
+    };
+  }
+
+  // Internals
+  // Driven from `car.input`: the player's car, or a car replaying input
+  #isInputDriven(car) {
+    return (
+      !!car.replay ||
+      (car.index === this.playerIndex && (!this.raceMode || this.playerRaces))
+    );
+  }
+
+  // Moves the car back onto its path now (see recoverCar)
+  #recoverCar(car, reason) {
+    const { index } = car;
+    const path = this.#getCarPath(index);
+    if (!path.curve) return false;
+    const samples = this.#getPathSamples(path);
+    const proj = projectOntoPath(samples, car.object.position);
+    if (!proj) return false;
+    const a = samples.points[proj.index];
+    const b = samples.points[proj.index + 1];
+    const from = car.object.position.clone();
+    this.#placeCar(car, proj.point, Math.atan2(b.x - a.x, b.z - a.z));
+
+    this.recovery.clear(index);
+    this.recovery.countReset(index);
+    if (this.recovery.invalidateLap) this.timing.invalidateLap(index, "reset");
+    else this.timing.flagLap(index, "reset");
+    this.eventLog.add("reset", this.time, {
+      carIndex: index,
+      reason,
+      from: { x: from.x, z: from.z },
+      to: { x: car.object.position.x, z: car.object.position.z },
+    });
+    return true;
+  }
+
+  // Steps the physics world, or takes the answer to the step posted at the
+  // end of the last one. Returns whether the car bodies hold the world's
+  // state after it (a remote world may still be behind).
+  #stepWorld(dt) {
+    if (this.world) {
+      this.world.step(dt);
+      return true;
+    }
+    if (!this.remotePhysics) return true;
+    if (this.worldStepPosted) {
+      this.worldStepPosted = false;
+      this.remotePhysics.sync();
+    } else {
+      this.remotePhysics.step(dt);
+    }
+    return this.remotePhysics.getPendingSteps() === 0;
+  }
+
+  // A remote world answers steps late, so the driving in a step would see
+  // the cars as they were some steps ago, by however far the worker trails.
+  // While a car is recorded or replayed the simulation and world take turns
+  // instead: each step starts from the world's answer to the last.
+  #isLockstep() {
+    if (!this.remotePhysics) return false;
+    const recording = this.inputRecording;
+    const recorded = recording && this.cars[recording.carIndex];
+    return !!(recorded && recorded.body) || this.cars.some((car) => car.replay);
+  }
+
+  #postWorldStep(dt) {
+    this.remotePhysics.step(dt);
+    this.worldStepPosted = true;
+  }
+
+  // A remote world only gets the track once a car needs it, so the track
+  // isn't copied out and turned into a trimesh with physics off
+  #ensureWorld() {
+    if (this.remotePhysics) {
+      if (this.remoteTrackPosted) return;
+      this.remoteTrackPosted = true;
+      if (this.trackObject) this.remotePhysics.addTrack(this.trackObject);
+      return;
+    }
+    if (this.world) return;
+    this.world = createPhysicsWorld();
+    for (const body of this.staticBodies) this.world.addBody(body);
+    if (this.trackObject) {
+      this.world.addBody(createTrackBody(this.trackObject));
+    }
+  }
+
+  // Body for `car` with its origin at `position` (the model origin) facing
+  // `quaternion`. Collision shapes come from the car's model and mass and
+  // centre of mass from `physicsConfig.carBodies`.
+  #addBody(car, position, quaternion) {
+    const isVehicle = this.carModel === "raycastVehicle";
+    const options = {
+      shapes: createCarShapes(car.model),
+      ...getCarMassProperties(
+        car.index,
+        isVehicle ? f1CarSpecs.dryMass : physicsConfig.carMass
+      ),
+    };
+    const vehicle = isVehicle ? createCarVehicle(position, options) : null;
+    const body = vehicle
+      ? vehicle.chassisBody
+      : createCarBody(position, options);
+    // The body sits at the centre of mass
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    body.position.vadd(
+      body.quaternion.vmult(options.centerOfMass),
+      body.position
+    );
+    if (this.remotePhysics) {
+      this.remotePhysics.addCar(car.index, { body, vehicle, ...options });
+    } else if (vehicle) {
+      vehicle.addToWorld(this.world);
+    } else {
+      this.world.addBody(body);
+    }
+    car.body = body;
+    car.vehicle = vehicle;
+    car.centerOfMass = options.centerOfMass;
+  }
+
+  #removeBody(car) {
+    if (this.remotePhysics) this.remotePhysics.removeCar(car.index);
+    else if (car.vehicle) car.vehicle.removeFromWorld(this.world);
+    else this.world.removeBody(car.body);
+    car.body = null;
+    car.vehicle = null;
+    car.centerOfMass = new CANNON.Vec3(0, 0, 0);
+  }
+
+  // Held on the grid, during the lights and after the results
+  #isHeld(car) {
+    return (
+      car.damage.retired ||
+      (this.session.active && this.session.getSpeedFactor(car.index) === 0)
+    );
+  }
+
+  #stepAI(dt) {
+    if (!this.racePath) return;
+    for (const car of this.cars) {
+      const state = this.aiStates[car.index];
+      if (!state) continue;
+      state.speedFactor = car.damage.retired
+        ? 0
+        : this.session.getSpeedFactor(car.index);
+      const { grip, power, topSpeed } = this.#getPerformance(car);
+      state.grip = grip;
+      state.power = power;
+      state.topSpeedFactor = topSpeed;
+    }
+    try {
+      updateCarAI(
+        this.cars.map((c) => (this.#isInputDriven(c) ? null : c.object)),
+        this.cars.map((c) => c.body),
+        this.aiStates,
+        this.racePath,
+        this.racePathTransform,
+        dt,
+        this.perCarPaths,
+        { speedProfile: this.aiSpeedProfile, pitLane: this.pitLane }
+      );
+      // Snap cars to the track surface after AI update
+      for (const car of this.cars) {
+        if (this.#isInputDriven(car)) continue;
+        this.#snapToGround(car.object);
+        // updateCarAI puts bodies at the car's origin; move them to the
+        // centre of mass
+        if (car.body && !car.centerOfMass.isZero()) {
+          const { x, y, z } = car.object.position;
+          const offset = car.body.quaternion.vmult(car.centerOfMass);
+          car.body.position.set(x + offset.x, y + offset.y, z + offset.z);
+        }
+        const state = this.aiStates[car.index];
+        const speed = state?.currentSpeed ?? 0;
+        car.throttle = state?.throttle ?? 0;
+        car.brake = 0;
+        car.steer = 0;
+        updateDrivetrain(car.drivetrain, {
+          speed,
+          throttle: car.throttle,
+          delta: dt,
+        });
+        car.telemetry = this.#getTelemetry(car, speed);
+      }
+    } catch (error) {
+      console.error("An error occurred during car AI update:", error);
+      this.raceMode = false;
+    }
+  }
+
+  #stepDriven(dt) {
+    for (const car of this.cars) {
+      const { object, body } = car;
+      const inputDriven = this.#isInputDriven(car);
+      if (this.raceMode && !inputDriven) continue;
+
+      // Sync car object with its physics body
+      if (body) {
+        const offset = body.quaternion.vmult(car.centerOfMass);
+        object.position.copy(body.position.vsub(offset));
+        object.quaternion.copy(body.quaternion);
+      }
+
+      if (inputDriven) {
+        const held = this.#isHeld(car);
+        if (held) {
+          car.velocity.set(0, 0, 0);
+          if (body) body.velocity.set(0, 0, 0);
+        }
+        const input = held ? createIdleInput() : car.input;
+        // The wheeled car takes surface grip per wheel
+        const performance = this.#getPerformance(
+          car,
+          car.vehicle ? 1 : car.surface.grip
+        );
+        const { rollingResistance } = car.surface;
+        const forwardSpeed = this.#getForwardSpeed(car);
+        // Grip limit of the tyres on the surfaces under them (m/s^2)
+        const gripLimit =
+          this.#getPerformance(car).grip * car.aero.lateralLimit;
+        // ABS and TC watch the wheels of a wheeled car, else what its
+        // controller will brake and drive with
+        const wheels = car.vehicle ? car.vehicle.wheelInfos : null;
+        const axes = this.#applyAssists(car, getInputAxes(input), {
+          speed: forwardSpeed,
+          gripLimit,
+          wheels,
+          brakeDecel: body
+            ? (brake) => getCarControlsBrakeDecel(body, brake)
+            : (brake, throttle) =>
+                getKinematicBrakeDecel(brake, forwardSpeed, throttle),
+        });
+        car.throttle = axes.throttle;
+        car.brake = axes.brake;
+        car.steer = axes.steer;
+        // Engine force at the wheels from the gear the car is in now, less
+        // what traction control cuts
+        const { force } = updateDrivetrain(car.drivetrain, {
+          speed: forwardSpeed,
+          throttle: car.throttle,
+          delta: dt,
+          power: performance.power,
+        });
+        const traction = getTractionControlFactor(
+          {
+            accel: body
+              ? force / f1CarSpecs.dryMass
+              : getKinematicDriveAccel(force, performance.grip),
+            gripLimit,
+            wheels: wheels && REAR_WHEELS.map((i) => wheels[i]),
+          },
+          this.assists,
+          car.assists
+        );
+        const driveForce = force * traction;
+        car.throttle *= traction;
+        // The controllers take the assisted axes in place of the keys
+        const driveInput = {
+          ...input,
+          ...axes,
+          forward: false,
+          backward: false,
+          yawLeft: false,
+          yawRight: false,
+        };
+        if (car.vehicle) {
+          updateVehicleControls(car.vehicle, dt, this.onDebug, driveInput, {
+            ...performance,
+            driveForce,
+            brakeBias: car.brakeBias,
+            wheelGrip: car.surface.wheels.map(
+              (type) => surfaceConfig.types[type].grip
+            ),
+          });
+          applyAeroForces(body);
+          applyRollingResistance(body, rollingResistance);
+          this.#limitTopSpeed(body.velocity, performance.topSpeed);
+          const speed = body.velocity.length();
+          car.telemetry = this.#getTelemetry(car, speed);
+        } else if (body) {
+          updateCarControls(body, dt, this.onDebug, driveInput, {
+            ...performance,
+            driveForce,
+          });
+          const aero = applyAeroForces(body);
+          applyRollingResistance(body, rollingResistance);
+          this.#limitTopSpeed(body.velocity, performance.topSpeed);
+          if (!input.strafe) {
+            const forward = body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+            applyLateralGrip(
+              body.velocity,
+              forward,
+              performance.grip,
+              dt,
+              aero.lateralLimit
+            );
+          }
+          const speed = body.velocity.length();
+          car.telemetry = this.#getTelemetry(car, speed);
+        } else {
+          const { speed } = updateKinematicCar(
+            object,
+            car.velocity,
+            driveInput,
+            dt,
+            { ...performance, driveForce, rollingResistance }
+          );
+          car.telemetry = this.#getTelemetry(car, speed);
+          this.#snapToGround(object);
+        }
+        continue;
+      }
+
+      // Lerp other cars to target positions
+      car.throttle = 0;
+      car.brake = 0;
+      car.steer = 0;
+      const target = this.targets[car.index];
+      if (!target) continue;
+      if (body) {
+        const targetVec = new CANNON.Vec3(target.x, target.y, target.z);
+        body.position.lerp(targetVec, movementLerp, body.position);
+        body.velocity.set(0, 0, 0); // Reset velocity
+      } else {
+        object.position.lerp(
+          new THREE.Vector3(target.x, target.y, target.z),
+          movementLerp
+        );
+        this.#snapToGround(object);
+      }
+    }
+  }
+
+  // Steering assist, auto-brake and ABS on a player's input
+  #applyAssists(car, axes, sensors) {
+    const { steering, braking } = this.assists;
+    let guidance = null;
+    if (steering.enabled || braking.enabled) {
+      const path = this.assistPath || this.#getCarPath(car.index);
+      if (path.curve) {
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(
+          car.object.quaternion
+        );
+        guidance = getPathGuidance(
+          this.#getPathSamples(path),
+          braking.enabled ? getSpeedProfile(path.curve, path.line) : null,
+          car.object.position,
+          forward,
+          this.assists
+        );
+      }
+    }
+    return applyInputAssists(
+      axes,
+      { ...sensors, guidance },
+      this.assists,
+      car.assists
+    );
+  }
+
+  // Engine, tyre, damage and surface multipliers combined
+  #getPerformance(car, surfaceGrip = car.surface.grip) {
+    const engine = getEnginePerformance(car.energy);
+    const damage = getDamagePerformance(car.damage);
+    return {
+      grip: car.tyre.grip * damage.grip * surfaceGrip,
+      power: engine.power * damage.power,
+      topSpeed: engine.topSpeed * damage.topSpeed,
+    };
+  }
+
+  // Car-to-car contact: footprints are tested after every car has moved.
+  // Touching cars get an equal-mass impulse along the contact normal and are
+  // pushed apart; player cars move, AI cars lose speed along their path and
+  // lerped cars are treated as immovable. Car bodies never touch each other
+  // in the cannon world, so this is the only response in both modes.
+  #stepCollisions() {
+    const footprints = this.cars.map((car) => {
+      if (this.pitLane && this.pitLane.isInPit(car.index)) return null;
+      const { position, quaternion } = this.getCarPose(car.index);
+      return getCarFootprint(position, quaternion);
+    });
+    const touching = new Set();
+
+    for (const contact of findCarContacts(footprints)) {
+      const key = `${contact.a}:${contact.b}`;
+      touching.add(key);
+      const a = this.cars[contact.a];
+      const b = this.cars[contact.b];
+      const kindA = this.#getContactKind(a);
+      const kindB = this.#getContactKind(b);
+      const weightA = kindA === "fixed" ? 0 : 1;
+      const weightB = kindB === "fixed" ? 0 : 1;
+      const response = getContactResponse(
+        this.#getPlanarVelocity(a, footprints[contact.a]),
+        this.#getPlanarVelocity(b, footprints[contact.b]),
+        contact.normal,
+        { weightA, weightB }
+      );
+      this.#applyContactVelocity(a, footprints[contact.a], response.deltaA);
+      this.#applyContactVelocity(b, footprints[contact.b], response.deltaB);
+
+      // Only driven cars can be moved off each other; AI cars stay on their path
+      const pushA = kindA === "driven" ? 1 : 0;
+      const pushB = kindB === "driven" ? 1 : 0;
+      const pushTotal = pushA + pushB;
+      if (pushTotal > 0) {
+        const share = contact.depth / pushTotal;
+        this.#pushCar(a, contact.normal, -share * pushA);
+        this.#pushCar(b, contact.normal, share * pushB);
+      }
+
+      const newContact = !this.touching.has(key);
+      if (newContact || response.closingSpeed > 0) {
+        this.#onContact(contact, footprints, response.closingSpeed, newContact);
+      }
+    }
+    this.touching = touching;
+  }
+
+  // "driven" (player), "ai" (on its path) or "fixed" (lerped or finished)
+  #getContactKind(car) {
+    if (this.#isInputDriven(car)) return "driven";
+    const state = this.aiStates[car.index];
+    if (this.raceMode && this.racePath && state && !state.done) return "ai";
+    return "fixed";
+  }
+
+  #getPlanarVelocity(car, footprint) {
+    const kind = this.#getContactKind(car);
+    if (kind === "driven") {
+      const v = car.body ? car.body.velocity : car.velocity;
+      return { x: v.x, z: v.z };
+    }
+    if (kind === "ai") {
+      const speed = this.aiStates[car.index].currentSpeed || 0;
+      return { x: footprint.forward.x * speed, z: footprint.forward.z * speed };
+    }
+    return { x: 0, z: 0 };
+  }
+
+  #applyContactVelocity(car, footprint, delta) {
+    const kind = this.#getContactKind(car);
+    if (kind === "driven") {
+      const v = car.body ? car.body.velocity : car.velocity;
+      v.x += delta.x;
+      v.z += delta.z;
+    } else if (kind === "ai") {
+      // AI cars keep to their path: only the change along it is kept
+      const state = this.aiStates[car.index];
+      const along =
+        delta.x * footprint.forward.x + delta.z * footprint.forward.z;
+      state.currentSpeed = Math.max(0, (state.currentSpeed || 0) + along);
+    }
+  }
+
+  #pushCar(car, normal, distance) {
+    if (distance === 0) return;
+    for (const target of [car.object, car.body]) {
+      if (!target) continue;
+      target.position.x += normal.x * distance;
+      target.position.z += normal.z * distance;
+    }
+  }
+
+  // Logs new contacts and damages both cars by where each was hit
+  #onContact({ a, b, normal }, footprints, closingSpeed, newContact) {
+    const reverse = { x: -normal.x, z: -normal.z };
+    const zones = [
+      getImpactZone(footprints[a], normal),
+      getImpactZone(footprints[b], reverse),
+    ];
+    const hits = [a, b].map((index, i) =>
+      applyImpact(this.cars[index].damage, {
+        speed: closingSpeed,
+        zone: zones[i],
+      })
+    );
+    if (newContact) {
+      this.eventLog.add("contact", this.time, {
+        cars: [a, b],
+        speed: closingSpeed,
+        zones,
+        severity: hits.map((h) => h.severity),
+      });
+    }
+    hits.forEach((hit, i) => {
+      if (!hit.retired) return;
+      const carIndex = i === 0 ? a : b;
+      const reason = `Contact with Car ${(i === 0 ? b : a) + 1}`;
+      this.eventLog.add("retired", this.time, { carIndex, reason });
+      this.session.retire(carIndex, this.time, reason);
+      if (this.aiStates[carIndex]) this.aiStates[carIndex].currentSpeed = 0;
+    });
+  }
+
+  // Speed along the car's heading (+Z); negative when reversing
+  #getForwardSpeed(car) {
+    if (car.body) {
+      const forward = car.body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+      return car.body.velocity.dot(forward);
+    }
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(
+      car.object.quaternion
+    );
+    return car.velocity.dot(forward);
+  }
+
+  // HUD telemetry: RPM and gear come from the drivetrain
+  #getTelemetry(car, speed) {
+    return {
+      speed,
+      speedKph: speed * 3.6,
+      rpm: car.drivetrain.rpm,
+      gear: car.drivetrain.gear,
+    };
+  }
+
+  // Caps a physics body's ground speed at the car's top speed
+  #limitTopSpeed(velocity, factor) {
+    const max = (f1CarSpecs.maxSpeedKph / 3.6) * factor;
+    const speed = Math.hypot(velocity.x, velocity.z);
+    if (speed > max) {
+      const k = max / speed;
+      velocity.x *= k;
+      velocity.z *= k;
+    }
+  }
+
+  // Cars in the pit lane or out of the race are not checked
+  #checkTrackLimits() {
+    for (const car of this.cars) {
+      if (car.damage.retired) continue;
+      if (this.pitLane && this.pitLane.isInPit(car.index)) continue;
+      const { position, quaternion } = this.getCarPose(car.index);
+      this.trackLimits.update(
+        car.index,
+        {
+          position,
+          wheels: getWheelPositions(position, quaternion),
+          surface: car.surface,
+        },
+        this.time
+      );
+    }
+  }
+
+  // Cars that are driven (by the AI or the player) and moving freely
+  #checkRecovery(dt) {
+    for (const car of this.cars) {
+      if (!this.raceMode && !this.#isInputDriven(car)) continue;
+      if (this.#isHeld(car)) continue;
+      if (this.pitLane && this.pitLane.isInPit(car.index)) continue;
+      const path = this.#getCarPath(car.index);
+      const proj = path.curve
+        ? projectOntoPath(this.#getPathSamples(path), car.object.position)
+        : null;
+      this.recovery.update(
+        car.index,
+        {
+          quaternion: car.object.quaternion,
+          speed: car.telemetry.speed,
+          throttle: car.throttle,
+          distance: proj ? proj.distance : null,
+        },
+        dt,
+        this.time
+      );
+    }
+  }
+
+  #onTrackLimits({
+    carIndex,
+    count,
+    warning,
+    penalty,
+    invalidateLap,
+    position,
+    at,
+  }) {
+    if (invalidateLap) this.timing.invalidateLap(carIndex, "track-limits");
+    if (penalty > 0) this.session.addPenalty(carIndex, penalty, at);
+    this.eventLog.add("trackLimits", at, {
+      carIndex,
+      count,
+      warning,
+      penalty,
+      invalidateLap,
+      position,
+    });
+  }
+
+  // Surface under each wheel, from the pose after the last step
+  #updateSurfaces() {
+    if (!this.getSurfaceAt) return;
+    for (const car of this.cars) {
+      const { position, quaternion } = this.getCarPose(car.index);
+      const wheels = getWheelPositions(position, quaternion).map(({ x, z }) => {
+        const type = this.getSurfaceAt(x, z);
+        return surfaceConfig.types[type] ? type : surfaceConfig.default;
+      });
+      car.surface = combineWheelSurfaces(wheels);
+    }
+  }
+
+  // Tyre wear and temperature from each car's speed and cornering load
+  #updateTyres(dt) {
+    const forward = new THREE.Vector3();
+    const q = new THREE.Quaternion();
+    for (const car of this.cars) {
+      const { quaternion } = this.getCarPose(car.index);
+      q.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+      forward.set(0, 0, 1).applyQuaternion(q);
+      const heading = Math.atan2(forward.x, forward.z);
+      let yawRate = 0;
+      if (car.heading !== null && dt > 0) {
+        let d = heading - car.heading;
+        if (d > Math.PI) d -= 2 * Math.PI;
+        if (d < -Math.PI) d += 2 * Math.PI;
+        yawRate = d / dt;
+      }
+      car.heading = heading;
+      const { speed } = car.telemetry;
+      updateTyres(car.tyre, {
+        speed,
+        lateralAccel: speed * yawRate,
+        delta: dt,
+      });
+    }
+  }
+
+  #recordPath() {
+    const player = this.cars[this.playerIndex];
+    if (this.raceMode || !this.recorder.recording || !player) return;
+    const p = player.object.position;
+    const points = this.recorder.points;
+    const last = points[points.length - 1];
+    if (
+      !last ||
+      p.distanceToSquared(last) > this.recorder.minSampleDistance ** 2
+    ) {
+      points.push(p.clone());
+    }
+  }
+
+  // Replays set their car's input for this step, then the recorded car's
+  // input is stored; events since the last step are already recorded.
+  // Initial states are only taken and restored once the bodies are
+  // `synced` with the world, so the world's answer can't overwrite them.
+  #stepInputRecordings(synced) {
+    for (const car of this.cars) {
+      const { replay } = car;
+      if (!replay) continue;
+      if (!replay.started) {
+        if (!synced) continue;
+        this.#restoreCarState(car, replay.recording.initial);
+        replay.started = true;
+      }
+      const { frames, events } = replay.recording;
+      if (replay.tick >= frames.length) {
+        this.stopInputReplay(car.index);
+        this.eventLog.add("replayEnd", this.time, { carIndex: car.index });
+        continue;
+      }
+      for (const event of events) {
+        if (event.tick === replay.tick) this.#applyRecordedEvent(car, event);
+      }
+      Object.assign(car.input, decodeInputFrame(frames[replay.tick]));
+      replay.tick += 1;
+    }
+    const recording = this.inputRecording;
+    const recorded = recording && this.cars[recording.carIndex];
+    if (!recorded) return;
+    if (!recording.initial) {
+      if (!synced && recorded.body) return;
+      recording.initial = this.#captureCarState(recorded);
+    }
+    if (this.resetQueued) {
+      this.resetQueued = false;
+      if (this.#recoverCar(recorded, "manual")) {
+        this.#recordEvent(recorded.index, "reset");
+      }
+    }
+    // The car drives with the frame as recorded, rounding and all, so a
+    // replay matches it
+    const frame = encodeInputFrame(recorded.input);
+    recording.frames.push(frame);
+    Object.assign(recorded.input, decodeInputFrame(frame));
+  }
+
+  // Events land before the frame of the next step; before the initial
+  // state is taken they are part of it
+  #recordEvent(index, type, value) {
+    const recording = this.inputRecording;
+    if (!recording || recording.carIndex !== index || !recording.initial) {
+      return;
+    }
+    const event = { tick: recording.frames.length, type };
+    if (value !== undefined) event.value = value;
+    recording.events.push(event);
+  }
+
+  #applyRecordedEvent(car, { type, value }) {
+    if (type === "shiftUp") this.shiftUp(car.index);
+    else if (type === "shiftDown") this.shiftDown(car.index);
+    else if (type === "engineMode") this.setEngineMode(car.index, value);
+    else if (type === "gearbox") this.setGearbox(car.index, value);
+    else if (type === "reset") this.#recoverCar(car, "manual");
+  }
+
+  // Everything a step reads about a car, as plain data
+  #captureCarState(car) {
+    const { body, vehicle } = car;
+    const toArray = (v) => [v.x, v.y, v.z];
+    const state = {
+      physics: !!body,
+      position: toArray(car.object.position),
+      quaternion: car.object.quaternion.toArray(),
+      // The kinematic controller turns the Euler angles
+      rotation: car.object.rotation.toArray(),
+      velocity: toArray(body ? body.velocity : car.velocity),
+      heading: car.heading,
+      telemetry: car.telemetry,
+      aero: car.aero,
+      tyre: car.tyre,
+      energy: car.energy,
+      drivetrain: car.drivetrain,
+      damage: car.damage,
+      surface: car.surface,
+      brakeBias: car.brakeBias,
+      throttle: car.throttle,
+      brake: car.brake,
+      steer: car.steer,
+    };
+    if (body) {
+      state.body = {
+        position: toArray(body.position),
+        quaternion: [
+          body.quaternion.x,
+          body.quaternion.y,
+          body.quaternion.z,
+          body.quaternion.w,
+        ],
+        angularVelocity: toArray(body.angularVelocity),
+        force: toArray(body.force),
+        torque: toArray(body.torque),
+      };
+    }
+    if (vehicle) {
+      state.wheels = vehicle.wheelInfos.map((wheel) => ({
+        engineForce: wheel.engineForce,
+        brake: wheel.brake,
+        steering: wheel.steering,
+        frictionSlip: wheel.frictionSlip,
+        rotation: wheel.rotation,
+        deltaRotation: wheel.deltaRotation,
+        skidInfo: wheel.skidInfo,
+      }));
+    }
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  #restoreCarState(car, state) {
+    this.setCarPhysics(car.index, state.physics);
+    car.object.position.fromArray(state.position);
+    if (state.physics) car.object.quaternion.fromArray(state.quaternion);
+    else car.object.rotation.fromArray(state.rotation);
+    const { body, vehicle } = car;
+    if (body && state.body) {
+      body.position.set(...state.body.position);
+      body.quaternion.set(...state.body.quaternion);
+      body.velocity.set(...state.velocity);
+      body.angularVelocity.set(...state.body.angularVelocity);
+      body.force.set(...state.body.force);
+      body.torque.set(...state.body.torque);
+      // The solver turns forces with the inertia of the last integration
+      body.updateInertiaWorld(true);
+      body.aabbNeedsUpdate = true;
+    } else {
+      car.velocity.fromArray(state.velocity);
+    }
+    if (vehicle && state.wheels) {
+      vehicle.wheelInfos.forEach((wheel, i) =>
+        Object.assign(wheel, state.wheels[i])
+      );
+    }
+    car.heading = state.heading;
+    car.telemetry = { ...state.telemetry };
+    car.aero = { ...state.aero };
+    car.tyre = { ...state.tyre };
+    // In place (the GUI binds to these objects)
+    Object.assign(car.energy, state.energy);
+    Object.assign(car.drivetrain, state.drivetrain);
+    car.damage = { ...state.damage };
+    car.surface = { ...state.surface, wheels: [...state.surface.wheels] };
+    car.brakeBias = state.brakeBias;
+    car.throttle = state.throttle;
+    car.brake = state.brake;
+    car.steer = state.steer;
+    this.#syncAIProgress(car);
+    this.#storePreviousPose(car);
+  }
+
+  #getCarPath(index) {
+    const p = this.perCarPaths[index];
+    return p && p.curve && p.line
+      ? p
+      : { curve: this.racePath, line: this.racePathTransform };
+  }
+
+  // Puts the AI progress of a car where the car currently is on its own path
+  #syncAIProgress(car) {
+    const state = this.aiStates[car.index];
+    const path = this.#getCarPath(car.index);
+    if (!state || !path.curve) return;
+    const samples = samplePathWorld(path.curve, path.line);
+    const proj = projectOntoPath(samples, car.object.position);
+    if (!proj) return;
+    state.progress = proj.fraction;
+    state.done = false;
+  }
+
+  // Sampled path in world space, cached per curve until its line moves
+  #getPathSamples({ curve, line }) {
+    if (line) line.updateMatrixWorld();
+    const cached = this.pathSamples.get(curve);
+    if (cached && (!line || line.matrixWorld.equals(cached.matrix))) {
+      return cached.samples;
+    }
+    const samples = samplePathWorld(curve, line);
+    this.pathSamples.set(curve, {
+      samples,
+      matrix: line ? line.matrixWorld.clone() : null,
+    });
+    return samples;
+  }
+
+  // Places a car on the timed path `fraction`, offset sideways by `lateral` meters
+  #placeAt(car, fraction, lateral = 0) {
+    const pose = this.timing.getPoseAt(fraction);
+    if (!pose) return;
+    const { position, tangent } = pose;
+    const right = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+    position.addScaledVector(right, lateral);
+    this.#placeCar(car, position, Math.atan2(tangent.x, tangent.z));
+  }
+
+  // Teleports a car to `position` on the ground, facing `yaw`; AI cars
+  // carry on from there
+  #placeCar(car, position, yaw) {
+    this.teleportCar(car.index, position, yaw);
+    this.#snapToGround(car.object);
+    if (car.body) {
+      const offset = car.body.quaternion.vmult(car.centerOfMass);
+      car.body.position.y = car.object.position.y + offset.y;
+    }
+    this.#syncAIProgress(car);
+    this.#storePreviousPose(car);
+  }
+
+  // Grid slots behind the line in car order, pole first; open paths line
+  // up forward from the start of the path instead
+  #placeOnGrid() {
+    const length = this.timing.getPathLength();
+    if (!length) return;
+    const closed = !!this.timing.curve.closed;
+    const { gridOffset, gridSpacing, gridStagger } = this.session.options;
+    const n = this.cars.length;
+    for (const car of this.cars) {
+      const k = car.index;
+      const fraction = closed
+        ? this.timing.startFraction - (gridOffset + k * gridSpacing) / length
+        : ((n - 1 - k) * gridSpacing) / length;
+      this.#placeAt(car, fraction, (k % 2 === 0 ? 1 : -1) * gridStagger);
+    }
+  }
+
+  #onSessionPhase({ phase, at }) {
+    if (phase === "green") {
+      // Lap 1 is timed from lights out
+      this.timing.reset();
+      this.leaderboard.reset();
+      for (const car of this.cars) {
+        this.timing.update(car.index, this.getCarPose(car.index).position, at);
+        this.timing.startLap(car.index, at);
+      }
+    } else if (phase === "results") {
+      this.session.publishResults(
+        this.session.classify(
+          (i) => this.timing.getProgress(i),
+          (i) => this.timing.getCarTiming(i)?.bestLap ?? null
+        ),
+        at
+      );
+    }
+  }
+
+  #onLap({ carIndex, at }) {
+    this.session.recordLap(carIndex, at);
+
+    // Pit strategy: never box for the last lap
+    if (this.pitLane && this.session.lapsRemaining(carIndex) > 1) {
+      const timing = this.timing.getCarTiming(carIndex);
+      this.pitLane.onLapCompleted(carIndex, timing.lapsCompleted);
+    }
+
+    // Open paths are run as repeated stages: back to the start for the next lap
+    const car = this.cars[carIndex];
+    if (
+      car &&
+      this.session.active &&
+      this.timing.curve &&
+      !this.timing.curve.closed &&
+      this.session.lapsRemaining(carIndex) > 0
+    ) {
+      this.#placeAt(car, 0);
+    }
+  }
+
+  #storePreviousPose(car) {
+    car.previousPose.position.copy(car.object.position);
+    car.previousPose.quaternion.copy(car.object.quaternion);
+  }
+
+  #snapToGround(object, yOffset = physicsConfig.suspensionOffset) {
+    if (!this.getGroundY) return;
+    const gy = this.getGroundY(object.position.x, object.position.z);
+    if (typeof gy === "number") object.position.y = gy + yOffset;
+  }
+}
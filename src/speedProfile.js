@@ -0,0 +1,190 @@
+import * as THREE from "three";
+import { f1CarSpecs, aiConfig, GRAVITY } from "./config.js";
+import { samplePathWorld } from "./utils/math3d.js";
+
+/**
+ * Curvature-limited speed profile along a path.
+ *
+ * The path is sampled at even arc-length spacing in world space. Each sample
+ * gets the cornering limit sqrt(maxLateralG * g / curvature), capped at the
+ * car's top speed; a forward pass then limits how fast speed can rise
+ * (acceleration) and a backward pass how fast it must fall before a corner
+ * (braking), which produces the braking zones.
+ *
+ * @param {THREE.Curve} curve
+ * @param {THREE.Object3D|null=} transform - Object whose world matrix places the curve
+ * @param {Object=} options
+ * @param {number=} options.samples - Number of samples along the path
+ * @param {number=} options.maxSpeed - Top speed (m/s)
+ * @param {number=} options.maxLateralG - Cornering limit (g)
+ * @param {number=} options.brakingDecel - Braking limit (m/s^2)
+ * @param {number=} options.acceleration - Acceleration limit (m/s^2)
+ * @returns {{fractions:number[],speeds:number[],limits:number[],curvature:number[],maxSpeed:number,closed:boolean}}
+ */
+export function computeSpeedProfile(
+  curve,
+  transform = null,
+  {
+    samples = aiConfig.profileSamples,
+    maxSpeed = f1CarSpecs.maxSpeedKph / 3.6,
+    maxLateralG = f1CarSpecs.maxLateralG,
+    brakingDecel = f1CarSpecs.brakingDecel,
+    acceleration = f1CarSpecs.acceleration,
+  } = {}
+) {
+  const closed = !!curve.closed;
+  const world = samplePathWorld(curve, transform, Math.max(3, samples));
+  // Closed paths repeat the first point at the end; keep it once
+  const count = closed ? world.points.length - 1 : world.points.length;
+  const points = world.points.slice(0, count);
+  const fractions = world.fractions.slice(0, count);
+
+  const index = (i) => (closed ? (i + count) % count : i);
+  const curvature = points.map((_, i) => {
+    if (!closed && (i === 0 || i === count - 1)) return null;
+    return curvatureXZ(points[index(i - 1)], points[i], points[index(i + 1)]);
+  });
+  // Open path ends take their neighbour's curvature
+  if (!closed) {
+    curvature[0] = curvature[1];
+    curvature[count - 1] = curvature[count - 2];
+  }
+  const smoothed = curvature.map((k, i) => {
+    const prev = closed || i > 0 ? curvature[index(i - 1)] : k;
+    const next = closed || i < count - 1 ? curvature[index(i + 1)] : k;
+    return (prev + k + next) / 3;
+  });
+
+  const limits = smoothed.map((k) =>
+    k > 1e-6
+      ? Math.min(maxSpeed, Math.sqrt((maxLateralG * GRAVITY) / k))
+      : maxSpeed
+  );
+
+  // Distance from sample i to sample i + 1
+  const gaps = points.map((p, i) =>
+    closed || i < count - 1 ? p.distanceTo(points[index(i + 1)]) : 0
+  );
+
+  const speeds = limits.slice();
+  // Closed paths wrap, so two passes round the loop settle both ends
+  const passes = closed ? 2 * count : count;
+  for (let n = 1; n < passes; n++) {
+    const i = index(n);
+    const prev = index(n - 1);
+    const reachable = Math.sqrt(
+      speeds[prev] ** 2 + 2 * acceleration * gaps[prev]
+    );
+    speeds[i] = Math.min(speeds[i], reachable);
+  }
+  for (let n = passes - 2; n >= 0; n--) {
+    const i = index(n);
+    const next = index(n + 1);
+    const brakeable = Math.sqrt(speeds[next] ** 2 + 2 * brakingDecel * gaps[i]);
+    speeds[i] = Math.min(speeds[i], brakeable);
+  }
+
+  return { fractions, speeds, limits, curvature: smoothed, maxSpeed, closed };
+}
+
+// Curvature (1/m) of the circle through three points, ignoring height
+function curvatureXZ(a, b, c) {
+  const abx = b.x - a.x;
+  const abz = b.z - a.z;
+  const bcx = c.x - b.x;
+  const bcz = c.z - b.z;
+  const cax = a.x - c.x;
+  const caz = a.z - c.z;
+  const cross = abx * bcz - abz * bcx;
+  const lengths =
+    Math.hypot(abx, abz) * Math.hypot(bcx, bcz) * Math.hypot(cax, caz);
+  return lengths > 1e-9 ? (2 * Math.abs(cross)) / lengths : 0;
+}
+
+/**
+ * Profile speed at an arc-length fraction, interpolated between samples.
+ * @param {ReturnType<typeof computeSpeedProfile>} profile
+ * @param {number} fraction - 0..1 along the path
+ * @returns {number} Speed in m/s
+ */
+export function getProfileSpeed(profile, fraction) {
+  const { speeds, closed } = profile;
+  const count = speeds.length;
+  const segments = closed ? count : count - 1;
+  const f = closed
+    ? ((fraction % 1) + 1) % 1
+    : Math.min(1, Math.max(0, fraction));
+  const x = f * segments;
+  const i = Math.min(segments - 1, Math.floor(x));
+  const a = speeds[i];
+  const b = speeds[closed ? (i + 1) % count : i + 1];
+  return a + (b - a) * (x - i);
+}
+
+// Cached profiles per curve, rebuilt when the path transform changes
+const profileCache = new WeakMap();
+
+/**
+ * Cached `computeSpeedProfile` for a path.
+ * @param {THREE.Curve} curve
+ * @param {THREE.Object3D|null=} transform
+ * @param {Parameters<typeof computeSpeedProfile>[2]=} options
+ */
+export function getSpeedProfile(curve, transform = null, options = {}) {
+  if (transform) transform.updateMatrixWorld();
+  const matrix = transform ? transform.matrixWorld : null;
+  const key = JSON.stringify(options);
+  const cached = profileCache.get(curve);
+  if (
+    cached &&
+    cached.key === key &&
+    cached.transform === transform &&
+    (!matrix || matrix.equals(cached.matrix))
+  ) {
+    return cached.profile;
+  }
+  const profile = computeSpeedProfile(curve, transform, options);
+  profileCache.set(curve, {
+    key,
+    transform,
+    matrix: matrix ? matrix.clone() : null,
+    profile,
+  });
+  return profile;
+}
+
+/**
+ * Line over the path coloured by profile speed: red is slowest, green is top
+ * speed. Points are in the curve's local space, so add the line as a child
+ * of the path line to follow its transform.
+ * @param {THREE.Curve} curve
+ * @param {ReturnType<typeof computeSpeedProfile>} profile
+ * @param {number=} yOffset - Local lift above the path line
+ * @returns {THREE.Line}
+ */
+export function createSpeedProfileLine(curve, profile, yOffset = 0.05) {
+  const { fractions, speeds, maxSpeed, closed } = profile;
+  const minSpeed = Math.min(...speeds);
+  const range = Math.max(1e-6, maxSpeed - minSpeed);
+  const positions = [];
+  const colors = [];
+  const color = new THREE.Color();
+  const order = closed ? [...fractions.keys(), 0] : [...fractions.keys()];
+  for (const i of order) {
+    const p = curve.getPointAt(fractions[i]);
+    positions.push(p.x, p.y + yOffset, p.z);
+    // Hue 0 (red) at the slowest corner to 1/3 (green) at top speed
+    color.setHSL((speeds[i] - minSpeed) / range / 3, 1, 0.5);
+    colors.push(color.r, color.g, color.b);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+  const material = new THREE.LineBasicMaterial({ vertexColors: true });
+  const line = new THREE.Line(geometry, material);
+  line.name = "speedProfile";
+  return line;
+}
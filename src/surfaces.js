@@ -0,0 +1,174 @@
+import * as THREE from "three";
+import { surfaceConfig, physicsConfig } from "./config.js";
+
+const raycaster = new THREE.Raycaster();
+const DOWN = new THREE.Vector3(0, -1, 0);
+const rayOrigin = new THREE.Vector3();
+// Mesh surface per grid cell, for each track mesh
+const cellCache = new WeakMap();
+
+/**
+ * Surface type from a mesh or material name, matched against
+ * `surfaceConfig.names` (case-insensitive).
+ * @param {string=} name
+ * @returns {string|null} Surface type, or null when the name says nothing
+ */
+export function classifySurfaceName(name) {
+  if (!name) return null;
+  const lower = name.toLowerCase();
+  for (const [type, words] of Object.entries(surfaceConfig.names)) {
+    if (words.some((word) => lower.includes(word))) return type;
+  }
+  return null;
+}
+
+/**
+ * Surface type of a raycast hit: the material of the face that was hit
+ * first, then the mesh and its parents by name.
+ * @param {THREE.Intersection} hit
+ * @returns {string|null}
+ */
+export function getSurfaceFromHit(hit) {
+  const { object, face } = hit;
+  const material = Array.isArray(object.material)
+    ? object.material[face ? face.materialIndex : 0]
+    : object.material;
+  const fromMaterial = classifySurfaceName(material && material.name);
+  if (fromMaterial) return fromMaterial;
+  for (let node = object; node; node = node.parent) {
+    const fromName = classifySurfaceName(node.name);
+    if (fromName) return fromName;
+  }
+  return null;
+}
+
+/**
+ * Surface type from the painted zone map, if a zone contains the point.
+ * Later zones win where zones overlap.
+ * @param {number} x
+ * @param {number} z
+ * @param {{type:string,points:number[][]}[]=} zones - Polygons in world X/Z
+ * @returns {string|null}
+ */
+export function getZoneSurface(x, z, zones = surfaceConfig.zones) {
+  for (let i = zones.length - 1; i >= 0; i--) {
+    if (isInsidePolygon(x, z, zones[i].points)) return zones[i].type;
+  }
+  return null;
+}
+
+// Even-odd rule
+function isInsidePolygon(x, z, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, zi] = points[i];
+    const [xj, zj] = points[j];
+    if (zi > z !== zj > z && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Surface type at a point: the zone map first, then the name of the track
+ * mesh straight below, else `surfaceConfig.default`. The mesh is raycast
+ * once per `cellSize` grid cell, at its centre, and the answer is kept for
+ * as long as the mesh lives, so the track must not move.
+ * @param {THREE.Object3D|null} trackMesh
+ * @param {number} x
+ * @param {number} z
+ * @param {{zones?:{type:string,points:number[][]}[],rayHeight?:number,cellSize?:number}=} options
+ * @returns {string}
+ */
+export function getSurfaceAt(
+  trackMesh,
+  x,
+  z,
+  {
+    zones = surfaceConfig.zones,
+    rayHeight = 1000,
+    cellSize = surfaceConfig.cellSize,
+  } = {}
+) {
+  const fromZone = getZoneSurface(x, z, zones);
+  if (fromZone) return fromZone;
+  if (trackMesh) {
+    const fromMesh = getMeshSurface(trackMesh, x, z, rayHeight, cellSize);
+    if (fromMesh) return fromMesh;
+  }
+  return surfaceConfig.default;
+}
+
+function getMeshSurface(trackMesh, x, z, rayHeight, cellSize) {
+  let cells = cellCache.get(trackMesh);
+  if (!cells) {
+    cells = new Map();
+    cellCache.set(trackMesh, cells);
+  }
+  const i = Math.floor(x / cellSize);
+  const k = Math.floor(z / cellSize);
+  const key = `${i},${k}`;
+  if (!cells.has(key)) {
+    rayOrigin.set((i + 0.5) * cellSize, rayHeight, (k + 0.5) * cellSize);
+    raycaster.set(rayOrigin, DOWN);
+    const [hit] = raycaster.intersectObject(trackMesh, true);
+    cells.set(key, (hit && getSurfaceFromHit(hit)) || null);
+  }
+  return cells.get(key);
+}
+
+/**
+ * Ground positions of a car's wheels, in the order of `FRONT_WHEELS` and
+ * `REAR_WHEELS` (front left, front right, rear left, rear right).
+ * @param {{x:number,z:number}} position
+ * @param {{x:number,y:number,z:number,w:number}} quaternion
+ * @returns {{x:number,z:number}[]}
+ */
+export function getWheelPositions(position, quaternion) {
+  const { x, y, z, w } = quaternion;
+  // Car forward (+Z) and left (+X) axes, flattened onto the ground
+  const fx = 2 * (x * z + w * y);
+  const fz = 1 - 2 * (x * x + y * y);
+  const lx = 1 - 2 * (y * y + z * z);
+  const lz = 2 * (x * z - w * y);
+  const halfTrack = physicsConfig.vehicle.trackWidth / 2;
+  const halfBase = physicsConfig.vehicle.wheelBase / 2;
+  return [
+    [halfTrack, halfBase],
+    [-halfTrack, halfBase],
+    [halfTrack, -halfBase],
+    [-halfTrack, -halfBase],
+  ].map(([side, along]) => ({
+    x: position.x + lx * side + fx * along,
+    z: position.z + lz * side + fz * along,
+  }));
+}
+
+/**
+ * Combines the surfaces under a car's wheels: grip and rolling resistance
+ * are averaged, vibration is the strongest of any wheel.
+ * @param {string[]} wheels - Surface type per wheel
+ * @returns {{wheels:string[],type:string,offAsphalt:boolean,grip:number,rollingResistance:number,vibration:number}} `type` is the
+ *   roughest surface any wheel is on
+ */
+export function combineWheelSurfaces(wheels) {
+  const specs = wheels.map(
+    (type) =>
+      surfaceConfig.types[type] || surfaceConfig.types[surfaceConfig.default]
+  );
+  let roughest = 0;
+  specs.forEach((spec, i) => {
+    if (spec.grip < specs[roughest].grip) roughest = i;
+  });
+  const mean = (key) =>
+    specs.reduce((sum, spec) => sum + spec[key], 0) / specs.length;
+  return {
+    wheels: [...wheels],
+    type: wheels[roughest],
+    offAsphalt: wheels.some((type) => type !== "asphalt"),
+    grip: mean("grip"),
+    rollingResistance: mean("rollingResistance"),
+    vibration: Math.max(...specs.map((spec) => spec.vibration)),
+  };
+}
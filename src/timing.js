@@ -0,0 +1,446 @@
+import * as THREE from "three";
+import { timingConfig } from "./config.js";
+import { EventEmitter } from "./utils/events.js";
+import { samplePathWorld, projectOntoPath } from "./utils/math3d.js";
+
+// Jumps larger than this (fraction of a lap) are treated as teleports, not driving
+const MAX_STEP_FRACTION = 0.25;
+
+/**
+ * Lap and sector timing on a path.
+ *
+ * A start/finish line and N equal-length sectors are laid out along the
+ * path. Every car position passed to `update` is projected onto the path and
+ * line crossings are timed, interpolated between updates. Closed paths run
+ * lap after lap; open paths run from the start (fraction 0) to the end and a
+ * new lap starts when the car is put back on the start line.
+ *
+ * Events:
+ * - "lapStart" { carIndex, lap, at }
+ * - "sector"   { carIndex, lap, sector, time, at, personalBest, overallBest }
+ * - "lap"      { carIndex, lap, time, sectors, flags, valid, at, personalBest, overallBest }
+ *
+ * Laps carry `flags` set with `flagLap` while they were run (e.g. "pit-in").
+ * Laps deleted with `invalidateLap` are kept but never count as a best lap.
+ */
+export class LapTimer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {THREE.Curve=} options.curve - Timed path
+   * @param {THREE.Object3D=} options.transform - Object whose world matrix places the path
+   * @param {number=} options.sectors - Number of sectors
+   * @param {number=} options.startFraction - Start/finish line position on closed paths
+   */
+  constructor({
+    curve = null,
+    transform = null,
+    sectors = timingConfig.sectors,
+    startFraction = timingConfig.startFraction,
+    samples = timingConfig.samples,
+    maxTrackDistance = timingConfig.maxTrackDistance,
+    startWindow = timingConfig.startWindow,
+  } = {}) {
+    super();
+    this.sectors = Math.max(1, Math.floor(sectors));
+    this.startFraction = startFraction;
+    this.sampleCount = samples;
+    this.maxTrackDistance = maxTrackDistance;
+    this.startWindow = startWindow;
+
+    this.curve = null;
+    this.transform = null;
+    this.samples = null;
+    this.samplesMatrix = new THREE.Matrix4();
+    this.cars = new Map();
+    this.overallBest = { lap: null, sectors: [] };
+
+    if (curve) this.setPath(curve, transform);
+  }
+
+  /**
+   * Times laps on a different path. Existing timing is cleared.
+   * @param {THREE.Curve} curve
+   * @param {THREE.Object3D=} transform
+   */
+  setPath(curve, transform = null) {
+    this.curve = curve;
+    this.transform = transform;
+    this.samples = null;
+    this.reset();
+  }
+
+  /**
+   * Changes the sector count. Existing timing is cleared.
+   * @param {number} count
+   */
+  setSectors(count) {
+    this.sectors = Math.max(1, Math.floor(count));
+    this.reset();
+  }
+
+  /**
+   * Clears every car's laps and the overall bests.
+   */
+  reset() {
+    this.cars.clear();
+    this.overallBest = {
+      lap: null,
+      sectors: new Array(this.sectors).fill(null),
+    };
+  }
+
+  /**
+   * Path fractions of the start/finish line (first) and the sector lines.
+   * @returns {number[]}
+   */
+  getLineFractions() {
+    const start = this.#isClosed() ? this.startFraction : 0;
+    const lines = [];
+    for (let k = 0; k < this.sectors; k++) {
+      lines.push((((start + k / this.sectors) % 1) + 1) % 1);
+    }
+    return lines;
+  }
+
+  /**
+   * World length of the timed path in meters.
+   * @returns {number}
+   */
+  getPathLength() {
+    if (!this.curve) return 0;
+    const { points } = this.#getSamples();
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += points[i].distanceTo(points[i - 1]);
+    }
+    return length;
+  }
+
+  /**
+   * World position and unit tangent at a path fraction.
+   * @param {number} fraction - 0..1 along the path
+   * @returns {{position:THREE.Vector3,tangent:THREE.Vector3}|null}
+   */
+  getPoseAt(fraction) {
+    if (!this.curve) return null;
+    const { points } = this.#getSamples();
+    const f = this.#isClosed()
+      ? ((fraction % 1) + 1) % 1
+      : Math.min(1, Math.max(0, fraction));
+    const x = f * (points.length - 1);
+    const i = Math.min(points.length - 2, Math.floor(x));
+    const position = new THREE.Vector3().lerpVectors(
+      points[i],
+      points[i + 1],
+      x - i
+    );
+    const tangent = new THREE.Vector3()
+      .subVectors(points[i + 1], points[i])
+      .normalize();
+    return { position, tangent };
+  }
+
+  /**
+   * Standing start: begins lap 1 for a car at `time` from wherever it is.
+   * A car sitting just behind the line on a closed path does not complete a
+   * lap when it first crosses it.
+   * @param {number} carIndex
+   * @param {number} time
+   */
+  startLap(carIndex, time) {
+    const car = this.cars.get(carIndex);
+    if (!car || car.pos === null) return;
+    const base = !this.#isClosed()
+      ? 0
+      : car.fraction > 0.5
+      ? Math.ceil(car.pos)
+      : Math.floor(car.pos);
+    this.#beginLap(car, base, time);
+  }
+
+  /**
+   * Feeds a car position at simulation time `time` (seconds).
+   * @param {number} carIndex
+   * @param {{x:number,y:number,z:number}} position
+   * @param {number} time
+   */
+  update(carIndex, position, time) {
+    if (!this.curve) return;
+    const proj = projectOntoPath(this.#getSamples(), position);
+    if (!proj || proj.distance > this.maxTrackDistance) return;
+
+    const car = this.#getCar(carIndex);
+    const closed = this.#isClosed();
+    const f = closed
+      ? (((proj.fraction - this.startFraction) % 1) + 1) % 1
+      : proj.fraction;
+
+    // First sighting: start timing only when sitting on the line
+    if (car.pos === null) {
+      car.pos = f;
+      car.fraction = f;
+      car.time = time;
+      if (f <= this.startWindow) this.#beginLap(car, 0, time);
+      else car.nextBoundary = closed ? 1 : null;
+      return;
+    }
+
+    let d = f - car.fraction;
+    if (closed) {
+      if (d > 0.5) d -= 1;
+      if (d < -0.5) d += 1;
+    }
+
+    if (Math.abs(d) > MAX_STEP_FRACTION) {
+      // Teleport or restart: the lap in progress can no longer be timed
+      car.lapStart = null;
+      car.currentSectors = [];
+      car.pos = f;
+      car.fraction = f;
+      car.time = time;
+      if (!closed && f <= this.startWindow) this.#beginLap(car, 0, time);
+      else car.nextBoundary = closed ? 1 : null;
+      return;
+    }
+
+    const prevPos = car.pos;
+    const prevTime = car.time;
+    car.pos = closed ? prevPos + d : f;
+    car.fraction = f;
+    car.time = time;
+
+    // Handle every line crossed since the last update, in order
+    while (
+      car.nextBoundary !== null &&
+      car.pos > prevPos &&
+      car.nextBoundary > prevPos &&
+      car.nextBoundary <= car.pos + 1e-9
+    ) {
+      const b = car.nextBoundary;
+      const at =
+        prevTime + ((time - prevTime) * (b - prevPos)) / (car.pos - prevPos);
+      if (car.lapStart === null) {
+        this.#beginLap(car, b, at);
+      } else {
+        this.#completeSector(car, at);
+      }
+    }
+  }
+
+  /**
+   * Marks the lap a car is currently on (e.g. "pit-in", "pit-out"). The flag
+   * is stored with the lap when it completes.
+   * @param {number} carIndex
+   * @param {string} flag
+   */
+  flagLap(carIndex, flag) {
+    this.#getCar(carIndex).flags.add(flag);
+  }
+
+  /**
+   * Deletes the lap a car is currently on (e.g. for track limits). The
+   * reason is stored as a flag and the lap is completed with `valid: false`.
+   * @param {number} carIndex
+   * @param {string} reason
+   */
+  invalidateLap(carIndex, reason) {
+    const car = this.#getCar(carIndex);
+    car.flags.add(reason);
+    car.valid = false;
+  }
+
+  /**
+   * Timing summary for one car.
+   * @param {number} carIndex
+   */
+  getCarTiming(carIndex) {
+    const car = this.cars.get(carIndex);
+    if (!car) return null;
+    return {
+      carIndex,
+      lapsCompleted: car.lapsCompleted,
+      currentLap: car.lapStart !== null ? car.lapsCompleted + 1 : null,
+      currentLapTime: car.lapStart !== null ? car.time - car.lapStart : null,
+      currentSectors: car.currentSectors.slice(),
+      currentFlags: [...car.flags],
+      currentLapValid: car.valid,
+      lastLap: car.lastLap,
+      bestLap: car.bestLap,
+      bestSectors: car.bestSectors.slice(),
+      laps: car.laps.slice(),
+    };
+  }
+
+  /**
+   * Completed laps plus the fraction of the current lap. Cars that have not
+   * crossed the start line yet on a closed path report a negative value.
+   * @param {number} carIndex
+   * @returns {number|null}
+   */
+  getProgress(carIndex) {
+    const car = this.cars.get(carIndex);
+    if (!car || car.fraction === null) return null;
+    if (car.lapStart === null && this.#isClosed()) return car.fraction - 1;
+    return car.lapsCompleted + car.fraction;
+  }
+
+  /**
+   * Overall best lap and sectors: `{ lap: {carIndex,time}|null, sectors: ({carIndex,time}|null)[] }`
+   */
+  getOverallBest() {
+    return {
+      lap: this.overallBest.lap,
+      sectors: this.overallBest.sectors.slice(),
+    };
+  }
+
+  /**
+   * Every timed car, ordered by best lap (cars without a lap last).
+   */
+  getResults() {
+    return [...this.cars.values()]
+      .map((car) => ({
+        carIndex: car.carIndex,
+        lapsCompleted: car.lapsCompleted,
+        lastLap: car.lastLap,
+        bestLap: car.bestLap,
+      }))
+      .sort((a, b) => {
+        const ta = a.bestLap ? a.bestLap.time : Infinity;
+        const tb = b.bestLap ? b.bestLap.time : Infinity;
+        return ta - tb || a.carIndex - b.carIndex;
+      });
+  }
+
+  // Internals
+  #isClosed() {
+    return !!(this.curve && this.curve.closed);
+  }
+
+  #getSamples() {
+    if (this.transform) this.transform.updateMatrixWorld();
+    const matrix = this.transform ? this.transform.matrixWorld : null;
+    if (!this.samples || (matrix && !matrix.equals(this.samplesMatrix))) {
+      this.samples = samplePathWorld(
+        this.curve,
+        this.transform,
+        this.sampleCount
+      );
+      if (matrix) this.samplesMatrix.copy(matrix);
+    }
+    return this.samples;
+  }
+
+  #getCar(carIndex) {
+    if (!this.cars.has(carIndex)) {
+      this.cars.set(carIndex, {
+        carIndex,
+        pos: null,
+        fraction: null,
+        time: null,
+        lapStart: null,
+        lapBase: 0,
+        nextSector: 0,
+        nextBoundary: null,
+        currentSectors: [],
+        flags: new Set(),
+        valid: true,
+        lapsCompleted: 0,
+        laps: [],
+        lastLap: null,
+        bestLap: null,
+        bestSectors: new Array(this.sectors).fill(null),
+      });
+    }
+    return this.cars.get(carIndex);
+  }
+
+  #beginLap(car, base, at) {
+    car.lapStart = at;
+    car.sectorStart = at;
+    car.lapBase = base;
+    car.nextSector = 0;
+    car.currentSectors = [];
+    car.nextBoundary = base + 1 / this.sectors;
+    car.flags.clear();
+    car.valid = true;
+    this.emit("lapStart", {
+      carIndex: car.carIndex,
+      lap: car.lapsCompleted + 1,
+      at,
+    });
+  }
+
+  #completeSector(car, at) {
+    const sector = car.nextSector;
+    const time = at - car.sectorStart;
+    car.currentSectors.push(time);
+    car.sectorStart = at;
+
+    const personalBest =
+      car.bestSectors[sector] === null || time < car.bestSectors[sector];
+    if (personalBest) car.bestSectors[sector] = time;
+    const overall = this.overallBest.sectors[sector];
+    const overallBest = !overall || time < overall.time;
+    if (overallBest) {
+      this.overallBest.sectors[sector] = { carIndex: car.carIndex, time };
+    }
+    this.emit("sector", {
+      carIndex: car.carIndex,
+      lap: car.lapsCompleted + 1,
+      sector,
+      time,
+      at,
+      personalBest,
+      overallBest,
+    });
+
+    if (sector < this.sectors - 1) {
+      car.nextSector = sector + 1;
+      car.nextBoundary = car.lapBase + (sector + 2) / this.sectors;
+      return;
+    }
+
+    this.#completeLap(car, at);
+  }
+
+  #completeLap(car, at) {
+    const lap = {
+      lap: car.lapsCompleted + 1,
+      time: at - car.lapStart,
+      sectors: car.currentSectors.slice(),
+      flags: [...car.flags],
+      valid: car.valid,
+      startedAt: car.lapStart,
+      finishedAt: at,
+    };
+    car.lapsCompleted += 1;
+    car.laps.push(lap);
+    car.lastLap = lap;
+
+    const personalBest =
+      lap.valid && (!car.bestLap || lap.time < car.bestLap.time);
+    if (personalBest) car.bestLap = lap;
+    const overallBest =
+      lap.valid &&
+      (!this.overallBest.lap || lap.time < this.overallBest.lap.time);
+    if (overallBest) {
+      this.overallBest.lap = { carIndex: car.carIndex, time: lap.time };
+    }
+    this.emit("lap", {
+      carIndex: car.carIndex,
+      ...lap,
+      at,
+      personalBest,
+      overallBest,
+    });
+
+    if (this.#isClosed()) {
+      this.#beginLap(car, car.lapBase + 1, at);
+    } else {
+      // Open path: wait for the car to be put back on the start line
+      car.lapStart = null;
+      car.nextBoundary = null;
+    }
+  }
+}
@@ -0,0 +1,133 @@
+// DOM timing tower: running order with interval, gap, tyre and lap times
+import { formatLapTime } from "./utils/common.js";
+
+// Row refresh rate; the standings themselves update every simulation step
+const REFRESH_INTERVAL = 0.25; // seconds
+
+function formatGap(gap) {
+  if (!gap) return "-";
+  if (gap.laps) return `+${gap.laps} LAP${gap.laps > 1 ? "S" : ""}`;
+  return `+${gap.time.toFixed(3)}`;
+}
+
+// "PIT" while in the pit lane, else the number of stops made
+function formatPit(pit) {
+  if (!pit) return "";
+  if (pit.phase !== "none") {
+    return '<span style="color:#000;background:#fc0;padding:0 4px">PIT</span>';
+  }
+  return pit.stops ? String(pit.stops) : "";
+}
+
+function createPanel() {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "fixed",
+    top: "10px",
+    left: "10px",
+    padding: "6px 0",
+    background: "rgba(0,0,0,0.75)",
+    color: "#fff",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    fontSize: "12px",
+    borderRadius: "6px",
+    zIndex: 15,
+    userSelect: "none",
+  });
+  return el;
+}
+
+/**
+ * Creates the timing tower overlay.
+ * @param {Object=} options
+ * @param {(carIndex:number)=>void=} options.onSelect - Called when a row is clicked
+ * @param {boolean=} options.visible
+ * @returns {{update:(data:{standings:ReturnType<import("./leaderboard.js").Leaderboard["getStandings"]>,getCarTiming:(carIndex:number)=>any,getTyre?:(carIndex:number)=>string|null|undefined,getPit?:(carIndex:number)=>{phase:string,stops:number}|null|undefined,selectedCarIndex?:number,time:number})=>void, setVisible:(visible:boolean)=>void, dispose:()=>void}}
+ */
+export function createTimingTower({ onSelect = null, visible = true } = {}) {
+  const panel = createPanel();
+  panel.style.display = visible ? "block" : "none";
+  document.body.appendChild(panel);
+
+  const onClick = (e) => {
+    const row = e.target.closest("[data-car]");
+    if (!row || !onSelect) return;
+    onSelect(Number(row.dataset.car));
+    lastRefresh = -Infinity;
+  };
+  panel.addEventListener("click", onClick);
+
+  let lastRefresh = -Infinity;
+
+  function render({
+    standings,
+    getCarTiming,
+    getTyre,
+    getPit,
+    selectedCarIndex,
+  }) {
+    const cell = "padding:2px 8px;white-space:nowrap";
+    const rows = standings
+      .map((s) => {
+        const timing = getCarTiming(s.carIndex);
+        const tyre = (getTyre && getTyre(s.carIndex)) || "-";
+        const pit = getPit && getPit(s.carIndex);
+        const selected = s.carIndex === selectedCarIndex;
+        return `<tr data-car="${s.carIndex}" style="cursor:pointer;${
+          selected ? "background:rgba(255,255,255,0.18)" : ""
+        }">
+          <td style="${cell};font-weight:bold">${s.position}</td>
+          <td style="${cell}">Car ${s.carIndex + 1}</td>
+          <td style="${cell};text-align:right">${
+          s.position === 1 ? "Leader" : formatGap(s.interval)
+        }</td>
+          <td style="${cell};text-align:right">${
+          s.position === 1 ? "" : formatGap(s.gap)
+        }</td>
+          <td style="${cell};text-transform:uppercase">${tyre}</td>
+          <td style="${cell};text-align:center">${formatPit(pit)}</td>
+          <td style="${cell};text-align:right">${formatLapTime(
+          timing?.lastLap?.time
+        )}</td>
+          <td style="${cell};text-align:right">${formatLapTime(
+          timing?.bestLap?.time
+        )}</td>
+        </tr>`;
+      })
+      .join("");
+    panel.innerHTML = `
+      <table style="border-collapse:collapse">
+        <tr style="color:#aaa;text-align:left">
+          <th style="${cell}">Pos</th><th style="${cell}">Car</th>
+          <th style="${cell}">Int</th><th style="${cell}">Gap</th>
+          <th style="${cell}">Tyre</th><th style="${cell}">Pit</th>
+          <th style="${cell}">Last</th>
+          <th style="${cell}">Best</th>
+        </tr>
+        ${rows}
+      </table>`;
+  }
+
+  return {
+    update(data) {
+      if (panel.style.display === "none") return;
+      if (
+        data.time - lastRefresh < REFRESH_INTERVAL &&
+        data.time >= lastRefresh
+      )
+        return;
+      lastRefresh = data.time;
+      render(data);
+    },
+
+    setVisible(show) {
+      panel.style.display = show ? "block" : "none";
+      lastRefresh = -Infinity;
+    },
+
+    dispose() {
+      panel.removeEventListener("click", onClick);
+      panel.remove();
+    },
+  };
+}
@@ -0,0 +1,250 @@
+// DOM touch controls for driving on tablets: a steering slider, brake and
+// throttle pedals, and camera and reset buttons. Each control follows its
+// own finger, so steering and pedals work together
+import { touchConfig } from "./config.js";
+import { applyDeadzone, applyCurve } from "./gamepad.js";
+import { clamp } from "./utils/common.js";
+
+// On-screen buttons and the input action each one presses
+const BUTTONS = [
+  { action: "nextCamera", label: "CAM" },
+  { action: "resetCar", label: "RESET" },
+];
+
+/**
+ * Whether the page runs on a touch screen.
+ * @param {Window=} win
+ * @returns {boolean}
+ */
+export function isTouchDevice(win = globalThis.window) {
+  if (!win) return false;
+  return "ontouchstart" in win || (win.navigator?.maxTouchPoints ?? 0) > 0;
+}
+
+/**
+ * Steering from a finger on the slider, with the deadzone and curve of
+ * `touchConfig`.
+ * @param {number} x - Finger position (clientX)
+ * @param {{left:number,width:number}} rect - Slider bounds
+ * @param {typeof touchConfig=} options
+ * @returns {number} -1..1, positive to the left
+ */
+export function getSliderSteer(x, { left, width }, options = touchConfig) {
+  if (!width) return 0;
+  // -1 at the left edge to 1 at the right
+  const offset = clamp(((x - left) / width) * 2 - 1, -1, 1);
+  const steer = -applyCurve(
+    applyDeadzone(offset, options.steerDeadzone),
+    options.steerExponent
+  );
+  return steer || 0;
+}
+
+function createLayer() {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "fixed",
+    left: "0",
+    right: "0",
+    bottom: "0",
+    height: "240px",
+    pointerEvents: "none",
+    zIndex: 20,
+    userSelect: "none",
+    display: "none",
+  });
+  return el;
+}
+
+function createControl(control, style, label = "") {
+  const el = document.createElement("div");
+  el.dataset.control = control;
+  el.textContent = label;
+  Object.assign(el.style, {
+    position: "absolute",
+    pointerEvents: "auto",
+    touchAction: "none",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    color: "#fff",
+    fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+    fontSize: "13px",
+    fontWeight: "bold",
+    borderRadius: "10px",
+    border: "2px solid rgba(255,255,255,0.5)",
+    background: "rgba(0,0,0,0.35)",
+    ...style,
+  });
+  return el;
+}
+
+/**
+ * Creates the touch control layer. Pedals give full travel while held, the
+ * slider steers by how far from its centre the finger is and springs back
+ * on release, and the buttons press input actions like their keys would.
+ * @param {Object=} options
+ * @param {import("./inputActions.js").InputActions=} options.inputActions - Gets the button presses
+ * @param {boolean=} options.visible - Defaults to `touchConfig.show` ("auto": touch screens only)
+ * @returns {{getInput:()=>{throttle:number,brake:number,steer:number}, setVisible:(visible:boolean)=>void, isVisible:()=>boolean, dispose:()=>void}}
+ */
+export function createTouchControls({
+  inputActions = null,
+  visible = touchConfig.show === "auto" ? isTouchDevice() : !!touchConfig.show,
+} = {}) {
+  const layer = createLayer();
+  const slider = createControl("steer", {
+    left: "20px",
+    bottom: "20px",
+    width: "min(40vw, 360px)",
+    height: "90px",
+    borderRadius: "45px",
+  });
+  const knob = document.createElement("div");
+  Object.assign(knob.style, {
+    position: "absolute",
+    top: "5px",
+    left: "50%",
+    width: "80px",
+    height: "80px",
+    marginLeft: "-40px",
+    borderRadius: "40px",
+    background: "rgba(255,255,255,0.6)",
+    pointerEvents: "none",
+  });
+  slider.appendChild(knob);
+  const pedals = {
+    brake: createControl(
+      "brake",
+      { right: "130px", bottom: "20px", width: "90px", height: "140px" },
+      "BRAKE"
+    ),
+    throttle: createControl(
+      "throttle",
+      { right: "20px", bottom: "20px", width: "90px", height: "140px" },
+      "GAS"
+    ),
+  };
+  const pedalColors = {
+    brake: "rgba(220,40,40,0.7)",
+    throttle: "rgba(40,200,60,0.7)",
+  };
+  layer.append(slider, pedals.brake, pedals.throttle);
+  BUTTONS.forEach(({ action, label }, i) => {
+    const button = createControl(
+      "button",
+      {
+        right: `${20 + i * 110}px`,
+        bottom: "175px",
+        width: "90px",
+        height: "44px",
+      },
+      label
+    );
+    button.dataset.action = action;
+    layer.appendChild(button);
+  });
+  document.body.appendChild(layer);
+
+  // Control held by each finger, by pointer id
+  const pointers = new Map();
+  let steer = 0;
+  let knobOffset = 0; // Finger on the slider, -1 (left edge) to 1
+
+  function render() {
+    knob.style.left = `${50 + knobOffset * 40}%`;
+    for (const [name, el] of Object.entries(pedals)) {
+      el.style.background = isHeld(name)
+        ? pedalColors[name]
+        : "rgba(0,0,0,0.35)";
+    }
+  }
+
+  function isHeld(control) {
+    return [...pointers.values()].includes(control);
+  }
+
+  function updateSteer(e) {
+    const rect = slider.getBoundingClientRect();
+    steer = getSliderSteer(e.clientX, rect);
+    knobOffset = rect.width
+      ? clamp(((e.clientX - rect.left) / rect.width) * 2 - 1, -1, 1)
+      : 0;
+  }
+
+  function releaseSteer() {
+    steer = 0;
+    knobOffset = 0;
+  }
+
+  const onDown = (e) => {
+    const el = e.target.closest("[data-control]");
+    if (!el) return;
+    e.preventDefault();
+    if (el.setPointerCapture) {
+      try {
+        el.setPointerCapture(e.pointerId);
+      } catch {}
+    }
+    if (el.dataset.action) {
+      if (inputActions) inputActions.trigger(el.dataset.action);
+      return;
+    }
+    pointers.set(e.pointerId, el.dataset.control);
+    if (el.dataset.control === "steer") updateSteer(e);
+    render();
+  };
+  const onMove = (e) => {
+    if (pointers.get(e.pointerId) !== "steer") return;
+    e.preventDefault();
+    updateSteer(e);
+    render();
+  };
+  const onUp = (e) => {
+    const control = pointers.get(e.pointerId);
+    if (!control) return;
+    pointers.delete(e.pointerId);
+    if (control === "steer") releaseSteer();
+    render();
+  };
+  const onContextMenu = (e) => e.preventDefault();
+  layer.addEventListener("pointerdown", onDown);
+  layer.addEventListener("pointermove", onMove);
+  layer.addEventListener("pointerup", onUp);
+  layer.addEventListener("pointercancel", onUp);
+  layer.addEventListener("contextmenu", onContextMenu);
+
+  function setVisible(show) {
+    layer.style.display = show ? "block" : "none";
+    // Let go of everything so a hidden pedal can't stay pressed
+    pointers.clear();
+    releaseSteer();
+    render();
+  }
+  setVisible(visible);
+
+  return {
+    getInput() {
+      return {
+        throttle: isHeld("throttle") ? 1 : 0,
+        brake: isHeld("brake") ? 1 : 0,
+        steer,
+      };
+    },
+
+    setVisible,
+
+    isVisible() {
+      return layer.style.display !== "none";
+    },
+
+    dispose() {
+      layer.removeEventListener("pointerdown", onDown);
+      layer.removeEventListener("pointermove", onMove);
+      layer.removeEventListener("pointerup", onUp);
+      layer.removeEventListener("pointercancel", onUp);
+      layer.removeEventListener("contextmenu", onContextMenu);
+      layer.remove();
+    },
+  };
+}
@@ -0,0 +1,223 @@
+import * as THREE from "three";
+import { trackLimitsConfig, timingConfig } from "./config.js";
+import { EventEmitter } from "./utils/events.js";
+import { samplePathWorld, projectOntoPath } from "./utils/math3d.js";
+
+/**
+ * Sideways offsets of points from a sampled path, measured across the path
+ * at the point nearest `position`: positive to the left of the direction of
+ * travel, negative to the right.
+ * @param {{points:THREE.Vector3[],fractions:number[]}} samples - From `samplePathWorld`
+ * @param {{x:number,z:number}} position - Car position, used to find the path segment
+ * @param {{x:number,z:number}[]} points - e.g. the wheels from `getWheelPositions`
+ * @returns {{distance:number,fraction:number,offsets:number[]}|null} Car distance from the path and each point's offset
+ */
+export function getLateralOffsets(samples, position, points) {
+  const proj = projectOntoPath(samples, position);
+  if (!proj) return null;
+  const a = samples.points[proj.index];
+  const b = samples.points[proj.index + 1];
+  const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+  const tx = (b.x - a.x) / length;
+  const tz = (b.z - a.z) / length;
+  // Left of the direction of travel (a car facing +Z has +X on its left)
+  const lx = tz;
+  const lz = -tx;
+  return {
+    distance: proj.distance,
+    fraction: proj.fraction,
+    offsets: points.map(
+      (p) => (p.x - proj.point.x) * lx + (p.z - proj.point.z) * lz
+    ),
+  };
+}
+
+/**
+ * Track limits: off-track detection, warnings and penalties.
+ *
+ * Track edges are either `width / 2` either side of a path (`source:
+ * "path"`) or the borders of the off-track surfaces under the wheels
+ * (`source: "surface"`, see surfaces.js). A car is off track when all four
+ * wheels are past the same edge (or all on off-track surfaces); leaving the
+ * track is one violation. The first `warnings` violations are warnings, each
+ * later one carries `penalty` seconds. What to do with a violation (delete
+ * the lap, add the penalty) is up to the listener.
+ *
+ * Events:
+ * - "violation" { carIndex, count, warning, penalty, totalPenalty, invalidateLap, position, at }
+ */
+export class TrackLimits extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {THREE.Curve=} options.curve - Path the edges are laid around
+   * @param {THREE.Object3D=} options.transform - Object whose world matrix places the path
+   * @param {("path"|"surface")=} options.source - Where the edges come from
+   * @param {number=} options.width - Track width (m) with source "path"
+   * @param {string[]=} options.offTrackSurfaces - Surfaces that are off track with source "surface"
+   * @param {number=} options.warnings - Violations without a penalty
+   * @param {number=} options.penalty - Seconds per violation after the warnings
+   * @param {boolean=} options.invalidateLap - Violations delete the lap time
+   */
+  constructor({
+    curve = null,
+    transform = null,
+    source = trackLimitsConfig.source,
+    width = trackLimitsConfig.width,
+    offTrackSurfaces = trackLimitsConfig.offTrackSurfaces,
+    warnings = trackLimitsConfig.warnings,
+    penalty = trackLimitsConfig.penalty,
+    invalidateLap = trackLimitsConfig.invalidateLap,
+    samples = timingConfig.samples,
+    maxTrackDistance = timingConfig.maxTrackDistance,
+  } = {}) {
+    super();
+    this.source = source;
+    this.width = width;
+    this.offTrackSurfaces = offTrackSurfaces;
+    this.warnings = warnings;
+    this.penalty = penalty;
+    this.invalidateLap = invalidateLap;
+    this.sampleCount = samples;
+    this.maxTrackDistance = maxTrackDistance;
+
+    this.curve = null;
+    this.transform = null;
+    this.samples = null;
+    this.samplesMatrix = new THREE.Matrix4();
+    this.cars = new Map();
+
+    if (curve) this.setPath(curve, transform);
+  }
+
+  /**
+   * Lays the edges around a different path.
+   * @param {THREE.Curve} curve
+   * @param {THREE.Object3D=} transform
+   */
+  setPath(curve, transform = null) {
+    this.curve = curve;
+    this.transform = transform;
+    this.samples = null;
+  }
+
+  /**
+   * Clears every car's violations and penalties (e.g. at the start of a race).
+   */
+  reset() {
+    this.cars.clear();
+  }
+
+  /**
+   * Left and right track edges in world space, for drawing.
+   * @returns {{left:THREE.Vector3[],right:THREE.Vector3[]}}
+   */
+  getEdges() {
+    const left = [];
+    const right = [];
+    if (!this.curve) return { left, right };
+    const { points } = this.#getSamples();
+    const half = this.width / 2;
+    points.forEach((p, i) => {
+      const a = points[Math.max(0, i - 1)];
+      const b = points[Math.min(points.length - 1, i + 1)];
+      const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+      const lx = (b.z - a.z) / length;
+      const lz = -(b.x - a.x) / length;
+      left.push(new THREE.Vector3(p.x + lx * half, p.y, p.z + lz * half));
+      right.push(new THREE.Vector3(p.x - lx * half, p.y, p.z - lz * half));
+    });
+    return { left, right };
+  }
+
+  /**
+   * Whether a car is off track.
+   * @param {{position:{x:number,z:number},wheels:{x:number,z:number}[],surface?:{wheels:string[]}}} car - Wheel positions and, for source "surface", the surface under each wheel
+   * @returns {boolean}
+   */
+  isOffTrack({ position, wheels, surface }) {
+    if (this.source === "surface") {
+      return (
+        !!surface &&
+        surface.wheels.every((type) => this.offTrackSurfaces.includes(type))
+      );
+    }
+    if (!this.curve) return false;
+    const lateral = getLateralOffsets(this.#getSamples(), position, wheels);
+    if (!lateral || lateral.distance > this.maxTrackDistance) return false;
+    const half = this.width / 2;
+    return (
+      lateral.offsets.every((offset) => offset > half) ||
+      lateral.offsets.every((offset) => offset < -half)
+    );
+  }
+
+  /**
+   * Checks a car at simulation time `at`. Leaving the track is a violation;
+   * the car has to rejoin before it can commit another.
+   * @param {number} carIndex
+   * @param {Parameters<TrackLimits["isOffTrack"]>[0]} car
+   * @param {number} at
+   * @returns {Object|null} The violation event, if the car just left the track
+   */
+  update(carIndex, car, at) {
+    const state = this.#getCar(carIndex);
+    const offTrack = this.isOffTrack(car);
+    const left = offTrack && !state.offTrack;
+    state.offTrack = offTrack;
+    if (!left) return null;
+
+    state.violations += 1;
+    const warning = state.violations <= this.warnings;
+    const penalty = warning ? 0 : this.penalty;
+    state.penalty += penalty;
+    const violation = {
+      carIndex,
+      count: state.violations,
+      warning,
+      penalty,
+      totalPenalty: state.penalty,
+      invalidateLap: this.invalidateLap,
+      position: { x: car.position.x, z: car.position.z },
+      at,
+    };
+    this.emit("violation", violation);
+    return violation;
+  }
+
+  /**
+   * Track limits summary for one car.
+   * @param {number} carIndex
+   * @returns {{offTrack:boolean,violations:number,warningsLeft:number,penalty:number}}
+   */
+  getCarLimits(carIndex) {
+    const state = this.#getCar(carIndex);
+    return {
+      offTrack: state.offTrack,
+      violations: state.violations,
+      warningsLeft: Math.max(0, this.warnings - state.violations),
+      penalty: state.penalty,
+    };
+  }
+
+  // Internals
+  #getSamples() {
+    if (this.transform) this.transform.updateMatrixWorld();
+    const matrix = this.transform ? this.transform.matrixWorld : null;
+    if (!this.samples || (matrix && !matrix.equals(this.samplesMatrix))) {
+      this.samples = samplePathWorld(
+        this.curve,
+        this.transform,
+        this.sampleCount
+      );
+      if (matrix) this.samplesMatrix.copy(matrix);
+    }
+    return this.samples;
+  }
+
+  #getCar(carIndex) {
+    if (!this.cars.has(carIndex)) {
+      this.cars.set(carIndex, { offTrack: false, violations: 0, penalty: 0 });
+    }
+    return this.cars.get(carIndex);
+  }
+}
@@ -0,0 +1,79 @@
+import { tyreConfig, f1CarSpecs, GRAVITY } from "./config.js";
+
+// Largest grip loss from running outside the temperature window / fully worn
+const TEMP_GRIP_LOSS = 0.3;
+const WEAR_GRIP_LOSS = 0.3;
+
+/**
+ * Fresh set of tyres.
+ * @param {string=} compound - One of `f1CarSpecs.tyreCompounds`
+ * @param {{temperature?:number}=} options
+ * @returns {{compound:string,wear:number,temperature:number,grip:number,distance:number}}
+ */
+export function createTyreState(
+  compound = f1CarSpecs.defaultTyreCompound,
+  { temperature = tyreConfig.startTemp } = {}
+) {
+  if (!tyreConfig.compounds[compound]) {
+    console.warn(`Unknown tyre compound "${compound}", using default`);
+    compound = f1CarSpecs.defaultTyreCompound;
+  }
+  const tyre = { compound, wear: 0, temperature, grip: 1, distance: 0 };
+  tyre.grip = getTyreGrip(tyre);
+  return tyre;
+}
+
+/**
+ * Grip multiplier of a tyre set: compound grip, reduced outside the
+ * compound's temperature window and as the tyre wears.
+ * @param {{compound:string,wear:number,temperature:number}} tyre
+ * @returns {number}
+ */
+export function getTyreGrip(tyre) {
+  const spec = tyreConfig.compounds[tyre.compound];
+  if (!spec) return 1;
+  // No loss inside the window, full loss a further window width outside it
+  const off =
+    Math.max(
+      0,
+      Math.abs(tyre.temperature - spec.optimalTemp) - spec.tempWindow
+    ) / spec.tempWindow;
+  const tempFactor = 1 - TEMP_GRIP_LOSS * Math.min(1, off * off);
+  const worn = Math.min(1, Math.max(0, tyre.wear / 100));
+  const wearFactor = 1 - WEAR_GRIP_LOSS * worn * worn;
+  return spec.grip * tempFactor * wearFactor;
+}
+
+/**
+ * Advances wear and temperature for one step and refreshes `grip`.
+ * Wear grows with distance and cornering load; temperature rises with speed
+ * and cornering load and relaxes towards ambient.
+ * @param {ReturnType<typeof createTyreState>} tyre - Updated in place
+ * @param {{speed:number,lateralAccel:number,delta:number}} load - m/s, m/s^2, s
+ * @returns {ReturnType<typeof createTyreState>}
+ */
+export function updateTyres(tyre, { speed, lateralAccel, delta }) {
+  const spec = tyreConfig.compounds[tyre.compound];
+  if (!spec || delta <= 0) return tyre;
+
+  // Share of the cornering limit in use
+  const load = Math.min(
+    1.5,
+    Math.abs(lateralAccel) / (f1CarSpecs.maxLateralG * GRAVITY)
+  );
+  const distance = Math.abs(speed) * delta;
+  tyre.distance += distance;
+  tyre.wear = Math.min(
+    100,
+    tyre.wear +
+      spec.wearRate * (distance / 1000) * (1 + tyreConfig.wearLoadFactor * load)
+  );
+
+  const heating = tyreConfig.heatRate * (Math.abs(speed) / 80 + load);
+  const cooling =
+    tyreConfig.coolRate * (tyre.temperature - tyreConfig.ambientTemp);
+  tyre.temperature += (heating - cooling) * delta;
+
+  tyre.grip = getTyreGrip(tyre);
+  return tyre;
+}
@@ -119,3 +119,15 @@ export function throttle(func, limit) {
     }
   };
 }
+
+/**
+ * Formats a time in seconds as a lap time (m:ss.sss, or s.sss under a minute)
+ * @param {number|null|undefined} seconds - Time in seconds
+ * @returns {string} Formatted time, "-" when missing
+ */
+export function formatLapTime(seconds) {
+  if (seconds === null || seconds === undefined) return "-";
+  const m = Math.floor(seconds / 60);
+  const s = seconds - m * 60;
+  return m > 0 ? `${m}:${s.toFixed(3).padStart(6, "0")}` : s.toFixed(3);
+}
@@ -0,0 +1,48 @@
+/**
+ * Minimal event emitter for simulation modules
+ */
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribes to an event
+   * @param {string} event - Event name
+   * @param {Function} fn - Listener called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, fn) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(fn);
+    return () => this.off(event, fn);
+  }
+
+  /**
+   * Removes a listener
+   * @param {string} event - Event name
+   * @param {Function} fn - Listener to remove
+   */
+  off(event, fn) {
+    const set = this.listeners.get(event);
+    if (set) set.delete(fn);
+  }
+
+  /**
+   * Calls every listener of an event; listener errors are logged, not thrown
+   * @param {string} event - Event name
+   * @param {any} payload - Value passed to listeners
+   */
+  emit(event, payload) {
+    const set = this.listeners.get(event);
+    if (!set) return;
+    for (const fn of [...set]) {
+      try {
+        fn(payload);
+      } catch (e) {
+        console.error(`Listener for "${event}" failed:`, e);
+      }
+    }
+  }
+}
@@ -139,3 +139,79 @@ export function createCurveLine(curve, numPoints = 500, color = 0xff0000) {
   const material = new THREE.LineBasicMaterial({ color });
   return new THREE.Line(geometry, material);
 }
+
+/**
+ * Samples a curve at even arc-length spacing and places the samples in world space
+ * @param {THREE.Curve} curve - The curve to sample
+ * @param {THREE.Object3D|null} transform - Object whose world matrix places the curve
+ * @param {number} numPoints - Number of samples
+ * @returns {{points:Array<THREE.Vector3>,fractions:Array<number>}} World points and their arc-length fractions
+ */
+export function samplePathWorld(curve, transform = null, numPoints = 500) {
+  const points = [];
+  const fractions = [];
+  if (transform) transform.updateMatrixWorld();
+  for (let i = 0; i < numPoints; i++) {
+    const u = i / (numPoints - 1);
+    const p = curve.getPointAt(u);
+    if (transform) p.applyMatrix4(transform.matrixWorld);
+    points.push(p);
+    fractions.push(u);
+  }
+  return { points, fractions };
+}
+
+/**
+ * World length of a curve placed by a uniformly scaled transform
+ * @param {THREE.Curve} curve - The curve to measure
+ * @param {THREE.Object3D|null} transform - Object whose world matrix places the curve
+ * @returns {number} Arc length in world units (meters)
+ */
+export function getPathWorldLength(curve, transform = null) {
+  const length = curve.getLength();
+  if (!transform) return length;
+  transform.updateMatrixWorld();
+  return length * transform.matrixWorld.getMaxScaleOnAxis();
+}
+
+/**
+ * Projects a point onto a sampled path, ignoring height
+ * @param {{points:Array<THREE.Vector3>,fractions:Array<number>}} samples - Output of samplePathWorld
+ * @param {{x:number,z:number}} point - Point to project
+ * @returns {{fraction:number,distance:number,index:number,point:THREE.Vector3}|null} Closest point on the path
+ */
+export function projectOntoPath(samples, point) {
+  const { points, fractions } = samples;
+  if (!points || points.length < 2) return null;
+
+  let best = null;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const abx = b.x - a.x;
+    const abz = b.z - a.z;
+    const lenSq = abx * abx + abz * abz;
+    let t = 0;
+    if (lenSq > 0) {
+      t = ((point.x - a.x) * abx + (point.z - a.z) * abz) / lenSq;
+      t = Math.min(1, Math.max(0, t));
+    }
+    const cx = a.x + abx * t;
+    const cz = a.z + abz * t;
+    const dSq = (point.x - cx) ** 2 + (point.z - cz) ** 2;
+    if (!best || dSq < best.dSq) {
+      best = { dSq, index: i, t };
+    }
+  }
+
+  const a = points[best.index];
+  const b = points[best.index + 1];
+  return {
+    fraction:
+      fractions[best.index] +
+      (fractions[best.index + 1] - fractions[best.index]) * best.t,
+    distance: Math.sqrt(best.dSq),
+    index: best.index,
+    point: new THREE.Vector3().lerpVectors(a, b, best.t),
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Tests for aerodynamic downforce and drag
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import { computeAeroForces, getAero } from "../src/aero.js";
+import { applyAeroForces } from "../src/physics.js";
+import { updateKinematicCar, createIdleInput } from "../src/kinematics.js";
+import { f1CarSpecs } from "../src/config.js";
+
+const TOP_SPEED = f1CarSpecs.maxSpeedKph / 3.6;
+
+describe("aero", () => {
+  test("downforce and drag grow with speed squared", () => {
+    const slow = computeAeroForces(30);
+    const fast = computeAeroForces(60);
+    expect(fast.drag).toBeCloseTo(slow.drag * 4, 6);
+    expect(fast.downforce).toBeCloseTo(slow.downforce * 4, 6);
+    expect(computeAeroForces(0)).toEqual({ downforce: 0, drag: 0 });
+  });
+
+  test("forces scale with the f1CarSpecs coefficients", () => {
+    const base = computeAeroForces(50);
+    const doubled = computeAeroForces(50, {
+      downforceCoefficient: f1CarSpecs.downforceCoefficient * 2,
+      dragCoefficient: f1CarSpecs.dragCoefficient * 2,
+    });
+    expect(doubled.downforce).toBeCloseTo(base.downforce * 2, 6);
+    expect(doubled.drag).toBeCloseTo(base.drag * 2, 6);
+  });
+
+  test("downforce raises the cornering limit", () => {
+    const parked = getAero(0);
+    const fast = getAero(80);
+    expect(parked.loadFactor).toBe(1);
+    expect(fast.loadFactor).toBeGreaterThan(2);
+    expect(fast.lateralLimit).toBeGreaterThan(parked.lateralLimit * 2);
+  });
+
+  test("drag caps the kinematic car's top speed near maxSpeedKph", () => {
+    const car = new THREE.Object3D();
+    const velocity = new THREE.Vector3();
+    const input = { ...createIdleInput(), forward: true };
+    let telemetry;
+    for (let i = 0; i < 60 * 90; i++) {
+      telemetry = updateKinematicCar(car, velocity, input, 1 / 60);
+    }
+    expect(telemetry.speed).toBeGreaterThan(TOP_SPEED * 0.9);
+    expect(telemetry.speed).toBeLessThan(TOP_SPEED * 1.05);
+  });
+
+  test("applyAeroForces pushes back against motion and down on the car", () => {
+    const body = new CANNON.Body({
+      mass: f1CarSpecs.dryMass,
+      shape: new CANNON.Box(new CANNON.Vec3(1, 0.25, 2)),
+    });
+    body.velocity.set(0, 0, 80);
+
+    const aero = applyAeroForces(body);
+
+    expect(body.force.z).toBeCloseTo(-aero.drag, 6);
+    expect(body.force.y).toBeCloseTo(-aero.downforce, 6);
+    expect(body.force.x).toBeCloseTo(0, 6);
+  });
+
+  test("light bodies get the same aero accelerations", () => {
+    const body = new CANNON.Body({
+      mass: 1,
+      shape: new CANNON.Box(new CANNON.Vec3(1, 0.25, 2)),
+    });
+    body.velocity.set(60, 0, 0);
+
+    const aero = applyAeroForces(body);
+
+    expect(-body.force.x / body.mass).toBeCloseTo(aero.dragDecel, 6);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for the driver assists: traction control, ABS, steering and braking
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import {
+  getGripFactor,
+  getSlipFactor,
+  getPathGuidance,
+  applyInputAssists,
+  createAssistSettings,
+  createAssistState,
+} from "../src/assists.js";
+import { Simulation } from "../src/simulation.js";
+import { createIdleInput } from "../src/kinematics.js";
+import { samplePathWorld } from "../src/utils/math3d.js";
+
+// Straight along +Z
+function createStraight() {
+  return new THREE.LineCurve3(
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(0, 0, 400)
+  );
+}
+
+// Flat slab with its top face at y = 0, as a track mesh
+function createGroundMesh() {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(4000, 2, 4000));
+  mesh.position.y = -1;
+  return mesh;
+}
+
+// Flat static slab with its top face at y = 0
+function createGroundBody() {
+  return new CANNON.Body({
+    mass: 0,
+    shape: new CANNON.Box(new CANNON.Vec3(2000, 1, 2000)),
+    position: new CANNON.Vec3(0, -1, 0),
+  });
+}
+
+function createSimulation(
+  assists,
+  surface = "asphalt",
+  physics = false,
+  carModel = "raycastVehicle"
+) {
+  const sim = new Simulation({
+    racePath: createStraight(),
+    raceMode: false,
+    physicsEnabled: physics,
+    carModel,
+    assists,
+    getSurfaceAt: () => surface,
+  });
+  if (physics) sim.addTrack(createGroundMesh());
+  sim.addCar({ position: { x: 0, y: physics ? 0.6 : 0, z: 0 } });
+  return sim;
+}
+
+describe("assists", () => {
+  test("demands within the grip pass, beyond it are cut by strength", () => {
+    expect(getGripFactor(10, 20, 1)).toBe(1);
+    expect(getGripFactor(40, 20, 1)).toBe(0.5);
+    expect(getGripFactor(40, 20, 0.5)).toBe(0.75);
+    expect(getGripFactor(40, 20, 0)).toBe(1);
+  });
+
+  test("wheel slip within the threshold passes, beyond it is cut", () => {
+    const wheels = (...skid) => skid.map((skidInfo) => ({ skidInfo }));
+    expect(getSlipFactor(wheels(1, 0.97), 0.05, 1)).toBe(1);
+    expect(getSlipFactor(wheels(1, 0.6), 0.05, 1)).toBeCloseTo(0.6, 9);
+    expect(getSlipFactor(wheels(0.6, 1), 0.05, 0.5)).toBeCloseTo(0.8, 9);
+  });
+
+  test("the reference path steers back onto it and sets a speed", () => {
+    const samples = samplePathWorld(createStraight(), null);
+    const forward = { x: 0, z: 1 };
+    const onLine = getPathGuidance(samples, null, { x: 0, z: 50 }, forward);
+    expect(onLine.steer).toBeCloseTo(0, 6);
+    expect(onLine.speed).toBeNull();
+
+    // Left of the path (+X): steer right
+    const left = getPathGuidance(samples, null, { x: 5, z: 50 }, forward);
+    expect(left.steer).toBeLessThan(0);
+  });
+
+  test("auto-brake brakes over the target speed and ABS eases the brake", () => {
+    const settings = createAssistSettings({
+      braking: { enabled: true, strength: 1 },
+      abs: { enabled: true, strength: 1 },
+    });
+    const state = createAssistState();
+    const axes = applyInputAssists(
+      { throttle: 1, brake: 0, steer: 0 },
+      { speed: 40, gripLimit: 30, guidance: { steer: 0, speed: 20 } },
+      settings,
+      state
+    );
+    expect(state.braking).toBe(1);
+    expect(axes.throttle).toBe(0);
+    // Full brake asks 45 m/s^2 of tyres that take 30
+    expect(axes.brake).toBeCloseTo(30 / 45, 6);
+    expect(state.abs).toBeCloseTo(1 / 3, 6);
+    expect(state.tractionControl).toBeNull();
+    expect(state.steering).toBeNull();
+  });
+
+  // The box car's brake force stays within the grip at any pedal
+  test.each([
+    ["kinematic", false, "box", true],
+    ["box", true, "box", false],
+    ["wheeled", true, "raycastVehicle", true],
+  ])(
+    "ABS leaves a %s car's braking alone until it locks",
+    (_, physics, carModel, locks) => {
+      const sim = createSimulation(
+        { abs: { enabled: true, strength: 1 } },
+        "asphalt",
+        physics,
+        carModel
+      );
+      // The wheels need a flat static ground; they drop through a trimesh slab
+      if (physics) sim.addStaticBody(createGroundBody());
+      sim.setInput(0, { ...createIdleInput(), forward: true });
+      for (let i = 0; i < 60 * 3; i++) sim.step(1 / 60);
+      const brake = (amount) => {
+        sim.setInput(0, { ...createIdleInput(), brake: amount });
+        let most = 0;
+        for (let i = 0; i < 20; i++) {
+          sim.step(1 / 60);
+          most = Math.max(most, sim.cars[0].assists.abs);
+        }
+        return most;
+      };
+
+      expect(brake(0.05)).toBe(0);
+      expect(sim.cars[0].brake).toBe(0.05);
+      if (locks) expect(brake(1)).toBeGreaterThan(0);
+      else expect(brake(1)).toBe(0);
+    }
+  );
+
+  test("traction control cuts throttle on grass", () => {
+    const run = (assists) => {
+      const sim = createSimulation(assists, "grass");
+      sim.setInput(0, { ...createIdleInput(), forward: true });
+      sim.step(1 / 60);
+      return sim.cars[0];
+    };
+    const off = run({});
+    expect(off.throttle).toBe(1);
+    expect(off.assists.tractionControl).toBeNull();
+
+    const on = run({ tractionControl: { enabled: true, strength: 1 } });
+    expect(on.assists.tractionControl).toBeGreaterThan(0);
+    expect(on.throttle).toBeLessThan(1);
+    expect(on.velocity.length()).toBeLessThan(off.velocity.length());
+  });
+
+  test.each([
+    ["kinematic", false],
+    ["physics", true],
+  ])("steering assist brings a %s car back to the path", (_, physics) => {
+    const sim = createSimulation(
+      { steering: { enabled: true, strength: 1 } },
+      "asphalt",
+      physics
+    );
+    sim.teleportCar(0, { x: 6, y: physics ? 0.6 : 0, z: 20 }, 0);
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 60 * 3; i++) sim.step(1 / 60);
+
+    const { position } = sim.cars[0].object;
+    expect(position.z).toBeGreaterThan(40);
+    expect(Math.abs(position.x)).toBeLessThan(1);
+    expect(sim.getState().cars[0].assists.steering).not.toBeNull();
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Tests for car-to-car contact, damage and the race event log
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import {
+  getCarFootprint,
+  detectCarContact,
+  getContactResponse,
+  getImpactZone,
+} from "../src/collisions.js";
+import {
+  createDamageState,
+  applyImpact,
+  getDamagePerformance,
+  repairFrontWing,
+} from "../src/damage.js";
+import { EventLog } from "../src/eventLog.js";
+import { Simulation } from "../src/simulation.js";
+import { createIdleInput } from "../src/kinematics.js";
+import { damageConfig, physicsConfig } from "../src/config.js";
+
+const LENGTH = physicsConfig.carDimensions.z;
+const WIDTH = physicsConfig.carDimensions.x;
+
+function footprint(x, z, yaw = 0) {
+  const q = new THREE.Quaternion().setFromAxisAngle(
+    new THREE.Vector3(0, 1, 0),
+    yaw
+  );
+  return getCarFootprint({ x, y: 0, z }, q);
+}
+
+// Player car 0 at the origin facing +Z, car 1 parked ahead of it
+function createParkedCarSim(options = {}) {
+  const sim = new Simulation({ raceMode: false, ...options });
+  if (sim.world) {
+    sim.addStaticBody(
+      new CANNON.Body({
+        mass: 0,
+        shape: new CANNON.Box(new CANNON.Vec3(2000, 1, 2000)),
+        position: new CANNON.Vec3(0, -1, 0),
+      })
+    );
+  }
+  const y = sim.world ? 0.6 : 0;
+  sim.addCar({ position: { x: 0, y, z: 0 } });
+  sim.addCar({ position: { x: 0, y, z: 40 } });
+  return sim;
+}
+
+function driveInto(sim, seconds) {
+  sim.setInput(0, { ...createIdleInput(), forward: true });
+  for (let i = 0; i < 60 * seconds; i++) sim.step(1 / 60);
+}
+
+describe("contact detection", () => {
+  test("footprints touch only when they overlap", () => {
+    const a = footprint(0, 0);
+    expect(detectCarContact(a, footprint(0, LENGTH + 0.1))).toBeNull();
+    expect(detectCarContact(a, footprint(WIDTH + 0.1, 0))).toBeNull();
+
+    const ahead = detectCarContact(a, footprint(0, LENGTH - 0.5));
+    expect(ahead.normal.z).toBeCloseTo(1, 6);
+    expect(ahead.depth).toBeCloseTo(0.5, 6);
+
+    const beside = detectCarContact(a, footprint(-(WIDTH - 0.2), 0.5));
+    expect(beside.normal.x).toBeCloseTo(-1, 6);
+    expect(beside.depth).toBeCloseTo(0.2, 6);
+  });
+
+  test("turned cars and cars at different heights", () => {
+    // Across the nose, turned 90 degrees
+    const a = footprint(0, 0);
+    expect(
+      detectCarContact(
+        a,
+        footprint(0, LENGTH / 2 + WIDTH / 2 - 0.1, Math.PI / 2)
+      )
+    ).not.toBeNull();
+
+    const above = getCarFootprint({ x: 0, y: 5, z: 0 }, new THREE.Quaternion());
+    expect(detectCarContact(a, above)).toBeNull();
+  });
+
+  test("impact zone follows the car's heading", () => {
+    const car = footprint(0, 0, Math.PI / 2); // facing +X
+    expect(getImpactZone(car, { x: 1, z: 0 })).toBe("front");
+    expect(getImpactZone(car, { x: -1, z: 0 })).toBe("rear");
+    expect(getImpactZone(car, { x: 0, z: 1 })).toBe("side");
+  });
+});
+
+describe("contact response", () => {
+  test("equal cars share the impulse and bounce by the restitution", () => {
+    const response = getContactResponse(
+      { x: 0, z: 20 },
+      { x: 0, z: 0 },
+      { x: 0, z: 1 },
+      { restitution: 0.5 }
+    );
+    expect(response.closingSpeed).toBe(20);
+    expect(response.deltaA.z).toBeCloseTo(-15, 6);
+    expect(response.deltaB.z).toBeCloseTo(15, 6);
+    // Relative speed after the hit is the restitution share, reversed
+    expect(20 + response.deltaA.z - response.deltaB.z).toBeCloseTo(-10, 6);
+  });
+
+  test("an immovable car takes no impulse and separating cars none at all", () => {
+    const wall = getContactResponse(
+      { x: 0, z: 10 },
+      { x: 0, z: 0 },
+      { x: 0, z: 1 },
+      { weightB: 0, restitution: 0 }
+    );
+    expect(wall.deltaA.z).toBeCloseTo(-10, 6);
+    expect(wall.deltaB).toEqual({ x: 0, z: 0 });
+
+    const apart = getContactResponse(
+      { x: 0, z: -5 },
+      { x: 0, z: 0 },
+      { x: 0, z: 1 }
+    );
+    expect(apart.closingSpeed).toBe(0);
+    expect(apart.deltaA).toEqual({ x: 0, z: 0 });
+  });
+});
+
+describe("damage", () => {
+  test("light contact does nothing; harder hits damage the parts hit", () => {
+    const damage = createDamageState();
+    expect(
+      applyImpact(damage, {
+        speed: damageConfig.minImpactSpeed,
+        zone: "front",
+      }).severity
+    ).toBe(0);
+    expect(damage).toEqual(createDamageState());
+
+    applyImpact(damage, {
+      speed: damageConfig.minImpactSpeed + 6,
+      zone: "front",
+    });
+    expect(damage.frontWing).toBeGreaterThan(damage.floor);
+    expect(damage.retired).toBe(false);
+
+    const perf = getDamagePerformance(damage);
+    expect(perf.grip).toBeLessThan(1);
+    expect(perf.topSpeed).toBeLessThan(1);
+
+    repairFrontWing(damage);
+    expect(damage.frontWing).toBe(0);
+    expect(getDamagePerformance(damage).grip).toBeGreaterThan(perf.grip);
+  });
+
+  test("a destroyed suspension retires the car", () => {
+    const damage = createDamageState();
+    const hit = applyImpact(damage, {
+      speed: damageConfig.minImpactSpeed + damageConfig.fullDamageSpeed,
+      zone: "side",
+    });
+    expect(hit).toEqual({ severity: 1, retired: true });
+    expect(damage.suspension).toBe(1);
+    expect(getDamagePerformance(createDamageState())).toEqual({
+      grip: 1,
+      power: 1,
+      topSpeed: 1,
+    });
+  });
+});
+
+describe("EventLog", () => {
+  test("keeps the latest entries and filters by type and car", () => {
+    const log = new EventLog({ limit: 3 });
+    const seen = [];
+    log.on("entry", (e) => seen.push(e.id));
+    log.add("contact", 1, { cars: [0, 1] });
+    log.add("retired", 2, { carIndex: 1 });
+    log.add("contact", 3, { cars: [2, 3] });
+    log.add("contact", 4, { cars: [0, 2] });
+
+    expect(seen).toEqual([1, 2, 3, 4]);
+    expect(log.entries.map((e) => e.id)).toEqual([2, 3, 4]);
+    expect(log.filter({ type: "contact" })).toHaveLength(2);
+    expect(log.filter({ carIndex: 1 }).map((e) => e.type)).toEqual(["retired"]);
+  });
+});
+
+describe("Simulation contacts", () => {
+  test("a kinematic car bounces off a parked car instead of passing through", () => {
+    const sim = createParkedCarSim();
+    driveInto(sim, 4);
+
+    const player = sim.cars[0].object.position;
+    expect(player.z).toBeLessThan(40 - LENGTH + 0.01);
+    const contacts = sim.eventLog.filter({ type: "contact" });
+    expect(contacts.length).toBeGreaterThanOrEqual(1);
+    expect(contacts[0].cars).toEqual([0, 1]);
+    expect(contacts[0].zones).toEqual(["front", "rear"]);
+    expect(sim.getState().cars[0].damage.frontWing).toBeGreaterThan(0);
+  });
+
+  test("physics cars collide through the same response", () => {
+    const sim = createParkedCarSim({ physicsEnabled: true });
+    driveInto(sim, 4);
+
+    expect(sim.cars[0].body.position.z).toBeLessThan(40 - LENGTH + 0.01);
+    expect(sim.eventLog.filter({ type: "contact" }).length).toBeGreaterThan(0);
+  });
+
+  test("a hard hit in the side retires the car that was hit", () => {
+    const sim = new Simulation({ raceMode: false });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 20 }, yaw: Math.PI / 2 });
+    sim.cars[0].velocity.set(0, 0, 60);
+    driveInto(sim, 1);
+
+    expect(sim.getState().cars[1].damage.retired).toBe(true);
+    const [retired] = sim.eventLog.filter({ type: "retired" });
+    expect(retired.carIndex).toBe(1);
+    expect(sim.getState().cars[0].damage.retired).toBe(false);
+  });
+
+  test("a retired player car is held", () => {
+    const sim = createParkedCarSim();
+    sim.cars[0].damage.retired = true;
+    driveInto(sim, 1);
+    expect(sim.getState().cars[0].speed).toBe(0);
+  });
+
+  test("a faster AI car is held up behind a slower one on the same path", () => {
+    const curve = new THREE.CatmullRomCurve3(
+      [
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(400, 0, 0),
+        new THREE.Vector3(400, 0, 200),
+        new THREE.Vector3(0, 0, 200),
+      ],
+      true,
+      "catmullrom"
+    );
+    const length = curve.getLength();
+    const sim = new Simulation({
+      racePath: curve,
+      aiStates: [
+        { speed: 20, progress: 0, currentSpeed: 20 },
+        { speed: 40, progress: 1 - 20 / length, currentSpeed: 20 },
+      ],
+      raceMode: true,
+      aiSpeedProfile: false,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    for (let i = 0; i < 60 * 4; i++) sim.step(1 / 60);
+
+    const [slow, fast] = sim.aiStates;
+    // Still behind: the gap wraps past the line from the rear car
+    const gap = ((slow.progress - fast.progress + 1) % 1) * length;
+    expect(gap).toBeGreaterThan(0);
+    expect(gap).toBeLessThan(20);
+    expect(sim.eventLog.filter({ type: "contact" }).length).toBeGreaterThan(0);
+  });
+});
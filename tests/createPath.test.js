@@ -0,0 +1,105 @@
+/**
+ * Tests for saved path helpers
+ */
+
+import * as THREE from "three";
+import {
+  getSavedPathSpeed,
+  getSavedPath,
+  getSavedPathNames,
+  getSavedInputRecording,
+  hasSavedInputRecording,
+  deleteSavedPath,
+  initializeCreatePath,
+  startCreatePathRecording,
+  stopCreatePathRecording,
+} from "../src/createPath.js";
+import { RECORDING_VERSION } from "../src/inputRecording.js";
+
+function savedPath(params) {
+  return {
+    name: "test",
+    transform: {
+      position: { x: 0, y: 0, z: 0 },
+      rotation: { x: 0, y: 0, z: 0 },
+      scale: { x: 2, y: 2, z: 2 },
+    },
+    params,
+    // 100 m square loop before scaling
+    racePathPoints: [
+      [0, 0, 0],
+      [25, 0, 0],
+      [25, 0, 25],
+      [0, 0, 25],
+    ],
+  };
+}
+
+describe("getSavedPathSpeed", () => {
+  test("returns speeds saved in m/s unchanged", () => {
+    expect(getSavedPathSpeed(savedPath({ speed: 42, speedUnit: "m/s" }))).toBe(
+      42
+    );
+  });
+
+  test("converts legacy fraction-per-second speeds with the world length", () => {
+    const saved = savedPath({ speed: 0.01 });
+    const speed = getSavedPathSpeed(saved);
+    // Scaled loop is a little over 200 m long
+    expect(speed).toBeGreaterThan(2);
+    expect(speed).toBeLessThan(3);
+  });
+
+  test("returns null without a saved speed", () => {
+    expect(getSavedPathSpeed(savedPath({}))).toBeNull();
+    expect(getSavedPathSpeed(null)).toBeNull();
+  });
+});
+
+describe("saving recorded paths", () => {
+  const recording = {
+    version: RECORDING_VERSION,
+    carIndex: 0,
+    fixedDelta: 1 / 60,
+    initial: {},
+    assists: null,
+    frames: Array(600).fill([1, 0, 0, 0]),
+    events: [],
+  };
+
+  function recordPath(name, inputRecording) {
+    initializeCreatePath(() => new THREE.Vector3());
+    startCreatePathRecording({ name });
+    return stopCreatePathRecording({ inputRecording });
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  test("keeps the driver's input under its own key", () => {
+    const saved = recordPath("drive", recording);
+    expect(saved.stored).toEqual({ path: true, inputRecording: true });
+    expect(getSavedPath("drive").inputRecording).toBeUndefined();
+    expect(hasSavedInputRecording("drive")).toBe(true);
+    expect(getSavedInputRecording("drive")).toEqual(recording);
+
+    deleteSavedPath("drive");
+    expect(hasSavedInputRecording("drive")).toBe(false);
+  });
+
+  test("still saves the path when the input doesn't fit", () => {
+    const { setItem } = localStorage;
+    jest.spyOn(localStorage, "setItem").mockImplementation((key, value) => {
+      if (key.includes("inputRecording")) throw new Error("Quota exceeded");
+      setItem(key, value);
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const saved = recordPath("long drive", recording);
+    expect(saved.stored).toEqual({ path: true, inputRecording: false });
+    expect(getSavedPathNames()).toContain("long drive");
+    expect(getSavedInputRecording("long drive")).toBeNull();
+  });
+});
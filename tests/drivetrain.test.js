@@ -0,0 +1,143 @@
+/**
+ * Tests for the drivetrain: torque curve, gearbox and shift logic
+ */
+
+import {
+  createDrivetrainState,
+  getEngineTorque,
+  getEngineRPM,
+  updateDrivetrain,
+  shiftUp,
+  shiftDown,
+  splitBrakeForce,
+} from "../src/drivetrain.js";
+import { Simulation } from "../src/simulation.js";
+import { createIdleInput } from "../src/kinematics.js";
+import { drivetrainConfig, f1CarSpecs } from "../src/config.js";
+
+// Steps a drivetrain at a fixed road speed until any shift has settled
+function settle(state, speed, throttle = 1) {
+  let result;
+  for (let i = 0; i < 60; i++) {
+    result = updateDrivetrain(state, { speed, throttle, delta: 1 / 60 });
+  }
+  return result;
+}
+
+describe("drivetrain", () => {
+  test("torque curve peaks at maxTorque inside the rev range", () => {
+    let peak = 0;
+    for (let rpm = f1CarSpecs.idleRPM; rpm <= f1CarSpecs.maxRPM; rpm += 100) {
+      peak = Math.max(peak, getEngineTorque(rpm));
+    }
+    expect(peak).toBeCloseTo(f1CarSpecs.maxTorque, 6);
+    expect(getEngineTorque(f1CarSpecs.idleRPM)).toBeLessThan(peak);
+    expect(getEngineTorque(f1CarSpecs.maxRPM)).toBeLessThan(peak);
+  });
+
+  test("RPM follows road speed and drops in a taller gear", () => {
+    expect(getEngineRPM(0, 1)).toBe(f1CarSpecs.idleRPM);
+    expect(getEngineRPM(30, 1)).toBeGreaterThan(getEngineRPM(30, 2));
+    expect(getEngineRPM(30, 1)).toBeCloseTo(getEngineRPM(-30, 1), 6);
+  });
+
+  test("the automatic gearbox shifts up with speed and back down", () => {
+    const state = createDrivetrainState({ gearbox: "auto" });
+    const gears = [];
+    for (let speed = 0; speed <= 95; speed += 5) {
+      gears.push(settle(state, speed).gear);
+    }
+    expect(gears[0]).toBe(1);
+    expect(gears[gears.length - 1]).toBe(drivetrainConfig.gearRatios.length);
+    // Never skips backwards while accelerating
+    gears.forEach((gear, i) => {
+      if (i > 0) expect(gear).toBeGreaterThanOrEqual(gears[i - 1]);
+    });
+
+    expect(settle(state, 10).gear).toBeLessThanOrEqual(2);
+  });
+
+  test("the manual gearbox holds its gear and hits the rev limiter", () => {
+    const state = createDrivetrainState({ gearbox: "manual" });
+    const result = settle(state, 60);
+
+    expect(result.gear).toBe(1);
+    expect(result.limiter).toBe(true);
+    expect(result.rpm).toBeLessThanOrEqual(f1CarSpecs.maxRPM);
+    expect(result.force).toBe(0);
+
+    for (let i = 0; i < 4; i++) expect(shiftUp(state)).toBe(true);
+    expect(settle(state, 60).limiter).toBe(false);
+    expect(state.force).toBeGreaterThan(0);
+  });
+
+  test("paddles stop at 1st and top gear and cut torque while shifting", () => {
+    const state = createDrivetrainState({ gearbox: "manual" });
+    expect(shiftDown(state)).toBe(false);
+    for (let i = 1; i < drivetrainConfig.gearRatios.length; i++) {
+      shiftUp(state);
+    }
+    expect(shiftUp(state)).toBe(false);
+
+    shiftDown(state);
+    const cut = updateDrivetrain(state, {
+      speed: 50,
+      throttle: 1,
+      delta: drivetrainConfig.shiftTime / 2,
+    });
+    expect(cut.force).toBe(0);
+    expect(settle(state, 50).force).toBeGreaterThan(0);
+  });
+
+  test("drive force scales with throttle and engine power", () => {
+    const full = settle(createDrivetrainState(), 20, 1).force;
+    const half = settle(createDrivetrainState(), 20, 0.5).force;
+    expect(half).toBeCloseTo(full / 2, 6);
+
+    const state = createDrivetrainState();
+    settle(state, 20);
+    const boosted = updateDrivetrain(state, {
+      speed: 20,
+      throttle: 1,
+      delta: 1 / 60,
+      power: 1.1,
+    }).force;
+    expect(boosted).toBeCloseTo(full * 1.1, 6);
+  });
+
+  test("brake force splits by brakeBias", () => {
+    expect(splitBrakeForce(1000)).toEqual({
+      front: 1000 * f1CarSpecs.brakeBias,
+      rear: 1000 * (1 - f1CarSpecs.brakeBias),
+    });
+    const { front, rear } = splitBrakeForce(1000, 0.6);
+    expect(front).toBeCloseTo(600, 6);
+    expect(rear).toBeCloseTo(400, 6);
+    expect(splitBrakeForce(1000, 2)).toEqual({ front: 1000, rear: 0 });
+  });
+
+  test("the player's telemetry and acceleration come from the drivetrain", () => {
+    const sim = new Simulation({ raceMode: false });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 60 * 5; i++) sim.step(1 / 60);
+
+    const car = sim.getState().cars[0];
+    expect(car.gear).toBe(car.drivetrain.gear);
+    expect(car.gear).toBeGreaterThan(1);
+    expect(car.rpm).toBeCloseTo(car.drivetrain.rpm, 6);
+
+    // Stuck in 1st on the limiter the car stops gaining speed
+    const manual = new Simulation({ raceMode: false });
+    manual.addCar({ position: { x: 0, y: 0, z: 0 } });
+    manual.setGearbox(0, "manual");
+    manual.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 60 * 5; i++) manual.step(1 / 60);
+
+    expect(manual.cars[0].drivetrain.gear).toBe(1);
+    expect(manual.cars[0].telemetry.speed).toBeLessThan(car.speed);
+    expect(manual.cars[0].telemetry.rpm).toBeGreaterThanOrEqual(
+      f1CarSpecs.redlineRPM * 0.95
+    );
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the fuel and ERS model driven by engine modes
+ */
+
+import * as THREE from "three";
+import {
+  createEnergyState,
+  setEngineMode,
+  getNextEngineMode,
+  getEnginePerformance,
+  updateEnergy,
+} from "../src/energy.js";
+import { updateKinematicCar, createIdleInput } from "../src/kinematics.js";
+import { Simulation } from "../src/simulation.js";
+import { energyConfig, f1CarSpecs } from "../src/config.js";
+
+// Runs for `seconds` at a steady throttle
+function run(energy, seconds, throttle) {
+  for (let i = 0; i < Math.round(seconds * 10); i++) {
+    updateEnergy(energy, { throttle, delta: 0.1 });
+  }
+  return energy;
+}
+
+function createLoopPath() {
+  return new THREE.CatmullRomCurve3(
+    [
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(400, 0, 0),
+      new THREE.Vector3(400, 0, 200),
+      new THREE.Vector3(0, 0, 200),
+    ],
+    true,
+    "catmullrom"
+  );
+}
+
+describe("energy", () => {
+  test("a fresh car has full fuel, a charged battery and base performance", () => {
+    const energy = createEnergyState();
+    expect(energy.mode).toBe(f1CarSpecs.defaultEngineMode);
+    expect(energy.fuel).toBe(energyConfig.startFuel);
+    expect(energy.ers).toBe(energyConfig.ersCapacity);
+    const { power, topSpeed } = getEnginePerformance(energy);
+    expect(power).toBeCloseTo(1, 10);
+    expect(topSpeed).toBeCloseTo(1, 10);
+  });
+
+  test("fuel burns with throttle and faster in Rich than in Lean", () => {
+    const idle = run(createEnergyState("Standard"), 10, 0);
+    const rich = run(createEnergyState("Rich"), 10, 1);
+    const lean = run(createEnergyState("Lean"), 10, 1);
+
+    expect(idle.fuel).toBe(energyConfig.startFuel);
+    expect(rich.fuel).toBeLessThan(lean.fuel);
+    expect(energyConfig.startFuel - lean.fuel).toBeCloseTo(
+      energyConfig.fuelFlow * energyConfig.modes.Lean.fuelFlow * 10,
+      6
+    );
+  });
+
+  test("ERS deploys on the throttle and recharges off it", () => {
+    const energy = run(createEnergyState(), 5, 1);
+    expect(energy.ers).toBeLessThan(energyConfig.ersCapacity);
+    expect(energy.deploying).toBe(true);
+
+    const drained = energy.ers;
+    run(energy, 5, 0);
+    expect(energy.ers).toBeGreaterThan(drained);
+    expect(energy.deploying).toBe(false);
+  });
+
+  test("engine mode, fuel load and battery change performance", () => {
+    const standard = getEnginePerformance(createEnergyState("Standard"));
+    const rich = getEnginePerformance(createEnergyState("Rich"));
+    const lean = getEnginePerformance(createEnergyState("Lean"));
+    expect(rich.power).toBeGreaterThan(standard.power);
+    expect(rich.topSpeed).toBeGreaterThan(standard.topSpeed);
+    expect(lean.topSpeed).toBeLessThan(standard.topSpeed);
+
+    const light = getEnginePerformance(
+      createEnergyState("Standard", { fuel: 10 })
+    );
+    expect(light.power).toBeGreaterThan(standard.power);
+    expect(light.topSpeed).toBeGreaterThan(standard.topSpeed);
+
+    const flat = getEnginePerformance(
+      createEnergyState("Standard", { ers: 0 })
+    );
+    expect(flat.power).toBeLessThan(standard.power);
+
+    const empty = getEnginePerformance(
+      createEnergyState("Standard", { fuel: 0 })
+    );
+    expect(empty).toEqual({ power: 0, topSpeed: 0 });
+  });
+
+  test("engine modes cycle and unknown modes are rejected", () => {
+    const energy = createEnergyState();
+    const next = getNextEngineMode(energy.mode);
+    expect(f1CarSpecs.engineModes).toContain(next);
+    expect(next).not.toBe(energy.mode);
+
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(setEngineMode(energy, "Turbo")).toBe(false);
+    expect(energy.mode).toBe(f1CarSpecs.defaultEngineMode);
+    warn.mockRestore();
+  });
+
+  test("the kinematic car accelerates harder with more power", () => {
+    const drive = (power) => {
+      const car = new THREE.Object3D();
+      const velocity = new THREE.Vector3();
+      const input = { ...createIdleInput(), forward: true };
+      for (let i = 0; i < 30; i++) {
+        updateKinematicCar(car, velocity, input, 1 / 60, { power });
+      }
+      return velocity.length();
+    };
+    expect(drive(1.1)).toBeGreaterThan(drive(0.9));
+  });
+
+  test("the engine mode moves the kinematic car's top speed", () => {
+    const terminal = ({ topSpeed }) => {
+      const car = new THREE.Object3D();
+      const velocity = new THREE.Vector3();
+      const input = { ...createIdleInput(), forward: true };
+      for (let i = 0; i < 60 * 60; i++) {
+        updateKinematicCar(car, velocity, input, 1 / 60, { topSpeed });
+      }
+      return velocity.length();
+    };
+    const { Rich, Lean } = energyConfig.modes;
+    const ratio = terminal(Rich) / terminal(Lean);
+    expect(ratio).toBeCloseTo(Rich.topSpeed / Lean.topSpeed, 2);
+  });
+
+  test("AI cars in Rich mode are faster and burn more fuel", () => {
+    const sim = new Simulation({
+      racePath: createLoopPath(),
+      aiStates: [
+        { speed: 80, progress: 0 },
+        { speed: 80, progress: 0 },
+      ],
+      raceMode: true,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.setEngineMode(0, "Rich");
+    sim.setEngineMode(1, "Lean");
+
+    for (let i = 0; i < 60 * 10; i++) sim.step(1 / 60);
+
+    const [rich, lean] = sim.getState().cars;
+    expect(rich.progress).toBeGreaterThan(lean.progress);
+    expect(rich.energy.fuel).toBeLessThan(lean.energy.fuel);
+  });
+
+  test("cycleEngineMode switches the player's mode in order", () => {
+    const sim = new Simulation({ raceMode: false });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    const modes = f1CarSpecs.engineModes;
+    const start = modes.indexOf(sim.cars[0].energy.mode);
+
+    expect(sim.cycleEngineMode(0)).toBe(modes[(start + 1) % modes.length]);
+    expect(sim.cycleEngineMode(5)).toBeNull();
+  });
+});
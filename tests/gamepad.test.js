@@ -0,0 +1,93 @@
+/**
+ * Tests for analog gamepad input and how the controllers use it
+ */
+
+import * as THREE from "three";
+import {
+  applyDeadzone,
+  applyCurve,
+  getGamepad,
+  readGamepadInput,
+} from "../src/gamepad.js";
+import {
+  updateKinematicCar,
+  createIdleInput,
+  getInputAxes,
+} from "../src/kinematics.js";
+import { gamepadConfig } from "../src/config.js";
+
+// Standard-mapping pad with the triggers and stick where given
+function createPad({ throttle = 0, brake = 0, stick = 0 } = {}) {
+  const buttons = Array.from({ length: 17 }, () => ({ value: 0 }));
+  buttons[gamepadConfig.throttleButton] = { value: throttle };
+  buttons[gamepadConfig.brakeButton] = { value: brake };
+  return { connected: true, buttons, axes: [stick, 0, 0, 0] };
+}
+
+describe("gamepad", () => {
+  test("the deadzone is cut out and the rest rescaled", () => {
+    expect(applyDeadzone(0.05, 0.1)).toBe(0);
+    expect(applyDeadzone(-0.1, 0.1)).toBe(0);
+    expect(applyDeadzone(0.55, 0.1)).toBeCloseTo(0.5, 6);
+    expect(applyDeadzone(-1, 0.1)).toBe(-1);
+  });
+
+  test("curves soften small inputs but keep full travel and sign", () => {
+    expect(applyCurve(0.5, 2)).toBe(0.25);
+    expect(applyCurve(-0.5, 2)).toBe(-0.25);
+    expect(applyCurve(1, 2)).toBe(1);
+    expect(applyCurve(0.3, 1)).toBe(0.3);
+  });
+
+  test("triggers are throttle and brake, the stick steers", () => {
+    const options = { ...gamepadConfig, steerExponent: 1, brakeExponent: 1 };
+    const input = readGamepadInput(
+      createPad({ throttle: 1, brake: 0.03, stick: -1 }),
+      options
+    );
+    expect(input).toEqual({ throttle: 1, brake: 0, steer: 1 });
+
+    const right = readGamepadInput(createPad({ stick: 0.55 }), {
+      ...options,
+      stickDeadzone: 0.1,
+    });
+    expect(right.steer).toBeCloseTo(-0.5, 6);
+  });
+
+  test("no gamepad is no input", () => {
+    expect(getGamepad([null, { connected: false }])).toBeNull();
+    expect(readGamepadInput(null)).toEqual({ throttle: 0, brake: 0, steer: 0 });
+  });
+});
+
+describe("analog driving", () => {
+  test("keys count as full travel", () => {
+    const input = { ...createIdleInput(), forward: true, yawRight: true };
+    expect(getInputAxes(input)).toEqual({ throttle: 1, brake: 0, steer: -1 });
+    expect(getInputAxes({ ...createIdleInput(), steer: 0.4 }).steer).toBe(0.4);
+  });
+
+  test("half throttle and half lock do half as much", () => {
+    const drive = (input) => {
+      const car = new THREE.Object3D();
+      const velocity = new THREE.Vector3();
+      for (let i = 0; i < 60; i++) {
+        updateKinematicCar(car, velocity, input, 1 / 60);
+      }
+      return { speed: velocity.length(), yaw: car.rotation.y };
+    };
+    const full = drive({ ...createIdleInput(), throttle: 1 });
+    const half = drive({ ...createIdleInput(), throttle: 0.5 });
+    expect(half.speed).toBeGreaterThan(full.speed * 0.4);
+    expect(half.speed).toBeLessThan(full.speed * 0.6);
+
+    const fullLock = drive({ ...createIdleInput(), steer: 1 });
+    const halfLock = drive({ ...createIdleInput(), steer: 0.5 });
+    expect(halfLock.yaw).toBeCloseTo(fullLock.yaw / 2, 6);
+
+    const keys = drive({ ...createIdleInput(), forward: true, yawLeft: true });
+    expect(keys).toEqual(
+      drive({ ...createIdleInput(), throttle: 1, steer: 1 })
+    );
+  });
+});
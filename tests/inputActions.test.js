@@ -0,0 +1,107 @@
+/**
+ * Tests for the input action registry: bindings, rebinding and conflicts
+ */
+
+import {
+  InputActions,
+  INPUT_ACTIONS,
+  findConflicts,
+} from "../src/inputActions.js";
+import { readKeyboardInput } from "../src/controls.js";
+import { keyboardControls } from "../src/config.js";
+
+function createStorage(items = {}) {
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+}
+
+function createActions(storage = createStorage()) {
+  const target = new EventTarget();
+  const actions = new InputActions({ storage, storageKey: "bindings" });
+  actions.attach(target);
+  const key = (type, key, code = `Key${key.toUpperCase()}`) =>
+    target.dispatchEvent(new KeyboardEvent(type, { key, code }));
+  return { actions, storage, key };
+}
+
+describe("InputActions", () => {
+  test("every action has default keys and none share one", () => {
+    for (const { id } of INPUT_ACTIONS) {
+      expect(keyboardControls.bindings[id].length).toBeGreaterThan(0);
+    }
+    expect(findConflicts(keyboardControls.bindings)).toEqual([]);
+  });
+
+  test("the steering keys steer or strafe, never both", () => {
+    const { actions, key } = createActions();
+    key("keydown", "a");
+    expect(readKeyboardInput(actions)).toMatchObject({
+      yawLeft: true,
+      left: false,
+    });
+
+    key("keydown", "Shift", "ShiftLeft");
+    expect(readKeyboardInput(actions)).toMatchObject({
+      yawLeft: false,
+      left: true,
+      strafe: true,
+    });
+
+    key("keyup", "Shift", "ShiftLeft");
+    key("keyup", "a");
+    expect(readKeyboardInput(actions).yawLeft).toBe(false);
+  });
+
+  test("presses name the action once per key press", () => {
+    const { actions, key } = createActions();
+    const pressed = [];
+    actions.on("press", ({ action }) => pressed.push(action));
+    key("keydown", "c");
+    key("keydown", "3", "Digit3");
+    key("keydown", "x");
+    expect(pressed).toEqual(["nextCar", "camera3"]);
+  });
+
+  test("rebinding reports conflicts and is saved", () => {
+    const { actions, storage } = createActions();
+    expect(actions.bind("nextCar", ["H"])).toEqual([
+      { key: "h", actions: ["helperCamera", "nextCar"] },
+    ]);
+    expect(JSON.parse(storage.items.bindings)).toEqual({ nextCar: ["h"] });
+
+    // A new session starts with the saved keys
+    const next = createActions(storage).actions;
+    expect(next.getKeys("nextCar")).toEqual(["h"]);
+    expect(next.getConflicts()).toHaveLength(1);
+
+    actions.resetBindings();
+    expect(actions.getKeys("nextCar")).toEqual(["c"]);
+    expect(JSON.parse(storage.items.bindings)).toEqual({});
+  });
+
+  test("a captured key rebinds instead of acting", async () => {
+    const { actions, key } = createActions();
+    const pressed = [];
+    actions.on("press", ({ action }) => pressed.push(action));
+
+    const captured = actions.captureKey();
+    key("keydown", "Shift", "ShiftLeft");
+    key("keydown", "?", "Slash");
+    expect(await captured).toBe("?");
+
+    const modifier = actions.captureKey();
+    key("keydown", "Shift", "ShiftLeft");
+    key("keyup", "Shift", "ShiftLeft");
+    expect(await modifier).toBe("shift");
+
+    const cancelled = actions.captureKey();
+    key("keydown", "Escape", "Escape");
+    expect(await cancelled).toBeNull();
+    expect(pressed).toEqual([]);
+  });
+});
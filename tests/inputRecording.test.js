@@ -0,0 +1,202 @@
+/**
+ * Tests for driver input recording and deterministic replay
+ */
+
+import * as THREE from "three";
+import {
+  encodeInputFrame,
+  decodeInputFrame,
+  getRecordingDuration,
+  packInputRecording,
+  unpackInputRecording,
+  RECORDING_VERSION,
+} from "../src/inputRecording.js";
+import { Simulation } from "../src/simulation.js";
+import { RemotePhysics, createLocalPhysicsPort } from "../src/remotePhysics.js";
+import { PhysicsServer } from "../src/physicsServer.js";
+import { createIdleInput, getInputAxes } from "../src/kinematics.js";
+
+// Flat slab with its top face at y = 0, as a track mesh
+function createGroundMesh() {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(4000, 2, 4000));
+  mesh.position.y = -1;
+  return mesh;
+}
+
+// Like a worker, but snapshots wait until `deliver` is called
+function createDeferredPort() {
+  const replies = [];
+  const port = {
+    onmessage: null,
+    postMessage(message) {
+      server.handle(message);
+    },
+    deliver() {
+      replies.splice(0).forEach((data) => port.onmessage({ data }));
+    },
+  };
+  const server = new PhysicsServer((message) => replies.push(message));
+  return port;
+}
+
+function createSimulation(physics, port = null) {
+  const sim = new Simulation({
+    remotePhysics: port && new RemotePhysics(port),
+    racePath: new THREE.LineCurve3(
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(0, 0, 400)
+    ),
+    raceMode: false,
+    physicsEnabled: physics,
+    getSurfaceAt: () => "asphalt",
+  });
+  if (physics) sim.addTrack(createGroundMesh());
+  sim.addCar({ position: { x: 0, y: physics ? 0.6 : 0, z: 0 } });
+  return sim;
+}
+
+function setDriveInput(sim, i) {
+  sim.setInput(0, {
+    ...createIdleInput(),
+    forward: i % 90 < 70,
+    steer: Math.sin(i / 20) * 0.6,
+  });
+}
+
+// Throttle with a left-right weave and a manual shift partway through
+function drive(sim, steps, from = 0) {
+  for (let i = from; i < from + steps; i++) {
+    setDriveInput(sim, i);
+    if (i === from + 30) sim.shiftUp(0);
+    sim.step();
+  }
+}
+
+// The same drive frame by frame, with the world's answers arriving one or
+// two frames late
+function driveFrames(sim, port, frames, from = 0) {
+  for (let i = from; i < from + frames; i++) {
+    setDriveInput(sim, i);
+    if (i === from + 30) sim.shiftUp(0);
+    if (i === from + 100) sim.recoverCar(0);
+    sim.advance(sim.fixedDelta);
+    if (i % 3 !== 0) port.deliver();
+  }
+}
+
+describe("input recording", () => {
+  test("frames keep the driver's axes and strafe keys", () => {
+    const input = {
+      ...createIdleInput(),
+      forward: true,
+      yawRight: true,
+      strafe: true,
+      left: true,
+    };
+    const decoded = decodeInputFrame(encodeInputFrame(input));
+    expect(getInputAxes(decoded)).toEqual({ throttle: 1, brake: 0, steer: -1 });
+    expect(decoded).toMatchObject({ strafe: true, left: true, right: false });
+  });
+
+  test("saved recordings keep each run of identical frames once", () => {
+    const recording = {
+      version: RECORDING_VERSION,
+      frames: [
+        ...Array(100).fill([1, 0, 0, 0]),
+        encodeInputFrame({ throttle: 0.5, steer: -0.123456 }),
+        ...Array(50).fill([0, 1, 0, 2]),
+      ],
+    };
+    const packed = packInputRecording(recording);
+    expect(packed.frames).toEqual([
+      [100, 100, 0, 0, 0],
+      [1, 50, 0, -12, 0],
+      [50, 0, 100, 0, 2],
+    ]);
+    expect(unpackInputRecording(packed).frames).toEqual(recording.frames);
+    expect(recording.frames[100][2]).toBe(-0.12);
+    expect(
+      unpackInputRecording({ ...packed, version: RECORDING_VERSION - 1 })
+    ).toBeNull();
+  });
+
+  test.each([
+    ["kinematic", false],
+    ["physics", true],
+  ])("a %s drive replays to the same place", (_, physics) => {
+    const sim = createSimulation(physics);
+    drive(sim, 60);
+    sim.startInputRecording(0);
+    drive(sim, 180, 60);
+    // Through the saved form, with its rounded axes
+    const saved = JSON.stringify(packInputRecording(sim.stopInputRecording()));
+    const recording = unpackInputRecording(JSON.parse(saved));
+    const end = sim.cars[0];
+
+    expect(recording.frames).toHaveLength(180);
+    expect(getRecordingDuration(recording)).toBeCloseTo(3, 9);
+    expect(recording.events).toEqual([{ tick: 30, type: "shiftUp" }]);
+
+    // Another simulation, with the car somewhere else
+    const ghost = createSimulation(physics);
+    ghost.teleportCar(0, { x: 50, y: physics ? 0.6 : 0, z: 100 }, 1);
+    expect(ghost.playInputRecording(recording, 0)).toBe(true);
+    for (let i = 0; i < 180; i++) ghost.step();
+
+    const replayed = ghost.cars[0];
+    expect(
+      replayed.object.position.distanceTo(end.object.position)
+    ).toBeLessThan(1e-6);
+    expect(
+      replayed.object.quaternion.angleTo(end.object.quaternion)
+    ).toBeLessThan(1e-6);
+    expect(replayed.drivetrain.gear).toBe(end.drivetrain.gear);
+    expect(replayed.telemetry.speed).toBeCloseTo(end.telemetry.speed, 6);
+
+    // The frames are used up on the next step
+    expect(ghost.isReplaying(0)).toBe(true);
+    ghost.step();
+    expect(ghost.isReplaying(0)).toBe(false);
+    expect(ghost.eventLog.filter({ type: "replayEnd" })).toHaveLength(1);
+  });
+
+  test.each([
+    ["the worker", createDeferredPort],
+    ["an in-thread world", createLocalPhysicsPort],
+  ])(
+    "a drive on a lagging worker replays to the same place on %s",
+    (_, createPort) => {
+      const port = createDeferredPort();
+      const sim = createSimulation(true, port);
+      driveFrames(sim, port, 60);
+      sim.startInputRecording(0);
+      driveFrames(sim, port, 240, 60);
+      const recording = JSON.parse(JSON.stringify(sim.stopInputRecording()));
+      const end = sim.cars[0];
+
+      // Steps wait for the world, so there are fewer than frames
+      expect(recording.frames.length).toBeGreaterThan(100);
+      expect(recording.frames.length).toBeLessThan(240);
+      expect(recording.events.map((e) => e.type)).toEqual(["shiftUp", "reset"]);
+
+      const replayPort = createPort();
+      const ghost = createSimulation(true, replayPort);
+      ghost.teleportCar(0, { x: 50, y: 0.6, z: 100 }, 1);
+      ghost.playInputRecording(recording, 0);
+      let frame = 0;
+      while (ghost.cars[0].replay.tick < recording.frames.length) {
+        ghost.advance(ghost.fixedDelta);
+        if (replayPort.deliver && frame++ % 2) replayPort.deliver();
+      }
+
+      const replayed = ghost.cars[0];
+      expect(
+        replayed.object.position.distanceTo(end.object.position)
+      ).toBeLessThan(1e-6);
+      expect(
+        replayed.object.quaternion.angleTo(end.object.quaternion)
+      ).toBeLessThan(1e-6);
+      expect(replayed.drivetrain.gear).toBe(end.drivetrain.gear);
+    }
+  );
+});
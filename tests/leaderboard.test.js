@@ -0,0 +1,129 @@
+/**
+ * Tests for the leaderboard and timing tower overlay
+ */
+
+import * as THREE from "three";
+import { Leaderboard } from "../src/leaderboard.js";
+import { createTimingTower } from "../src/timingTower.js";
+import { Simulation } from "../src/simulation.js";
+
+// Two cars at constant pace, car 1 starting `offset` laps behind car 0
+function race(board, { lapTime0, lapTime1, offset = 0, to, dt = 0.05 }) {
+  for (let t = 0; t <= to + 1e-9; t += dt) {
+    board.update(t, [
+      { carIndex: 0, progress: t / lapTime0 },
+      { carIndex: 1, progress: t / lapTime1 - offset },
+    ]);
+  }
+}
+
+describe("Leaderboard", () => {
+  test("ranks by progress and measures gaps in seconds", () => {
+    const board = new Leaderboard();
+    race(board, { lapTime0: 20, lapTime1: 20, offset: 0.1, to: 10 });
+
+    const [first, second] = board.getStandings();
+    expect(first).toMatchObject({ position: 1, carIndex: 0, gap: null });
+    expect(second.carIndex).toBe(1);
+    // 0.1 lap behind at 20 s a lap
+    expect(second.gap.time).toBeCloseTo(2, 1);
+    expect(second.interval.time).toBeCloseTo(2, 1);
+  });
+
+  test("measures interval to the car ahead and gap to the leader", () => {
+    const board = new Leaderboard();
+    for (let t = 0; t <= 10; t += 0.05) {
+      board.update(t, [
+        { carIndex: 0, progress: t / 10 },
+        { carIndex: 1, progress: t / 10 - 0.1 },
+        { carIndex: 2, progress: t / 10 - 0.25 },
+      ]);
+    }
+
+    const third = board.getStandings()[2];
+    expect(third.carIndex).toBe(2);
+    expect(third.gap.time).toBeCloseTo(2.5, 1);
+    expect(third.interval.time).toBeCloseTo(1.5, 1);
+  });
+
+  test("reports lapped cars in laps", () => {
+    const board = new Leaderboard();
+    race(board, { lapTime0: 10, lapTime1: 20, to: 25 });
+
+    expect(board.getStandings()[1].gap).toEqual({ laps: 1 });
+  });
+
+  test("cars without progress rank last", () => {
+    const board = new Leaderboard();
+    board.update(0, [
+      { carIndex: 0, progress: null },
+      { carIndex: 1, progress: -0.2 },
+    ]);
+
+    const standings = board.getStandings();
+    expect(standings.map((s) => s.carIndex)).toEqual([1, 0]);
+    expect(standings[1].gap).toBeNull();
+  });
+});
+
+describe("Timing tower", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("renders a row per car and selects a car on click", () => {
+    const onSelect = jest.fn();
+    const tower = createTimingTower({ onSelect });
+    const board = new Leaderboard();
+    race(board, { lapTime0: 20, lapTime1: 20, offset: 0.1, to: 5 });
+
+    tower.update({
+      time: 5,
+      standings: board.getStandings(),
+      getCarTiming: () => ({ lastLap: { time: 81.5 }, bestLap: null }),
+      getTyre: (i) => (i === 0 ? "soft" : null),
+    });
+
+    const rows = document.querySelectorAll("[data-car]");
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain("Leader");
+    expect(rows[0].textContent).toContain("soft");
+    expect(rows[0].textContent).toContain("1:21.500");
+    expect(rows[1].textContent).toMatch(/\+2\.\d{3}/);
+
+    rows[1].querySelector("td").click();
+    expect(onSelect).toHaveBeenCalledWith(1);
+    tower.dispose();
+  });
+});
+
+describe("Simulation leaderboard", () => {
+  test("orders AI cars by timed progress", () => {
+    const curve = new THREE.CatmullRomCurve3(
+      [
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(100, 0, 0),
+        new THREE.Vector3(100, 0, 50),
+        new THREE.Vector3(0, 0, 50),
+      ],
+      true,
+      "catmullrom"
+    );
+    const sim = new Simulation({
+      racePath: curve,
+      aiStates: [
+        { speed: 25, progress: 0 },
+        { speed: 30, progress: 0 },
+      ],
+      raceMode: true,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    for (let i = 0; i < 60 * 5; i++) sim.step();
+
+    const standings = sim.getState().standings;
+    expect(standings.map((s) => s.carIndex)).toEqual([1, 0]);
+    expect(standings[1].gap.time).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for the physics car models
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import { Simulation } from "../src/simulation.js";
+import {
+  createCarVehicle,
+  createCarShapes,
+  getCarMassProperties,
+  createShapeWireframe,
+  FRONT_WHEELS,
+} from "../src/physics.js";
+import { createIdleInput } from "../src/kinematics.js";
+import { f1CarSpecs, physicsConfig } from "../src/config.js";
+
+// Flat slab with its top face at y = 0
+function createGround() {
+  return new CANNON.Body({
+    mass: 0,
+    shape: new CANNON.Box(new CANNON.Vec3(2000, 1, 2000)),
+    position: new CANNON.Vec3(0, -1, 0),
+  });
+}
+
+function createPhysicsSimulation(carModel, { model } = {}) {
+  const sim = new Simulation({ physicsEnabled: true, carModel });
+  sim.addStaticBody(createGround());
+  sim.addCar({ position: { x: 0, y: 0.6, z: 0 }, model });
+  return sim;
+}
+
+// Scaled, placed model: a 1 x 0.5 x 2 body and a wing in front, at half scale
+function createModel() {
+  const model = new THREE.Group();
+  model.position.set(50, 3, -20);
+  model.rotation.y = 1;
+  model.scale.setScalar(2);
+  const body = new THREE.Mesh(new THREE.BoxGeometry(1, 0.5, 2));
+  body.position.set(0, 0.25, 0);
+  const wing = new THREE.Mesh(new THREE.BoxGeometry(1, 0.1, 0.2));
+  wing.position.set(0, 0.05, 1.1);
+  model.add(body, wing);
+  return model;
+}
+
+function drive(sim, input, steps) {
+  sim.setInput(0, { ...createIdleInput(), ...input });
+  for (let i = 0; i < steps; i++) sim.step(1 / 60);
+}
+
+describe("RaycastVehicle car", () => {
+  test("has four wheels on a chassis with the car's mass", () => {
+    const vehicle = createCarVehicle({ x: 0, y: 1, z: 0 });
+    expect(vehicle.wheelInfos).toHaveLength(4);
+    expect(vehicle.chassisBody.mass).toBe(f1CarSpecs.dryMass);
+  });
+
+  test("settles on its suspension with all wheels in contact", () => {
+    const sim = createPhysicsSimulation("raycastVehicle");
+    drive(sim, {}, 120);
+
+    const { vehicle, body } = sim.cars[0];
+    expect(vehicle.wheelInfos.every((w) => w.isInContact)).toBe(true);
+    expect(body.position.y).toBeGreaterThan(0.3);
+    expect(body.velocity.length()).toBeLessThan(0.1);
+  });
+
+  test("throttle drives it forward along +Z", () => {
+    const sim = createPhysicsSimulation("raycastVehicle");
+    drive(sim, {}, 60);
+    drive(sim, { forward: true }, 120);
+
+    const { body } = sim.cars[0];
+    expect(body.position.z).toBeGreaterThan(10);
+    expect(Math.abs(body.position.x)).toBeLessThan(0.5);
+    expect(sim.cars[0].telemetry.speed).toBeGreaterThan(10);
+  });
+
+  test("steering turns the front wheels and the car", () => {
+    const sim = createPhysicsSimulation("raycastVehicle");
+    drive(sim, {}, 60);
+    drive(sim, { forward: true, yawLeft: true }, 120);
+
+    const { vehicle, body } = sim.cars[0];
+    for (const w of FRONT_WHEELS) {
+      expect(vehicle.wheelInfos[w].steering).toBeGreaterThan(0);
+    }
+    // Left of a car facing +Z is +X
+    expect(body.position.x).toBeGreaterThan(1);
+  });
+
+  test("brakes slow it down", () => {
+    const sim = createPhysicsSimulation("raycastVehicle");
+    drive(sim, {}, 60);
+    drive(sim, { forward: true }, 120);
+    const before = sim.cars[0].telemetry.speed;
+    drive(sim, { backward: true }, 30);
+
+    expect(sim.cars[0].telemetry.speed).toBeLessThan(before * 0.7);
+  });
+});
+
+describe("box car", () => {
+  test("is still available as a single body without wheels", () => {
+    const sim = createPhysicsSimulation("box");
+    const { vehicle, body } = sim.cars[0];
+    expect(vehicle).toBeNull();
+    expect(body.shapes[0]).toBeInstanceOf(CANNON.Box);
+
+    drive(sim, {}, 30);
+    drive(sim, { forward: true }, 60);
+    expect(sim.cars[0].body.position.z).toBeGreaterThan(0);
+  });
+});
+
+describe("car collision shapes", () => {
+  test("without a model the car is the carDimensions box", () => {
+    const [{ shape, offset }] = createCarShapes(null, "hulls");
+    expect(shape.halfExtents.z).toBeCloseTo(physicsConfig.carDimensions.z / 2);
+    expect(offset.length()).toBe(0);
+  });
+
+  test("bounds box the model in its own frame, at the model's scale", () => {
+    const [{ shape, offset }] = createCarShapes(createModel(), "bounds");
+    expect(shape.halfExtents.x).toBeCloseTo(1, 6);
+    expect(shape.halfExtents.y).toBeCloseTo(0.5, 6);
+    expect(shape.halfExtents.z).toBeCloseTo(2.2, 6);
+    expect(offset.x).toBeCloseTo(0, 6);
+    expect(offset.y).toBeCloseTo(0.5, 6);
+    expect(offset.z).toBeCloseTo(0.2, 6);
+  });
+
+  test("hulls give one convex shape per mesh", () => {
+    const shapes = createCarShapes(createModel(), "hulls");
+    expect(shapes).toHaveLength(2);
+    shapes.forEach(({ shape }) =>
+      expect(shape).toBeInstanceOf(CANNON.ConvexPolyhedron)
+    );
+    // The wing hull reaches the front of the scaled model
+    const front = Math.max(
+      ...shapes.flatMap(({ shape, offset }) =>
+        shape.vertices.map((v) => v.z + offset.z)
+      )
+    );
+    expect(front).toBeCloseTo(2.4, 3);
+
+    const body = new CANNON.Body({ mass: 1 });
+    shapes.forEach(({ shape }) => body.addShape(shape));
+    expect(createShapeWireframe(body).children).toHaveLength(2);
+  });
+
+  test("mass and centre of mass are set per car", () => {
+    physicsConfig.carBodies[0] = {
+      mass: 850,
+      centerOfMass: { x: 0, y: -0.1, z: -0.4 },
+    };
+    try {
+      expect(getCarMassProperties(1, 798).mass).toBe(798);
+      const sim = createPhysicsSimulation("raycastVehicle", {
+        model: createModel(),
+      });
+      drive(sim, {}, 60);
+      drive(sim, { forward: true }, 60);
+
+      const { body, object } = sim.cars[0];
+      expect(body.mass).toBe(850);
+      // The body turns about the centre of mass; the model origin follows it
+      const origin = body.pointToWorldFrame(new CANNON.Vec3(0, 0.1, 0.4));
+      expect(object.position.distanceTo(origin)).toBeLessThan(1e-6);
+      expect(body.position.z).toBeGreaterThan(2);
+      expect(Math.abs(body.position.x)).toBeLessThan(0.5);
+    } finally {
+      physicsConfig.carBodies.length = 0;
+    }
+  });
+});
+
+describe("switching between physics and kinematic driving", () => {
+  test("a kinematic car gets a body in a world created on demand", () => {
+    const sim = new Simulation();
+    sim.addStaticBody(createGround());
+    sim.addCar({ position: { x: 0, y: 0.6, z: 0 }, yaw: 0.3 });
+    drive(sim, { forward: true }, 60);
+    expect(sim.world).toBeNull();
+    const speed = sim.cars[0].velocity.length();
+
+    expect(sim.setCarPhysics(0, true)).toBe(true);
+    const { body, object } = sim.cars[0];
+    expect(sim.world.bodies).toContain(body);
+    // The ground added before the world existed is in it
+    expect(sim.world.bodies).toHaveLength(2);
+    expect(body.position.z).toBeCloseTo(object.position.z, 6);
+    expect(body.velocity.length()).toBeCloseTo(speed, 6);
+    expect(sim.getState().cars[0].physics).toBe(true);
+
+    // Keeps going on the physics controller, still heading the same way
+    drive(sim, { forward: true }, 60);
+    expect(body.velocity.length()).toBeGreaterThan(speed);
+    const heading = Math.atan2(body.velocity.x, body.velocity.z);
+    expect(heading).toBeCloseTo(0.3, 1);
+  });
+
+  test("back to kinematic the body leaves the world and the motion carries on", () => {
+    const sim = createPhysicsSimulation("raycastVehicle");
+    drive(sim, {}, 60);
+    drive(sim, { forward: true }, 60);
+    const { body } = sim.cars[0];
+    const position = body.position.clone();
+    const velocity = body.velocity.clone();
+
+    expect(sim.setCarPhysics(0, false)).toBe(true);
+    expect(sim.setCarPhysics(0, false)).toBe(false);
+    const car = sim.cars[0];
+    expect(car.body).toBeNull();
+    expect(car.vehicle).toBeNull();
+    expect(sim.world.bodies).not.toContain(body);
+    expect(car.object.position.z).toBeCloseTo(position.z, 6);
+    expect(car.velocity.z).toBeCloseTo(velocity.z, 6);
+    expect(car.object.rotation.x).toBe(0);
+
+    drive(sim, { forward: true }, 30);
+    expect(car.object.position.z).toBeGreaterThan(position.z + 5);
+  });
+
+  test("setPhysicsEnabled switches every car and the cars added later", () => {
+    const sim = new Simulation({ physicsEnabled: true });
+    sim.addCar({ position: { x: 0, y: 0.6, z: 0 } });
+    sim.addCar({ position: { x: 5, y: 0.6, z: 0 } });
+    sim.setPhysicsEnabled(false);
+    sim.addCar({ position: { x: 10, y: 0.6, z: 0 } });
+    expect(sim.cars.map((car) => !!car.body)).toEqual([false, false, false]);
+
+    sim.setPhysicsEnabled(true);
+    expect(sim.cars.map((car) => !!car.body)).toEqual([true, true, true]);
+  });
+});
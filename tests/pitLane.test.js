@@ -0,0 +1,150 @@
+/**
+ * Tests for the pit lane and pit stops
+ */
+
+import * as THREE from "three";
+import { PitLane } from "../src/pitLane.js";
+import { Simulation } from "../src/simulation.js";
+
+const ENTRY = 0.05;
+const EXIT = 0.3;
+
+// Long straights joined by hairpins, start/finish on the first straight
+function createTrack() {
+  return new THREE.CatmullRomCurve3(
+    [
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(400, 0, 0),
+      new THREE.Vector3(420, 0, 20),
+      new THREE.Vector3(400, 0, 40),
+      new THREE.Vector3(0, 0, 40),
+      new THREE.Vector3(-20, 0, 20),
+    ],
+    true,
+    "catmullrom"
+  );
+}
+
+// Pit lane 8 m beside the race path between ENTRY and EXIT
+function createPitCurve(track) {
+  const points = [];
+  for (let i = 0; i <= 20; i++) {
+    const k = i / 20;
+    const p = track.getPointAt(ENTRY + (EXIT - ENTRY) * k);
+    const t = track.getTangentAt(ENTRY + (EXIT - ENTRY) * k);
+    const w = Math.min(1, k / 0.2, (1 - k) / 0.2);
+    p.add(new THREE.Vector3(-t.z, 0, t.x).multiplyScalar(-8 * w));
+    points.push(p);
+  }
+  return new THREE.CatmullRomCurve3(points, false, "catmullrom");
+}
+
+function createSim(pitOptions = {}) {
+  const track = createTrack();
+  const sim = new Simulation({
+    racePath: track,
+    aiStates: [{ speed: 60, progress: 0.9 }],
+    raceMode: true,
+  });
+  sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+  const pitLane = new PitLane({
+    curve: createPitCurve(track),
+    entryFraction: ENTRY,
+    exitFraction: EXIT,
+    boxes: [0.5],
+    speedLimitKph: 72,
+    serviceTime: 3,
+    everyLaps: 0,
+    ...pitOptions,
+  });
+  sim.setPitLane(pitLane);
+  return { sim, pitLane };
+}
+
+describe("PitLane", () => {
+  test("slows for the entry only when a stop is requested", () => {
+    const pitLane = new PitLane({
+      curve: createPitCurve(createTrack()),
+      entryFraction: ENTRY,
+      exitFraction: EXIT,
+      speedLimitKph: 72,
+    });
+    expect(pitLane.getApproachSpeed(0, 0.01, 1000, true)).toBe(Infinity);
+
+    pitLane.request(0);
+    const far = pitLane.getApproachSpeed(0, 0.9, 1000, true);
+    const near = pitLane.getApproachSpeed(0, 0.04, 1000, true);
+    expect(near).toBeLessThan(far);
+    expect(pitLane.getApproachSpeed(0, ENTRY, 1000, true)).toBeCloseTo(20, 6);
+  });
+
+  test("detects the entry crossing, including across the lap wrap", () => {
+    const pitLane = new PitLane({ entryFraction: 0.02 });
+    pitLane.request(0);
+    expect(pitLane.crossesEntry(0, 0.01, 0.03)).toBe(true);
+    expect(pitLane.crossesEntry(0, 0.99, 1.03)).toBe(true);
+    expect(pitLane.crossesEntry(0, 0.03, 0.05)).toBe(false);
+  });
+});
+
+describe("Simulation pit stops", () => {
+  test("AI car boxes, obeys the limit, serves its time and rejoins", () => {
+    const { sim, pitLane } = createSim();
+    const events = [];
+    ["entry", "stop", "release", "exit"].forEach((name) =>
+      pitLane.on(name, () => events.push([name, sim.time]))
+    );
+
+    sim.requestPitStop(0);
+    let maxPitSpeed = 0;
+    let stoppedFor = 0;
+    for (let i = 0; i < 60 * 40 && pitLane.getCarState(0).stops === 0; i++) {
+      sim.step();
+    }
+    for (let i = 0; i < 60 * 30 && pitLane.isInPit(0); i++) {
+      sim.step();
+      const phase = pitLane.getCarState(0).phase;
+      if (phase === "stopped") stoppedFor += sim.fixedDelta;
+      if (phase === "out") {
+        maxPitSpeed = Math.max(maxPitSpeed, sim.cars[0].telemetry.speed);
+      }
+    }
+
+    expect(events.map((e) => e[0])).toEqual([
+      "entry",
+      "stop",
+      "release",
+      "exit",
+    ]);
+    expect(stoppedFor).toBeCloseTo(3, 1);
+    expect(maxPitSpeed).toBeLessThanOrEqual(20 + 1e-6);
+    expect(sim.aiStates[0].progress).toBeGreaterThanOrEqual(EXIT);
+    expect(sim.aiStates[0].progress).toBeLessThan(EXIT + 0.01);
+    expect(pitLane.getCarState(0)).toMatchObject({
+      requested: false,
+      phase: "none",
+      stops: 1,
+    });
+  });
+
+  test("pit laps are flagged in lap timing", () => {
+    const { sim } = createSim();
+    sim.requestPitStop(0);
+    for (let i = 0; i < 60 * 80; i++) sim.step();
+
+    const laps = sim.timing.getCarTiming(0).laps;
+    const pitLap = laps.find((l) => l.flags.includes("pit-in"));
+    expect(pitLap).toBeDefined();
+    expect(pitLap.flags).toContain("pit-out");
+    const clean = laps.filter((l) => !l.flags.length);
+    expect(clean.length).toBeGreaterThan(0);
+    expect(pitLap.time).toBeGreaterThan(clean[0].time);
+  });
+
+  test("strategy rule boxes every N laps", () => {
+    const { sim, pitLane } = createSim({ everyLaps: 1 });
+    for (let i = 0; i < 60 * 60; i++) sim.step();
+
+    expect(pitLane.getCarState(0).stops).toBeGreaterThanOrEqual(1);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for the race session state machine
+ */
+
+import * as THREE from "three";
+import { RaceSession } from "../src/raceSession.js";
+import { Simulation } from "../src/simulation.js";
+
+const FAST_START = {
+  gridTime: 1,
+  lightInterval: 0.5,
+  lightsOutDelay: 0.5,
+  cooldownTime: 2,
+};
+
+function runFor(session, seconds, dt = 0.1, start = 0) {
+  let time = start;
+  for (let t = 0; t < seconds - 1e-9; t += dt) {
+    time += dt;
+    session.update(dt, time);
+  }
+  return time;
+}
+
+describe("RaceSession", () => {
+  test("runs grid, five lights and lights out in order", () => {
+    const session = new RaceSession(FAST_START);
+    const phases = [];
+    const lights = [];
+    session.on("phase", (e) => phases.push(e.phase));
+    session.on("lights", (e) => lights.push(e.count));
+
+    session.start(2, 0, { laps: 3 });
+    expect(session.getSpeedFactor(0)).toBe(0);
+
+    runFor(session, 1.05);
+    expect(session.phase).toBe("lights");
+
+    runFor(session, 3.1);
+    expect(lights).toEqual([1, 2, 3, 4, 5]);
+    expect(phases).toEqual(["grid", "lights", "green"]);
+    expect(session.getSpeedFactor(0)).toBe(1);
+  });
+
+  test("leader takes the chequered flag, the rest finish on their next lap", () => {
+    const session = new RaceSession(FAST_START);
+    session.start(2, 0, { laps: 2 });
+    const time = runFor(session, 5);
+    expect(session.phase).toBe("green");
+
+    session.recordLap(0, time + 10);
+    session.recordLap(1, time + 11);
+    session.recordLap(0, time + 20);
+    expect(session.phase).toBe("chequered");
+    expect(session.getSpeedFactor(0)).toBeLessThan(1);
+    expect(session.getSpeedFactor(1)).toBe(1);
+    expect(session.lapsRemaining(1)).toBe(1);
+
+    session.recordLap(1, time + 22);
+    expect(session.phase).toBe("cooldown");
+
+    const results = session.classify(() => 0);
+    expect(results.map((r) => r.carIndex)).toEqual([0, 1]);
+    expect(results[1].gap).toBeCloseTo(2);
+  });
+
+  test("retired cars stop, are classified last and can end the race", () => {
+    const session = new RaceSession(FAST_START);
+    const retirements = [];
+    session.on("retire", (e) => retirements.push(e));
+    session.start(3, 0, { laps: 2 });
+    const time = runFor(session, 5);
+
+    session.recordLap(1, time + 10);
+    expect(session.retire(1, time + 12, "Suspension")).toBe(true);
+    expect(session.retire(1, time + 13)).toBe(false);
+    expect(retirements).toEqual([
+      { carIndex: 1, laps: 1, reason: "Suspension", at: time + 12 },
+    ]);
+    expect(session.getSpeedFactor(1)).toBe(0);
+    expect(session.lapsRemaining(1)).toBe(0);
+
+    session.recordLap(1, time + 20);
+    session.recordLap(0, time + 20);
+    session.recordLap(0, time + 30);
+    expect(session.phase).toBe("chequered");
+    session.retire(2, time + 31);
+    expect(session.phase).toBe("cooldown");
+
+    const results = session.classify(() => 0);
+    expect(results.map((r) => [r.carIndex, r.status])).toEqual([
+      [0, "finished"],
+      [1, "retired"],
+      [2, "retired"],
+    ]);
+  });
+
+  test("time penalties are added to the race time and can change places", () => {
+    const session = new RaceSession(FAST_START);
+    const penalties = [];
+    session.on("penalty", (e) => penalties.push(e));
+    session.start(2, 0, { laps: 1 });
+    expect(session.addPenalty(0, 5, 0)).toBe(true);
+    const time = runFor(session, 5);
+
+    session.addPenalty(0, 5, time + 1);
+    session.recordLap(0, time + 10);
+    session.recordLap(1, time + 12);
+
+    expect(penalties.map((e) => e.total)).toEqual([5, 10]);
+    const results = session.classify(() => 0);
+    expect(results.map((r) => [r.carIndex, r.penalty])).toEqual([
+      [1, 0],
+      [0, 10],
+    ]);
+    expect(results[1].gap).toBeCloseTo(8);
+
+    session.abort(time + 20);
+    expect(session.addPenalty(0, 5, time + 21)).toBe(false);
+  });
+
+  test("ignores laps before the green flag", () => {
+    const session = new RaceSession(FAST_START);
+    session.start(1, 0, { laps: 1 });
+    session.recordLap(0, 0.5);
+    expect(session.phase).toBe("grid");
+  });
+});
+
+describe("Simulation race session", () => {
+  function createSim() {
+    const curve = new THREE.CatmullRomCurve3(
+      [
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(100, 0, 0),
+        new THREE.Vector3(100, 0, 50),
+        new THREE.Vector3(0, 0, 50),
+      ],
+      true,
+      "catmullrom"
+    );
+    const length = curve.getLength();
+    const sim = new Simulation({
+      racePath: curve,
+      aiStates: [
+        { speed: 0.1 * length, progress: 0.5 },
+        { speed: 0.09 * length, progress: 0.1 },
+      ],
+      session: FAST_START,
+      aiSpeedProfile: false,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    return sim;
+  }
+
+  test("holds cars on the grid until lights out", () => {
+    const sim = createSim();
+    sim.startRace({ laps: 1 });
+
+    // Pole sits just behind the line
+    const gridProgress = sim.aiStates[0].progress;
+    expect(gridProgress).toBeGreaterThan(0.9);
+
+    for (let i = 0; i < 60 * 3; i++) sim.step();
+    expect(sim.session.phase).toBe("lights");
+    expect(sim.aiStates[0].progress).toBeCloseTo(gridProgress, 10);
+
+    for (let i = 0; i < 60 * 1.5; i++) sim.step();
+    expect(sim.session.phase).toBe("green");
+    sim.step();
+    expect(sim.aiStates[0].progress).not.toBeCloseTo(gridProgress, 10);
+  });
+
+  test("runs a full race to results", () => {
+    const sim = createSim();
+    const finishes = [];
+    sim.session.on("finish", (e) => finishes.push(e.carIndex));
+    sim.startRace({ laps: 2 });
+
+    for (let i = 0; i < 60 * 40 && sim.session.phase !== "results"; i++) {
+      sim.step();
+    }
+
+    expect(sim.session.phase).toBe("results");
+    expect(finishes).toEqual([0, 1]);
+    expect(sim.session.results[0]).toMatchObject({
+      position: 1,
+      carIndex: 0,
+      status: "finished",
+      laps: 2,
+    });
+    expect(sim.session.results[0].totalTime).toBeCloseTo(20, 0);
+  });
+});
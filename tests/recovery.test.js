@@ -0,0 +1,116 @@
+/**
+ * Tests for automatic and manual resets onto the racing line
+ */
+
+import * as THREE from "three";
+import { Recovery, isUpsideDown } from "../src/recovery.js";
+import { Simulation } from "../src/simulation.js";
+import { createIdleInput } from "../src/kinematics.js";
+
+// Straight along +Z
+function createStraight() {
+  return new THREE.LineCurve3(
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(0, 0, 400)
+  );
+}
+
+const upright = new THREE.Quaternion();
+const flipped = new THREE.Quaternion().setFromAxisAngle(
+  new THREE.Vector3(0, 0, 1),
+  Math.PI
+);
+
+describe("Recovery", () => {
+  test("upside down is the roof below the horizon", () => {
+    expect(isUpsideDown(upright)).toBe(false);
+    expect(isUpsideDown(flipped)).toBe(true);
+    const onItsSide = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 0, 1),
+      Math.PI * 0.4
+    );
+    expect(isUpsideDown(onItsSide)).toBe(false);
+  });
+
+  test("a condition has to last its whole time", () => {
+    const recovery = new Recovery({ upsideDownTime: 1, stuckTime: 2 });
+    const events = [];
+    recovery.on("recover", (e) => events.push(e));
+    const car = { quaternion: flipped, speed: 0, throttle: 0, distance: 0 };
+
+    for (let i = 0; i < 3; i++) recovery.update(0, car, 0.25, i * 0.25);
+    // Righted before the second is up: the timer starts again
+    recovery.update(0, { ...car, quaternion: upright }, 0.25, 0.75);
+    for (let i = 0; i < 3; i++) recovery.update(0, car, 0.25, 1 + i * 0.25);
+    expect(events).toEqual([]);
+
+    expect(recovery.update(0, car, 0.25, 1.75)).toBe("upsideDown");
+    expect(events).toEqual([{ carIndex: 0, reason: "upsideDown", at: 1.75 }]);
+
+    // On the throttle without moving
+    const stuck = { ...car, quaternion: upright, throttle: 1 };
+    let reason = null;
+    for (let i = 0; i < 8 && !reason; i++) {
+      reason = recovery.update(1, stuck, 0.25, i * 0.25);
+    }
+    expect(reason).toBe("stuck");
+  });
+});
+
+describe("Simulation recovery", () => {
+  function createSimulation(recovery) {
+    const sim = new Simulation({
+      racePath: createStraight(),
+      raceMode: false,
+      recovery,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    return sim;
+  }
+
+  test("a lost car goes back onto its path, facing along it", () => {
+    const sim = createSimulation({ offTrackDistance: 30, offTrackTime: 1 });
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 60; i++) sim.step(1 / 60);
+    sim.teleportCar(0, { x: 50, y: 0, z: 100 }, Math.PI / 2);
+
+    for (let i = 0; i < 59; i++) sim.step(1 / 60);
+    expect(sim.cars[0].object.position.x).toBeGreaterThan(40);
+    sim.step(1 / 60);
+
+    const car = sim.cars[0];
+    expect(car.object.position.x).toBeCloseTo(0, 6);
+    expect(car.object.position.z).toBeCloseTo(100, 1);
+    expect(car.object.rotation.y).toBeCloseTo(0, 6);
+    expect(car.velocity.length()).toBe(0);
+
+    const [entry] = sim.eventLog.filter({ type: "reset" });
+    expect(entry).toMatchObject({ carIndex: 0, reason: "offTrack" });
+    expect(entry.from.x).toBeGreaterThan(40);
+    expect(sim.getState().cars[0].recovery.resets).toBe(1);
+    expect(sim.timing.getCarTiming(0).currentLapValid).toBe(false);
+    expect(sim.timing.getCarTiming(0).currentFlags).toContain("reset");
+  });
+
+  test("a manual reset only flags the lap when resets keep it", () => {
+    const sim = createSimulation({ invalidateLap: false });
+    sim.step(1 / 60);
+    sim.teleportCar(0, { x: -5, y: 0, z: 20 }, 2);
+
+    expect(sim.recoverCar(0)).toBe(true);
+    expect(sim.cars[0].object.position.x).toBeCloseTo(0, 6);
+    expect(sim.cars[0].object.position.z).toBeCloseTo(20, 1);
+    expect(sim.eventLog.filter({ type: "reset" })[0].reason).toBe("manual");
+    expect(sim.timing.getCarTiming(0).currentLapValid).toBe(true);
+    expect(sim.timing.getCarTiming(0).currentFlags).toContain("reset");
+  });
+
+  test("cars nobody drives are left alone", () => {
+    const sim = createSimulation({ offTrackTime: 0.5 });
+    sim.playerIndex = 1;
+    sim.teleportCar(0, { x: 80, y: 0, z: 100 }, 0);
+    for (let i = 0; i < 60; i++) sim.step(1 / 60);
+    expect(sim.cars[0].object.position.x).toBe(80);
+    expect(sim.eventLog.filter({ type: "reset" })).toEqual([]);
+  });
+});
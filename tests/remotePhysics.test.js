@@ -0,0 +1,200 @@
+/**
+ * Tests for the remote physics protocol: the world in a PhysicsServer, the
+ * cars' mirror bodies on the page
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import { Simulation } from "../src/simulation.js";
+import { RemotePhysics, createLocalPhysicsPort } from "../src/remotePhysics.js";
+import { PhysicsServer } from "../src/physicsServer.js";
+import {
+  createCarShapes,
+  serializeCarShapes,
+  deserializeCarShapes,
+} from "../src/physics.js";
+import { createIdleInput } from "../src/kinematics.js";
+
+// Flat slab with its top face at y = 0, as a track mesh
+function createGroundMesh() {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(4000, 2, 4000));
+  mesh.position.y = -1;
+  return mesh;
+}
+
+// Like a worker, but snapshots wait until `deliver` is called
+function createDeferredPort() {
+  const replies = [];
+  const port = {
+    onmessage: null,
+    postMessage(message) {
+      server.handle(message);
+    },
+    deliver(count = replies.length) {
+      replies.splice(0, count).forEach((data) => port.onmessage({ data }));
+    },
+  };
+  const server = new PhysicsServer((message) => replies.push(message));
+  return port;
+}
+
+function createSimulation(options) {
+  const sim = new Simulation({
+    raceMode: false,
+    physicsEnabled: true,
+    ...options,
+  });
+  sim.addTrack(createGroundMesh());
+  sim.addCar({ position: { x: 0, y: 0.6, z: 0 } });
+  return sim;
+}
+
+describe("remote physics", () => {
+  test("car shapes survive the trip to the world", () => {
+    const hull = new CANNON.ConvexPolyhedron({
+      vertices: [
+        new CANNON.Vec3(0, 0, 0),
+        new CANNON.Vec3(1, 0, 0),
+        new CANNON.Vec3(0, 1, 0),
+        new CANNON.Vec3(0, 0, 1),
+      ],
+      faces: [
+        [0, 2, 1],
+        [0, 1, 3],
+        [0, 3, 2],
+        [1, 2, 3],
+      ],
+    });
+    const shapes = [
+      ...createCarShapes(),
+      {
+        shape: hull,
+        offset: new CANNON.Vec3(0, 1, 2),
+        quaternion: new CANNON.Quaternion(),
+      },
+    ];
+
+    const [box, convex] = deserializeCarShapes(
+      JSON.parse(JSON.stringify(serializeCarShapes(shapes)))
+    );
+    expect(box.shape.halfExtents).toEqual(shapes[0].shape.halfExtents);
+    expect(convex.shape.vertices).toEqual(hull.vertices);
+    expect(convex.shape.faces).toEqual(hull.faces);
+    expect(convex.offset.z).toBe(2);
+  });
+
+  test("the car drives the same as in a local world", () => {
+    const local = createSimulation();
+    const remote = createSimulation({
+      remotePhysics: new RemotePhysics(createLocalPhysicsPort()),
+    });
+    expect(remote.world).toBeNull();
+    expect(remote.physicsEnabled).toBe(true);
+
+    for (const sim of [local, remote]) {
+      sim.setInput(0, { ...createIdleInput(), forward: true, yawLeft: true });
+      for (let i = 0; i < 60 * 2; i++) sim.step(1 / 60);
+    }
+
+    const a = local.getCarPose(0).position;
+    const b = remote.getCarPose(0).position;
+    expect(remote.cars[0].telemetry.speed).toBeGreaterThan(10);
+    expect(remote.getCarPose(0).position.x).toBeGreaterThan(1);
+    expect(b.distanceTo(a)).toBeLessThan(1e-6);
+    expect(remote.cars[0].telemetry.speed).toBeCloseTo(
+      local.cars[0].telemetry.speed,
+      6
+    );
+  });
+
+  test("snapshots from before a teleport don't move the car back", () => {
+    const port = createDeferredPort();
+    const physics = new RemotePhysics(port);
+    const sim = createSimulation({ remotePhysics: physics });
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 30; i++) {
+      sim.step(1 / 60);
+      port.deliver();
+    }
+
+    // One step in flight when the car is teleported
+    sim.step(1 / 60);
+    expect(physics.getPendingSteps()).toBe(1);
+    sim.teleportCar(0, { x: 100, y: 0.6, z: 100 }, 0);
+    sim.step(1 / 60);
+    port.deliver(1);
+    sim.step(1 / 60);
+    expect(sim.cars[0].body.position.x).toBe(100);
+
+    // The world's answer after the teleport is taken
+    port.deliver();
+    sim.step(1 / 60);
+    expect(sim.cars[0].body.position.x).toBeCloseTo(100, 3);
+    expect(sim.cars[0].body.position.z).toBeGreaterThan(99.9);
+    expect(sim.cars[0].body.position.z).toBeLessThan(101);
+  });
+
+  test("a failed worker hands the world to the main thread", () => {
+    const port = createDeferredPort();
+    port.terminate = jest.fn();
+    const physics = new RemotePhysics(port);
+    const sim = createSimulation({ remotePhysics: physics });
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    // Lockstep with the worker while the drive is recorded
+    sim.startInputRecording(0);
+    for (let i = 0; i < 30; i++) {
+      sim.advance(sim.fixedDelta);
+      port.deliver();
+    }
+
+    // The worker stops answering: the simulation waits for it
+    for (let i = 0; i < 10; i++) sim.advance(sim.fixedDelta);
+    const stalled = sim.cars[0].body.position.z;
+    expect(physics.getPendingSteps()).toBe(1);
+
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    port.onerror({ message: "Worker crashed" });
+    expect(error).toHaveBeenCalled();
+    expect(port.terminate).toHaveBeenCalled();
+    error.mockRestore();
+
+    for (let i = 0; i < 30; i++) sim.advance(sim.fixedDelta);
+    expect(physics.getPendingSteps()).toBe(0);
+    expect(sim.cars[0].body.position.z).toBeGreaterThan(stalled + 1);
+    // Still on the track, rebuilt in the new world
+    expect(sim.cars[0].body.position.y).toBeGreaterThan(-0.1);
+  });
+
+  test("cars switch in and out of the remote world", () => {
+    const port = createLocalPhysicsPort();
+    const posted = [];
+    const postMessage = port.postMessage;
+    port.postMessage = (message) => {
+      posted.push(message.type);
+      postMessage(message);
+    };
+    const sim = createSimulation({
+      physicsEnabled: false,
+      remotePhysics: new RemotePhysics(port),
+    });
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 30; i++) sim.step(1 / 60);
+    // The track waits for the first physics car
+    expect(posted).not.toContain("addTrack");
+
+    sim.setCarPhysics(0, true);
+    expect(posted.slice(-2)).toEqual(["addTrack", "addCar"]);
+    const z = sim.cars[0].object.position.z;
+    for (let i = 0; i < 30; i++) sim.step(1 / 60);
+    expect(sim.cars[0].body.position.z).toBeGreaterThan(z);
+
+    const { body } = sim.cars[0];
+    sim.setCarPhysics(0, false);
+    sim.step(1 / 60);
+    // The removed body's mirror is left alone
+    const frozen = body.position.clone();
+    sim.step(1 / 60);
+    expect(body.position).toEqual(frozen);
+    expect(sim.cars[0].object.position.z).toBeGreaterThan(frozen.z);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for the headless simulation core
+ */
+
+import * as THREE from "three";
+import { Simulation } from "../src/simulation.js";
+
+function createLoopPath() {
+  // 100 x 50 rectangle-ish loop on the ground plane
+  return new THREE.CatmullRomCurve3(
+    [
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(100, 0, 0),
+      new THREE.Vector3(100, 0, 50),
+      new THREE.Vector3(0, 0, 50),
+    ],
+    true,
+    "catmullrom"
+  );
+}
+
+const LOOP_LENGTH = createLoopPath().getLength();
+
+function createRaceSimulation() {
+  const sim = new Simulation({
+    racePath: createLoopPath(),
+    aiStates: [
+      { speed: 0.01 * LOOP_LENGTH, progress: 0 },
+      { speed: 0.02 * LOOP_LENGTH, progress: 0.5 },
+    ],
+    raceMode: true,
+  });
+  sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+  sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+  return sim;
+}
+
+describe("Simulation", () => {
+  test("runs without a renderer and advances time by fixed steps", () => {
+    const sim = createRaceSimulation();
+
+    for (let i = 0; i < 60; i++) sim.step();
+
+    expect(sim.tick).toBe(60);
+    expect(sim.time).toBeCloseTo(1, 10);
+  });
+
+  test("AI cars advance along the race path at their speed", () => {
+    const sim = createRaceSimulation();
+
+    for (let i = 0; i < 60; i++) sim.step(1 / 60);
+
+    const state = sim.getState();
+    expect(state.cars[0].progress).toBeCloseTo(0.01, 6);
+    expect(state.cars[1].progress).toBeCloseTo(0.52, 6);
+  });
+
+  test("AI speed is in meters per second along the whole path", () => {
+    const sim = new Simulation({
+      racePath: createLoopPath(),
+      aiStates: [{ speed: 30, progress: 0 }],
+      raceMode: true,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    // Straights and corners cover the same distance per step
+    let prev = sim.getCarPose(0).position.clone();
+    for (let i = 0; i < 60 * 5; i++) {
+      sim.step();
+      const p = sim.getCarPose(0).position;
+      expect(p.distanceTo(prev)).toBeCloseTo(30 / 60, 1);
+      prev = p.clone();
+    }
+
+    const car = sim.getState().cars[0];
+    expect(car.speed).toBeCloseTo(30, 2);
+    expect(car.speedKph).toBeCloseTo(108, 1);
+  });
+
+  test("identical runs produce identical state", () => {
+    const a = createRaceSimulation();
+    const b = createRaceSimulation();
+
+    for (let i = 0; i < 300; i++) {
+      a.step();
+      b.step();
+    }
+
+    expect(a.getState()).toEqual(b.getState());
+  });
+
+  test("player car drives forward kinematically from input", () => {
+    const sim = new Simulation({ raceMode: false });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 }, yaw: 0 });
+
+    sim.setInput(0, { forward: true });
+    for (let i = 0; i < 30; i++) sim.step();
+
+    const car = sim.getState().cars[0];
+    expect(car.position.z).toBeGreaterThan(1);
+    expect(Math.abs(car.position.x)).toBeLessThan(1e-6);
+    expect(car.speedKph).toBeGreaterThan(0);
+  });
+
+  test("non-player cars lerp toward their targets", () => {
+    const targets = [
+      { x: 0, y: 0, z: 0 },
+      { x: 10, y: 0, z: 0 },
+    ];
+    const sim = new Simulation({ targets });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    sim.step();
+
+    expect(sim.cars[1].object.position.x).toBeGreaterThan(0);
+    expect(sim.cars[1].object.position.x).toBeLessThan(10);
+  });
+
+  test("snaps cars to the ground provider with the suspension offset", () => {
+    const sim = new Simulation({ getGroundY: () => 5 });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    expect(sim.cars[0].object.position.y).toBeGreaterThan(5);
+  });
+
+  test("creates physics bodies and steps the cannon world", () => {
+    const sim = new Simulation({ physicsEnabled: true });
+    sim.addCar({ position: { x: 0, y: 10, z: 0 } });
+
+    for (let i = 0; i < 30; i++) sim.step();
+
+    // Falls under gravity with nothing below it
+    expect(sim.cars[0].body).not.toBeNull();
+    expect(sim.getState().cars[0].position.y).toBeLessThan(10);
+  });
+
+  test("teleportCar clears velocity and sets the pose", () => {
+    const sim = new Simulation();
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.setInput(0, { forward: true });
+    sim.step();
+
+    sim.teleportCar(0, { x: 5, y: 1, z: -3 }, Math.PI / 2);
+
+    expect(sim.cars[0].velocity.length()).toBe(0);
+    expect(sim.cars[0].object.position.x).toBe(5);
+    expect(sim.cars[0].object.rotation.y).toBeCloseTo(Math.PI / 2);
+  });
+
+  test("advance runs the same fixed steps at any frame rate", () => {
+    const run = (fps) => {
+      const sim = createRaceSimulation();
+      // A player driven car next to the AI cars
+      sim.raceMode = false;
+      sim.playerIndex = 1;
+      sim.setInput(1, { forward: true, yawLeft: true });
+      for (let i = 0; i < fps * 2; i++) sim.advance(1 / fps);
+      return sim;
+    };
+    const slow = run(30);
+    const fast = run(144);
+
+    expect(slow.tick).toBe(120);
+    expect(fast.tick).toBe(120);
+    expect(fast.getState().cars).toEqual(slow.getState().cars);
+  });
+
+  test("advance carries leftover time and caps slow frames", () => {
+    const sim = createRaceSimulation();
+
+    expect(sim.advance(sim.fixedDelta * 0.25)).toBe(0);
+    expect(sim.alpha).toBeCloseTo(0.25, 6);
+    expect(sim.advance(sim.fixedDelta * 0.75)).toBe(1);
+    expect(sim.alpha).toBeCloseTo(0, 6);
+
+    // A one second stall only runs maxSubSteps steps
+    expect(sim.advance(1)).toBe(sim.maxSubSteps);
+    expect(sim.alpha).toBeLessThanOrEqual(1);
+  });
+
+  test("render poses blend between the last two steps", () => {
+    const sim = new Simulation();
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.setInput(0, { forward: true });
+    for (let i = 0; i < 30; i++) sim.step();
+
+    const before = sim.getRenderPose(0, 0).position;
+    const after = sim.getRenderPose(0, 1).position;
+    const half = sim.getRenderPose(0, 0.5).position;
+    expect(after.z).toBeGreaterThan(before.z);
+    expect(after.equals(sim.cars[0].object.position)).toBe(true);
+    expect(half.z).toBeCloseTo((before.z + after.z) / 2, 6);
+
+    // Teleports are not blended
+    sim.teleportCar(0, { x: 50, y: 0, z: 50 }, 0);
+    expect(sim.getRenderPose(0, 0).position.x).toBe(50);
+  });
+});
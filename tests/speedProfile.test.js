@@ -0,0 +1,161 @@
+/**
+ * Tests for the curvature speed profile
+ */
+
+import * as THREE from "three";
+import {
+  computeSpeedProfile,
+  getProfileSpeed,
+  getSpeedProfile,
+  createSpeedProfileLine,
+} from "../src/speedProfile.js";
+import { Simulation } from "../src/simulation.js";
+import { GRAVITY } from "../src/config.js";
+
+const LIMITS = {
+  maxSpeed: 90,
+  maxLateralG: 4,
+  brakingDecel: 40,
+  acceleration: 10,
+};
+
+function createCircle(radius) {
+  const points = [];
+  for (let i = 0; i < 32; i++) {
+    const a = (i / 32) * Math.PI * 2;
+    points.push(
+      new THREE.Vector3(Math.cos(a) * radius, 0, Math.sin(a) * radius)
+    );
+  }
+  return new THREE.CatmullRomCurve3(points, true, "catmullrom");
+}
+
+// Long straights joined by tight hairpins
+function createStadium() {
+  return new THREE.CatmullRomCurve3(
+    [
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(400, 0, 0),
+      new THREE.Vector3(420, 0, 20),
+      new THREE.Vector3(400, 0, 40),
+      new THREE.Vector3(0, 0, 40),
+      new THREE.Vector3(-20, 0, 20),
+    ],
+    true,
+    "catmullrom"
+  );
+}
+
+describe("computeSpeedProfile", () => {
+  test("straight paths run at top speed", () => {
+    const line = new THREE.LineCurve3(
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(500, 0, 0)
+    );
+    const profile = computeSpeedProfile(line, null, LIMITS);
+    profile.speeds.forEach((v) => expect(v).toBeCloseTo(90, 6));
+  });
+
+  test("constant radius corners are limited by lateral grip", () => {
+    const profile = computeSpeedProfile(createCircle(50), null, LIMITS);
+    const expected = Math.sqrt(4 * GRAVITY * 50);
+    profile.speeds.forEach((v) => expect(v).toBeCloseTo(expected, 0));
+  });
+
+  test("brakes before corners and accelerates out within the limits", () => {
+    const profile = computeSpeedProfile(createStadium(), null, {
+      ...LIMITS,
+      samples: 600,
+    });
+    const { speeds } = profile;
+    const min = Math.min(...speeds);
+    const max = Math.max(...speeds);
+    expect(max).toBeGreaterThan(80);
+    expect(min).toBeLessThan(45);
+
+    const world = createStadium().getLength() / speeds.length;
+    for (let i = 0; i < speeds.length; i++) {
+      const next = speeds[(i + 1) % speeds.length];
+      const dv2 = next ** 2 - speeds[i] ** 2;
+      // 10% slack for uneven sample spacing
+      expect(dv2).toBeLessThanOrEqual(2 * 10 * world * 1.1 + 1e-6);
+      expect(-dv2).toBeLessThanOrEqual(2 * 40 * world * 1.1 + 1e-6);
+    }
+  });
+
+  test("interpolates and wraps on closed paths", () => {
+    const profile = computeSpeedProfile(createStadium(), null, LIMITS);
+    expect(getProfileSpeed(profile, 1.25)).toBeCloseTo(
+      getProfileSpeed(profile, 0.25),
+      6
+    );
+    expect(getProfileSpeed(profile, -0.75)).toBeCloseTo(
+      getProfileSpeed(profile, 0.25),
+      6
+    );
+  });
+
+  test("caches per curve and rebuilds when the transform changes", () => {
+    const curve = createStadium();
+    const transform = new THREE.Object3D();
+    const a = getSpeedProfile(curve, transform);
+    expect(getSpeedProfile(curve, transform)).toBe(a);
+
+    transform.scale.setScalar(2);
+    const b = getSpeedProfile(curve, transform);
+    expect(b).not.toBe(a);
+    // Twice the radius allows faster corners
+    expect(Math.min(...b.speeds)).toBeGreaterThan(Math.min(...a.speeds));
+  });
+
+  test("overlay line has a colour per point", () => {
+    const curve = createStadium();
+    const line = createSpeedProfileLine(
+      curve,
+      computeSpeedProfile(curve, null, LIMITS)
+    );
+    const { position, color } = line.geometry.attributes;
+    expect(color.count).toBe(position.count);
+  });
+});
+
+describe("AI speed profile", () => {
+  test("AI cars slow for corners and respect the braking limit", () => {
+    const sim = new Simulation({
+      racePath: createStadium(),
+      aiStates: [{ speed: 100, progress: 0.2 }],
+      raceMode: true,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    const speeds = [];
+    for (let i = 0; i < 60 * 40; i++) {
+      sim.step();
+      speeds.push(sim.cars[0].telemetry.speed);
+    }
+
+    expect(Math.min(...speeds)).toBeLessThan(Math.max(...speeds) * 0.7);
+    for (let i = 1; i < speeds.length; i++) {
+      expect(speeds[i - 1] - speeds[i]).toBeLessThanOrEqual(45 / 60 + 1e-6);
+    }
+  });
+
+  test("cars held on the grid start from rest", () => {
+    const sim = new Simulation({
+      racePath: createStadium(),
+      aiStates: [{ speed: 100, progress: 0.2 }],
+      raceMode: true,
+      session: { gridTime: 0.5, lightInterval: 0.1, lightsOutDelay: 0.1 },
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    for (let i = 0; i < 30; i++) sim.step();
+    sim.startRace({ laps: 1 });
+    sim.step();
+    expect(sim.cars[0].telemetry.speed).toBe(0);
+
+    while (sim.session.phase !== "green") sim.step();
+    sim.step();
+    expect(sim.cars[0].telemetry.speed).toBeCloseTo(12 / 60, 6);
+  });
+});
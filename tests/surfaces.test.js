@@ -0,0 +1,194 @@
+/**
+ * Tests for track surfaces: classification, wheel sampling and their effect
+ * on the simulated cars
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+import {
+  classifySurfaceName,
+  getSurfaceFromHit,
+  getZoneSurface,
+  getSurfaceAt,
+  getWheelPositions,
+  combineWheelSurfaces,
+} from "../src/surfaces.js";
+import { Simulation } from "../src/simulation.js";
+import { createIdleInput } from "../src/kinematics.js";
+import { physicsConfig, surfaceConfig } from "../src/config.js";
+
+// Gravel everywhere with x < 0
+const gravelLeft = (x) => (x < 0 ? "gravel" : "asphalt");
+
+function driveStraight(options, seconds = 3) {
+  const sim = new Simulation({ raceMode: false, ...options });
+  if (sim.world) {
+    sim.addStaticBody(
+      new CANNON.Body({
+        mass: 0,
+        shape: new CANNON.Box(new CANNON.Vec3(2000, 1, 2000)),
+        position: new CANNON.Vec3(0, -1, 0),
+      })
+    );
+  }
+  sim.addCar({ position: { x: 0, y: sim.world ? 0.6 : 0, z: 0 } });
+  sim.setInput(0, { ...createIdleInput(), forward: true });
+  for (let i = 0; i < 60 * seconds; i++) sim.step(1 / 60);
+  return sim;
+}
+
+describe("surface classification", () => {
+  test("names map to surfaces, case-insensitively", () => {
+    expect(classifySurfaceName("Kerb_T1_Red")).toBe("kerb");
+    expect(classifySurfaceName("RumbleStrip")).toBe("kerb");
+    expect(classifySurfaceName("grass_inner")).toBe("grass");
+    expect(classifySurfaceName("RunOff_Sand")).toBe("gravel");
+    expect(classifySurfaceName("Track_Asphalt")).toBeNull();
+    expect(classifySurfaceName(undefined)).toBeNull();
+  });
+
+  test("hits read the face material, then the mesh and its parents", () => {
+    const geometry = new THREE.PlaneGeometry(1, 1);
+    const materials = [
+      new THREE.MeshBasicMaterial({ name: "asphalt" }),
+      new THREE.MeshBasicMaterial({ name: "kerb_white" }),
+    ];
+    const mesh = new THREE.Mesh(geometry, materials);
+    expect(
+      getSurfaceFromHit({ object: mesh, face: { materialIndex: 1 } })
+    ).toBe("kerb");
+    expect(
+      getSurfaceFromHit({ object: mesh, face: { materialIndex: 0 } })
+    ).toBeNull();
+
+    const group = new THREE.Group();
+    group.name = "Gravel_Trap_3";
+    const child = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial());
+    group.add(child);
+    expect(getSurfaceFromHit({ object: child, face: null })).toBe("gravel");
+  });
+
+  test("painted zones win over the track mesh", () => {
+    const ground = new THREE.Mesh(
+      new THREE.PlaneGeometry(100, 100).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ name: "Grass" })
+    );
+    ground.updateMatrixWorld(true);
+    const zones = [
+      {
+        type: "gravel",
+        points: [
+          [0, 0],
+          [10, 0],
+          [10, 10],
+          [0, 10],
+        ],
+      },
+    ];
+
+    expect(getZoneSurface(5, 5, zones)).toBe("gravel");
+    expect(getZoneSurface(15, 5, zones)).toBeNull();
+    expect(getSurfaceAt(ground, 5, 5, { zones })).toBe("gravel");
+    expect(getSurfaceAt(ground, 20, 20, { zones })).toBe("grass");
+    expect(getSurfaceAt(null, 20, 20, { zones })).toBe(surfaceConfig.default);
+  });
+
+  test("the track mesh is raycast once per grid cell", () => {
+    const ground = new THREE.Mesh(
+      new THREE.PlaneGeometry(100, 100).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ name: "Gravel" })
+    );
+    ground.updateMatrixWorld(true);
+    const raycast = jest.spyOn(ground, "raycast");
+
+    expect(getSurfaceAt(ground, 1.1, 1.1, { cellSize: 1 })).toBe("gravel");
+    expect(getSurfaceAt(ground, 1.9, 1.4, { cellSize: 1 })).toBe("gravel");
+    expect(raycast).toHaveBeenCalledTimes(1);
+    expect(getSurfaceAt(ground, 2.1, 1.4, { cellSize: 1 })).toBe("gravel");
+    expect(raycast).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("wheel surfaces", () => {
+  test("wheel positions follow the car's heading", () => {
+    const { trackWidth, wheelBase } = physicsConfig.vehicle;
+    const [frontLeft, , , rearRight] = getWheelPositions(
+      { x: 0, z: 0 },
+      new THREE.Quaternion()
+    );
+    expect(frontLeft.x).toBeCloseTo(trackWidth / 2, 6);
+    expect(frontLeft.z).toBeCloseTo(wheelBase / 2, 6);
+    expect(rearRight.x).toBeCloseTo(-trackWidth / 2, 6);
+
+    // Facing +X the left wheels are on the -Z side
+    const turned = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 1, 0),
+      Math.PI / 2
+    );
+    const [left] = getWheelPositions({ x: 10, z: 0 }, turned);
+    expect(left.x).toBeCloseTo(10 + wheelBase / 2, 6);
+    expect(left.z).toBeCloseTo(-trackWidth / 2, 6);
+  });
+
+  test("two wheels in the gravel halve the gravel's effect", () => {
+    const { asphalt, gravel } = surfaceConfig.types;
+    const surface = combineWheelSurfaces([
+      "gravel",
+      "asphalt",
+      "gravel",
+      "asphalt",
+    ]);
+    expect(surface.type).toBe("gravel");
+    expect(surface.offAsphalt).toBe(true);
+    expect(surface.grip).toBeCloseTo((asphalt.grip + gravel.grip) / 2, 6);
+    expect(surface.vibration).toBe(gravel.vibration);
+
+    expect(combineWheelSurfaces(Array(4).fill("asphalt")).offAsphalt).toBe(
+      false
+    );
+  });
+});
+
+describe("Simulation surfaces", () => {
+  test("cars report the surface under their wheels", () => {
+    const sim = new Simulation({ raceMode: false, getSurfaceAt: gravelLeft });
+    sim.addCar({ position: { x: -10, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 10, y: 0, z: 0 } });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    sim.step(1 / 60);
+
+    const [inGravel, onTrack, astride] = sim.getState().cars;
+    expect(inGravel.surface.type).toBe("gravel");
+    expect(onTrack.surface.offAsphalt).toBe(false);
+    // Left wheels (+X) on the asphalt, right wheels in the gravel
+    expect(astride.surface.wheels).toEqual([
+      "asphalt",
+      "gravel",
+      "asphalt",
+      "gravel",
+    ]);
+  });
+
+  test("gravel slows a kinematic car", () => {
+    const track = driveStraight({});
+    const gravel = driveStraight({ getSurfaceAt: () => "gravel" });
+    expect(gravel.cars[0].telemetry.speed).toBeLessThan(
+      track.cars[0].telemetry.speed * 0.8
+    );
+  });
+
+  test("gravel slows the physics car and lowers its wheels' grip", () => {
+    const track = driveStraight({ physicsEnabled: true });
+    const gravel = driveStraight({
+      physicsEnabled: true,
+      getSurfaceAt: () => "gravel",
+    });
+    expect(gravel.cars[0].telemetry.speed).toBeLessThan(
+      track.cars[0].telemetry.speed * 0.8
+    );
+    const [wheel] = gravel.cars[0].vehicle.wheelInfos;
+    expect(wheel.frictionSlip).toBeLessThan(
+      track.cars[0].vehicle.wheelInfos[0].frictionSlip
+    );
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for lap and sector timing
+ */
+
+import * as THREE from "three";
+import { LapTimer } from "../src/timing.js";
+import { Simulation } from "../src/simulation.js";
+
+function createLoop() {
+  return new THREE.CatmullRomCurve3(
+    [
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(100, 0, 0),
+      new THREE.Vector3(100, 0, 50),
+      new THREE.Vector3(0, 0, 50),
+    ],
+    true,
+    "catmullrom"
+  );
+}
+
+// Drives a car around `curve` at a constant arc-length rate
+function drive(
+  timer,
+  curve,
+  { carIndex = 0, lapTime, from = 0, to, dt = 0.05 }
+) {
+  for (let t = 0; t <= to + 1e-9; t += dt) {
+    const u = (((from + t / lapTime) % 1) + 1) % 1;
+    timer.update(carIndex, curve.getPointAt(u), t);
+  }
+}
+
+describe("LapTimer", () => {
+  test("times laps and equal sectors on a closed path", () => {
+    const curve = createLoop();
+    const timer = new LapTimer({ curve, sectors: 3 });
+
+    drive(timer, curve, { lapTime: 20, to: 41 });
+
+    const timing = timer.getCarTiming(0);
+    expect(timing.lapsCompleted).toBe(2);
+    expect(timing.lastLap.time).toBeCloseTo(20, 1);
+    expect(timing.lastLap.sectors).toHaveLength(3);
+    timing.lastLap.sectors.forEach((s) => expect(s).toBeCloseTo(20 / 3, 1));
+  });
+
+  test("starts timing only after the first start line crossing", () => {
+    const curve = createLoop();
+    const timer = new LapTimer({ curve, sectors: 2 });
+
+    // Starts half way round: first crossing after 10s
+    drive(timer, curve, { lapTime: 20, from: 0.5, to: 35 });
+
+    const timing = timer.getCarTiming(0);
+    expect(timing.lapsCompleted).toBe(1);
+    expect(timing.lastLap.startedAt).toBeCloseTo(10, 1);
+  });
+
+  test("emits sector and lap events with best flags", () => {
+    const curve = createLoop();
+    const timer = new LapTimer({ curve, sectors: 3 });
+    const laps = [];
+    const sectors = [];
+    timer.on("lap", (e) => laps.push(e));
+    timer.on("sector", (e) => sectors.push(e));
+
+    drive(timer, curve, { carIndex: 0, lapTime: 20, to: 21 });
+    drive(timer, curve, { carIndex: 1, lapTime: 18, to: 19 });
+
+    expect(sectors).toHaveLength(6);
+    expect(laps).toHaveLength(2);
+    expect(laps[0]).toMatchObject({ carIndex: 0, overallBest: true });
+    expect(laps[1]).toMatchObject({
+      carIndex: 1,
+      personalBest: true,
+      overallBest: true,
+    });
+    expect(timer.getOverallBest().lap.carIndex).toBe(1);
+    expect(timer.getResults().map((r) => r.carIndex)).toEqual([1, 0]);
+  });
+
+  test("deleted laps are kept but never count as a best lap", () => {
+    const curve = createLoop();
+    const timer = new LapTimer({ curve });
+    const laps = [];
+    timer.on("lap", (e) => laps.push(e));
+
+    const validity = [];
+    timer.on("sector", (e) => {
+      if (e.lap === 1 && e.sector === 0) timer.invalidateLap(0, "track-limits");
+      validity.push(timer.getCarTiming(0).currentLapValid);
+    });
+
+    drive(timer, curve, { lapTime: 20, to: 21 });
+
+    expect(laps[0]).toMatchObject({
+      valid: false,
+      flags: ["track-limits"],
+      personalBest: false,
+      overallBest: false,
+    });
+    expect(validity).toEqual([false, false, false]);
+    expect(timer.getCarTiming(0).bestLap).toBeNull();
+    expect(timer.getCarTiming(0).currentLapValid).toBe(true);
+    expect(timer.getOverallBest().lap).toBeNull();
+  });
+
+  test("ignores jitter back and forth across a line", () => {
+    const curve = createLoop();
+    const timer = new LapTimer({ curve, sectors: 4 });
+    const sectors = [];
+    timer.on("sector", (e) => sectors.push(e));
+
+    timer.update(0, curve.getPointAt(0), 0);
+    timer.update(0, curve.getPointAt(0.1), 1);
+    timer.update(0, curve.getPointAt(0.2), 2);
+    timer.update(0, curve.getPointAt(0.26), 3);
+    timer.update(0, curve.getPointAt(0.24), 4);
+    timer.update(0, curve.getPointAt(0.26), 5);
+
+    expect(sectors).toHaveLength(1);
+  });
+
+  test("open paths finish at the end and restart on the start line", () => {
+    const curve = createLoop();
+    curve.closed = false;
+    const timer = new LapTimer({ curve, sectors: 2 });
+
+    drive(timer, curve, { lapTime: 10, to: 9.9 });
+    timer.update(0, curve.getPointAt(1), 10);
+    expect(timer.getCarTiming(0).lapsCompleted).toBe(1);
+    expect(timer.getCarTiming(0).currentLap).toBeNull();
+
+    timer.update(0, curve.getPointAt(0), 11);
+    expect(timer.getCarTiming(0).currentLap).toBe(2);
+  });
+
+  test("ranks progress with laps plus fraction", () => {
+    const curve = createLoop();
+    const timer = new LapTimer({ curve });
+
+    drive(timer, curve, { carIndex: 0, lapTime: 20, to: 25 });
+    drive(timer, curve, { carIndex: 1, lapTime: 20, from: 0.5, to: 1 });
+
+    expect(timer.getProgress(0)).toBeCloseTo(1.25, 2);
+    expect(timer.getProgress(1)).toBeLessThan(0);
+  });
+});
+
+describe("Simulation timing", () => {
+  test("times AI laps while stepping", () => {
+    const sim = new Simulation({
+      racePath: createLoop(),
+      aiStates: [{ speed: createLoop().getLength() / 10, progress: 0 }],
+      raceMode: true,
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+
+    for (let i = 0; i < 60 * 11; i++) sim.step();
+
+    const timing = sim.timing.getCarTiming(0);
+    expect(timing.lapsCompleted).toBe(1);
+    expect(timing.lastLap.time).toBeCloseTo(10, 0);
+  });
+});
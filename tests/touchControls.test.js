@@ -0,0 +1,96 @@
+/**
+ * Tests for the on-screen touch controls
+ */
+
+import { createTouchControls, getSliderSteer } from "../src/touchControls.js";
+import { InputActions } from "../src/inputActions.js";
+import { mergeAnalogInputs } from "../src/kinematics.js";
+
+const rect = { left: 0, top: 0, width: 200, height: 90 };
+
+function createControls() {
+  const inputActions = new InputActions({ storage: null });
+  const controls = createTouchControls({ inputActions, visible: true });
+  const find = (selector) => document.querySelector(selector);
+  find('[data-control="steer"]').getBoundingClientRect = () => rect;
+  // jsdom has no PointerEvent; a mouse event with an id stands in for it
+  const pointer = (type, el, id, clientX = 0) => {
+    const e = new MouseEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      clientX,
+    });
+    Object.defineProperty(e, "pointerId", { value: id });
+    el.dispatchEvent(e);
+  };
+  return { controls, inputActions, find, pointer };
+}
+
+describe("touch controls", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  test("the slider steers from its centre, positive to the left", () => {
+    expect(getSliderSteer(100, rect)).toBe(0);
+    expect(getSliderSteer(0, rect)).toBeCloseTo(1, 9);
+    expect(getSliderSteer(-50, rect)).toBeCloseTo(1, 9);
+    expect(getSliderSteer(200, rect)).toBeCloseTo(-1, 9);
+    expect(getSliderSteer(150, rect)).toBeLessThan(0);
+    expect(getSliderSteer(150, rect)).toBeGreaterThan(-0.5);
+  });
+
+  test("steering and pedals follow their own fingers", () => {
+    const { controls, find, pointer } = createControls();
+    const steer = find('[data-control="steer"]');
+    const throttle = find('[data-control="throttle"]');
+
+    pointer("pointerdown", steer, 1, 40);
+    pointer("pointerdown", throttle, 2);
+    let input = controls.getInput();
+    expect(input.throttle).toBe(1);
+    expect(input.brake).toBe(0);
+    expect(input.steer).toBeGreaterThan(0);
+
+    pointer("pointermove", steer, 1, 180);
+    expect(controls.getInput().steer).toBeLessThan(0);
+    // Moving the pedal finger leaves the steering alone
+    pointer("pointermove", throttle, 2, 40);
+    expect(controls.getInput().steer).toBeLessThan(0);
+
+    pointer("pointerup", steer, 1);
+    input = controls.getInput();
+    expect(input.steer).toBe(0);
+    expect(input.throttle).toBe(1);
+
+    pointer("pointercancel", throttle, 2);
+    expect(controls.getInput()).toEqual({ throttle: 0, brake: 0, steer: 0 });
+  });
+
+  test("buttons press input actions and hiding lets go", () => {
+    const { controls, inputActions, find, pointer } = createControls();
+    const pressed = [];
+    inputActions.on("press", ({ action, key }) => pressed.push([action, key]));
+    pointer("pointerdown", find('[data-action="nextCamera"]'), 1);
+    pointer("pointerdown", find('[data-action="resetCar"]'), 2);
+    expect(pressed).toEqual([
+      ["nextCamera", null],
+      ["resetCar", null],
+    ]);
+
+    pointer("pointerdown", find('[data-control="brake"]'), 3);
+    expect(controls.getInput().brake).toBe(1);
+    controls.setVisible(false);
+    expect(controls.isVisible()).toBe(false);
+    expect(controls.getInput().brake).toBe(0);
+  });
+
+  test("touch and gamepad input combine", () => {
+    expect(
+      mergeAnalogInputs(
+        { throttle: 0.4, brake: 0, steer: -0.2 },
+        { throttle: 1, brake: 0.5, steer: 0.1 }
+      )
+    ).toEqual({ throttle: 1, brake: 0.5, steer: -0.2 });
+  });
+});
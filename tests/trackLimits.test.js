@@ -0,0 +1,126 @@
+/**
+ * Tests for track limits: edges, violations, warnings and penalties
+ */
+
+import * as THREE from "three";
+import { TrackLimits, getLateralOffsets } from "../src/trackLimits.js";
+import { getWheelPositions } from "../src/surfaces.js";
+import { Simulation } from "../src/simulation.js";
+import { createIdleInput } from "../src/kinematics.js";
+import { samplePathWorld } from "../src/utils/math3d.js";
+
+// Straight along +Z: left of the direction of travel is +X
+function createStraight() {
+  return new THREE.LineCurve3(
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(0, 0, 400)
+  );
+}
+
+// A car facing +Z at `x` across the straight
+function carAt(x, z = 100) {
+  const position = { x, y: 0, z };
+  return {
+    position,
+    wheels: getWheelPositions(position, new THREE.Quaternion()),
+  };
+}
+
+describe("TrackLimits", () => {
+  test("lateral offsets are positive on the left of the path", () => {
+    const samples = samplePathWorld(createStraight(), null, 50);
+    const lateral = getLateralOffsets(samples, { x: 2, z: 100 }, [
+      { x: 5, z: 100 },
+      { x: -3, z: 101 },
+    ]);
+    expect(lateral.distance).toBeCloseTo(2, 6);
+    expect(lateral.offsets[0]).toBeCloseTo(5, 6);
+    expect(lateral.offsets[1]).toBeCloseTo(-3, 6);
+
+    const limits = new TrackLimits({ curve: createStraight(), width: 10 });
+    const { left, right } = limits.getEdges();
+    expect(left[10].x).toBeCloseTo(5, 6);
+    expect(right[10].x).toBeCloseTo(-5, 6);
+  });
+
+  test("a car is off track only with all four wheels past the same edge", () => {
+    const limits = new TrackLimits({ curve: createStraight(), width: 10 });
+    // Wheels sit 0.8 m either side of the car's centre
+    expect(limits.isOffTrack(carAt(5.5))).toBe(false);
+    expect(limits.isOffTrack(carAt(5.9))).toBe(true);
+    expect(limits.isOffTrack(carAt(-5.9))).toBe(true);
+    // Far from the path the car is not on this track at all
+    expect(limits.isOffTrack(carAt(200))).toBe(false);
+  });
+
+  test("warnings first, then a penalty per violation", () => {
+    const limits = new TrackLimits({
+      curve: createStraight(),
+      width: 10,
+      warnings: 2,
+      penalty: 5,
+    });
+    const violations = [];
+    limits.on("violation", (e) => violations.push(e));
+
+    for (let i = 0; i < 4; i++) {
+      limits.update(0, carAt(8), i);
+      // Staying off track is still the same violation
+      limits.update(0, carAt(9), i + 0.5);
+      limits.update(0, carAt(0), i + 0.7);
+    }
+
+    expect(violations.map((v) => [v.count, v.warning, v.penalty])).toEqual([
+      [1, true, 0],
+      [2, true, 0],
+      [3, false, 5],
+      [4, false, 5],
+    ]);
+    expect(limits.getCarLimits(0)).toEqual({
+      offTrack: false,
+      violations: 4,
+      warningsLeft: 0,
+      penalty: 10,
+    });
+
+    limits.reset();
+    expect(limits.getCarLimits(0).violations).toBe(0);
+  });
+
+  test("surface edges: every wheel on an off-track surface", () => {
+    const limits = new TrackLimits({ source: "surface" });
+    const car = carAt(0);
+    const on = (wheels) => limits.isOffTrack({ ...car, surface: { wheels } });
+    expect(on(["grass", "grass", "gravel", "grass"])).toBe(true);
+    expect(on(["grass", "kerb", "grass", "grass"])).toBe(false);
+    expect(limits.isOffTrack(car)).toBe(false);
+  });
+});
+
+describe("Simulation track limits", () => {
+  test("running wide deletes the lap and is logged", () => {
+    const sim = new Simulation({
+      racePath: createStraight(),
+      raceMode: false,
+      trackLimits: { width: 10 },
+    });
+    sim.addCar({ position: { x: 0, y: 0, z: 0 } });
+    // Steer left (+X) off the straight
+    sim.setInput(0, { ...createIdleInput(), forward: true, yawLeft: true });
+    for (let i = 0; i < 20; i++) sim.step(1 / 60);
+    sim.setInput(0, { ...createIdleInput(), forward: true });
+    for (let i = 0; i < 60 * 4; i++) sim.step(1 / 60);
+
+    const [entry] = sim.eventLog.filter({ type: "trackLimits" });
+    expect(entry).toMatchObject({
+      carIndex: 0,
+      count: 1,
+      warning: true,
+      invalidateLap: true,
+    });
+    expect(entry.position.x).toBeGreaterThan(5);
+    expect(sim.getState().cars[0].trackLimits.violations).toBe(1);
+    expect(sim.timing.getCarTiming(0).currentLapValid).toBe(false);
+    expect(sim.timing.getCarTiming(0).currentFlags).toContain("track-limits");
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the tyre model and its effect on grip
+ */
+
+import * as THREE from "three";
+import { createTyreState, getTyreGrip, updateTyres } from "../src/tyres.js";
+import { updateKinematicCar, createIdleInput } from "../src/kinematics.js";
+import { Simulation } from "../src/simulation.js";
+import { tyreConfig } from "../src/config.js";
+
+// Runs a tyre for `seconds` at a steady speed and cornering load
+function run(tyre, seconds, speed, lateralAccel = 0) {
+  for (let t = 0; t < seconds; t += 0.1) {
+    updateTyres(tyre, { speed, lateralAccel, delta: 0.1 });
+  }
+  return tyre;
+}
+
+function createCircle(radius) {
+  const points = [];
+  for (let i = 0; i < 32; i++) {
+    const a = (i / 32) * Math.PI * 2;
+    points.push(
+      new THREE.Vector3(Math.cos(a) * radius, 0, Math.sin(a) * radius)
+    );
+  }
+  return new THREE.CatmullRomCurve3(points, true, "catmullrom");
+}
+
+describe("tyres", () => {
+  test("fresh tyres start unworn at the blanket temperature", () => {
+    const tyre = createTyreState("Soft");
+    expect(tyre.compound).toBe("Soft");
+    expect(tyre.wear).toBe(0);
+    expect(tyre.temperature).toBe(tyreConfig.startTemp);
+    expect(tyre.grip).toBeCloseTo(getTyreGrip(tyre), 10);
+  });
+
+  test("wear grows with distance and faster under cornering load", () => {
+    const straight = run(createTyreState("Medium"), 60, 50);
+    const corner = run(createTyreState("Medium"), 60, 50, 40);
+
+    expect(straight.distance).toBeCloseTo(3000, 0);
+    expect(straight.wear).toBeCloseTo(
+      tyreConfig.compounds.Medium.wearRate * 3,
+      1
+    );
+    expect(corner.wear).toBeGreaterThan(straight.wear * 2);
+  });
+
+  test("softer compounds wear faster", () => {
+    const soft = run(createTyreState("Soft"), 60, 50);
+    const hard = run(createTyreState("Hard"), 60, 50);
+    expect(soft.wear).toBeGreaterThan(hard.wear);
+  });
+
+  test("tyres heat up with speed and cool towards ambient when stopped", () => {
+    const tyre = run(createTyreState("Medium"), 30, 80, 30);
+    expect(tyre.temperature).toBeGreaterThan(tyreConfig.startTemp);
+
+    const hot = tyre.temperature;
+    run(tyre, 30, 0);
+    expect(tyre.temperature).toBeLessThan(hot);
+    expect(tyre.temperature).toBeGreaterThan(tyreConfig.ambientTemp);
+  });
+
+  test("grip drops outside the temperature window and as tyres wear", () => {
+    const { optimalTemp, tempWindow, grip } = tyreConfig.compounds.Medium;
+    const optimal = createTyreState("Medium", { temperature: optimalTemp });
+    const cold = createTyreState("Medium", {
+      temperature: optimalTemp - 2 * tempWindow,
+    });
+    expect(optimal.grip).toBeCloseTo(grip, 10);
+    expect(cold.grip).toBeLessThan(optimal.grip);
+
+    const worn = { ...optimal, wear: 80 };
+    expect(getTyreGrip(worn)).toBeLessThan(optimal.grip);
+  });
+
+  test("less grip lets the kinematic car slide wider in a turn", () => {
+    const drive = (grip) => {
+      const car = new THREE.Object3D();
+      const velocity = new THREE.Vector3(0, 0, 60);
+      const input = { ...createIdleInput(), forward: true, yawLeft: true };
+      for (let i = 0; i < 10; i++) {
+        updateKinematicCar(car, velocity, input, 1 / 60, { grip });
+      }
+      // Slip angle between the car's heading and its velocity
+      const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(
+        car.quaternion
+      );
+      return forward.angleTo(velocity);
+    };
+    expect(drive(0.2)).toBeGreaterThan(drive(1));
+  });
+
+  test("AI cars corner slower on worn tyres", () => {
+    const cornerSpeed = (wear) => {
+      const sim = new Simulation({
+        racePath: createCircle(60),
+        aiStates: [{ speed: 100, progress: 0 }],
+        raceMode: true,
+      });
+      sim.addCar({ position: { x: 60, y: 0, z: 0 } });
+      for (let i = 0; i < 120; i++) {
+        sim.cars[0].tyre.wear = wear;
+        sim.step(1 / 60);
+      }
+      return sim.aiStates[0].currentSpeed;
+    };
+    expect(cornerSpeed(100)).toBeLessThan(cornerSpeed(0));
+  });
+
+  test("fitTyres fits a fresh set of the chosen compound", () => {
+    const sim = new Simulation({
+      racePath: createCircle(60),
+      aiStates: [{ speed: 20, progress: 0 }],
+      raceMode: true,
+    });
+    sim.addCar({ position: { x: 60, y: 0, z: 0 } });
+    sim.cars[0].tyre.wear = 50;
+    sim.cars[0].nextCompound = "Hard";
+
+    sim.fitTyres(0, sim.cars[0].nextCompound);
+
+    expect(sim.cars[0].tyre.compound).toBe("Hard");
+    expect(sim.cars[0].tyre.wear).toBe(0);
+    expect(sim.cars[0].nextCompound).toBeNull();
+    expect(sim.getState().cars[0].tyre.compound).toBe("Hard");
+  });
+});
@@ -10,6 +10,7 @@ import {
   degToRad,
   radToDeg,
   generateUUID,
+  formatLapTime,
 } from "../../src/utils/common.js";
 
 describe("Common Utilities", () => {
@@ -191,4 +192,16 @@ describe("Common Utilities", () => {
       expect(uuid1).not.toEqual(uuid2);
     });
   });
+
+  describe("formatLapTime", () => {
+    test("should format times under and over a minute", () => {
+      expect(formatLapTime(9.5)).toBe("9.500");
+      expect(formatLapTime(83.0456)).toBe("1:23.046");
+    });
+
+    test("should return a dash for missing times", () => {
+      expect(formatLapTime(null)).toBe("-");
+      expect(formatLapTime(undefined)).toBe("-");
+    });
+  });
 });